@@ -4,6 +4,7 @@
 
 pragma solidity ^0.8.0;
 import "./IERC721.sol";
+import "./IERC721Receiver.sol";
 
 /**
  * @dev A single NFT holder contract that will allow a beneficiary to extract the
@@ -15,7 +16,7 @@ import "./IERC721.sol";
  * Useful for simple vesting schedules like "whitelisted addresses get their NFT
  * after 1 year".
  */
-contract BasicNftTimelock {
+contract BasicNftTimelock is IERC721Receiver {
     // ERC721 basic token smart contract
     IERC721 private immutable _nft;
 
@@ -28,6 +29,34 @@ contract BasicNftTimelock {
     // timestamp when token release is enabled
     uint256 private immutable _releaseTime;
 
+    // address that locked the NFT with {IERC721-safeTransferFrom}, which receives it back on cancellation
+    address private _locker;
+
+    // Whether each party approved the cancellation of the timelock
+    mapping(address => bool) private _cancellationApprovals;
+
+    // Whether the timelock was cancelled
+    bool private _cancelled;
+
+    // Events
+    event Locked(address indexed operator, address indexed from, uint256 tokenId);
+    event Released(
+        address indexed nftLocker,
+        address indexed beneficiary,
+        uint256 indexed tokenId,
+        uint256 discount,
+        uint256 remaining
+    );
+    event CancellationApproved(address indexed party);
+    event CancellationRevoked(address indexed party);
+    event Cancelled(
+        address indexed nftLocker,
+        address indexed beneficiary,
+        uint256 indexed tokenId,
+        uint256 discount,
+        uint256 remaining
+    );
+
     /**
      * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
      * `beneficiary_` when {release} is invoked after `releaseTime_`. The cliff period is specified as a Unix timestamp
@@ -78,10 +107,95 @@ contract BasicNftTimelock {
         return _releaseTime;
     }
 
+    /**
+     * @dev Returns the address that locked the NFT with {IERC721-safeTransferFrom}.
+     * Returns the zero address if the NFT was transferred in without it, in which case the timelock cannot be cancelled.
+     */
+    function locker() public view virtual returns (address) {
+        return _locker;
+    }
+
+    /**
+     * @dev Accepts the configured NFT when it is locked with {IERC721-safeTransferFrom}.
+     * Reverts for any other token, so that it cannot get stuck in this contract.
+     *
+     * Emits a {Locked} event.
+     */
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId_,
+        bytes calldata
+    ) external virtual override returns (bytes4) {
+        require(
+            msg.sender == address(nft()) && tokenId_ == tokenId(),
+            "BasicNftTimelock: only the configured NFT can be locked"
+        );
+
+        _locker = from;
+
+        emit Locked(operator, from, tokenId_);
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Returns whether the timelock was cancelled.
+     */
+    function cancelled() public view virtual returns (bool) {
+        return _cancelled;
+    }
+
+    /**
+     * @dev Returns whether `party` approved the cancellation of the timelock.
+     */
+    function cancellationApproved(address party) public view virtual returns (bool) {
+        return _cancellationApprovals[party];
+    }
+
+    /**
+     * @dev Approves the cancellation of the timelock. Only callable by the locker or the beneficiary.
+     * The timelock is cancelled by the approval completing the consent of both parties.
+     *
+     * Emits a {CancellationApproved} event, and a {Cancelled} event when both parties approved.
+     */
+    function approveCancellation() public virtual {
+        require(
+            msg.sender == locker() || msg.sender == beneficiary(),
+            "BasicNftTimelock: caller is not a party of the timelock"
+        );
+        require(!cancelled(), "BasicNftTimelock: timelock is cancelled");
+
+        _cancellationApprovals[msg.sender] = true;
+        emit CancellationApproved(msg.sender);
+
+        if (
+            cancellationApproved(locker()) && cancellationApproved(beneficiary())
+        ) {
+            _cancel();
+        }
+    }
+
+    /**
+     * @dev Revokes an approval of the cancellation that has not taken effect yet.
+     *
+     * Emits a {CancellationRevoked} event.
+     */
+    function revokeCancellation() public virtual {
+        require(
+            cancellationApproved(msg.sender),
+            "BasicNftTimelock: cancellation not approved by caller"
+        );
+
+        _cancellationApprovals[msg.sender] = false;
+        emit CancellationRevoked(msg.sender);
+    }
+
     /**
      * @dev Transfers NFT held by the timelock to the beneficiary.
      * Will only succeed if invoked after the release time.
      * Reverts if transfer of NFT fails.
+     *
+     * Emits a {Released} event with the zero address as NFT Locker and no discount.
      */
     function release() public virtual {
         // Check if current time is after release time
@@ -104,5 +218,27 @@ contract BasicNftTimelock {
             nft().ownerOf(tokenId()) != address(this),
             "BasicNftTimelock: NFT still owned by this contract"
         );
+
+        emit Released(address(0), beneficiary(), tokenId(), 0, 0);
+    }
+
+    /**
+     * @dev Returns the NFT to the locker once both parties approved the cancellation.
+     *
+     * Emits a {Cancelled} event.
+     */
+    function _cancel() internal virtual {
+        // Check if the NFT is still locked
+        require(
+            nft().ownerOf(tokenId()) == address(this),
+            "BasicNftTimelock: no NFT to cancel"
+        );
+
+        _cancelled = true;
+
+        // Return NFT to the locker
+        nft().safeTransferFrom(address(this), locker(), tokenId());
+
+        emit Cancelled(locker(), beneficiary(), tokenId(), 0, 0);
     }
 }
@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./EthNftVestingTimelockBase.sol";
+import "./curves/ConcaveVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * After the vesting start time, the discount will start to accumulate for the locker along a square root curve,
+ * which vests faster at the start and reaches the whole deposit at the max duration, see {ConcaveCurve}.
+ *
+ * The developer would have to send ETH to this contract on contract deployement for discount to be applied.
+ * The amount of ETH sent to this contract is the total discount that beneficiary will receive.
+ *
+ * Developers would have to perform the following actions for the locking of NFT:
+ * Deploy with Eth sent to contract -> Transfer of NFT to contract
+ */
+contract ConcaveVestingNftTimeLock is EthNftVestingTimelockBase {
+    // Duration after which the whole deposit is vested
+    uint256 private immutable _maxDuration;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  The discount accumulation for beneficiary is based off a concave model y = deposit * sqrt(x / maxDuration)
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxDuration_
+    )
+        payable
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+    {
+        ConcaveCurve.validate(maxDuration_);
+
+        _maxDuration = maxDuration_;
+    }
+
+    /**
+     * @dev Returns the duration after which the whole deposit is vested.
+     */
+    function maxDuration() public view virtual returns (uint256) {
+        return _maxDuration;
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {ConcaveCurve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return ConcaveCurve.vestedAmount(elapsed, total, maxDuration());
+    }
+}
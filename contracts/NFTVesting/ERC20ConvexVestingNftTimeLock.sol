@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./ERC20NftVestingTimelockBase.sol";
+import "./curves/ConvexVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * After the vesting start time, the discount will start to accumulate for the locker non linearly according to mx^n formula,
+ * see {ConvexCurve}.
+ *
+ * Variant of {ConvexVestingNftTimeLock} paying the discount in an ERC20 `discountToken` instead of ETH.
+ * The amount of tokens deposited is the total discount that beneficiary will receive.
+ */
+contract ERC20ConvexVestingNftTimeLock is ERC20NftVestingTimelockBase {
+    // Growth rate for vesting. M in MX^exponent
+    uint256 private immutable _growthRate;
+
+    // Exponent for vesting. exponent in MX^exponent
+    uint8 private immutable _exponent;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  The discount accumulation for beneficiary is based off a convex model y = mx^exponent
+     *  `depositAmount_` of `discountToken_` is transferred from the deployer, who has to approve
+     *  the address of this contract beforehand.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 growthRate_,
+        uint8 exponent_,
+        IERC20 discountToken_,
+        uint256 depositAmount_
+    )
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+        ERC20NftVestingTimelockBase(discountToken_, depositAmount_)
+    {
+        ConvexCurve.validate(growthRate_, exponent_);
+
+        _growthRate = growthRate_;
+        _exponent = exponent_;
+    }
+
+    /**
+     * @dev Returns growth rate for vesting. M in MX^exponent
+     */
+    function growthRate() public view virtual returns (uint256) {
+        return _growthRate;
+    }
+
+    /**
+     * @dev Returns exponent for vesting. Exponent in MX^exponent
+     */
+    function exponent() public view virtual returns (uint8) {
+        return _exponent;
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {ConvexCurve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return ConvexCurve.vestedAmount(elapsed, growthRate(), exponent());
+    }
+}
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./ERC20NftVestingTimelockBase.sol";
+import "./curves/IntervalVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * On every interval epoch, the discount accrued by the locker is based off a set amount, see {IntervalCurve}.
+ *
+ * Variant of {IntervalVestingNftTimeLock} paying the discount in an ERC20 `discountToken` instead of ETH.
+ * The amount of tokens deposited is the total discount that beneficiary will receive.
+ */
+contract ERC20IntervalVestingNftTimeLock is ERC20NftVestingTimelockBase {
+    // Max number of Interval for vesting
+    uint256 private immutable _maxIntervals;
+
+    // Duration for each Interval
+    uint256 private immutable _intervalDuration;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  For every set of duration passed after the vesting start time, the number of intervals would increase.
+     *  The discount will then be applied to the beneficiary according to number of intervals the token has been vested for.
+     *  `depositAmount_` of `discountToken_` is transferred from the deployer, who has to approve
+     *  the address of this contract beforehand.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxIntervals_,
+        uint256 intervalDuration_,
+        IERC20 discountToken_,
+        uint256 depositAmount_
+    )
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+        ERC20NftVestingTimelockBase(discountToken_, depositAmount_)
+    {
+        IntervalCurve.validate(maxIntervals_, intervalDuration_);
+
+        _maxIntervals = maxIntervals_;
+        _intervalDuration = intervalDuration_;
+    }
+
+    /**
+     * @dev Returns the maximum number of intervals set for vesting.
+     */
+    function maxIntervals() public view virtual returns (uint256) {
+        return _maxIntervals;
+    }
+
+    /**
+     * @dev Returns the set duration of each interval.
+     */
+    function intervalDuration() public view virtual returns (uint256) {
+        return _intervalDuration;
+    }
+
+    /**
+     * @dev Returns the number of interval that the token has been vested for after the vesting start time.
+     * Note that vestedDuration()/intervalDuration() will return the floor of the number of intervals.
+     */
+    function intervalsPassed() public view returns (uint256) {
+        return vestedDuration() / intervalDuration();
+    }
+
+    /**
+     * @dev Returns current vesting interval.
+     */
+    function currentInterval() public view returns (uint256) {
+        // Before vesting start time, the interval is 0.
+        if (block.timestamp < vestingStartTime()) {
+            return 0;
+        }
+
+        return IntervalCurve.currentInterval(vestedDuration(), maxIntervals(), intervalDuration());
+    }
+
+    /**
+     * @dev Returns the remaining interval before max vesting interval
+     */
+    function getIntervalsLeft() public view returns (uint256) {
+        return maxIntervals() - currentInterval();
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {IntervalCurve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return IntervalCurve.vestedAmount(elapsed, total, maxIntervals(), intervalDuration());
+    }
+}
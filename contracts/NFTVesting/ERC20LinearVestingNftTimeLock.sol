@@ -0,0 +1,100 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./ERC20NftVestingTimelockBase.sol";
+import "./curves/LinearVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * After the vesting start time, the discount will start to accumulate for the locker linearly, see {LinearCurve}.
+ * An optional cliff delays any discount, which then catches up on the cliff once it passes.
+ *
+ * Variant of {LinearVestingNftTimeLock} paying the discount in an ERC20 `discountToken` instead of ETH.
+ * The amount of tokens deposited is the total discount that beneficiary will receive.
+ */
+contract ERC20LinearVestingNftTimeLock is ERC20NftVestingTimelockBase {
+    // Duration that token will vest
+    uint256 private immutable _maxDuration;
+
+    // Duration after the vesting start time before any discount vests
+    uint256 private immutable _cliffDuration;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  The discount accumulation during vesting for beneficiary is based off a linear model y = mx
+     *  No discount vests before `cliffDuration_` has passed since `vestingStartTime_`, which can be 0 for no cliff.
+     *  `cliffDuration_` is a required argument since the cliff was added, 0 vesting as the constructor did before.
+     *  `depositAmount_` of `discountToken_` is transferred from the deployer, who has to approve
+     *  the address of this contract beforehand.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxDuration_,
+        uint256 cliffDuration_,
+        IERC20 discountToken_,
+        uint256 depositAmount_
+    )
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+        ERC20NftVestingTimelockBase(discountToken_, depositAmount_)
+    {
+        LinearCurve.validate(maxDuration_, cliffDuration_);
+
+        _maxDuration = maxDuration_;
+        _cliffDuration = cliffDuration_;
+    }
+
+    /**
+     * @dev Returns max duration that token will vest
+     */
+    function maxDuration() public view virtual returns (uint256) {
+        return _maxDuration;
+    }
+
+    /**
+     * @dev Returns the duration after the vesting start time before any discount vests.
+     */
+    function cliffDuration() public view virtual returns (uint256) {
+        return _cliffDuration;
+    }
+
+    /**
+     * @dev Returns duration that NFT has been locked and vesting
+     * Returns 0 until the cliff has passed, and then the whole duration since {vestingStartTime},
+     * so that the discount catches up on the cliff.
+     */
+    function vestedDuration() public view virtual override returns (uint256) {
+        if (block.timestamp < vestingStartTime() + cliffDuration()) {
+            return 0;
+        }
+        return super.vestedDuration();
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {LinearCurve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return LinearCurve.vestedAmount(elapsed, total, maxDuration(), cliffDuration());
+    }
+}
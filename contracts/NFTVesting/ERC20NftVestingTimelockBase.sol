@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./NftVestingTimelockBase.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @dev {NftVestingTimelockBase} holding its deposit in an ERC20 `discountToken`, such as a stablecoin.
+ * The deposit is pulled from the deployer's allowance on contract deployment, and ETH is not accepted.
+ * It can be topped up with {fund} until the vesting start time. Tokens transferred to the contract
+ * directly are not part of the deposit, and are swept to the beneficiary with {sweepStray}.
+ *
+ * Developers would have to perform the following actions for the locking of NFT:
+ * Approve tokens for the timelock address -> Deploy -> Transfer of NFT to contract
+ */
+abstract contract ERC20NftVestingTimelockBase is NftVestingTimelockBase {
+    using SafeERC20 for IERC20;
+
+    // ERC20 token the discount is paid in
+    IERC20 private immutable _discountToken;
+
+    /**
+     * @dev Transfers `depositAmount_` of `discountToken_` from the deployer, who has to approve
+     * the address of this contract beforehand.
+     */
+    constructor(IERC20 discountToken_, uint256 depositAmount_) {
+        require(
+            depositAmount_ > 0,
+            "TimeLock: tokens should be deposited before initialization"
+        );
+
+        _discountToken = discountToken_;
+
+        _credit(msg.sender, depositAmount_);
+        discountToken_.safeTransferFrom(msg.sender, address(this), depositAmount_);
+    }
+
+    /**
+     * @dev Adds `amount` of the discount token to the deposit, pulled from the caller's allowance
+     * and credited to the caller. Only callable before the vesting start time.
+     *
+     * Emits a {Funded} event.
+     */
+    function fund(uint256 amount) public virtual {
+        _fund(msg.sender, amount);
+        discountToken().safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /**
+     * @dev Returns the ERC20 token the discount is paid in.
+     */
+    function discountToken() public view virtual returns (IERC20) {
+        return _discountToken;
+    }
+
+    /**
+     * @dev Returns the tokens held by the timelock.
+     */
+    function _depositBalance() internal view virtual override returns (uint256) {
+        return discountToken().balanceOf(address(this));
+    }
+
+    /**
+     * @dev Sends `amount` of the discount token to `to`.
+     */
+    function _transferDeposit(address to, uint256 amount) internal virtual override {
+        discountToken().safeTransfer(to, amount);
+    }
+}
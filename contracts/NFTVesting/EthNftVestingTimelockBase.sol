@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./NftVestingTimelockBase.sol";
+
+/**
+ * @dev {NftVestingTimelockBase} holding its deposit in ETH, sent to the contract on deployment
+ * and topped up with {fund} until the vesting start time.
+ *
+ * Note that in order for discount in ETH to be valid, ETH must first be sent to this contract upon token locking.
+ * ETH sent directly to the contract is not part of the deposit: it is recorded as a stray deposit of
+ * its sender, who can get it back with {refundStray}.
+ */
+abstract contract EthNftVestingTimelockBase is NftVestingTimelockBase {
+    // ETH sent directly to the timelock by each sender, refundable with {refundStray}
+    mapping(address => uint256) private _strayDeposits;
+
+    // Sum of the stray deposits not refunded yet
+    uint256 private _totalStrayDeposits;
+
+    // Events
+    event EthReceived(address indexed sender, uint256 amount);
+    event StrayRefunded(address indexed sender, uint256 amount);
+
+    /**
+     * @dev Funds the deposit with the ETH sent on deployment, credited to the deployer.
+     */
+    constructor() payable {
+        require(
+            msg.value > 0,
+            "TimeLock: Eth should be sent to contract before initialization"
+        );
+
+        _credit(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Adds the ETH sent to the deposit, credited to the caller. Only callable before the vesting start time.
+     *
+     * Emits a {Funded} event.
+     */
+    function fund() public payable virtual {
+        _fund(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Returns the ETH `sender` sent directly to the timelock and can get refunded.
+     */
+    function strayDepositOf(address sender) public view virtual returns (uint256) {
+        return _strayDeposits[sender];
+    }
+
+    /**
+     * @dev Sends the ETH the caller sent directly to the timelock back to it.
+     *
+     * Emits a {StrayRefunded} event.
+     */
+    function refundStray() public virtual {
+        uint256 amount = strayDepositOf(msg.sender);
+        require(amount > 0, "TimeLock: no stray deposit to refund");
+
+        _strayDeposits[msg.sender] = 0;
+        _totalStrayDeposits -= amount;
+        _transferDeposit(msg.sender, amount);
+
+        emit StrayRefunded(msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns the ETH held by the timelock.
+     */
+    function _depositBalance() internal view virtual override returns (uint256) {
+        return address(this).balance;
+    }
+
+    /**
+     * @dev Sends `amount` of ETH to `to`.
+     */
+    function _transferDeposit(address to, uint256 amount) internal virtual override {
+        (bool sent, ) = to.call{value: amount}("");
+        require(sent, "Failed to send Ether");
+    }
+
+    /**
+     * @dev Leaves the stray deposits their senders can still get refunded, so only ETH forced
+     * into the timelock without a call is swept.
+     */
+    function _sweepableStray() internal view virtual override returns (uint256) {
+        return strayBalance() - _totalStrayDeposits;
+    }
+
+    /**
+     * @dev Records ETH sent directly to the timelock as a stray deposit of the sender.
+     *
+     * Emits an {EthReceived} event.
+     */
+    function _receiveStray() private {
+        _strayDeposits[msg.sender] += msg.value;
+        _totalStrayDeposits += msg.value;
+
+        emit EthReceived(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Records ETH sent without calldata as a stray deposit, refundable with {refundStray}.
+     * Use {fund} to add to the deposit.
+     */
+    receive() external payable {
+        _receiveStray();
+    }
+
+    /**
+     * @dev Fallback function in the event that the contract is called directly.
+     * ETH sent along is recorded as a stray deposit, as with {receive}.
+     */
+    fallback() external payable {
+        _receiveStray();
+    }
+}
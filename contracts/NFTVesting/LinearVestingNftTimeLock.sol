@@ -1,14 +1,16 @@
 // SPDX-License-Identifier: MIT
-// OpenZeppelin Contracts (last updated v4.5.0) (token/ERC20/utils/TokenTimelock.sol)
 // SpartanLabs Contracts (NFTVesting)
 
 pragma solidity ^0.8.0;
-import "./IERC721.sol";
+import "./EthNftVestingTimelockBase.sol";
+import "./curves/LinearVestingCurve.sol";
 
 /**
  * @dev A single NFT holder contract that will allow a beneficiary to extract the
  * NFT after a given vesting start time.
- * After the vesting start time, the discount will start to accumulate for the locker linearly.
+ *
+ * After the vesting start time, the discount will start to accumulate for the locker linearly, see {LinearCurve}.
+ * An optional cliff delays any discount, which then catches up on the cliff once it passes.
  *
  * The developer would have to send ETH to this contract on contract deployement for discount to be applied.
  * The amount of ETH sent to this contract is the total discount that beneficiary will receive.
@@ -16,27 +18,12 @@ import "./IERC721.sol";
  * Developers would have to perform the following actions for the locking of NFT:
  * Deploy with Eth sent to contract -> Transfer of NFT to contract
  */
-contract LinearVestingNftTimeLock {
-    // ERC721 basic token smart contract
-    IERC721 private immutable _nft;
-
-    // ERC721 basic token ID of contract being held
-    uint256 private immutable _tokenId;
-
-    // address of NFT Locker who would receive the NFT and discount when it is released.
-    address private immutable _nftLocker;
-
-    // address of beneficiary that will receive the remaining discount not claimed by the `_nftLocker`.
-    address private immutable _beneficiary;
-
-    // timestamp when token release is enabled and when discount starts to vest.
-    uint256 private immutable _vestingStartTime;
-
+contract LinearVestingNftTimeLock is EthNftVestingTimelockBase {
     // Duration that token will vest
-    uint256 private _maxDuration;
+    uint256 private immutable _maxDuration;
 
-    // Events
-    event EthReceived(address indexed sender, uint256 amount);
+    // Duration after the vesting start time before any discount vests
+    uint256 private immutable _cliffDuration;
 
     /**
      * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
@@ -44,7 +31,8 @@ contract LinearVestingNftTimeLock {
      * (in seconds).
      *
      *  The discount accumulation during vesting for beneficiary is based off a linear model y = mx
-     *  The developer would have to send ETH to this contract on contract deployement for discount to be applied.
+     *  No discount vests before `cliffDuration_` has passed since `vestingStartTime_`, which can be 0 for no cliff.
+     *  `cliffDuration_` is a required argument since the cliff was added, 0 vesting as the constructor did before.
      */
     constructor(
         IERC721 nft_,
@@ -52,149 +40,60 @@ contract LinearVestingNftTimeLock {
         address nftLocker_,
         address beneficiary_,
         uint256 vestingStartTime_,
-        uint256 maxDuration_
-    ) payable {
-        require(
-            vestingStartTime_ > block.timestamp,
-            "BasicNFTTimelock: vesting start time is before current time"
-        );
+        uint256 maxDuration_,
+        uint256 cliffDuration_
+    )
+        payable
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+    {
+        LinearCurve.validate(maxDuration_, cliffDuration_);
 
-        require(
-            address(this).balance > 0,
-            "Time:Lock: Eth should be sent to contract before initialization"
-        );
-
-        _nft = nft_;
-        _tokenId = tokenId_;
-        _nftLocker = nftLocker_;
-        _beneficiary = beneficiary_;
-        _vestingStartTime = vestingStartTime_;
         _maxDuration = maxDuration_;
+        _cliffDuration = cliffDuration_;
     }
 
     /**
-     * @dev Returns the NFT that this Timelock Contract holds.
-     */
-    function nft() public view virtual returns (IERC721) {
-        return _nft;
-    }
-
-    /**
-     * @dev Returns the token ID of the NFT being held.
-     * Returns undefined if the contract is not holding an NFT.
-     */
-    function tokenId() public view virtual returns (uint256) {
-        return _tokenId;
-    }
-
-    /**
-     * @dev Returns the NFT Locker address that will receive the NFT and ETH Discount.
-     */
-    function nftLocker() public view virtual returns (address) {
-        return _nftLocker;
-    }
-
-    /**
-     * @dev Returns the beneficiary that will receive the remaining ETH.
-     */
-    function beneficiary() public view virtual returns (address) {
-        return _beneficiary;
-    }
-
-    /**
-     * @dev Returns the time when the NFT can be released, and vesting starts in seconds since Unix epoch (i.e. Unix timestamp).
-     */
-    function vestingStartTime() public view virtual returns (uint256) {
-        return _vestingStartTime;
-    }
-
-    /**
-     * @dev Returns the max duration that a token is allowed to vest for.
+     * @dev Returns max duration that token will vest
      */
     function maxDuration() public view virtual returns (uint256) {
         return _maxDuration;
     }
 
     /**
-     * @dev Returns duration that NFT has been locked and vesting
+     * @dev Returns the duration after the vesting start time before any discount vests.
      */
-    function vestedDuration() public view returns (uint256) {
-        return block.timestamp - vestingStartTime();
+    function cliffDuration() public view virtual returns (uint256) {
+        return _cliffDuration;
     }
 
     /**
-     * @dev Returns discount accrued in Eth according to duration vested
-     *
-     * Mutiplies balance with discount ratio for achieved from vesting
-     * Discount ratio is the ratio of {vestedDuration} to {maxDuration}
-     * Maximum discount ratio is 1.
+     * @dev Returns duration that NFT has been locked and vesting
+     * Returns 0 until the cliff has passed, and then the whole duration since {vestingStartTime},
+     * so that the discount catches up on the cliff.
      */
-    function getDiscount() public view returns (uint256) {
-        if (block.timestamp < vestingStartTime()) {
+    function vestedDuration() public view virtual override returns (uint256) {
+        if (block.timestamp < vestingStartTime() + cliffDuration()) {
             return 0;
         }
-
-        uint256 discount = vestedDuration() *
-            (address(this).balance / maxDuration()); // The reason why the balance is divided by maxDuration is because vestedDuration()/maxDuration() = 0.
-
-        // Prevent discount from being greater than balance
-        if (discount > address(this).balance) {
-            return address(this).balance;
-        } else {
-            return discount;
-        }
+        return super.vestedDuration();
     }
 
     /**
-     * @dev Transfers NFT held by the timelock to the beneficiary.
-     * Will only succeed if invoked after the release time.
-     * Sends the discount in Eth to the beneficiary.
-     * Reverts if transfer of NFT fails.
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {LinearCurve}.
      */
-    function release() public virtual {
-        // Check if current time is after {vestingStartTime} for release
-        require(
-            block.timestamp >= vestingStartTime(),
-            "TimeLock: current time is before vesting start time"
-        );
-
-        // Check if the NFT is already released
-        require(
-            nft().ownerOf(tokenId()) == address(this),
-            "TimeLock: no NFT to release for this address"
-        );
-
-        uint256 ethDiscount = getDiscount();
-        uint256 ethRemaining = address(this).balance - ethDiscount;
-
-        // Sending remaining discount to beneficiary
-        (bool beneficiarySent, ) = beneficiary().call{value: ethRemaining}("");
-        require(beneficiarySent, "Failed to send Ether");
-
-        // Send discount to NFT Locker
-        (bool nftLockerSent, ) = nftLocker().call{value: ethDiscount}("");
-        require(nftLockerSent, "Failed to send Ether");
-
-        // Transfer NFT to NFT Locker
-        nft().safeTransferFrom(address(this), beneficiary(), tokenId());
-
-        // Check if beneficiary has received NFT, if not, revert
-        require(
-            nft().ownerOf(tokenId()) != address(this),
-            "BasicNFTTimelock: NFT still owned by this contract"
-        );
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return LinearCurve.vestedAmount(elapsed, total, maxDuration(), cliffDuration());
     }
-
-    /**
-     * @dev Fallback function for eth to be sent to contract on Initialization.
-     * Emits EthReceived Event
-     */
-    receive() external payable {
-        emit EthReceived(msg.sender, msg.value);
-    }
-
-    /**
-     * @dev Fallback function in the event that the contract is called directly.
-     */
-    fallback() external payable {}
 }
@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./EthNftVestingTimelockBase.sol";
+import "./curves/LogisticVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * After the vesting start time, the discount will start to accumulate for the locker along a logistic (S-shaped) curve,
+ * slow at the start and at the end, and reaches the whole deposit at the max duration, see {LogisticCurve}.
+ *
+ * The developer would have to send ETH to this contract on contract deployement for discount to be applied.
+ * The amount of ETH sent to this contract is the total discount that beneficiary will receive.
+ *
+ * Developers would have to perform the following actions for the locking of NFT:
+ * Deploy with Eth sent to contract -> Transfer of NFT to contract
+ */
+contract LogisticVestingNftTimeLock is EthNftVestingTimelockBase {
+    // Duration after which the whole deposit is vested
+    uint256 private immutable _maxDuration;
+
+    // Steepness of the curve. k in p^k / (p^k + (1 - p)^k)
+    uint8 private immutable _steepness;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  The discount accumulation for beneficiary is based off the logistic model y = deposit * p^k / (p^k + (1 - p)^k),
+     *  where p = x / maxDuration and k is the steepness. Steepness 1 is linear, and the higher it is,
+     *  the more of the discount vests around half of the max duration.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxDuration_,
+        uint8 steepness_
+    )
+        payable
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+    {
+        LogisticCurve.validate(maxDuration_, steepness_);
+
+        _maxDuration = maxDuration_;
+        _steepness = steepness_;
+    }
+
+    /**
+     * @dev Returns the duration after which the whole deposit is vested.
+     */
+    function maxDuration() public view virtual returns (uint256) {
+        return _maxDuration;
+    }
+
+    /**
+     * @dev Returns the steepness of the curve. k in p^k / (p^k + (1 - p)^k)
+     */
+    function steepness() public view virtual returns (uint8) {
+        return _steepness;
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {LogisticCurve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return LogisticCurve.vestedAmount(elapsed, total, maxDuration(), steepness());
+    }
+}
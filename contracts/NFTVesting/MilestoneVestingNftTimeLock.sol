@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./EthNftVestingTimelockBase.sol";
+import "./curves/MilestoneVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * Like {IntervalVestingNftTimeLock}, the discount accrued by the locker steps up at the start of every interval,
+ * but the intervals and the discount of each follow a custom milestone schedule, see {MilestoneCurve}.
+ *
+ * The developer would have to send ETH to this contract on contract deployement for discount to be applied.
+ * The amount of ETH sent to this contract is the total discount that beneficiary will receive.
+ *
+ * Developers would have to perform the following actions for the locking of NFT:
+ * Deploy with Eth sent to contract -> Transfer of NFT to contract
+ */
+contract MilestoneVestingNftTimeLock is EthNftVestingTimelockBase {
+    // Vesting schedule, in increasing order of time
+    MilestoneCurve.Milestone[] private _milestones;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  Each milestone of `milestones_` starts a new interval, vesting its `cumulativeBps` of the deposit in total
+     *  once `time` seconds have passed since the vesting start time.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        MilestoneCurve.Milestone[] memory milestones_
+    )
+        payable
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+    {
+        MilestoneCurve.validate(milestones_);
+
+        for (uint256 i = 0; i < milestones_.length; i++) {
+            _milestones.push(milestones_[i]);
+        }
+    }
+
+    /**
+     * @dev Returns the milestones of the vesting schedule.
+     */
+    function milestones() public view virtual returns (MilestoneCurve.Milestone[] memory) {
+        return _milestones;
+    }
+
+    /**
+     * @dev Returns the number of intervals, one per milestone.
+     */
+    function maxIntervals() public view virtual returns (uint256) {
+        return _milestones.length;
+    }
+
+    /**
+     * @dev Returns current vesting interval, which is the number of milestones reached.
+     */
+    function currentInterval() public view returns (uint256) {
+        // Before vesting start time, the interval is 0.
+        if (block.timestamp < vestingStartTime()) {
+            return 0;
+        }
+
+        return MilestoneCurve.milestonesReached(vestedDuration(), milestones());
+    }
+
+    /**
+     * @dev Returns the remaining interval before max vesting interval
+     */
+    function getIntervalsLeft() public view returns (uint256) {
+        return maxIntervals() - currentInterval();
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, see {MilestoneCurve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return MilestoneCurve.vestedAmount(elapsed, total, milestones());
+    }
+}
@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./BasicNftTimelock.sol";
+import "./LinearVestingNftTimeLock.sol";
+import "./IntervalVestingNftTimeLock.sol";
+import "./ConvexVestingNftTimeLock.sol";
+import "./ConcaveVestingNftTimeLock.sol";
+import "./LogisticVestingNftTimeLock.sol";
+
+// Libraries holding the creation code of each timelock for {NftTimelockFactory}, which would exceed the
+// contract size limit if it embedded all of them. They are called through DELEGATECALL, so the timelocks
+// are still deployed by the factory itself through CREATE2.
+//
+// `args` are the ABI encoded constructor parameters of the timelock.
+
+library BasicNftTimelockDeployer {
+    /**
+     * @dev Deploys a {BasicNftTimelock} through CREATE2. Returns the zero address if the deployment fails.
+     */
+    function deploy(
+        bytes memory args,
+        bytes32 salt,
+        uint256 value
+    ) external returns (address timelock) {
+        bytes memory initCode = abi.encodePacked(type(BasicNftTimelock).creationCode, args);
+        assembly {
+            timelock := create2(value, add(initCode, 0x20), mload(initCode), salt)
+        }
+    }
+
+    /**
+     * @dev Returns the hash of the init code deployed by {deploy}.
+     */
+    function initCodeHash(bytes memory args) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(type(BasicNftTimelock).creationCode, args));
+    }
+}
+
+library LinearVestingNftTimeLockDeployer {
+    /**
+     * @dev Deploys a {LinearVestingNftTimeLock} through CREATE2. Returns the zero address if the deployment fails.
+     */
+    function deploy(
+        bytes memory args,
+        bytes32 salt,
+        uint256 value
+    ) external returns (address timelock) {
+        bytes memory initCode = abi.encodePacked(type(LinearVestingNftTimeLock).creationCode, args);
+        assembly {
+            timelock := create2(value, add(initCode, 0x20), mload(initCode), salt)
+        }
+    }
+
+    /**
+     * @dev Returns the hash of the init code deployed by {deploy}.
+     */
+    function initCodeHash(bytes memory args) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(type(LinearVestingNftTimeLock).creationCode, args));
+    }
+}
+
+library IntervalVestingNftTimeLockDeployer {
+    /**
+     * @dev Deploys an {IntervalVestingNftTimeLock} through CREATE2. Returns the zero address if the deployment fails.
+     */
+    function deploy(
+        bytes memory args,
+        bytes32 salt,
+        uint256 value
+    ) external returns (address timelock) {
+        bytes memory initCode = abi.encodePacked(type(IntervalVestingNftTimeLock).creationCode, args);
+        assembly {
+            timelock := create2(value, add(initCode, 0x20), mload(initCode), salt)
+        }
+    }
+
+    /**
+     * @dev Returns the hash of the init code deployed by {deploy}.
+     */
+    function initCodeHash(bytes memory args) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(type(IntervalVestingNftTimeLock).creationCode, args));
+    }
+}
+
+library ConvexVestingNftTimeLockDeployer {
+    /**
+     * @dev Deploys a {ConvexVestingNftTimeLock} through CREATE2. Returns the zero address if the deployment fails.
+     */
+    function deploy(
+        bytes memory args,
+        bytes32 salt,
+        uint256 value
+    ) external returns (address timelock) {
+        bytes memory initCode = abi.encodePacked(type(ConvexVestingNftTimeLock).creationCode, args);
+        assembly {
+            timelock := create2(value, add(initCode, 0x20), mload(initCode), salt)
+        }
+    }
+
+    /**
+     * @dev Returns the hash of the init code deployed by {deploy}.
+     */
+    function initCodeHash(bytes memory args) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(type(ConvexVestingNftTimeLock).creationCode, args));
+    }
+}
+
+library ConcaveVestingNftTimeLockDeployer {
+    /**
+     * @dev Deploys a {ConcaveVestingNftTimeLock} through CREATE2. Returns the zero address if the deployment fails.
+     */
+    function deploy(
+        bytes memory args,
+        bytes32 salt,
+        uint256 value
+    ) external returns (address timelock) {
+        bytes memory initCode = abi.encodePacked(type(ConcaveVestingNftTimeLock).creationCode, args);
+        assembly {
+            timelock := create2(value, add(initCode, 0x20), mload(initCode), salt)
+        }
+    }
+
+    /**
+     * @dev Returns the hash of the init code deployed by {deploy}.
+     */
+    function initCodeHash(bytes memory args) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(type(ConcaveVestingNftTimeLock).creationCode, args));
+    }
+}
+
+library LogisticVestingNftTimeLockDeployer {
+    /**
+     * @dev Deploys a {LogisticVestingNftTimeLock} through CREATE2. Returns the zero address if the deployment fails.
+     */
+    function deploy(
+        bytes memory args,
+        bytes32 salt,
+        uint256 value
+    ) external returns (address timelock) {
+        bytes memory initCode = abi.encodePacked(type(LogisticVestingNftTimeLock).creationCode, args);
+        assembly {
+            timelock := create2(value, add(initCode, 0x20), mload(initCode), salt)
+        }
+    }
+
+    /**
+     * @dev Returns the hash of the init code deployed by {deploy}.
+     */
+    function initCodeHash(bytes memory args) external pure returns (bytes32) {
+        return keccak256(abi.encodePacked(type(LogisticVestingNftTimeLock).creationCode, args));
+    }
+}
@@ -0,0 +1,572 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IERC721.sol";
+import "./NftTimelockDeployers.sol";
+
+/**
+ * @dev Factory deploying the NFT timelocks through CREATE2 and keeping a registry of them.
+ *
+ * The timelock is deployed with its ETH deposit and the NFT is pulled from the caller in the same transaction,
+ * so the deposit is never locked without the NFT. The caller must approve this factory for the NFT beforehand.
+ * The deposit is credited to the caller in {NftVestingTimelockBase-fundedBy}, not to the factory.
+ *
+ * The address of a timelock only depends on the caller, the salt and the constructor parameters,
+ * and can be computed before deployment with the `compute*TimelockAddress` functions.
+ *
+ * The creation code of each timelock is held by the libraries of `NftTimelockDeployers.sol`,
+ * which have to be linked when deploying this factory.
+ */
+contract NftTimelockFactory {
+    /**
+     * @dev Type of timelock deployed by the factory. The milestone, curve, receipt and ERC20 timelocks
+     * are not covered, and are deployed directly.
+     */
+    enum TimelockType {
+        Basic,
+        Linear,
+        Interval,
+        Convex,
+        Concave,
+        Logistic
+    }
+
+    /**
+     * @dev Struct `TimelockParams` contains the constructor parameters shared by every timelock type.
+     * `startTime` is the release time of the basic timelock and the vesting start time of the others.
+     * `nftLocker` is the zero address for the basic timelock.
+     */
+    struct TimelockParams {
+        IERC721 nft;
+        uint256 tokenId;
+        address nftLocker;
+        address beneficiary;
+        uint256 startTime;
+    }
+
+    // Whether an address is a timelock deployed by this factory
+    mapping(address => bool) private _isTimelock;
+
+    // Timelocks deployed by this factory, in order of creation
+    address[] private _timelocks;
+
+    // Events
+    event TimelockCreated(
+        address indexed timelock,
+        TimelockType indexed timelockType,
+        address indexed creator,
+        IERC721 nft,
+        uint256 tokenId,
+        address nftLocker,
+        address beneficiary,
+        uint256 startTime,
+        uint256 deposit,
+        bytes curveParams,
+        bytes32 salt
+    );
+
+    /**
+     * @dev Deploys a {BasicNftTimelock} and transfers the NFT from the caller to it.
+     *
+     * Emits a {TimelockCreated} event with empty `curveParams`.
+     */
+    function createBasicTimelock(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address beneficiary_,
+        uint256 releaseTime_,
+        bytes32 salt_
+    ) external returns (address) {
+        return
+            _create(
+                TimelockType.Basic,
+                TimelockParams(nft_, tokenId_, address(0), beneficiary_, releaseTime_),
+                "",
+                _basicArgs(nft_, tokenId_, beneficiary_, releaseTime_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Deploys a {LinearVestingNftTimeLock} funded with the ETH sent and transfers the NFT from the caller to it.
+     *
+     * Emits a {TimelockCreated} event with `curveParams` encoding `(maxDuration, cliffDuration)`.
+     */
+    function createLinearTimelock(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxDuration_,
+        uint256 cliffDuration_,
+        bytes32 salt_
+    ) external payable returns (address) {
+        TimelockParams memory params = TimelockParams(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        );
+        return
+            _create(
+                TimelockType.Linear,
+                params,
+                abi.encode(maxDuration_, cliffDuration_),
+                _linearArgs(params, maxDuration_, cliffDuration_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Deploys an {IntervalVestingNftTimeLock} funded with the ETH sent and transfers the NFT from the caller to it.
+     *
+     * Emits a {TimelockCreated} event with `curveParams` encoding `(maxIntervals, intervalDuration)`.
+     */
+    function createIntervalTimelock(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxIntervals_,
+        uint256 intervalDuration_,
+        bytes32 salt_
+    ) external payable returns (address) {
+        TimelockParams memory params = TimelockParams(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        );
+        return
+            _create(
+                TimelockType.Interval,
+                params,
+                abi.encode(maxIntervals_, intervalDuration_),
+                _intervalArgs(params, maxIntervals_, intervalDuration_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Deploys a {ConvexVestingNftTimeLock} funded with the ETH sent and transfers the NFT from the caller to it.
+     *
+     * Emits a {TimelockCreated} event with `curveParams` encoding `(growthRate, exponent)`.
+     */
+    function createConvexTimelock(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 growthRate_,
+        uint8 exponent_,
+        bytes32 salt_
+    ) external payable returns (address) {
+        TimelockParams memory params = TimelockParams(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        );
+        return
+            _create(
+                TimelockType.Convex,
+                params,
+                abi.encode(growthRate_, exponent_),
+                _convexArgs(params, growthRate_, exponent_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Deploys a {ConcaveVestingNftTimeLock} funded with the ETH sent and transfers the NFT from the caller to it.
+     *
+     * Emits a {TimelockCreated} event with `curveParams` encoding `(maxDuration)`.
+     */
+    function createConcaveTimelock(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxDuration_,
+        bytes32 salt_
+    ) external payable returns (address) {
+        TimelockParams memory params = TimelockParams(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        );
+        return
+            _create(
+                TimelockType.Concave,
+                params,
+                abi.encode(maxDuration_),
+                _concaveArgs(params, maxDuration_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Deploys a {LogisticVestingNftTimeLock} funded with the ETH sent and transfers the NFT from the caller to it.
+     *
+     * Emits a {TimelockCreated} event with `curveParams` encoding `(maxDuration, steepness)`.
+     */
+    function createLogisticTimelock(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        uint256 maxDuration_,
+        uint8 steepness_,
+        bytes32 salt_
+    ) external payable returns (address) {
+        TimelockParams memory params = TimelockParams(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        );
+        return
+            _create(
+                TimelockType.Logistic,
+                params,
+                abi.encode(maxDuration_, steepness_),
+                _logisticArgs(params, maxDuration_, steepness_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns the address {createBasicTimelock} deploys to when called by `creator` with the same parameters.
+     */
+    function computeBasicTimelockAddress(
+        address creator,
+        IERC721 nft_,
+        uint256 tokenId_,
+        address beneficiary_,
+        uint256 releaseTime_,
+        bytes32 salt_
+    ) external view returns (address) {
+        return
+            _computeAddress(
+                creator,
+                TimelockType.Basic,
+                _basicArgs(nft_, tokenId_, beneficiary_, releaseTime_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns the address {createLinearTimelock} deploys to when called by `creator` with the same parameters.
+     */
+    function computeLinearTimelockAddress(
+        address creator,
+        TimelockParams calldata params,
+        uint256 maxDuration_,
+        uint256 cliffDuration_,
+        bytes32 salt_
+    ) external view returns (address) {
+        return
+            _computeAddress(
+                creator,
+                TimelockType.Linear,
+                _linearArgs(params, maxDuration_, cliffDuration_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns the address {createIntervalTimelock} deploys to when called by `creator` with the same parameters.
+     */
+    function computeIntervalTimelockAddress(
+        address creator,
+        TimelockParams calldata params,
+        uint256 maxIntervals_,
+        uint256 intervalDuration_,
+        bytes32 salt_
+    ) external view returns (address) {
+        return
+            _computeAddress(
+                creator,
+                TimelockType.Interval,
+                _intervalArgs(params, maxIntervals_, intervalDuration_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns the address {createConvexTimelock} deploys to when called by `creator` with the same parameters.
+     */
+    function computeConvexTimelockAddress(
+        address creator,
+        TimelockParams calldata params,
+        uint256 growthRate_,
+        uint8 exponent_,
+        bytes32 salt_
+    ) external view returns (address) {
+        return
+            _computeAddress(
+                creator,
+                TimelockType.Convex,
+                _convexArgs(params, growthRate_, exponent_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns the address {createConcaveTimelock} deploys to when called by `creator` with the same parameters.
+     */
+    function computeConcaveTimelockAddress(
+        address creator,
+        TimelockParams calldata params,
+        uint256 maxDuration_,
+        bytes32 salt_
+    ) external view returns (address) {
+        return
+            _computeAddress(
+                creator,
+                TimelockType.Concave,
+                _concaveArgs(params, maxDuration_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns the address {createLogisticTimelock} deploys to when called by `creator` with the same parameters.
+     */
+    function computeLogisticTimelockAddress(
+        address creator,
+        TimelockParams calldata params,
+        uint256 maxDuration_,
+        uint8 steepness_,
+        bytes32 salt_
+    ) external view returns (address) {
+        return
+            _computeAddress(
+                creator,
+                TimelockType.Logistic,
+                _logisticArgs(params, maxDuration_, steepness_),
+                salt_
+            );
+    }
+
+    /**
+     * @dev Returns whether `timelock` was deployed by this factory.
+     */
+    function isTimelock(address timelock) public view virtual returns (bool) {
+        return _isTimelock[timelock];
+    }
+
+    /**
+     * @dev Returns the number of timelocks deployed by this factory.
+     */
+    function timelockCount() public view virtual returns (uint256) {
+        return _timelocks.length;
+    }
+
+    /**
+     * @dev Returns the timelock deployed at position `index`, in order of creation.
+     */
+    function timelockAt(uint256 index) public view virtual returns (address) {
+        return _timelocks[index];
+    }
+
+    /**
+     * @dev Deploys a timelock of `timelockType` with the constructor parameters `args` through CREATE2 with the ETH sent,
+     * registers it and pulls the NFT from the caller.
+     */
+    function _create(
+        TimelockType timelockType,
+        TimelockParams memory params,
+        bytes memory curveParams,
+        bytes memory args,
+        bytes32 salt_
+    ) internal returns (address timelock) {
+        bytes32 salt = _creatorSalt(msg.sender, salt_);
+        uint256 deposit = msg.value;
+
+        if (timelockType == TimelockType.Basic) {
+            timelock = BasicNftTimelockDeployer.deploy(args, salt, deposit);
+        } else if (timelockType == TimelockType.Linear) {
+            timelock = LinearVestingNftTimeLockDeployer.deploy(args, salt, deposit);
+        } else if (timelockType == TimelockType.Interval) {
+            timelock = IntervalVestingNftTimeLockDeployer.deploy(args, salt, deposit);
+        } else if (timelockType == TimelockType.Convex) {
+            timelock = ConvexVestingNftTimeLockDeployer.deploy(args, salt, deposit);
+        } else if (timelockType == TimelockType.Concave) {
+            timelock = ConcaveVestingNftTimeLockDeployer.deploy(args, salt, deposit);
+        } else {
+            timelock = LogisticVestingNftTimeLockDeployer.deploy(args, salt, deposit);
+        }
+        require(
+            timelock != address(0),
+            "NftTimelockFactory: timelock deployment failed"
+        );
+
+        _isTimelock[timelock] = true;
+        _timelocks.push(timelock);
+
+        // The timelock credits its deployer, this factory, with the deposit
+        if (timelockType != TimelockType.Basic) {
+            NftVestingTimelockBase(payable(timelock)).transferFunding(msg.sender);
+        }
+
+        // Lock the NFT in the same transaction as the deposit
+        params.nft.safeTransferFrom(msg.sender, timelock, params.tokenId);
+
+        emit TimelockCreated(
+            timelock,
+            timelockType,
+            msg.sender,
+            params.nft,
+            params.tokenId,
+            params.nftLocker,
+            params.beneficiary,
+            params.startTime,
+            deposit,
+            curveParams,
+            salt_
+        );
+    }
+
+    /**
+     * @dev Returns the CREATE2 address of a timelock of `timelockType` with the constructor parameters `args`
+     * deployed by this factory for `creator`.
+     */
+    function _computeAddress(
+        address creator,
+        TimelockType timelockType,
+        bytes memory args,
+        bytes32 salt_
+    ) internal view returns (address) {
+        bytes32 initCodeHash;
+        if (timelockType == TimelockType.Basic) {
+            initCodeHash = BasicNftTimelockDeployer.initCodeHash(args);
+        } else if (timelockType == TimelockType.Linear) {
+            initCodeHash = LinearVestingNftTimeLockDeployer.initCodeHash(args);
+        } else if (timelockType == TimelockType.Interval) {
+            initCodeHash = IntervalVestingNftTimeLockDeployer.initCodeHash(args);
+        } else if (timelockType == TimelockType.Convex) {
+            initCodeHash = ConvexVestingNftTimeLockDeployer.initCodeHash(args);
+        } else if (timelockType == TimelockType.Concave) {
+            initCodeHash = ConcaveVestingNftTimeLockDeployer.initCodeHash(args);
+        } else {
+            initCodeHash = LogisticVestingNftTimeLockDeployer.initCodeHash(args);
+        }
+
+        bytes32 hash = keccak256(
+            abi.encodePacked(
+                bytes1(0xff),
+                address(this),
+                _creatorSalt(creator, salt_),
+                initCodeHash
+            )
+        );
+        return address(uint160(uint256(hash)));
+    }
+
+    /**
+     * @dev Binds the salt to its creator, so that no one else can deploy to the address computed for them.
+     */
+    function _creatorSalt(address creator, bytes32 salt_)
+        internal
+        pure
+        returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(creator, salt_));
+    }
+
+    function _basicArgs(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address beneficiary_,
+        uint256 releaseTime_
+    ) internal pure returns (bytes memory) {
+        return abi.encode(nft_, tokenId_, beneficiary_, releaseTime_);
+    }
+
+    function _linearArgs(
+        TimelockParams memory params,
+        uint256 maxDuration_,
+        uint256 cliffDuration_
+    ) internal pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                _encodeParams(params),
+                abi.encode(maxDuration_, cliffDuration_)
+            );
+    }
+
+    function _intervalArgs(
+        TimelockParams memory params,
+        uint256 maxIntervals_,
+        uint256 intervalDuration_
+    ) internal pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                _encodeParams(params),
+                abi.encode(maxIntervals_, intervalDuration_)
+            );
+    }
+
+    function _convexArgs(
+        TimelockParams memory params,
+        uint256 growthRate_,
+        uint8 exponent_
+    ) internal pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                _encodeParams(params),
+                abi.encode(growthRate_, exponent_)
+            );
+    }
+
+    function _concaveArgs(TimelockParams memory params, uint256 maxDuration_)
+        internal
+        pure
+        returns (bytes memory)
+    {
+        return abi.encodePacked(_encodeParams(params), abi.encode(maxDuration_));
+    }
+
+    function _logisticArgs(
+        TimelockParams memory params,
+        uint256 maxDuration_,
+        uint8 steepness_
+    ) internal pure returns (bytes memory) {
+        return
+            abi.encodePacked(
+                _encodeParams(params),
+                abi.encode(maxDuration_, steepness_)
+            );
+    }
+
+    /**
+     * @dev ABI encodes the constructor parameters shared by the vesting timelocks.
+     */
+    function _encodeParams(TimelockParams memory params)
+        internal
+        pure
+        returns (bytes memory)
+    {
+        return
+            abi.encode(
+                params.nft,
+                params.tokenId,
+                params.nftLocker,
+                params.beneficiary,
+                params.startTime
+            );
+    }
+}
@@ -0,0 +1,86 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./EthNftVestingTimelockBase.sol";
+import "./curves/IVestingCurve.sol";
+
+/**
+ * @dev A single NFT holder contract that will allow a beneficiary to extract the
+ * NFT after a given vesting start time.
+ *
+ * After the vesting start time, the discount will start to accumulate for the locker along any {IVestingCurve},
+ * such as the curves of `contracts/NFTVesting/curves` or one deployed by a team for its own schedule.
+ *
+ * The developer would have to send ETH to this contract on contract deployement for discount to be applied.
+ * The amount of ETH sent to this contract is the total discount that beneficiary will receive.
+ *
+ * Developers would have to perform the following actions for the locking of NFT:
+ * Deploy with Eth sent to contract -> Transfer of NFT to contract
+ */
+contract NftVestingTimelock is EthNftVestingTimelockBase {
+    // Curve the deposit vests along
+    IVestingCurve private immutable _curve;
+
+    // ABI encoded parameters passed to the curve
+    bytes private _curveParams;
+
+    /**
+     * @dev Deploys a timelock instance that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     *
+     *  The discount accumulation for beneficiary is given by `curve_` for the parameters `curveParams_`,
+     *  which the curve validates on deployment.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        IVestingCurve curve_,
+        bytes memory curveParams_
+    )
+        payable
+        NftVestingTimelockBase(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_
+        )
+    {
+        curve_.validateParams(curveParams_);
+
+        _curve = curve_;
+        _curveParams = curveParams_;
+    }
+
+    /**
+     * @dev Returns the curve the deposit vests along.
+     */
+    function curve() public view virtual returns (IVestingCurve) {
+        return _curve;
+    }
+
+    /**
+     * @dev Returns the ABI encoded parameters passed to the curve.
+     */
+    function curveParams() public view virtual returns (bytes memory) {
+        return _curveParams;
+    }
+
+    /**
+     * @dev Returns the part of `total` vested after `elapsed` seconds, as given by {curve}.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total)
+        internal
+        view
+        virtual
+        override
+        returns (uint256)
+    {
+        return curve().vestedAmount(elapsed, total, curveParams());
+    }
+}
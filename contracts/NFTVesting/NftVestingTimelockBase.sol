@@ -0,0 +1,619 @@
+// SPDX-License-Identifier: MIT
+// OpenZeppelin Contracts (last updated v4.5.0) (token/ERC20/utils/TokenTimelock.sol)
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IERC721.sol";
+import "./IERC721Receiver.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+
+/**
+ * @dev Base of the single NFT vesting timelocks, holding an NFT that is released to the beneficiary
+ * after a given vesting start time.
+ *
+ * After the vesting start time, the deposit vests as a discount for the NFT Locker, along the curve
+ * implemented by {_vestedAmount}. On release, the discount not claimed yet is paid to the NFT Locker
+ * and the remaining deposit to the beneficiary.
+ *
+ * How the deposit is held and paid out is left to {_depositBalance} and {_transferDeposit},
+ * implemented by {EthNftVestingTimelockBase} and {ERC20NftVestingTimelockBase}.
+ *
+ * The deposit can be topped up with `fund` until the vesting start time, and is accounted per funder.
+ * Funding closes once vesting starts, so {totalDeposit} is the deposit at the vesting start time and
+ * the curve does not move afterwards. Anything else sent to the timelock is kept apart as a stray
+ * balance, which is never paid out as discount and is swept to the beneficiary with {sweepStray}.
+ *
+ * The NFT Locker or the beneficiary can also sign an EIP-712 `Release` message, which any relayer
+ * submits with {releaseWithSig} and pays the gas for.
+ *
+ * Developers would have to perform the following actions for the locking of NFT:
+ * Deploy with the deposit -> Transfer of NFT to contract
+ */
+abstract contract NftVestingTimelockBase is IERC721Receiver {
+    // EIP-712 domain of every timelock, told apart by the verifying contract
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _DOMAIN_NAME_HASH = keccak256("NftVestingTimelock");
+    bytes32 private constant _DOMAIN_VERSION_HASH = keccak256("1");
+
+    // EIP-712 type of the message signed for {releaseWithSig}
+    bytes32 public constant RELEASE_TYPEHASH =
+        keccak256("Release(address signer,uint256 nonce,uint256 deadline)");
+
+    // ERC721 basic token smart contract
+    IERC721 private immutable _nft;
+
+    // ERC721 basic token ID of contract being held
+    uint256 private immutable _tokenId;
+
+    // address of NFT Locker who would receive the NFT and discount when it is released.
+    address private immutable _nftLocker;
+
+    // address of beneficiary that will receive the remaining discount not claimed by the `_nftLocker`.
+    address private immutable _beneficiary;
+
+    // timestamp when token release is enabled and when discount starts to vest.
+    uint256 private immutable _vestingStartTime;
+
+    // Discount already claimed by the NFT Locker
+    uint256 private _claimed;
+
+    // Deposit funded on deployment and through `fund`, which the discount accrues on
+    uint256 private _totalFunded;
+
+    // Deposit funded by each account
+    mapping(address => uint256) private _fundedBy;
+
+    // Whether the deposit was paid out by {release} or a cancellation
+    bool private _settled;
+
+    // Whether each party approved the cancellation of the timelock
+    mapping(address => bool) private _cancellationApprovals;
+
+    // Whether the timelock was cancelled
+    bool private _cancelled;
+
+    // Nonce of the next release signature of each party
+    mapping(address => uint256) private _nonces;
+
+    // Events
+    event Locked(address indexed operator, address indexed from, uint256 tokenId);
+    event Released(
+        address indexed nftLocker,
+        address indexed beneficiary,
+        uint256 indexed tokenId,
+        uint256 discount,
+        uint256 remaining
+    );
+    event CancellationApproved(address indexed party);
+    event CancellationRevoked(address indexed party);
+    event Cancelled(
+        address indexed nftLocker,
+        address indexed beneficiary,
+        uint256 indexed tokenId,
+        uint256 discount,
+        uint256 remaining
+    );
+    event DiscountClaimed(address indexed nftLocker, uint256 amount);
+    event Funded(address indexed funder, uint256 amount);
+    event FundingTransferred(address indexed from, address indexed to, uint256 amount);
+    event StraySwept(address indexed beneficiary, uint256 amount);
+    event ReleaseRelayed(address indexed signer, address indexed relayer, uint256 nonce);
+    event NonceInvalidated(address indexed signer, uint256 nonce);
+
+    /**
+     * @dev Sets up a timelock that is able to hold the token specified, and will only release it to
+     * `beneficiary_` when {release} is invoked after `vestingStartTime_`. The vesting start time is specified as a Unix timestamp
+     * (in seconds).
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_
+    ) {
+        require(
+            vestingStartTime_ > block.timestamp,
+            "TimeLock: vesting start time is before current time"
+        );
+
+        _nft = nft_;
+        _tokenId = tokenId_;
+        _nftLocker = nftLocker_;
+        _beneficiary = beneficiary_;
+        _vestingStartTime = vestingStartTime_;
+    }
+
+    /**
+     * @dev Returns the NFT that this Timelock Contract holds.
+     */
+    function nft() public view virtual returns (IERC721) {
+        return _nft;
+    }
+
+    /**
+     * @dev Returns the token ID of the NFT being held.
+     * Returns undefined if the contract is not holding an NFT.
+     */
+    function tokenId() public view virtual returns (uint256) {
+        return _tokenId;
+    }
+
+    /**
+     * @dev Returns the NFT Locker address that will receive the NFT and the discount.
+     */
+    function nftLocker() public view virtual returns (address) {
+        return _nftLocker;
+    }
+
+    /**
+     * @dev Returns the beneficiary that will receive the remaining deposit.
+     */
+    function beneficiary() public view virtual returns (address) {
+        return _beneficiary;
+    }
+
+    /**
+     * @dev Returns the time when the NFT can be released and vesting starts in seconds since Unix epoch (i.e. Unix timestamp).
+     */
+    function vestingStartTime() public view virtual returns (uint256) {
+        return _vestingStartTime;
+    }
+
+    /**
+     * @dev Returns duration that NFT has been locked and vesting, 0 before the vesting start time.
+     */
+    function vestedDuration() public view virtual returns (uint256) {
+        if (block.timestamp < vestingStartTime()) {
+            return 0;
+        }
+        return block.timestamp - vestingStartTime();
+    }
+
+    /**
+     * @dev Returns the discount vested so far out of {totalDeposit}, along the curve of the timelock.
+     * The discount is 0 before the vesting start time and never exceeds the deposit.
+     */
+    function getDiscount() public view virtual returns (uint256) {
+        if (block.timestamp < vestingStartTime()) {
+            return 0;
+        }
+
+        uint256 deposit = totalDeposit();
+        uint256 discount = _vestedAmount(block.timestamp - vestingStartTime(), deposit);
+        if (discount > deposit) {
+            return deposit;
+        }
+        return discount;
+    }
+
+    /**
+     * @dev Returns the discount already claimed by the NFT Locker.
+     */
+    function claimed() public view virtual returns (uint256) {
+        return _claimed;
+    }
+
+    /**
+     * @dev Returns the total deposit the discount accrues on, funded on deployment and through `fund`,
+     * including the discount already claimed. Funding closes at the vesting start time, so it does not
+     * change once vesting starts.
+     */
+    function totalDeposit() public view returns (uint256) {
+        return _totalFunded;
+    }
+
+    /**
+     * @dev Returns the deposit funded by `funder`, on deployment and through `fund`.
+     */
+    function fundedBy(address funder) public view virtual returns (uint256) {
+        return _fundedBy[funder];
+    }
+
+    /**
+     * @dev Credits the deposit funded by the caller to `to` instead, leaving {totalDeposit} unchanged.
+     * Used by {NftTimelockFactory} to credit the deployment deposit to the account that sent it.
+     *
+     * Emits a {FundingTransferred} event.
+     */
+    function transferFunding(address to) public virtual {
+        uint256 amount = fundedBy(msg.sender);
+        require(amount > 0, "TimeLock: no funding to transfer");
+
+        _fundedBy[msg.sender] = 0;
+        _fundedBy[to] += amount;
+
+        emit FundingTransferred(msg.sender, to, amount);
+    }
+
+    /**
+     * @dev Returns the balance held by the timelock beyond the deposit not paid out yet,
+     * sent to it other than through `fund`. It is not part of the discount.
+     */
+    function strayBalance() public view virtual returns (uint256) {
+        uint256 held = _settled ? 0 : totalDeposit() - claimed();
+        return _depositBalance() - held;
+    }
+
+    /**
+     * @dev Returns whether the deposit was paid out by {release} or a cancellation.
+     * A settled timelock cannot be released, cancelled or claimed from again.
+     */
+    function settled() public view virtual returns (bool) {
+        return _settled;
+    }
+
+    /**
+     * @dev Returns the discount vested that the NFT Locker has not claimed yet.
+     */
+    function claimable() public view returns (uint256) {
+        uint256 discount = getDiscount();
+        if (discount > claimed()) {
+            return discount - claimed();
+        }
+        return 0;
+    }
+
+    /**
+     * @dev Accepts the configured NFT when it is locked with {IERC721-safeTransferFrom}.
+     * Reverts for any other token, and once the timelock is settled, so that it cannot get stuck in this contract.
+     *
+     * Emits a {Locked} event.
+     */
+    function onERC721Received(
+        address operator,
+        address from,
+        uint256 tokenId_,
+        bytes calldata
+    ) external virtual override returns (bytes4) {
+        require(
+            msg.sender == address(nft()) && tokenId_ == tokenId(),
+            "TimeLock: only the configured NFT can be locked"
+        );
+        require(!settled(), "TimeLock: timelock is settled");
+
+        emit Locked(operator, from, tokenId_);
+        return IERC721Receiver.onERC721Received.selector;
+    }
+
+    /**
+     * @dev Sends the discount vested so far to the NFT Locker, while the NFT stays locked.
+     * Only callable by the NFT Locker after the vesting start time.
+     *
+     * Emits a {DiscountClaimed} event.
+     */
+    function claimDiscount() public virtual {
+        require(
+            msg.sender == nftLocker(),
+            "TimeLock: caller is not the NFT locker"
+        );
+
+        require(
+            block.timestamp >= vestingStartTime(),
+            "TimeLock: current time is before vesting start time"
+        );
+
+        // Check if the NFT is still locked
+        require(
+            nft().ownerOf(tokenId()) == address(this),
+            "TimeLock: no NFT locked in this contract"
+        );
+        require(!settled(), "TimeLock: timelock is settled");
+
+        uint256 amount = claimable();
+        require(amount > 0, "TimeLock: no discount to claim");
+
+        _claimed += amount;
+        _transferDeposit(nftLocker(), amount);
+
+        emit DiscountClaimed(nftLocker(), amount);
+    }
+
+    /**
+     * @dev Sends the stray balance to the beneficiary, leaving what its senders can still get refunded.
+     * Callable by anyone, at any time.
+     *
+     * Emits a {StraySwept} event.
+     */
+    function sweepStray() public virtual {
+        uint256 amount = _sweepableStray();
+        require(amount > 0, "TimeLock: no stray balance to sweep");
+
+        _transferDeposit(beneficiary(), amount);
+
+        emit StraySwept(beneficiary(), amount);
+    }
+
+    /**
+     * @dev Returns whether the timelock was cancelled.
+     */
+    function cancelled() public view virtual returns (bool) {
+        return _cancelled;
+    }
+
+    /**
+     * @dev Returns whether `party` approved the cancellation of the timelock.
+     */
+    function cancellationApproved(address party) public view virtual returns (bool) {
+        return _cancellationApprovals[party];
+    }
+
+    /**
+     * @dev Approves the cancellation of the timelock. Only callable by the NFT Locker or the beneficiary.
+     * The timelock is cancelled by the approval completing the consent of both parties.
+     *
+     * Emits a {CancellationApproved} event, and a {Cancelled} event when both parties approved.
+     */
+    function approveCancellation() public virtual {
+        require(
+            msg.sender == nftLocker() || msg.sender == beneficiary(),
+            "TimeLock: caller is not a party of the timelock"
+        );
+        require(!cancelled(), "TimeLock: timelock is cancelled");
+
+        _cancellationApprovals[msg.sender] = true;
+        emit CancellationApproved(msg.sender);
+
+        if (
+            cancellationApproved(nftLocker()) && cancellationApproved(beneficiary())
+        ) {
+            _cancel();
+        }
+    }
+
+    /**
+     * @dev Revokes an approval of the cancellation that has not taken effect yet.
+     *
+     * Emits a {CancellationRevoked} event.
+     */
+    function revokeCancellation() public virtual {
+        require(
+            cancellationApproved(msg.sender),
+            "TimeLock: cancellation not approved by caller"
+        );
+
+        _revokeCancellation(msg.sender);
+    }
+
+    /**
+     * @dev Transfers NFT held by the timelock to the beneficiary, see {_releaseRecipient}.
+     * Will only succeed if invoked after the vesting start time.
+     * Sends the discount not claimed yet to the NFT Locker and the remaining deposit to the beneficiary.
+     * Reverts if transfer of NFT fails.
+     *
+     * Emits a {Released} event with the discount paid by this call and the remaining sent to the beneficiary.
+     */
+    function release() public virtual {
+        // Check if current time is after vesting start time
+        require(
+            block.timestamp >= vestingStartTime(),
+            "TimeLock: current time is before vesting start time"
+        );
+
+        // Check if the NFT is already released
+        require(
+            nft().ownerOf(tokenId()) == address(this),
+            "TimeLock: no NFT to release for this address"
+        );
+
+        // Check if the deposit was already paid out, even if the NFT was sent back since
+        require(!settled(), "TimeLock: timelock is settled");
+
+        // Discount not claimed yet through {claimDiscount}
+        uint256 discount = claimable();
+        uint256 remaining = totalDeposit() - claimed() - discount;
+        _claimed += discount;
+        _settled = true;
+
+        // Sending remaining deposit to beneficiary
+        _transferDeposit(beneficiary(), remaining);
+
+        // Send discount to NFT Locker
+        _transferDeposit(nftLocker(), discount);
+
+        // Transfer NFT to beneficiary, or whoever {_releaseRecipient} designates
+        nft().safeTransferFrom(address(this), _releaseRecipient(), tokenId());
+
+        // Check if the NFT has been transferred, if not, revert
+        require(
+            nft().ownerOf(tokenId()) != address(this),
+            "TimeLock: NFT still owned by this contract"
+        );
+
+        emit Released(nftLocker(), beneficiary(), tokenId(), discount, remaining);
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator of the timelock, named `NftVestingTimelock` with version `1`.
+     * It is computed on every call so that signatures do not carry over to a fork with another chain ID.
+     */
+    function DOMAIN_SEPARATOR() public view virtual returns (bytes32) {
+        return
+            keccak256(
+                abi.encode(
+                    _DOMAIN_TYPEHASH,
+                    _DOMAIN_NAME_HASH,
+                    _DOMAIN_VERSION_HASH,
+                    block.chainid,
+                    address(this)
+                )
+            );
+    }
+
+    /**
+     * @dev Returns the nonce `signer` has to sign its next `Release` message with.
+     */
+    function nonces(address signer) public view virtual returns (uint256) {
+        return _nonces[signer];
+    }
+
+    /**
+     * @dev Releases the timelock as {release} does, on behalf of `signer` who signed the EIP-712 message
+     * `Release(signer, nonce, deadline)` for this timelock, with their current {nonces}.
+     * The signer has to be the NFT Locker or the beneficiary, and can be a contract wallet implementing ERC1271.
+     * Any account can submit the signature before `deadline` and pays the gas.
+     *
+     * Emits a {ReleaseRelayed} event along with the events of {release}.
+     */
+    function releaseWithSig(
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) public virtual {
+        require(block.timestamp <= deadline, "TimeLock: signature expired");
+        require(
+            signer == nftLocker() || signer == beneficiary(),
+            "TimeLock: signer is not a party of the timelock"
+        );
+
+        uint256 nonce = _useNonce(signer);
+        bytes32 digest = ECDSA.toTypedDataHash(
+            DOMAIN_SEPARATOR(),
+            keccak256(abi.encode(RELEASE_TYPEHASH, signer, nonce, deadline))
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(signer, digest, signature),
+            "TimeLock: invalid signature"
+        );
+        require(!settled(), "TimeLock: timelock is settled");
+
+        release();
+
+        emit ReleaseRelayed(signer, msg.sender, nonce);
+    }
+
+    /**
+     * @dev Invalidates the release signatures of the caller not submitted yet, by moving on to the next nonce.
+     *
+     * Emits a {NonceInvalidated} event.
+     */
+    function invalidateNonce() public virtual {
+        emit NonceInvalidated(msg.sender, _useNonce(msg.sender));
+    }
+
+    /**
+     * @dev Returns the current nonce of `signer` and increments it.
+     */
+    function _useNonce(address signer) internal virtual returns (uint256) {
+        return _nonces[signer]++;
+    }
+
+    /**
+     * @dev Revokes the approval of the cancellation by `party`.
+     *
+     * Emits a {CancellationRevoked} event.
+     */
+    function _revokeCancellation(address party) internal virtual {
+        _cancellationApprovals[party] = false;
+        emit CancellationRevoked(party);
+    }
+
+    /**
+     * @dev Settles the timelock once both parties approved the cancellation.
+     * The NFT is returned to the NFT Locker, who also receives the discount accrued so far,
+     * and the remaining deposit is sent to the beneficiary. Should the curve revert, no further
+     * discount is paid, so that the parties can always get out of the timelock.
+     *
+     * Emits a {Cancelled} event.
+     */
+    function _cancel() internal virtual {
+        // Check if the NFT is still locked
+        require(
+            nft().ownerOf(tokenId()) == address(this),
+            "TimeLock: no NFT to cancel"
+        );
+        require(!settled(), "TimeLock: timelock is settled");
+
+        _cancelled = true;
+
+        // Discount accrued so far and not claimed yet through {claimDiscount}
+        uint256 discount = _claimableOrZero();
+        uint256 remaining = totalDeposit() - claimed() - discount;
+        _claimed += discount;
+        _settled = true;
+
+        // Sending remaining deposit to beneficiary
+        _transferDeposit(beneficiary(), remaining);
+
+        // Send discount accrued so far to NFT Locker
+        _transferDeposit(nftLocker(), discount);
+
+        // Return NFT to NFT Locker
+        nft().safeTransferFrom(address(this), nftLocker(), tokenId());
+
+        emit Cancelled(nftLocker(), beneficiary(), tokenId(), discount, remaining);
+    }
+
+    /**
+     * @dev Returns {claimable}, or 0 if computing it reverts.
+     */
+    function _claimableOrZero() private view returns (uint256) {
+        try this.claimable() returns (uint256 discount) {
+            return discount;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * @dev Adds `amount` funded by `funder` to the deposit, before the vesting start time.
+     * The caller moves the funds into the timelock.
+     *
+     * Emits a {Funded} event.
+     */
+    function _fund(address funder, uint256 amount) internal virtual {
+        require(amount > 0, "TimeLock: funding amount should be greater than 0");
+        require(
+            block.timestamp < vestingStartTime(),
+            "TimeLock: funding is closed after vesting start time"
+        );
+        require(!cancelled(), "TimeLock: timelock is cancelled");
+
+        _credit(funder, amount);
+    }
+
+    /**
+     * @dev Credits `amount` funded by `funder` to the deposit, without checking that funding is open.
+     * Used by the constructors, which cannot read the vesting start time.
+     *
+     * Emits a {Funded} event.
+     */
+    function _credit(address funder, uint256 amount) internal virtual {
+        _fundedBy[funder] += amount;
+        _totalFunded += amount;
+
+        emit Funded(funder, amount);
+    }
+
+    /**
+     * @dev Returns the part of {strayBalance} swept by {sweepStray}, all of it by default.
+     */
+    function _sweepableStray() internal view virtual returns (uint256) {
+        return strayBalance();
+    }
+
+    /**
+     * @dev Returns the account the NFT is transferred to by {release}, the beneficiary by default.
+     */
+    function _releaseRecipient() internal view virtual returns (address) {
+        return beneficiary();
+    }
+
+    /**
+     * @dev Returns the part of `total` vested `elapsed` seconds after the vesting start time.
+     * {getDiscount} caps it at `total`.
+     */
+    function _vestedAmount(uint256 elapsed, uint256 total) internal view virtual returns (uint256);
+
+    /**
+     * @dev Returns the deposit held by the timelock.
+     */
+    function _depositBalance() internal view virtual returns (uint256);
+
+    /**
+     * @dev Pays `amount` of the deposit to `to`.
+     */
+    function _transferDeposit(address to, uint256 amount) internal virtual;
+}
@@ -0,0 +1,331 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IERC721.sol";
+import "./curves/LinearVestingCurve.sol";
+import "./curves/IntervalVestingCurve.sol";
+import "./curves/ConvexVestingCurve.sol";
+
+/**
+ * @dev A vault holding many vesting positions at once, where each position locks a single NFT
+ * with its own ETH deposit and discount schedule.
+ *
+ * A position vests along the curve of one of the single NFT timelocks (linear without a cliff, interval
+ * or convex), see {LinearCurve}, {IntervalCurve} and {ConvexCurve}, but the discount is computed from the
+ * deposit of the position instead of the balance of the contract.
+ *
+ * The vault is limited to creating and releasing positions. Unlike the timelocks, a position cannot claim
+ * its discount before the release, be cancelled nor be funded after its creation. The vault pulls each NFT
+ * from the caller with `transferFrom` and does not implement `onERC721Received`, so an NFT sent to it with
+ * `safeTransferFrom` is refused rather than locked.
+ *
+ * Developers would have to perform the following actions for the locking of NFTs:
+ * Approve the vault for the NFTs -> Create positions with the total deposit sent to the vault
+ */
+contract NftVestingVault {
+    /**
+     * @dev Discount curve of a position, following the single NFT timelocks.
+     */
+    enum Curve {
+        Linear,
+        Interval,
+        Convex
+    }
+
+    /**
+     * @dev Struct `Schedule` contains the vesting schedule of a position.
+     * Only the fields used by the `curve` have to be set:
+     * Linear uses `maxDuration`, Interval uses `maxIntervals` and `intervalDuration`,
+     * Convex uses `growthRate` and `exponent`.
+     */
+    struct Schedule {
+        Curve curve;
+        uint256 vestingStartTime;
+        uint256 maxDuration;
+        uint256 maxIntervals;
+        uint256 intervalDuration;
+        uint256 growthRate;
+        uint8 exponent;
+    }
+
+    /**
+     * @dev Struct `Position` contains the NFT locked in the vault and how its deposit is split on release.
+     */
+    struct Position {
+        IERC721 nft;
+        uint256 tokenId;
+        address nftLocker;
+        address beneficiary;
+        uint256 deposit;
+        Schedule schedule;
+    }
+
+    // All positions, indexed by position ID
+    Position[] private _positions;
+
+    // Whether the NFT and deposit of a position have been released
+    mapping(uint256 => bool) private _released;
+
+    // Position IDs by beneficiary
+    mapping(address => uint256[]) private _beneficiaryPositions;
+
+    // Events
+    event PositionCreated(
+        uint256 indexed positionId,
+        address indexed nft,
+        uint256 tokenId,
+        address nftLocker,
+        address indexed beneficiary,
+        uint256 deposit
+    );
+    event PositionReleased(
+        uint256 indexed positionId,
+        uint256 discount,
+        uint256 remaining
+    );
+
+    /**
+     * @dev Creates a position for an NFT owned by the caller, funded with the ETH sent.
+     *
+     * The vault must be approved to transfer the NFT.
+     * Emits a {PositionCreated} event.
+     */
+    function createPosition(Position calldata position_)
+        external
+        payable
+        returns (uint256)
+    {
+        require(
+            msg.value == position_.deposit,
+            "NftVestingVault: ETH sent should equal the deposit"
+        );
+        return _createPosition(position_);
+    }
+
+    /**
+     * @dev Creates a position for each entry of `positions_` in a single transaction.
+     * The ETH sent must be the sum of all deposits.
+     *
+     * The vault must be approved to transfer every NFT.
+     * Emits a {PositionCreated} event for each position.
+     */
+    function createPositions(Position[] calldata positions_)
+        external
+        payable
+        returns (uint256[] memory)
+    {
+        uint256 totalDeposit = 0;
+        for (uint256 i = 0; i < positions_.length; i++) {
+            totalDeposit += positions_[i].deposit;
+        }
+        require(
+            msg.value == totalDeposit,
+            "NftVestingVault: ETH sent should equal the total deposit"
+        );
+
+        uint256[] memory positionIds = new uint256[](positions_.length);
+        for (uint256 i = 0; i < positions_.length; i++) {
+            positionIds[i] = _createPosition(positions_[i]);
+        }
+        return positionIds;
+    }
+
+    /**
+     * @dev Returns the number of positions created.
+     */
+    function positionCount() public view virtual returns (uint256) {
+        return _positions.length;
+    }
+
+    /**
+     * @dev Returns the position for `positionId`.
+     */
+    function position(uint256 positionId)
+        public
+        view
+        virtual
+        returns (Position memory)
+    {
+        return _getPosition(positionId);
+    }
+
+    /**
+     * @dev Returns whether the NFT and deposit of a position have been released.
+     */
+    function released(uint256 positionId) public view virtual returns (bool) {
+        _getPosition(positionId);
+        return _released[positionId];
+    }
+
+    /**
+     * @dev Returns the IDs of every position, released or not, paying out to `beneficiary_`.
+     */
+    function positionsOf(address beneficiary_)
+        public
+        view
+        virtual
+        returns (uint256[] memory)
+    {
+        return _beneficiaryPositions[beneficiary_];
+    }
+
+    /**
+     * @dev Returns duration that the NFT of a position has been vesting.
+     * Returns 0 before the vesting start time.
+     */
+    function vestedDuration(uint256 positionId) public view returns (uint256) {
+        Schedule storage schedule = _getPosition(positionId).schedule;
+        if (block.timestamp < schedule.vestingStartTime) {
+            return 0;
+        }
+        return block.timestamp - schedule.vestingStartTime;
+    }
+
+    /**
+     * @dev Returns discount accrued in Eth by a position according to its curve.
+     * The discount is capped at the deposit of the position.
+     *
+     * Linear: vestedDuration * (deposit / maxDuration)
+     * Interval: currentInterval * (deposit / maxIntervals)
+     * Convex: growthRate * vestedDuration^exponent, saturating instead of overflowing
+     */
+    function getDiscount(uint256 positionId) public view returns (uint256) {
+        Position storage p = _getPosition(positionId);
+        Schedule storage schedule = p.schedule;
+
+        if (block.timestamp < schedule.vestingStartTime) {
+            return 0;
+        }
+
+        uint256 elapsed = vestedDuration(positionId);
+        uint256 discount;
+
+        if (schedule.curve == Curve.Linear) {
+            discount = LinearCurve.vestedAmount(elapsed, p.deposit, schedule.maxDuration, 0);
+        } else if (schedule.curve == Curve.Interval) {
+            discount = IntervalCurve.vestedAmount(
+                elapsed,
+                p.deposit,
+                schedule.maxIntervals,
+                schedule.intervalDuration
+            );
+        } else {
+            discount = ConvexCurve.vestedAmount(elapsed, schedule.growthRate, schedule.exponent);
+        }
+
+        // Prevent discount from being greater than deposit
+        if (discount > p.deposit) {
+            return p.deposit;
+        }
+        return discount;
+    }
+
+    /**
+     * @dev Transfers the NFT of a position to its beneficiary.
+     * Will only succeed if invoked after the vesting start time of the position.
+     * Sends the discount in Eth to the NFT Locker and the remaining deposit to the beneficiary.
+     *
+     * Emits a {PositionReleased} event.
+     */
+    function release(uint256 positionId) public virtual {
+        Position storage p = _getPosition(positionId);
+
+        // Check if current time is after {vestingStartTime} for release
+        require(
+            block.timestamp >= p.schedule.vestingStartTime,
+            "NftVestingVault: current time is before vesting start time"
+        );
+
+        // Check if the position is already released
+        require(
+            !released(positionId),
+            "NftVestingVault: position already released"
+        );
+
+        uint256 ethDiscount = getDiscount(positionId);
+        uint256 ethRemaining = p.deposit - ethDiscount;
+        _released[positionId] = true;
+
+        // Sending remaining discount to beneficiary
+        (bool beneficiarySent, ) = p.beneficiary.call{value: ethRemaining}("");
+        require(beneficiarySent, "Failed to send Ether");
+
+        // Send discount to NFT Locker
+        (bool nftLockerSent, ) = p.nftLocker.call{value: ethDiscount}("");
+        require(nftLockerSent, "Failed to send Ether");
+
+        // Transfer NFT to beneficiary
+        p.nft.safeTransferFrom(address(this), p.beneficiary, p.tokenId);
+
+        emit PositionReleased(positionId, ethDiscount, ethRemaining);
+    }
+
+    /**
+     * @dev Validates the schedule of `position_`, stores the position and pulls its NFT from the caller.
+     * The ETH deposit is checked by the caller.
+     */
+    function _createPosition(Position calldata position_)
+        internal
+        returns (uint256)
+    {
+        Schedule calldata schedule = position_.schedule;
+
+        require(
+            schedule.vestingStartTime > block.timestamp,
+            "NftVestingVault: vesting start time is before current time"
+        );
+        require(
+            position_.deposit > 0,
+            "NftVestingVault: deposit should be greater than 0"
+        );
+
+        if (schedule.curve == Curve.Linear) {
+            require(
+                schedule.maxDuration > 0,
+                "NftVestingVault: max duration should be greater than 0"
+            );
+        } else if (schedule.curve == Curve.Interval) {
+            require(
+                schedule.maxIntervals > 0 && schedule.intervalDuration > 0,
+                "NftVestingVault: intervals should be greater than 0"
+            );
+        } else {
+            require(
+                schedule.growthRate > 0 && schedule.exponent > 0,
+                "NftVestingVault: growth rate and exponent should be greater than 0"
+            );
+        }
+
+        uint256 positionId = _positions.length;
+        _positions.push(position_);
+        _beneficiaryPositions[position_.beneficiary].push(positionId);
+
+        position_.nft.transferFrom(msg.sender, address(this), position_.tokenId);
+
+        emit PositionCreated(
+            positionId,
+            address(position_.nft),
+            position_.tokenId,
+            position_.nftLocker,
+            position_.beneficiary,
+            position_.deposit
+        );
+        return positionId;
+    }
+
+    /**
+     * @dev Returns the position for `positionId`, reverting if it does not exist.
+     */
+    function _getPosition(uint256 positionId)
+        internal
+        view
+        returns (Position storage)
+    {
+        require(
+            positionId < _positions.length,
+            "NftVestingVault: position does not exist"
+        );
+        return _positions[positionId];
+    }
+}
@@ -0,0 +1,249 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./NftVestingTimelock.sol";
+import {ERC721} from "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import {IERC721Metadata} from "@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @dev {NftVestingTimelock} whose vesting position is a transferable ERC721 receipt, minted to the NFT Locker on deployment.
+ *
+ * The receipt holder takes the place of the NFT Locker: {nftLocker} returns the current holder, who claims the discount,
+ * approves a cancellation, and receives both the discount and the NFT on {release}. The beneficiary still receives the
+ * remaining deposit. Selling the receipt thus hands over the whole vesting position, and revokes the cancellation
+ * approval of the previous holder.
+ *
+ * The receipt has the token ID of the locked NFT, and its {tokenURI} is generated on-chain.
+ */
+contract ReceiptNftVestingTimelock is NftVestingTimelock, ERC721 {
+    using Strings for uint256;
+    using Strings for address;
+
+    /**
+     * @dev Deploys a timelock as {NftVestingTimelock} does, and mints the receipt of the position to `nftLocker_`.
+     */
+    constructor(
+        IERC721 nft_,
+        uint256 tokenId_,
+        address nftLocker_,
+        address beneficiary_,
+        uint256 vestingStartTime_,
+        IVestingCurve curve_,
+        bytes memory curveParams_
+    )
+        payable
+        NftVestingTimelock(
+            nft_,
+            tokenId_,
+            nftLocker_,
+            beneficiary_,
+            vestingStartTime_,
+            curve_,
+            curveParams_
+        )
+        ERC721("NFT Vesting Position", "VEST")
+    {
+        _mint(nftLocker_, tokenId_);
+    }
+
+    /**
+     * @dev Returns the token ID of the receipt, which is the token ID of the locked NFT.
+     */
+    function receiptId() public view virtual returns (uint256) {
+        return tokenId();
+    }
+
+    /**
+     * @dev Returns the holder of the receipt, who has the rights of the NFT Locker.
+     */
+    function nftLocker() public view virtual override returns (address) {
+        return ownerOf(receiptId());
+    }
+
+    /**
+     * @dev Returns the share of the deposit vested so far in basis points,
+     * or the share paid to the NFT Locker once the position is settled.
+     */
+    function vestedBps() public view virtual returns (uint256) {
+        uint256 deposit = totalDeposit();
+        if (deposit == 0) {
+            return 0;
+        }
+        return ((settled() ? claimed() : getDiscount()) * 10000) / deposit;
+    }
+
+    /**
+     * @dev Returns the state of the position: Not locked, Locked, Released or Cancelled.
+     */
+    function positionStatus() public view virtual returns (string memory) {
+        if (cancelled()) {
+            return "Cancelled";
+        }
+        if (settled()) {
+            return "Released";
+        }
+        if (nft().ownerOf(tokenId()) == address(this)) {
+            return "Locked";
+        }
+        return "Not locked";
+    }
+
+    /**
+     * @dev Returns a data URI of the JSON metadata of the receipt, with an SVG image showing the collection,
+     * token ID, vested percentage and unlock time of the position.
+     */
+    function tokenURI(uint256 receiptId_) public view virtual override returns (string memory) {
+        _requireMinted(receiptId_);
+
+        string memory json = string(
+            abi.encodePacked(
+                '{"name":"Vesting position #',
+                receiptId_.toString(),
+                '","description":"Receipt of an NFT vesting position. The holder receives the discount and the NFT on release.",',
+                '"attributes":',
+                _attributes(),
+                ',"image":"data:image/svg+xml;base64,',
+                Base64.encode(bytes(_image())),
+                '"}'
+            )
+        );
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+
+    /**
+     * @dev See {IERC165-supportsInterface}.
+     */
+    function supportsInterface(bytes4 interfaceId) public view virtual override returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Pays the NFT to the receipt holder instead of the beneficiary.
+     */
+    function _releaseRecipient() internal view virtual override returns (address) {
+        return nftLocker();
+    }
+
+    /**
+     * @dev Revokes the cancellation approval of the previous holder of the receipt, unless it is the beneficiary,
+     * so that it does not count again should the receipt come back.
+     */
+    function _transfer(
+        address from,
+        address to,
+        uint256 receiptId_
+    ) internal virtual override {
+        super._transfer(from, to, receiptId_);
+        if (from != beneficiary() && cancellationApproved(from)) {
+            _revokeCancellation(from);
+        }
+    }
+
+    function _attributes() private view returns (string memory) {
+        string memory position = string(
+            abi.encodePacked(
+                '[{"trait_type":"Collection","value":"',
+                _collectionName(),
+                '"},{"trait_type":"Token ID","value":"',
+                tokenId().toString(),
+                '"},'
+            )
+        );
+        return
+            string(
+                abi.encodePacked(
+                    position,
+                    '{"trait_type":"Vested","value":"',
+                    _formatBps(vestedBps()),
+                    '"},{"trait_type":"Unlock time","display_type":"date","value":',
+                    vestingStartTime().toString(),
+                    '},{"trait_type":"Status","value":"',
+                    positionStatus(),
+                    '"}]'
+                )
+            );
+    }
+
+    function _image() private view returns (string memory) {
+        string memory header = string(
+            abi.encodePacked(
+                '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">',
+                '<rect width="350" height="350" fill="#111"/>',
+                '<g fill="#fff" font-family="monospace" font-size="14">',
+                '<text x="20" y="40" font-size="20">Vesting position</text>'
+            )
+        );
+        return
+            string(
+                abi.encodePacked(
+                    header,
+                    '<text x="20" y="100">',
+                    _collectionName(),
+                    " #",
+                    tokenId().toString(),
+                    '</text><text x="20" y="140">Vested: ',
+                    _formatBps(vestedBps()),
+                    '</text><text x="20" y="180">Unlocks: ',
+                    vestingStartTime().toString(),
+                    '</text><text x="20" y="220">',
+                    positionStatus(),
+                    "</text></g></svg>"
+                )
+            );
+    }
+
+    /**
+     * @dev Returns the name of the locked collection, or its address when it has no name.
+     * The name is read from an arbitrary contract and embedded in the JSON and SVG of {tokenURI},
+     * so the address is also returned for names that would need escaping in either.
+     */
+    function _collectionName() private view returns (string memory) {
+        try IERC721Metadata(address(nft())).name() returns (string memory name_) {
+            if (_isPlainText(bytes(name_))) {
+                return name_;
+            }
+        } catch {}
+        return address(nft()).toHexString();
+    }
+
+    /**
+     * @dev Returns whether `text` has no control character nor any of `"`, `'`, `\`, `<`, `>` and `&`.
+     */
+    function _isPlainText(bytes memory text) private pure returns (bool) {
+        for (uint256 i = 0; i < text.length; i++) {
+            bytes1 char = text[i];
+            if (
+                char < 0x20 ||
+                char == 0x7f ||
+                char == '"' ||
+                char == "'" ||
+                char == "\\" ||
+                char == "<" ||
+                char == ">" ||
+                char == "&"
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Formats basis points as a percentage with two decimals, e.g. 1250 as "12.50%".
+     */
+    function _formatBps(uint256 bps) private pure returns (string memory) {
+        uint256 decimals = bps % 100;
+        return
+            string(
+                abi.encodePacked(
+                    (bps / 100).toString(),
+                    decimals < 10 ? ".0" : ".",
+                    decimals.toString(),
+                    "%"
+                )
+            );
+    }
+}
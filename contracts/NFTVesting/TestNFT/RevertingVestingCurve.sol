@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "../curves/IVestingCurve.sol";
+
+// Mock vesting curve, linear over `params` encoding `(uint256 maxDuration)`, that reverts past its max duration
+// to test how the scripts handle a timelock whose discount cannot be read.
+contract RevertingVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        uint256 maxDuration = abi.decode(params, (uint256));
+        require(elapsed <= maxDuration, "RevertingVestingCurve: past max duration");
+        return (elapsed * total) / maxDuration;
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        require(abi.decode(params, (uint256)) > 0, "RevertingVestingCurve: max duration should be greater than 0");
+    }
+}
@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IVestingCurve.sol";
+import "./FixedPointMath.sol";
+
+/**
+ * @dev Concave model y = total * sqrt(x / maxDuration), vesting faster at the start
+ * and reaching the whole deposit at the max duration.
+ */
+library ConcaveCurve {
+    function validate(uint256 maxDuration) internal pure {
+        require(maxDuration > 0, "TimeLock: max duration should be greater than 0");
+    }
+
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        uint256 maxDuration
+    ) internal pure returns (uint256) {
+        // sqrt of the fraction scaled by 1e18 is scaled by 1e9, so the fraction is scaled by 1e36 first
+        uint256 fraction = FixedPointMath.fractionOf(elapsed, maxDuration);
+        uint256 sqrtFraction = Math.sqrt(fraction * FixedPointMath.ONE);
+        return Math.mulDiv(total, sqrtFraction, FixedPointMath.ONE);
+    }
+}
+
+/**
+ * @dev {IVestingCurve} of {ConcaveCurve}, with `params` encoding `(uint256 maxDuration)`.
+ */
+contract ConcaveVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        uint256 maxDuration = abi.decode(params, (uint256));
+        return ConcaveCurve.vestedAmount(elapsed, total, maxDuration);
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        ConcaveCurve.validate(abi.decode(params, (uint256)));
+    }
+}
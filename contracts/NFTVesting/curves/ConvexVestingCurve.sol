@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IVestingCurve.sol";
+
+/**
+ * @dev Convex model y = mx^exponent, where m is the growth rate in wei and x the vested duration.
+ * It is not relative to the deposit, and saturates at `type(uint256).max` instead of overflowing,
+ * so that the timelocks capping it to their deposit can still be released and cancelled.
+ */
+library ConvexCurve {
+    function validate(uint256 growthRate, uint8 exponent) internal pure {
+        // Growth rate cannot be zero or it would result in a curve with negative gradient.
+        require(growthRate > 0, "TimeLock: growth rate should be greater than 0");
+
+        require(exponent > 0, "TimeLock: exponent should be greater than 0");
+    }
+
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 growthRate,
+        uint8 exponent
+    ) internal pure returns (uint256) {
+        uint256 amount = growthRate;
+        for (uint256 i = 0; i < exponent; i++) {
+            if (elapsed != 0 && amount > type(uint256).max / elapsed) {
+                return type(uint256).max;
+            }
+            amount *= elapsed;
+        }
+        return amount;
+    }
+}
+
+/**
+ * @dev {IVestingCurve} of {ConvexCurve}, with `params` encoding `(uint256 growthRate, uint8 exponent)`.
+ */
+contract ConvexVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        (uint256 growthRate, uint8 exponent) = abi.decode(params, (uint256, uint8));
+        return ConvexCurve.vestedAmount(elapsed, growthRate, exponent);
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        (uint256 growthRate, uint8 exponent) = abi.decode(params, (uint256, uint8));
+        ConvexCurve.validate(growthRate, exponent);
+    }
+}
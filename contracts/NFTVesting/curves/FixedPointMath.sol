@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @dev Fractions scaled by 1e18 shared by the curves normalized to a max duration.
+ */
+library FixedPointMath {
+    // Fixed point 1.0
+    uint256 internal constant ONE = 1e18;
+
+    /**
+     * @dev Returns the fraction of `maxDuration` that `elapsed` is, capped at {ONE}.
+     */
+    function fractionOf(uint256 elapsed, uint256 maxDuration) internal pure returns (uint256) {
+        if (elapsed >= maxDuration) {
+            return ONE;
+        }
+        return Math.mulDiv(elapsed, ONE, maxDuration);
+    }
+
+    /**
+     * @dev Returns `base`^`exponent` for a fixed point `base`, rounding down at each step.
+     */
+    function pow(uint256 base, uint8 exponent) internal pure returns (uint256 result) {
+        result = ONE;
+        for (uint8 i = 0; i < exponent; i++) {
+            result = (result * base) / ONE;
+        }
+    }
+}
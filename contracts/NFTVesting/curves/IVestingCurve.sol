@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+
+/**
+ * @dev Interface of a vesting curve, telling how much of the deposit of a {NftVestingTimelock} is vested
+ * some time after its vesting start time. Curves hold no state, so one deployment serves any number of timelocks,
+ * each passing its own curve parameters.
+ *
+ * The curve returns the vested part of the deposit rather than a fixed point fraction of it, so that the curves
+ * keep their exact integer math, e.g. the flooring of `total / maxDuration` of the linear curve, or the convex curve
+ * whose growth rate is not relative to the deposit.
+ */
+interface IVestingCurve {
+    /**
+     * @dev Returns the part of `total` vested `elapsed` seconds after the vesting start time,
+     * for the curve parameters `params` ABI encoded as documented by the curve.
+     * The timelock caps the result at `total`.
+     */
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external view returns (uint256);
+
+    /**
+     * @dev Reverts if `params` are not valid curve parameters. Called once when a timelock is deployed.
+     */
+    function validateParams(bytes calldata params) external view;
+}
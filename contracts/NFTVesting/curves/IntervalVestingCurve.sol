@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IVestingCurve.sol";
+
+/**
+ * @dev Step model vesting `total / maxIntervals`, rounded down, at the start of every interval
+ * of `intervalDuration`, the first one at the vesting start time.
+ */
+library IntervalCurve {
+    function validate(uint256 maxIntervals, uint256 intervalDuration) internal pure {
+        require(maxIntervals > 0, "TimeLock: max intervals should be greater than 0");
+
+        require(intervalDuration > 0, "TimeLock: interval duration should be greater than 0");
+    }
+
+    /**
+     * @dev Returns the vesting interval `elapsed` falls in, counting from 1 and capped at `maxIntervals`.
+     */
+    function currentInterval(
+        uint256 elapsed,
+        uint256 maxIntervals,
+        uint256 intervalDuration
+    ) internal pure returns (uint256) {
+        uint256 intervals = 1 + elapsed / intervalDuration;
+        if (intervals > maxIntervals) {
+            return maxIntervals;
+        }
+        return intervals;
+    }
+
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        uint256 maxIntervals,
+        uint256 intervalDuration
+    ) internal pure returns (uint256) {
+        return currentInterval(elapsed, maxIntervals, intervalDuration) * (total / maxIntervals);
+    }
+}
+
+/**
+ * @dev {IVestingCurve} of {IntervalCurve}, with `params` encoding `(uint256 maxIntervals, uint256 intervalDuration)`.
+ */
+contract IntervalVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        (uint256 maxIntervals, uint256 intervalDuration) = abi.decode(params, (uint256, uint256));
+        return IntervalCurve.vestedAmount(elapsed, total, maxIntervals, intervalDuration);
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        (uint256 maxIntervals, uint256 intervalDuration) = abi.decode(params, (uint256, uint256));
+        IntervalCurve.validate(maxIntervals, intervalDuration);
+    }
+}
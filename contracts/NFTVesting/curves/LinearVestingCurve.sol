@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IVestingCurve.sol";
+
+/**
+ * @dev Linear model y = mx, where m is `total / maxDuration` rounded down.
+ * Nothing vests before `cliffDuration`, after which the discount catches up on the cliff.
+ */
+library LinearCurve {
+    function validate(uint256 maxDuration, uint256 cliffDuration) internal pure {
+        require(maxDuration > 0, "TimeLock: max duration should be greater than 0");
+
+        require(
+            cliffDuration <= maxDuration,
+            "TimeLock: cliff duration is longer than max duration"
+        );
+    }
+
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        uint256 maxDuration,
+        uint256 cliffDuration
+    ) internal pure returns (uint256) {
+        if (elapsed < cliffDuration) {
+            return 0;
+        }
+        return elapsed * (total / maxDuration);
+    }
+}
+
+/**
+ * @dev {IVestingCurve} of {LinearCurve}, with `params` encoding `(uint256 maxDuration, uint256 cliffDuration)`.
+ */
+contract LinearVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        (uint256 maxDuration, uint256 cliffDuration) = abi.decode(params, (uint256, uint256));
+        return LinearCurve.vestedAmount(elapsed, total, maxDuration, cliffDuration);
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        (uint256 maxDuration, uint256 cliffDuration) = abi.decode(params, (uint256, uint256));
+        LinearCurve.validate(maxDuration, cliffDuration);
+    }
+}
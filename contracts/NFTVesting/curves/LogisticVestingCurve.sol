@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IVestingCurve.sol";
+import "./FixedPointMath.sol";
+
+/**
+ * @dev Logistic model y = total * p^k / (p^k + (1 - p)^k), where p = x / maxDuration and k is the steepness.
+ * Steepness 1 is linear, and the higher it is, the more of the discount vests around half of the max duration.
+ */
+library LogisticCurve {
+    function validate(uint256 maxDuration, uint8 steepness) internal pure {
+        require(maxDuration > 0, "TimeLock: max duration should be greater than 0");
+
+        // Keeps both terms of the curve well above the rounding of the fixed point powers.
+        require(
+            steepness > 0 && steepness <= 16,
+            "TimeLock: steepness should be between 1 and 16"
+        );
+    }
+
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        uint256 maxDuration,
+        uint8 steepness
+    ) internal pure returns (uint256) {
+        uint256 fraction = FixedPointMath.fractionOf(elapsed, maxDuration);
+        uint256 vested = FixedPointMath.pow(fraction, steepness);
+        uint256 unvested = FixedPointMath.pow(FixedPointMath.ONE - fraction, steepness);
+        return Math.mulDiv(total, vested, vested + unvested);
+    }
+}
+
+/**
+ * @dev {IVestingCurve} of {LogisticCurve}, with `params` encoding `(uint256 maxDuration, uint8 steepness)`.
+ */
+contract LogisticVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        (uint256 maxDuration, uint8 steepness) = abi.decode(params, (uint256, uint8));
+        return LogisticCurve.vestedAmount(elapsed, total, maxDuration, steepness);
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        (uint256 maxDuration, uint8 steepness) = abi.decode(params, (uint256, uint8));
+        LogisticCurve.validate(maxDuration, steepness);
+    }
+}
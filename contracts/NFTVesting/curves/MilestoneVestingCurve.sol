@@ -0,0 +1,90 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (NFTVesting)
+
+pragma solidity ^0.8.0;
+import "./IVestingCurve.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @dev Piecewise step model vesting a cumulative share of `total` at each milestone of a custom schedule,
+ * e.g. 10% after a month, 40% after three months and 100% after a year.
+ *
+ * Milestone times are in seconds after the vesting start time, so that a schedule does not depend on
+ * when the timelock starts. Shares are in basis points of `total`, and the last milestone vests all of it.
+ */
+library MilestoneCurve {
+    // Basis points vesting the whole deposit
+    uint256 internal constant MAX_BPS = 10000;
+
+    /**
+     * @dev Struct `Milestone` vests `cumulativeBps` of the deposit in total `time` seconds after the vesting start time.
+     */
+    struct Milestone {
+        uint256 time;
+        uint256 cumulativeBps;
+    }
+
+    function validate(Milestone[] memory milestones) internal pure {
+        require(milestones.length > 0, "TimeLock: milestones should not be empty");
+
+        for (uint256 i = 1; i < milestones.length; i++) {
+            require(
+                milestones[i].time > milestones[i - 1].time,
+                "TimeLock: milestone times should be increasing"
+            );
+            require(
+                milestones[i].cumulativeBps > milestones[i - 1].cumulativeBps,
+                "TimeLock: milestone bps should be increasing"
+            );
+        }
+
+        require(
+            milestones[milestones.length - 1].cumulativeBps == MAX_BPS,
+            "TimeLock: last milestone should vest 10000 bps"
+        );
+    }
+
+    /**
+     * @dev Returns the number of milestones reached `elapsed` seconds after the vesting start time.
+     */
+    function milestonesReached(uint256 elapsed, Milestone[] memory milestones)
+        internal
+        pure
+        returns (uint256 reached)
+    {
+        while (reached < milestones.length && milestones[reached].time <= elapsed) {
+            reached++;
+        }
+    }
+
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        Milestone[] memory milestones
+    ) internal pure returns (uint256) {
+        uint256 reached = milestonesReached(elapsed, milestones);
+        if (reached == 0) {
+            return 0;
+        }
+        return Math.mulDiv(total, milestones[reached - 1].cumulativeBps, MAX_BPS);
+    }
+}
+
+/**
+ * @dev {IVestingCurve} of {MilestoneCurve}, with `params` encoding `(tuple(uint256 time, uint256 cumulativeBps)[] milestones)`.
+ */
+contract MilestoneVestingCurve is IVestingCurve {
+    function vestedAmount(
+        uint256 elapsed,
+        uint256 total,
+        bytes calldata params
+    ) external pure override returns (uint256) {
+        MilestoneCurve.Milestone[] memory milestones = abi.decode(params, (MilestoneCurve.Milestone[]));
+        return MilestoneCurve.vestedAmount(elapsed, total, milestones);
+    }
+
+    function validateParams(bytes calldata params) external pure override {
+        MilestoneCurve.Milestone[] memory milestones = abi.decode(params, (MilestoneCurve.Milestone[]));
+        MilestoneCurve.validate(milestones);
+    }
+}
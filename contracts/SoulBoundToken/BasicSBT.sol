@@ -2,7 +2,7 @@
 // SpartanLabs Contracts (SBT)
 pragma solidity ^0.8.0;
 
-import "./utils/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 
 /**
  * @dev Implementation of Soul Bound Token (SBT)
@@ -10,10 +10,29 @@ import "./utils/Ownable.sol";
  *
  * Contract provides a basic Soul Bound Token mechanism, where address can mint SBT with their private data.
  *
- * By default, the owner account will be the one that deploys the contract. This
- * can later be changed with {transferOwnership}.
+ * Each soul holds key/value attributes, whose keys and types are registered by an admin in a schema
+ * with {registerAttribute}. The `identity` and `uri` string attributes are registered on deployment, and
+ * are the ones {mint}, {updateSBT} and {getSBTData} read and write as a {Soul}.
+ *
+ * Access is role-based, so that several departments can issue SBT from their own accounts:
+ * - `DEFAULT_ADMIN_ROLE` grants and revokes roles, and registers attributes.
+ * - `ISSUER_ROLE` mints SBT. Each soul records the issuer that minted it, and only that issuer
+ *   updates it, sets its attributes, settles its proposals or burns it.
+ * - `REVOKER_ROLE` burns the SBT of any issuer.
+ *
+ * Soul holders cannot change their SBT themselves, but can propose an update with {proposeUpdate}
+ * or request its burning with {requestBurn}. The issuer of the soul then approves the pending proposal
+ * with {approveProposal}, or rejects it with {rejectProposal}.
+ *
+ * The account that deploys the contract is granted every role.
  */
-contract BasicSBT is Ownable {
+contract BasicSBT is AccessControl {
+    // Role of the accounts minting SBT, and managing the ones they minted
+    bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+
+    // Role of the accounts burning SBT of any issuer
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+
     // Name for the SBT
     string public _name;
 
@@ -23,24 +42,92 @@ contract BasicSBT is Ownable {
     // Total count of SBT
     uint256 public _totalSBT; 
 
-    // Mapping between address and the soul
-    mapping(address => Soul) private souls;
+    // Key of the `identity` attribute of a {Soul}
+    string private constant IDENTITY_KEY = "identity";
+
+    // Key of the `uri` attribute of a {Soul}
+    string private constant URI_KEY = "uri";
+
+    // Mapping between address and whether it has a soul, so that a soul with empty attributes still exists
+    mapping(address => bool) private souls;
+
+    // Keys of the attribute schema, in registration order
+    string[] private attributeKeys;
+
+    // Mapping between the hash of an attribute key and its type, `None` for keys outside the schema
+    mapping(bytes32 => AttributeType) private attributeTypes;
+
+    // Mapping between address, hash of an attribute key and the attribute value
+    mapping(address => mapping(bytes32 => bytes)) private attributeValues;
+
+    // Mapping between address, hash of an attribute key and whether the attribute is set
+    mapping(address => mapping(bytes32 => bool)) private attributeSet;
+
+    // Mapping between address and the issuer that minted its soul
+    mapping(address => address) private issuers;
+
+    // Mapping between address and the proposal pending for its soul
+    mapping(address => Proposal) private proposals;
 
     /**
      * @dev Struct `Soul` contains the soulbound token information for a given address.
      * The fields within the struct can be be edited for the usecase of the SBT.
      *
-     * The fields of `identity` and `uri` can be hashed for privacy.
+     * The fields of `identity` and `uri` are stored in plaintext, as the attributes of the same keys.
+     * {PrivateSBT} stores only a salted commitment to the attributes of a soul instead, and verifies
+     * attributes disclosed one at a time.
      */
     struct Soul {
         string identity;
         string uri;
     }
 
+    /**
+     * @dev Type of an attribute in the schema, `None` for keys that are not registered.
+     *
+     * `String` and `Bytes` values are stored as their raw bytes, and the other types as their ABI encoding.
+     */
+    enum AttributeType {
+        None,
+        String,
+        Bytes,
+        Uint,
+        Int,
+        Bool,
+        Address,
+        Bytes32
+    }
+
+    /**
+     * @dev Kind of change a soul holder proposes for its SBT, `None` when no proposal is pending.
+     */
+    enum ProposalType {
+        None,
+        Update,
+        Burn
+    }
+
+    /**
+     * @dev Struct `Proposal` contains the change proposed by a soul holder, waiting for the issuer of the soul.
+     * `soulData` is the proposed soul of an `Update`, and empty for a `Burn`.
+     */
+    struct Proposal {
+        ProposalType proposalType;
+        Soul soulData;
+    }
+
     // Events
-    event Mint(address _soul);
-    event Burn(address _soul);
-    event Update(address _soul);
+    event Mint(address _soul, address _issuer);
+    event Burn(address _soul, address _issuer);
+    event Update(address _soul, address _issuer);
+    event IssuerReassigned(address _soul, address _previousIssuer, address _newIssuer);
+    event UpdateProposed(address _soul);
+    event BurnRequested(address _soul);
+    event ProposalApproved(address _soul, ProposalType _proposalType);
+    event ProposalRejected(address _soul, ProposalType _proposalType);
+    event AttributeRegistered(string _key, AttributeType _attributeType);
+    event AttributeSet(address _soul, string _key);
+    event AttributeRemoved(address _soul, string _key);
 
     /**
      * @dev This modifier checks that the address passed in is not the zero address.
@@ -50,67 +137,332 @@ contract BasicSBT is Ownable {
         _;
     }
 
+    /**
+     * @dev This modifier checks that the caller is the issuer of `_soul`, and still has the `ISSUER_ROLE`.
+     */
+    modifier onlySoulIssuer(address _soul) {
+        _checkSoulIssuer(_soul);
+        _;
+    }
+
     /**
      * @dev Initializes the contract by setting a `name` and a `symbol` to the SBT. 
-     * The `totalSBT` is set to zero.
+     * The `totalSBT` is set to zero, and the `identity` and `uri` string attributes are registered.
+     * The deployer is granted every role.
      */
     constructor(string memory name_, string memory symbol_) {
         _name = name_;
         _symbol = symbol_;
         _totalSBT = 0;
+
+        _grantRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        _grantRole(ISSUER_ROLE, _msgSender());
+        _grantRole(REVOKER_ROLE, _msgSender());
+
+        _registerAttribute(IDENTITY_KEY, AttributeType.String);
+        _registerAttribute(URI_KEY, AttributeType.String);
     }
 
     /**
-     * @dev Mints `SBT` and transfers it to `_soul`.
+     * @dev Mints `SBT` and transfers it to `_soul`, issued by the caller.
      *
      * Emits a {Mint} event.
      */
     function mint(address _soul, Soul memory _soulData)
         external
         virtual
-        onlyOwner
+        onlyRole(ISSUER_ROLE)
         validAddress(_soul)
     {
-        require(!hasSoul(_soul), "Soul already exists");
-        souls[_soul] = _soulData;
-        _totalSBT++;
-        emit Mint(_soul);
+        _mint(_soul);
+        _setSoulData(_soul, _soulData);
+    }
+
+    /**
+     * @dev Mints `SBT` to `_soul` with the attributes `_keys` of values `_values`, which must be in the schema.
+     *
+     * Emits a {Mint} event, and an {AttributeSet} event per attribute.
+     */
+    function mintWithAttributes(
+        address _soul,
+        string[] memory _keys,
+        bytes[] memory _values
+    ) external virtual onlyRole(ISSUER_ROLE) validAddress(_soul) {
+        require(_keys.length == _values.length, "Attributes length mismatch");
+        _mint(_soul);
+        for (uint256 i = 0; i < _keys.length; i++) {
+            _setAttribute(_soul, _keys[i], _values[i]);
+        }
     }
 
     /**
      * @dev Destroys SBT for a given address.
      *
      * Requirements:
-     * Only the owner of the SBT can destroy it.
+     * Only a revoker, or the issuer of the SBT, can destroy it.
      * Emits a {Burn} event.
      *
-     * However, projects can have it such that users can propose changes for the contract owner to update.
+     * Soul holders request the burning of their SBT with {requestBurn}.
      */
-    function burn(address _soul) external virtual onlyOwner validAddress(_soul) {
-        require(hasSoul(_soul), "Soul does not exists");
-        delete souls[_soul];
-        _totalSBT--;
-        emit Burn(_soul);
+    function burn(address _soul) external virtual validAddress(_soul) {
+        if (!hasRole(REVOKER_ROLE, _msgSender())) {
+            _checkSoulIssuer(_soul);
+        }
+        _burn(_soul);
+    }
+
+    /**
+     * @dev Makes `_newIssuer`, which must have the `ISSUER_ROLE`, the issuer of `_soul`.
+     * Lets an admin hand the souls of an issuer whose role was revoked over to another issuer.
+     *
+     * Emits an {IssuerReassigned} event.
+     */
+    function reassignIssuer(address _soul, address _newIssuer)
+        external
+        virtual
+        onlyRole(DEFAULT_ADMIN_ROLE)
+        validAddress(_soul)
+    {
+        require(hasSoul(_soul), "Soul does not exist");
+        require(hasRole(ISSUER_ROLE, _newIssuer), "New issuer is not an issuer");
+        emit IssuerReassigned(_soul, issuers[_soul], _newIssuer);
+        issuers[_soul] = _newIssuer;
     }
 
     /**
      * @dev Updates the mapping of address to attribute.
-     * Only the owner address is able to update the information.
+     * Only the issuer of the SBT is able to update the information.
      *
-     * However, projects can have it such that users can propose changes for the contract owner to update.
+     * Soul holders propose changes for the issuer to approve with {proposeUpdate}.
      */
     function updateSBT(address _soul, Soul memory _soulData)
         public
-        onlyOwner
         validAddress(_soul)
+        onlySoulIssuer(_soul)
         returns (bool)
     {
-        require(hasSoul(_soul), "Soul does not exist");
-        souls[_soul] = _soulData;
-        emit Update(_soul);
+        _update(_soul, _soulData);
         return true;
     }
 
+    /**
+     * @dev Adds `_key` of type `_attributeType` to the attribute schema.
+     * A registered key cannot be removed nor change type, so that values already set stay valid.
+     *
+     * Emits an {AttributeRegistered} event.
+     */
+    function registerAttribute(string memory _key, AttributeType _attributeType)
+        external
+        virtual
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _registerAttribute(_key, _attributeType);
+    }
+
+    /**
+     * @dev Sets the attribute `_key` of `_soul` to `_value`, which must be valid for the type of `_key`.
+     *
+     * Emits an {AttributeSet} event.
+     */
+    function setAttribute(
+        address _soul,
+        string memory _key,
+        bytes memory _value
+    ) external virtual validAddress(_soul) onlySoulIssuer(_soul) {
+        _setAttribute(_soul, _key, _value);
+    }
+
+    /**
+     * @dev Unsets the attribute `_key` of `_soul`.
+     *
+     * Emits an {AttributeRemoved} event.
+     */
+    function removeAttribute(address _soul, string memory _key)
+        external
+        virtual
+        validAddress(_soul)
+        onlySoulIssuer(_soul)
+    {
+        require(hasAttribute(_soul, _key), "Attribute not set");
+        bytes32 keyHash = keccak256(bytes(_key));
+        delete attributeValues[_soul][keyHash];
+        delete attributeSet[_soul][keyHash];
+        emit AttributeRemoved(_soul, _key);
+    }
+
+    /**
+     * @dev Returns the keys of the attribute schema, in registration order.
+     */
+    function getAttributeKeys() public view virtual returns (string[] memory) {
+        return attributeKeys;
+    }
+
+    /**
+     * @dev Returns the type of the attribute `_key`, `None` if it is not in the schema.
+     */
+    function getAttributeType(string memory _key) public view virtual returns (AttributeType) {
+        return attributeTypes[keccak256(bytes(_key))];
+    }
+
+    /**
+     * @dev Returns whether the attribute `_key` of `_soul` is set. An attribute can be set to an empty value.
+     */
+    function hasAttribute(address _soul, string memory _key)
+        public
+        view
+        virtual
+        validAddress(_soul)
+        returns (bool)
+    {
+        return attributeSet[_soul][keccak256(bytes(_key))];
+    }
+
+    /**
+     * @dev Returns the value of the attribute `_key` of `_soul`, which must be set.
+     */
+    function getAttribute(address _soul, string memory _key)
+        public
+        view
+        virtual
+        returns (bytes memory)
+    {
+        require(hasAttribute(_soul, _key), "Attribute not set");
+        return attributeValues[_soul][keccak256(bytes(_key))];
+    }
+
+    /**
+     * @dev Returns the keys and values of the attributes set for `_soul`, in schema order.
+     */
+    function getAttributes(address _soul)
+        public
+        view
+        virtual
+        validAddress(_soul)
+        returns (string[] memory _keys, bytes[] memory _values)
+    {
+        uint256 count = 0;
+        for (uint256 i = 0; i < attributeKeys.length; i++) {
+            if (hasAttribute(_soul, attributeKeys[i])) {
+                count++;
+            }
+        }
+
+        _keys = new string[](count);
+        _values = new bytes[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < attributeKeys.length; i++) {
+            if (hasAttribute(_soul, attributeKeys[i])) {
+                _keys[j] = attributeKeys[i];
+                _values[j] = attributeValues[_soul][keccak256(bytes(attributeKeys[i]))];
+                j++;
+            }
+        }
+    }
+
+    /**
+     * @dev Validates that the attribute `_key` of `_soul` is set to `_value`.
+     */
+    function validateAttributeValue(
+        address _soul,
+        string memory _key,
+        bytes memory _value
+    ) public view virtual returns (bool) {
+        require(hasSoul(_soul), "Soul does not exist");
+        return hasAttribute(_soul, _key) && compareMemory(getAttribute(_soul, _key), _value);
+    }
+
+    /**
+     * @dev Proposes `_soulData` as the new soul of the caller, for its issuer to approve.
+     * Like {updateSBT}, either field may be empty, as both are `String` attributes of the schema.
+     * Replaces the proposal of the caller still pending, if any.
+     *
+     * Emits an {UpdateProposed} event.
+     */
+    function proposeUpdate(Soul memory _soulData) external virtual {
+        require(hasSoul(msg.sender), "Soul does not exist");
+        proposals[msg.sender] = Proposal(ProposalType.Update, _soulData);
+        emit UpdateProposed(msg.sender);
+    }
+
+    /**
+     * @dev Requests the burning of the SBT of the caller, for its issuer to approve.
+     * Replaces the proposal of the caller still pending, if any.
+     *
+     * Emits a {BurnRequested} event.
+     */
+    function requestBurn() external virtual {
+        require(hasSoul(msg.sender), "Soul does not exist");
+        delete proposals[msg.sender];
+        proposals[msg.sender].proposalType = ProposalType.Burn;
+        emit BurnRequested(msg.sender);
+    }
+
+    /**
+     * @dev Applies the proposal pending for `_soul`, updating or burning its SBT.
+     *
+     * Emits a {ProposalApproved} event, followed by {Update} or {Burn}.
+     */
+    function approveProposal(address _soul)
+        external
+        virtual
+        validAddress(_soul)
+        onlySoulIssuer(_soul)
+    {
+        Proposal memory proposal = pendingProposal(_soul);
+        require(proposal.proposalType != ProposalType.None, "No pending proposal");
+        delete proposals[_soul];
+        emit ProposalApproved(_soul, proposal.proposalType);
+
+        if (proposal.proposalType == ProposalType.Update) {
+            _update(_soul, proposal.soulData);
+        } else {
+            _burn(_soul);
+        }
+    }
+
+    /**
+     * @dev Discards the proposal pending for `_soul`, leaving its SBT unchanged.
+     *
+     * Emits a {ProposalRejected} event.
+     */
+    function rejectProposal(address _soul)
+        external
+        virtual
+        validAddress(_soul)
+        onlySoulIssuer(_soul)
+    {
+        ProposalType proposalType = pendingProposal(_soul).proposalType;
+        require(proposalType != ProposalType.None, "No pending proposal");
+        delete proposals[_soul];
+        emit ProposalRejected(_soul, proposalType);
+    }
+
+    /**
+     * @dev Returns the proposal pending for `_soul`, of type `None` if there is none.
+     */
+    function pendingProposal(address _soul)
+        public
+        view
+        virtual
+        validAddress(_soul)
+        returns (Proposal memory)
+    {
+        return proposals[_soul];
+    }
+
+    /**
+     * @dev Returns the issuer that minted the SBT of `_soul`, the zero address if it has none.
+     */
+    function issuerOf(address _soul)
+        public
+        view
+        virtual
+        validAddress(_soul)
+        returns (address)
+    {
+        return issuers[_soul];
+    }
+
     /**
      * @dev Returns the soul data of `identity, uri` for the given address
      */
@@ -121,12 +473,15 @@ contract BasicSBT is Ownable {
         validAddress(_soul)
         returns (string memory, string memory)
     {
-        return (souls[_soul].identity, souls[_soul].uri);
+        return (
+            string(attributeValues[_soul][keccak256(bytes(IDENTITY_KEY))]),
+            string(attributeValues[_soul][keccak256(bytes(URI_KEY))])
+        );
     }
 
     /**
      * @dev Validates if the _soul is associated with the valid data in the corresponding address.
-     * By checking if the `_soulData` given in parameter is the same as the data in the struct of mapping.
+     * By checking if the `_soulData` given in parameter is the same as its `identity` and `uri` attributes.
      * 
      * Projects can consider implementing their own offchain verification mechanism as well.
      */
@@ -136,12 +491,9 @@ contract BasicSBT is Ownable {
         virtual
         returns (bool)
     {
-        require(hasSoul(_soul), "Soul does not exist");
-        (string memory _identity, string memory _uri) = getSBTData(_soul);
-
         return
-            compareString(_soulData.identity, _identity) &&
-            compareString(_soulData.uri, _uri);
+            validateAttributeValue(_soul, IDENTITY_KEY, bytes(_soulData.identity)) &&
+            validateAttributeValue(_soul, URI_KEY, bytes(_soulData.uri));
     }
 
     /**
@@ -151,6 +503,128 @@ contract BasicSBT is Ownable {
         return _totalSBT;
     }
 
+    /**
+     * @dev Creates the SBT of `_soul`, which must not have one yet, without any attribute set.
+     * The caller is recorded as its issuer.
+     *
+     * Emits a {Mint} event.
+     */
+    function _mint(address _soul) internal virtual {
+        require(!hasSoul(_soul), "Soul already exists");
+        souls[_soul] = true;
+        issuers[_soul] = _msgSender();
+        _totalSBT++;
+        emit Mint(_soul, _msgSender());
+    }
+
+    /**
+     * @dev Deletes the SBT of `_soul`, which must have one.
+     *
+     * Emits a {Burn} event.
+     */
+    function _burn(address _soul) internal virtual {
+        require(hasSoul(_soul), "Soul does not exists");
+        delete souls[_soul];
+        for (uint256 i = 0; i < attributeKeys.length; i++) {
+            bytes32 keyHash = keccak256(bytes(attributeKeys[i]));
+            delete attributeValues[_soul][keyHash];
+            delete attributeSet[_soul][keyHash];
+        }
+        delete proposals[_soul];
+        _totalSBT--;
+        emit Burn(_soul, issuers[_soul]);
+        delete issuers[_soul];
+    }
+
+    /**
+     * @dev Replaces the soul of `_soul`, which must have an SBT, with `_soulData`.
+     *
+     * Emits an {Update} event.
+     */
+    function _update(address _soul, Soul memory _soulData) internal virtual {
+        require(hasSoul(_soul), "Soul does not exist");
+        _setSoulData(_soul, _soulData);
+        emit Update(_soul, issuers[_soul]);
+    }
+
+    /**
+     * @dev Reverts unless the caller is the issuer of `_soul`, which must have an SBT, and has the `ISSUER_ROLE`.
+     */
+    function _checkSoulIssuer(address _soul) internal view virtual {
+        _checkRole(ISSUER_ROLE);
+        require(hasSoul(_soul), "Soul does not exist");
+        require(issuerOf(_soul) == _msgSender(), "Caller is not the soul issuer");
+    }
+
+    /**
+     * @dev Sets the `identity` and `uri` attributes of `_soul` to the fields of `_soulData`.
+     *
+     * Emits an {AttributeSet} event per attribute.
+     */
+    function _setSoulData(address _soul, Soul memory _soulData) internal virtual {
+        _setAttribute(_soul, IDENTITY_KEY, bytes(_soulData.identity));
+        _setAttribute(_soul, URI_KEY, bytes(_soulData.uri));
+    }
+
+    /**
+     * @dev Adds `_key` of type `_attributeType` to the attribute schema.
+     *
+     * Emits an {AttributeRegistered} event.
+     */
+    function _registerAttribute(string memory _key, AttributeType _attributeType) internal virtual {
+        require(bytes(_key).length > 0, "Attribute key is empty");
+        require(_attributeType != AttributeType.None, "Not valid attribute type");
+        require(getAttributeType(_key) == AttributeType.None, "Attribute already registered");
+        attributeKeys.push(_key);
+        attributeTypes[keccak256(bytes(_key))] = _attributeType;
+        emit AttributeRegistered(_key, _attributeType);
+    }
+
+    /**
+     * @dev Sets the attribute `_key` of `_soul` to `_value`, which must be valid for the type of `_key`.
+     *
+     * Emits an {AttributeSet} event.
+     */
+    function _setAttribute(
+        address _soul,
+        string memory _key,
+        bytes memory _value
+    ) internal virtual {
+        AttributeType attributeType = getAttributeType(_key);
+        require(attributeType != AttributeType.None, "Attribute not registered");
+        require(isValidAttributeValue(attributeType, _value), "Not valid attribute value");
+        bytes32 keyHash = keccak256(bytes(_key));
+        attributeValues[_soul][keyHash] = _value;
+        attributeSet[_soul][keyHash] = true;
+        emit AttributeSet(_soul, _key);
+    }
+
+    /**
+     * @dev Returns whether `_value` is a valid value of an attribute of type `_attributeType`:
+     * any bytes for `String` and `Bytes`, and otherwise a 32 bytes ABI encoding in range of the type.
+     */
+    function isValidAttributeValue(AttributeType _attributeType, bytes memory _value)
+        internal
+        pure
+        virtual
+        returns (bool)
+    {
+        if (_attributeType == AttributeType.String || _attributeType == AttributeType.Bytes) {
+            return true;
+        }
+        if (_value.length != 32) {
+            return false;
+        }
+        uint256 word = abi.decode(_value, (uint256));
+        if (_attributeType == AttributeType.Bool) {
+            return word <= 1;
+        }
+        if (_attributeType == AttributeType.Address) {
+            return word <= type(uint160).max;
+        }
+        return _attributeType != AttributeType.None;
+    }
+
     /**
      * @dev Returns if two strings are equalx 
      */
@@ -188,21 +662,20 @@ contract BasicSBT is Ownable {
         validAddress(_soul)
         returns (bool)
     {
-        (string memory _identity, string memory _uri) = getSBTData(_soul);
-        return bytes(_identity).length > 0 && bytes(_uri).length > 0;
+        return souls[_soul];
     }
 
     /**
      * @dev Returns the name of SBT.
      */
-    function name() public view returns (string memory) {
+    function name() public view virtual returns (string memory) {
         return _name;
     }
 
     /**
      * @dev Returns the symbol ticker of SBT.
      */
-    function symbol() public view returns (string memory) {
+    function symbol() public view virtual returns (string memory) {
         return _symbol;
     }
 }
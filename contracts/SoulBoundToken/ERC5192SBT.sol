@@ -0,0 +1,199 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (SBT)
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/IERC721Metadata.sol";
+import "./BasicSBT.sol";
+import "./IERC5192.sol";
+
+/**
+ * @dev Soulbound variant of {BasicSBT} exposing the read side of ERC721 and ERC-5192 `locked`,
+ * so that wallets, explorers and indexers see each soul as a non-transferable token.
+ *
+ * Each SBT gets a token id on minting, counting from 1, which is never reused once burned.
+ * Minting and burning emit the ERC721 {Transfer} event from and to the zero address, and minting
+ * emits ERC-5192 {Locked}, on top of the {Mint} and {Burn} events of {BasicSBT}.
+ * The `uri` of the soul is its {tokenURI}.
+ *
+ * Every transfer and approval function reverts, as a soul is bound to its address.
+ */
+contract ERC5192SBT is BasicSBT, IERC721Metadata, IERC5192 {
+    // Token id of the next SBT minted
+    uint256 private _nextTokenId = 1;
+
+    // Mapping from soul address to its token id, zero for none
+    mapping(address => uint256) private _tokenIds;
+
+    // Mapping from token id to its soul address
+    mapping(uint256 => address) private _owners;
+
+    /**
+     * @dev Initializes the contract by setting a `name` and a `symbol` to the SBT.
+     */
+    constructor(string memory name_, string memory symbol_) BasicSBT(name_, symbol_) {}
+
+    /**
+     * @dev See {IERC165-supportsInterface}. Also reports the {IAccessControl} of {BasicSBT} roles.
+     */
+    function supportsInterface(bytes4 interfaceId)
+        public
+        view
+        virtual
+        override(AccessControl, IERC165)
+        returns (bool)
+    {
+        return
+            interfaceId == type(IERC721).interfaceId ||
+            interfaceId == type(IERC721Metadata).interfaceId ||
+            interfaceId == type(IERC5192).interfaceId ||
+            AccessControl.supportsInterface(interfaceId);
+    }
+
+    /**
+     * @dev Returns the token id of the SBT of `_soul`, or zero if it has none.
+     */
+    function tokenIdOf(address _soul) public view virtual validAddress(_soul) returns (uint256) {
+        return _tokenIds[_soul];
+    }
+
+    /**
+     * @dev See {IERC721-balanceOf}. A soul holds at most one SBT.
+     */
+    function balanceOf(address owner) public view virtual override returns (uint256) {
+        require(owner != address(0), "ERC721: address zero is not a valid owner");
+        return _tokenIds[owner] == 0 ? 0 : 1;
+    }
+
+    /**
+     * @dev See {IERC721-ownerOf}.
+     */
+    function ownerOf(uint256 tokenId) public view virtual override returns (address) {
+        address owner = _owners[tokenId];
+        require(owner != address(0), "ERC721: invalid token ID");
+        return owner;
+    }
+
+    /**
+     * @dev See {IERC721Metadata-name}.
+     */
+    function name() public view virtual override(BasicSBT, IERC721Metadata) returns (string memory) {
+        return BasicSBT.name();
+    }
+
+    /**
+     * @dev See {IERC721Metadata-symbol}.
+     */
+    function symbol() public view virtual override(BasicSBT, IERC721Metadata) returns (string memory) {
+        return BasicSBT.symbol();
+    }
+
+    /**
+     * @dev See {IERC721Metadata-tokenURI}. Returns the `uri` of the soul holding `tokenId`.
+     */
+    function tokenURI(uint256 tokenId) public view virtual override returns (string memory) {
+        (, string memory _uri) = getSBTData(ownerOf(tokenId));
+        return _uri;
+    }
+
+    /**
+     * @dev See {IERC5192-locked}. Every SBT is locked.
+     */
+    function locked(uint256 tokenId) public view virtual override returns (bool) {
+        ownerOf(tokenId);
+        return true;
+    }
+
+    /**
+     * @dev See {IERC721-getApproved}. An SBT is never approved.
+     */
+    function getApproved(uint256 tokenId) public view virtual override returns (address) {
+        ownerOf(tokenId);
+        return address(0);
+    }
+
+    /**
+     * @dev See {IERC721-isApprovedForAll}. No operator is ever approved.
+     */
+    function isApprovedForAll(address, address) public view virtual override returns (bool) {
+        return false;
+    }
+
+    /**
+     * @dev Reverts, an SBT cannot be approved.
+     */
+    function approve(address, uint256) public virtual override {
+        revert("SBT: soulbound token cannot be approved");
+    }
+
+    /**
+     * @dev Reverts, an SBT cannot be approved.
+     */
+    function setApprovalForAll(address, bool) public virtual override {
+        revert("SBT: soulbound token cannot be approved");
+    }
+
+    /**
+     * @dev Reverts, an SBT cannot be transferred.
+     */
+    function transferFrom(
+        address,
+        address,
+        uint256
+    ) public virtual override {
+        revert("SBT: soulbound token is not transferable");
+    }
+
+    /**
+     * @dev Reverts, an SBT cannot be transferred.
+     */
+    function safeTransferFrom(
+        address,
+        address,
+        uint256
+    ) public virtual override {
+        revert("SBT: soulbound token is not transferable");
+    }
+
+    /**
+     * @dev Reverts, an SBT cannot be transferred.
+     */
+    function safeTransferFrom(
+        address,
+        address,
+        uint256,
+        bytes memory
+    ) public virtual override {
+        revert("SBT: soulbound token is not transferable");
+    }
+
+    /**
+     * @dev Mints the SBT of `_soul` with the next token id.
+     *
+     * Emits {Mint}, {Transfer} and {Locked} events.
+     */
+    function _mint(address _soul) internal virtual override {
+        super._mint(_soul);
+
+        uint256 tokenId = _nextTokenId++;
+        _tokenIds[_soul] = tokenId;
+        _owners[tokenId] = _soul;
+
+        emit Transfer(address(0), _soul, tokenId);
+        emit Locked(tokenId);
+    }
+
+    /**
+     * @dev Burns the SBT of `_soul`.
+     *
+     * Emits {Burn} and {Transfer} events.
+     */
+    function _burn(address _soul) internal virtual override {
+        super._burn(_soul);
+
+        uint256 tokenId = _tokenIds[_soul];
+        delete _tokenIds[_soul];
+        delete _owners[tokenId];
+
+        emit Transfer(_soul, address(0), tokenId);
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (SBT)
+pragma solidity ^0.8.0;
+
+/**
+ * @dev Interface of the ERC-5192 Minimal Soulbound NFTs standard, as defined in
+ * https://eips.ethereum.org/EIPS/eip-5192. Its interface id is `0xb45a3c0e`.
+ */
+interface IERC5192 {
+    /**
+     * @dev Emitted when the locking status of `tokenId` is changed to locked.
+     * Emitted on minting a token that is locked from the start.
+     */
+    event Locked(uint256 tokenId);
+
+    /**
+     * @dev Emitted when the locking status of `tokenId` is changed to unlocked.
+     */
+    event Unlocked(uint256 tokenId);
+
+    /**
+     * @dev Returns the locking status of `tokenId`, which must exist.
+     */
+    function locked(uint256 tokenId) external view returns (bool);
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+// SpartanLabs Contracts (SBT)
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./BasicSBT.sol";
+
+/**
+ * @dev Privacy mode of {BasicSBT}, storing only a commitment to the attributes of each soul.
+ *
+ * The commitment is the root of a Merkle tree with a leaf per attribute, the hash of its key,
+ * value and a random salt. Reading the root reveals nothing about the attributes, and the salt
+ * keeps low-entropy values such as a country or a birth year from being guessed by hashing
+ * every candidate. A soul holder discloses a single attribute by handing out its key, value,
+ * salt and Merkle proof, which anyone checks on-chain with {verifyAttribute}.
+ *
+ * The commitment and the proofs are built off-chain from a JSON attribute object with
+ * `scripts/SoulBoundToken/attributeCommitment.js`.
+ *
+ * Roles, issuers and burn requests are those of {BasicSBT}. The commitment is the `commitment`
+ * `Bytes32` attribute of the soul, registered on deployment, and the only attribute that can be set,
+ * so that no attribute is ever stored in plaintext. The plaintext {BasicSBT-mint}, {BasicSBT-updateSBT}
+ * and {BasicSBT-setAttribute} revert, and so does {proposeUpdate}.
+ */
+contract PrivateSBT is BasicSBT {
+    // Key of the attribute holding the commitment of a soul
+    string private constant COMMITMENT_KEY = "commitment";
+
+    /**
+     * @dev Initializes the contract by setting a `name` and a `symbol` to the SBT,
+     * and registers the `commitment` attribute. The deployer is granted every role.
+     */
+    constructor(string memory name_, string memory symbol_) BasicSBT(name_, symbol_) {
+        _registerAttribute(COMMITMENT_KEY, AttributeType.Bytes32);
+    }
+
+    /**
+     * @dev Mints the SBT of `_soul`, issued by the caller, committing to the attributes of Merkle root `_commitment`.
+     *
+     * Emits a {Mint} event and an {AttributeSet} event.
+     */
+    function mintCommitment(address _soul, bytes32 _commitment)
+        external
+        virtual
+        onlyRole(ISSUER_ROLE)
+        validAddress(_soul)
+    {
+        _mint(_soul);
+        _setAttribute(_soul, COMMITMENT_KEY, abi.encode(_commitment));
+    }
+
+    /**
+     * @dev Replaces the commitment of `_soul` with `_commitment`, after its attributes
+     * or their salts changed. Only the issuer of the SBT is able to update it.
+     *
+     * Emits an {AttributeSet} event and an {Update} event.
+     */
+    function updateCommitment(address _soul, bytes32 _commitment)
+        external
+        virtual
+        validAddress(_soul)
+        onlySoulIssuer(_soul)
+    {
+        _setAttribute(_soul, COMMITMENT_KEY, abi.encode(_commitment));
+        emit Update(_soul, issuerOf(_soul));
+    }
+
+    /**
+     * @dev Reverts, as a proposed update would store the soul in plaintext.
+     * Soul holders ask their issuer for a new commitment off-chain instead.
+     */
+    function proposeUpdate(Soul memory) external virtual override {
+        revert("Not supported in privacy mode");
+    }
+
+    /**
+     * @dev Returns the Merkle root committing to the attributes of `_soul`, zero if it has no SBT.
+     */
+    function getCommitment(address _soul) public view virtual returns (bytes32) {
+        if (!hasAttribute(_soul, COMMITMENT_KEY)) {
+            return bytes32(0);
+        }
+        return abi.decode(getAttribute(_soul, COMMITMENT_KEY), (bytes32));
+    }
+
+    /**
+     * @dev Returns whether the attribute `_key` of `_soul` is `_value`, given the `_salt` it was
+     * committed with and the Merkle `_proof` of its leaf.
+     */
+    function verifyAttribute(
+        address _soul,
+        string memory _key,
+        string memory _value,
+        bytes32 _salt,
+        bytes32[] memory _proof
+    ) public view virtual returns (bool) {
+        require(hasSoul(_soul), "Soul does not exist");
+        return MerkleProof.verify(_proof, getCommitment(_soul), attributeLeaf(_key, _value, _salt));
+    }
+
+    /**
+     * @dev Returns the Merkle leaf of the attribute `_key` of value `_value` salted with `_salt`.
+     *
+     * The leaf is hashed twice, so that it cannot be mistaken for an inner node of the tree.
+     */
+    function attributeLeaf(
+        string memory _key,
+        string memory _value,
+        bytes32 _salt
+    ) public pure virtual returns (bytes32) {
+        return keccak256(bytes.concat(keccak256(abi.encode(_key, _value, _salt))));
+    }
+
+    /**
+     * @dev Only sets the non-zero `commitment` attribute, the other attributes being committed to.
+     */
+    function _setAttribute(
+        address _soul,
+        string memory _key,
+        bytes memory _value
+    ) internal virtual override {
+        require(compareString(_key, COMMITMENT_KEY), "Not supported in privacy mode");
+        require(_value.length == 32 && abi.decode(_value, (bytes32)) != bytes32(0), "Commitment is empty");
+        super._setAttribute(_soul, _key, _value);
+    }
+}
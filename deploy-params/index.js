@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+
+// Parameters of the deployments in `deploy/`, one JSON file per network named after it,
+// e.g. `hardhat.json` or `localhost.json`.
+//
+// {
+//   BasicNft: { name, symbol, mint } or { address } of an existing collection,
+//   BasicSBT: { name, symbol },
+//   ERC5192SBT: { name, symbol },
+//   PrivateSBT: { name, symbol },
+//   timelocks: { [type]: { tokenId, startTime or startOffset, deposit, lock, ...type params } }
+// }
+//
+// `startOffset` starts a timelock that many seconds after the latest block at deployment,
+// so it only suits local networks: use a fixed `startTime` anywhere deployments are kept,
+// or every run redeploys the timelock. `deposit` is in ETH, and `lock` transfers the NFT
+// from the NFT locker into the timelock once deployed.
+//
+// A network may instead reuse the parameters of another with `{ "extends": "<network>", ...overrides }`,
+// each top-level key of the overrides replacing the one of the extended network.
+
+/**
+ * @dev Returns the deployment parameters of `network`.
+ */
+function getDeployParams(network) {
+	const file = path.join(__dirname, `${network}.json`);
+	if (!fs.existsSync(file)) {
+		throw new Error(`No deployment parameters for network ${network}, expected ${file}`);
+	}
+	const { extends: base, ...params } = JSON.parse(fs.readFileSync(file, "utf8"));
+	return base === undefined ? params : { ...getDeployParams(base), ...params };
+}
+
+module.exports = {
+	getDeployParams,
+};
@@ -0,0 +1,35 @@
+const { getDeployParams } = require("../deploy-params");
+
+// Deploys the BasicNft test collection and mints the tokens the timelocks lock to the NFT locker,
+// or records an existing collection given by `address` in the network parameters.
+
+const deployBasicNft = async (hre) => {
+	const { deployments, getNamedAccounts, network } = hre;
+	const params = getDeployParams(network.name).BasicNft;
+
+	if (params.address !== undefined) {
+		await deployments.save("BasicNft", {
+			address: params.address,
+			abi: (await deployments.getExtendedArtifact("BasicNft")).abi,
+		});
+		deployments.log(`Using BasicNft at ${params.address}`);
+		return;
+	}
+
+	const { deployer, nftLocker } = await getNamedAccounts();
+	const result = await deployments.deploy("BasicNft", {
+		from: deployer,
+		args: [params.name, params.symbol],
+		log: true,
+	});
+
+	if (result.newlyDeployed) {
+		// Token IDs follow the mint order, from 0.
+		for (let i = 0; i < params.mint; i++) {
+			await deployments.execute("BasicNft", { from: nftLocker }, "mintNft");
+		}
+	}
+};
+deployBasicNft.tags = ["BasicNft"];
+
+module.exports = deployBasicNft;
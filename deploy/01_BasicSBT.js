@@ -0,0 +1,18 @@
+const { getDeployParams } = require("../deploy-params");
+
+// Deploys BasicSBT, granting every role to the deployer.
+
+const deployBasicSBT = async (hre) => {
+	const { deployments, getNamedAccounts, network } = hre;
+	const params = getDeployParams(network.name).BasicSBT;
+	const { deployer } = await getNamedAccounts();
+
+	await deployments.deploy("BasicSBT", {
+		from: deployer,
+		args: [params.name, params.symbol],
+		log: true,
+	});
+};
+deployBasicSBT.tags = ["BasicSBT"];
+
+module.exports = deployBasicSBT;
@@ -0,0 +1,16 @@
+const { CURVE_CONTRACTS } = require("../scripts/NFTVesting/curves");
+
+// Deploys each vesting curve of `contracts/NFTVesting/curves`. Curves hold no state,
+// so a single deployment of each is shared by every curve timelock.
+
+const deployVestingCurves = async (hre) => {
+	const { deployments, getNamedAccounts } = hre;
+	const { deployer } = await getNamedAccounts();
+
+	for (const contractName of Object.values(CURVE_CONTRACTS)) {
+		await deployments.deploy(contractName, { from: deployer, log: true });
+	}
+};
+deployVestingCurves.tags = ["VestingCurves"];
+
+module.exports = deployVestingCurves;
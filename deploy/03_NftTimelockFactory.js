@@ -0,0 +1,18 @@
+const { DEPLOYER_LIBRARIES } = require("../scripts/NFTVesting/factory");
+
+// Deploys the deployer libraries and the NftTimelockFactory linked to them.
+
+const deployNftTimelockFactory = async (hre) => {
+	const { deployments, getNamedAccounts } = hre;
+	const { deployer } = await getNamedAccounts();
+
+	const libraries = {};
+	for (const name of DEPLOYER_LIBRARIES) {
+		libraries[name] = (await deployments.deploy(name, { from: deployer, log: true })).address;
+	}
+
+	await deployments.deploy("NftTimelockFactory", { from: deployer, libraries, log: true });
+};
+deployNftTimelockFactory.tags = ["NftTimelockFactory"];
+
+module.exports = deployNftTimelockFactory;
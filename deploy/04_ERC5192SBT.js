@@ -0,0 +1,18 @@
+const { getDeployParams } = require("../deploy-params");
+
+// Deploys ERC5192SBT, the soulbound variant of BasicSBT, granting every role to the deployer.
+
+const deployERC5192SBT = async (hre) => {
+	const { deployments, getNamedAccounts, network } = hre;
+	const params = getDeployParams(network.name).ERC5192SBT;
+	const { deployer } = await getNamedAccounts();
+
+	await deployments.deploy("ERC5192SBT", {
+		from: deployer,
+		args: [params.name, params.symbol],
+		log: true,
+	});
+};
+deployERC5192SBT.tags = ["ERC5192SBT"];
+
+module.exports = deployERC5192SBT;
@@ -0,0 +1,18 @@
+const { getDeployParams } = require("../deploy-params");
+
+// Deploys PrivateSBT, the privacy mode of BasicSBT, granting every role to the deployer.
+
+const deployPrivateSBT = async (hre) => {
+	const { deployments, getNamedAccounts, network } = hre;
+	const params = getDeployParams(network.name).PrivateSBT;
+	const { deployer } = await getNamedAccounts();
+
+	await deployments.deploy("PrivateSBT", {
+		from: deployer,
+		args: [params.name, params.symbol],
+		log: true,
+	});
+};
+deployPrivateSBT.tags = ["PrivateSBT"];
+
+module.exports = deployPrivateSBT;
@@ -0,0 +1,3 @@
+const { deployTimelockFunction } = require("../scripts/NFTVesting/deployments");
+
+module.exports = deployTimelockFunction("concave");
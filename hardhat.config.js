@@ -1,8 +1,30 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
+require("hardhat-deploy");
+require("./tasks/NFTVesting/timelock");
+require("./tasks/NFTVesting/vault");
+require("./tasks/NFTVesting/indexer");
+require("./tasks/NFTVesting/keeper");
+require("./tasks/NFTVesting/report");
 /**
  * @type import('hardhat/config').HardhatUserConfig
  */
 module.exports = {
-  solidity: "0.8.4",
-};
\ No newline at end of file
+  solidity: {
+    version: "0.8.4",
+    settings: {
+      // Keeps the deployer libraries of NftTimelockFactory, which embed the creation code of a timelock each, under the 24KB size limit.
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
+  // Accounts of the deployments in `deploy/`, by index of the network accounts.
+  // The NFT locker owns the minted NFTs and locks them, while the deployer pays the deposits.
+  namedAccounts: {
+    deployer: 0,
+    nftLocker: 0,
+    beneficiary: 1,
+  },
+};
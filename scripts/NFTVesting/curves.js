@@ -0,0 +1,110 @@
+const { ethers } = require("ethers");
+const { toMilestones } = require("./milestones");
+
+// Helpers to deploy the vesting curves of `contracts/NFTVesting/curves` and to encode
+// the parameters a `NftVestingTimelock` passes to them.
+
+// Contract names by curve type
+const CURVE_CONTRACTS = {
+	linear: "LinearVestingCurve",
+	interval: "IntervalVestingCurve",
+	convex: "ConvexVestingCurve",
+	concave: "ConcaveVestingCurve",
+	logistic: "LogisticVestingCurve",
+	milestone: "MilestoneVestingCurve",
+};
+
+// ABI types and argument names of the parameters each curve decodes
+const CURVE_PARAMS = {
+	linear: [
+		["uint256", "maxDuration"],
+		["uint256", "cliffDuration"],
+	],
+	interval: [
+		["uint256", "maxIntervals"],
+		["uint256", "intervalDuration"],
+	],
+	convex: [
+		["uint256", "growthRate"],
+		["uint8", "exponent"],
+	],
+	concave: [["uint256", "maxDuration"]],
+	logistic: [
+		["uint256", "maxDuration"],
+		["uint8", "steepness"],
+	],
+	milestone: [["tuple(uint256 time, uint256 cumulativeBps)[]", "milestones"]],
+};
+
+// Parameters defaulting to 0 when omitted
+const OPTIONAL_PARAMS = ["cliffDuration"];
+
+function curveParams(type) {
+	const params = CURVE_PARAMS[type];
+	if (params === undefined) {
+		throw new Error(`Unknown curve type: ${type}`);
+	}
+	return params;
+}
+
+/**
+ * @dev Returns the ABI encoded parameters of a curve of `type`, read from `args`
+ * by the same names as the timelock of that type takes them.
+ */
+function encodeCurveParams(type, args) {
+	const params = curveParams(type);
+	const values = params.map(([, name]) => {
+		if (args[name] === undefined || args[name] === null) {
+			if (OPTIONAL_PARAMS.includes(name)) {
+				return 0;
+			}
+			throw new Error(`${name} is required for ${type} curves`);
+		}
+		return args[name];
+	});
+	return ethers.utils.defaultAbiCoder.encode(
+		params.map(([abiType]) => abiType),
+		values
+	);
+}
+
+/**
+ * @dev Decodes the parameters of a curve of `type` into an object keyed by argument name.
+ * Amounts are returned as strings, and milestones as `{ time, cumulativeBps }` numbers.
+ */
+function decodeCurveParams(type, data) {
+	const params = curveParams(type);
+	const values = ethers.utils.defaultAbiCoder.decode(
+		params.map(([abiType]) => abiType),
+		data
+	);
+	const decoded = {};
+	params.forEach(([, name], i) => {
+		decoded[name] = name === "milestones" ? toMilestones(values[i]) : values[i].toString();
+	});
+	return decoded;
+}
+
+/**
+ * @dev Deploys a curve of `type` from `signer` and waits for it to be mined.
+ * Curves hold no state, so a deployed curve can be shared by any number of timelocks.
+ */
+async function deployCurve(hre, type, signer) {
+	const contractName = CURVE_CONTRACTS[type];
+	if (contractName === undefined) {
+		throw new Error(`Unknown curve type: ${type}`);
+	}
+
+	const factory = await hre.ethers.getContractFactory(contractName, signer);
+	const curve = await factory.deploy();
+	await curve.deployed();
+	return curve;
+}
+
+module.exports = {
+	CURVE_CONTRACTS,
+	CURVE_PARAMS,
+	encodeCurveParams,
+	decodeCurveParams,
+	deployCurve,
+};
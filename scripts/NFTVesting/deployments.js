@@ -0,0 +1,91 @@
+const { TIMELOCK_CONTRACTS, getConstructorArgs, lockNft } = require("./timelocks");
+const { CURVE_CONTRACTS, encodeCurveParams } = require("./curves");
+const { parseMilestoneSchedule } = require("./milestones");
+const { getDeployParams } = require("../../deploy-params");
+
+// Deploy functions of the NFTVesting timelocks for hardhat-deploy, shared by the
+// scripts of `deploy/` so that every timelock type is deployed the same way.
+// Each timelock is deployed under its contract name, e.g. `LinearVestingNftTimeLock`,
+// with the parameters of `deploy-params/<network>.json`.
+
+// Tag of every timelock deployment
+const TIMELOCKS_TAG = "Timelocks";
+
+/**
+ * @dev Resolves the deployment parameters of a timelock of `type` into the arguments
+ * taken by `getConstructorArgs`.
+ */
+async function getTimelockArgs(hre, type, params) {
+	const { ethers, deployments, getNamedAccounts } = hre;
+	const { nftLocker, beneficiary } = await getNamedAccounts();
+	const nft = await deployments.get("BasicNft");
+
+	let startTime = params.startTime;
+	if (startTime === undefined) {
+		const block = await ethers.provider.getBlock("latest");
+		startTime = block.timestamp + params.startOffset;
+	}
+
+	const args = {
+		...params,
+		type,
+		nft: nft.address,
+		locker: nftLocker,
+		beneficiary,
+		startTime,
+		deposit: params.deposit === undefined ? undefined : ethers.utils.parseEther(params.deposit),
+	};
+	if (type === "milestone") {
+		args.milestones = parseMilestoneSchedule(params.milestones);
+	} else if (type === "curve" || type === "receipt") {
+		args.curve = (await deployments.get(CURVE_CONTRACTS[params.curve])).address;
+		args.curveParams = encodeCurveParams(params.curve, params.curveParams);
+	}
+	return args;
+}
+
+/**
+ * @dev Returns the hardhat-deploy function deploying the timelock of `type` configured
+ * for the network, tagged with its contract name and {TIMELOCKS_TAG}.
+ */
+function deployTimelockFunction(type) {
+	const contractName = TIMELOCK_CONTRACTS[type];
+	if (contractName === undefined) {
+		throw new Error(`Unknown timelock type: ${type}`);
+	}
+
+	const deployFunction = async (hre) => {
+		const { ethers, deployments, getNamedAccounts, network } = hre;
+		const params = getDeployParams(network.name).timelocks[type];
+		if (params === undefined) {
+			deployments.log(`No ${type} timelock configured for ${network.name}, skipping ${contractName}`);
+			return;
+		}
+
+		const { deployer, nftLocker } = await getNamedAccounts();
+		const constructorArgs = getConstructorArgs(type, await getTimelockArgs(hre, type, params));
+		// The overrides carrying the deposit come last, except for basic timelocks which take no deposit.
+		const value = type === "basic" ? undefined : constructorArgs.pop().value;
+
+		const result = await deployments.deploy(contractName, {
+			from: deployer,
+			args: constructorArgs,
+			value,
+			log: true,
+		});
+
+		if (result.newlyDeployed && params.lock) {
+			const timelock = await ethers.getContractAt(contractName, result.address);
+			await lockNft(hre, timelock, await ethers.getSigner(nftLocker));
+		}
+	};
+	deployFunction.tags = [contractName, TIMELOCKS_TAG];
+	deployFunction.dependencies = type === "curve" || type === "receipt" ? ["BasicNft", "VestingCurves"] : ["BasicNft"];
+	return deployFunction;
+}
+
+module.exports = {
+	TIMELOCKS_TAG,
+	getTimelockArgs,
+	deployTimelockFunction,
+};
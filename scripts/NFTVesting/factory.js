@@ -0,0 +1,135 @@
+const { ethers } = require("ethers");
+const { TIMELOCK_CONTRACTS, getConstructorArgs } = require("./timelocks");
+
+// Helpers to deploy timelocks through NftTimelockFactory and to predict their CREATE2 address.
+
+// Index of each timelock type in the `NftTimelockFactory.TimelockType` enum.
+// The factory deploys these types only, not the milestone, curve, receipt nor ERC20 timelocks.
+const TIMELOCK_TYPES = {
+	basic: 0,
+	linear: 1,
+	interval: 2,
+	convex: 3,
+	concave: 4,
+	logistic: 5,
+};
+
+// Factory function deploying each timelock type
+const CREATE_FUNCTIONS = {
+	basic: "createBasicTimelock",
+	linear: "createLinearTimelock",
+	interval: "createIntervalTimelock",
+	convex: "createConvexTimelock",
+	concave: "createConcaveTimelock",
+	logistic: "createLogisticTimelock",
+};
+
+// Libraries holding the creation code of each timelock, linked into the factory
+const DEPLOYER_LIBRARIES = [
+	"BasicNftTimelockDeployer",
+	"LinearVestingNftTimeLockDeployer",
+	"IntervalVestingNftTimeLockDeployer",
+	"ConvexVestingNftTimeLockDeployer",
+	"ConcaveVestingNftTimeLockDeployer",
+	"LogisticVestingNftTimeLockDeployer",
+];
+
+/**
+ * @dev Deploys the deployer libraries and an NftTimelockFactory linked to them from `signer`.
+ */
+async function deployFactory(hre, signer) {
+	const libraries = {};
+	for (const name of DEPLOYER_LIBRARIES) {
+		const library = await (await hre.ethers.getContractFactory(name, signer)).deploy();
+		await library.deployed();
+		libraries[name] = library.address;
+	}
+
+	const factory = await hre.ethers.getContractFactory("NftTimelockFactory", { signer, libraries });
+	const timelockFactory = await factory.deploy();
+	await timelockFactory.deployed();
+	return timelockFactory;
+}
+
+/**
+ * @dev Mirrors `NftTimelockFactory._creatorSalt`, binding the salt to the account creating the timelock.
+ */
+function creatorSalt(creator, salt) {
+	return ethers.utils.solidityKeccak256(["address", "bytes32"], [creator, salt]);
+}
+
+/**
+ * @dev Returns the creation code of a timelock of `args.type` followed by its constructor arguments.
+ */
+async function getInitCode(hre, args) {
+	const contractName = TIMELOCK_CONTRACTS[args.type];
+	if (contractName === undefined) {
+		throw new Error(`Unknown timelock type: ${args.type}`);
+	}
+
+	const factory = await hre.ethers.getContractFactory(contractName);
+	// The deposit is sent with the deployment and is not part of the init code.
+	const constructorArgs = getConstructorArgs(args.type, { deposit: 0, ...args });
+	return factory.getDeployTransaction(...constructorArgs).data;
+}
+
+/**
+ * @dev Returns the address the factory at `factoryAddress` deploys the timelock
+ * described by `args` to, when created by `creator` with `salt`.
+ */
+async function predictTimelockAddress(hre, factoryAddress, creator, args, salt) {
+	const initCode = await getInitCode(hre, args);
+	return ethers.utils.getCreate2Address(
+		factoryAddress,
+		creatorSalt(creator, salt),
+		ethers.utils.keccak256(initCode)
+	);
+}
+
+/**
+ * @dev Approves the factory for the NFT if needed, then deploys the timelock described
+ * by `args` from `signer`, who must own the NFT. Returns the address of the timelock.
+ */
+async function createTimelock(hre, factory, args, salt, signer) {
+	const createFunction = CREATE_FUNCTIONS[args.type];
+	if (createFunction === undefined) {
+		throw new Error(
+			`NftTimelockFactory cannot deploy ${args.type} timelocks, only ${Object.keys(CREATE_FUNCTIONS).join("|")}`
+		);
+	}
+
+	const nft = await hre.ethers.getContractAt(
+		"contracts/NFTVesting/IERC721.sol:IERC721",
+		args.nft,
+		signer
+	);
+	const approved =
+		(await nft.getApproved(args.tokenId)) === factory.address ||
+		(await nft.isApprovedForAll(signer.address, factory.address));
+	if (!approved) {
+		await (await nft.approve(factory.address, args.tokenId)).wait();
+	}
+
+	const constructorArgs = getConstructorArgs(args.type, args);
+	if (args.type === "basic") {
+		constructorArgs.push(salt);
+	} else {
+		// The factory takes the salt last, before the overrides carrying the deposit.
+		constructorArgs.splice(constructorArgs.length - 1, 0, salt);
+	}
+
+	const tx = await factory.connect(signer)[createFunction](...constructorArgs);
+	const receipt = await tx.wait();
+	const event = receipt.events.find((e) => e.event === "TimelockCreated");
+	return event.args.timelock;
+}
+
+module.exports = {
+	TIMELOCK_TYPES,
+	DEPLOYER_LIBRARIES,
+	deployFactory,
+	creatorSalt,
+	getInitCode,
+	predictTimelockAddress,
+	createTimelock,
+};
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+// Replays the events of the NFTVesting timelocks and vaults from a node into a JSON store,
+// and answers queries such as "all releases for a beneficiary" from that store.
+//
+// The store is a plain object, saved as JSON:
+// { lastBlock, events: [{ event, address, blockNumber, timestamp, transactionHash, logIndex, args }] }
+// Amounts and token IDs in `args` are decimal strings.
+
+// Events emitted by the timelocks
+const TIMELOCK_EVENTS = [
+	"event Released(address indexed nftLocker, address indexed beneficiary, uint256 indexed tokenId, uint256 discount, uint256 remaining)",
+	"event Cancelled(address indexed nftLocker, address indexed beneficiary, uint256 indexed tokenId, uint256 discount, uint256 remaining)",
+	"event CancellationApproved(address indexed party)",
+	"event CancellationRevoked(address indexed party)",
+	"event DiscountClaimed(address indexed nftLocker, uint256 amount)",
+	"event Locked(address indexed operator, address indexed from, uint256 tokenId)",
+	"event EthReceived(address indexed sender, uint256 amount)",
+	"event Funded(address indexed funder, uint256 amount)",
+	"event FundingTransferred(address indexed from, address indexed to, uint256 amount)",
+	"event StraySwept(address indexed beneficiary, uint256 amount)",
+	"event StrayRefunded(address indexed sender, uint256 amount)",
+];
+
+// Events emitted by the NftVestingVault, whose positions are identified by `positionId`
+const VAULT_EVENTS = [
+	"event PositionCreated(uint256 indexed positionId, address indexed nft, uint256 tokenId, address nftLocker, address indexed beneficiary, uint256 deposit)",
+	"event PositionReleased(uint256 indexed positionId, uint256 discount, uint256 remaining)",
+];
+
+const timelockInterface = new ethers.utils.Interface([...TIMELOCK_EVENTS, ...VAULT_EVENTS]);
+
+/**
+ * @dev Returns an empty store, replaying from block 0.
+ */
+function createStore() {
+	return { lastBlock: -1, events: [] };
+}
+
+/**
+ * @dev Reads the store at `path`, or returns an empty store if the file does not exist.
+ */
+function loadStore(path) {
+	if (!fs.existsSync(path)) {
+		return createStore();
+	}
+	return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+function saveStore(path, store) {
+	fs.writeFileSync(path, JSON.stringify(store, null, 2));
+}
+
+function toPlainArgs(event) {
+	const args = {};
+	for (const input of event.eventFragment.inputs) {
+		const value = event.args[input.name];
+		args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+	}
+	return args;
+}
+
+/**
+ * @dev Replays the timelock and vault events from the block after `store.lastBlock` up to `toBlock`
+ * (the latest block by default) into `store`, and returns the events added.
+ *
+ * `addresses` restricts the replay to those timelocks and vaults. Otherwise any contract
+ * emitting an event with the same signature is indexed.
+ */
+async function syncStore(provider, store, { addresses, toBlock } = {}) {
+	const fromBlock = store.lastBlock + 1;
+	const lastBlock = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+	if (fromBlock > lastBlock) {
+		return [];
+	}
+
+	const topics = [Object.values(timelockInterface.events).map((e) => timelockInterface.getEventTopic(e))];
+	const filters = addresses === undefined ? [{}] : addresses.map((address) => ({ address }));
+
+	let logs = [];
+	for (const filter of filters) {
+		logs = logs.concat(await provider.getLogs({ ...filter, topics, fromBlock, toBlock: lastBlock }));
+	}
+	logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+	const timestamps = {};
+	const added = [];
+	for (const log of logs) {
+		let event;
+		try {
+			event = timelockInterface.parseLog(log);
+		} catch (e) {
+			// Same topic but different indexed parameters, not a timelock or vault event.
+			continue;
+		}
+
+		if (timestamps[log.blockNumber] === undefined) {
+			timestamps[log.blockNumber] = (await provider.getBlock(log.blockNumber)).timestamp;
+		}
+
+		added.push({
+			event: event.name,
+			address: log.address,
+			blockNumber: log.blockNumber,
+			timestamp: timestamps[log.blockNumber],
+			transactionHash: log.transactionHash,
+			logIndex: log.logIndex,
+			args: toPlainArgs(event),
+		});
+	}
+
+	store.events.push(...added);
+	store.lastBlock = lastBlock;
+	return added;
+}
+
+/**
+ * @dev Returns the events of `store` matching every field of `filter`.
+ * `event`, `address`, `fromBlock` and `toBlock` match the event itself,
+ * any other field matches an argument of the event. Undefined fields match anything,
+ * and addresses are compared case-insensitively.
+ */
+function queryEvents(store, filter = {}) {
+	const { event, address, fromBlock, toBlock, ...args } = filter;
+	const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+	return store.events.filter(
+		(e) =>
+			(event === undefined || e.event === event) &&
+			(address === undefined || same(e.address, address)) &&
+			(fromBlock === undefined || e.blockNumber >= fromBlock) &&
+			(toBlock === undefined || e.blockNumber <= toBlock) &&
+			Object.entries(args).every(
+				([name, value]) => value === undefined || (e.args[name] !== undefined && same(e.args[name], value))
+			)
+	);
+}
+
+/**
+ * @dev Returns all timelock releases paying out to `beneficiary`.
+ */
+function releasesForBeneficiary(store, beneficiary) {
+	return queryEvents(store, { event: "Released", beneficiary });
+}
+
+/**
+ * @dev Returns the discount paid to `nftLocker`, in wei, through the claims, releases and cancellations
+ * of the timelocks and the releases of the vault positions it created.
+ *
+ * A `PositionReleased` event does not name the NFT locker, so it is matched to the
+ * `PositionCreated` event of the same vault and position ID.
+ */
+function discountPaidTo(store, nftLocker) {
+	const claims = queryEvents(store, { event: "DiscountClaimed", nftLocker });
+	const releases = queryEvents(store, { event: "Released", nftLocker });
+	const cancellations = queryEvents(store, { event: "Cancelled", nftLocker });
+	const positionReleases = queryEvents(store, { event: "PositionCreated", nftLocker }).flatMap((created) =>
+		queryEvents(store, {
+			event: "PositionReleased",
+			address: created.address,
+			positionId: created.args.positionId,
+		})
+	);
+	return [
+		...claims.map((e) => e.args.amount),
+		...[...releases, ...cancellations, ...positionReleases].map((e) => e.args.discount),
+	].reduce((total, amount) => total.add(amount), ethers.constants.Zero);
+}
+
+/**
+ * @dev Returns the events of the timelock at `address`, in order.
+ */
+function timelockHistory(store, address) {
+	return queryEvents(store, { address });
+}
+
+module.exports = {
+	TIMELOCK_EVENTS,
+	VAULT_EVENTS,
+	createStore,
+	loadStore,
+	saveStore,
+	syncStore,
+	queryEvents,
+	releasesForBeneficiary,
+	discountPaidTo,
+	timelockHistory,
+};
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const {
+	getTimelock,
+	getTimelockStatus,
+	releaseTimelock,
+	getReleasePayouts,
+	getSettlementEvent,
+} = require("../timelocks");
+const { TIMELOCK_TYPES } = require("../factory");
+const { VESTING_HORIZON, vestedAmountOf, isRevert } = require("../report/statusReport");
+
+// Keeper releasing the NFTVesting timelocks once their release policy is met,
+// so that NFTs do not sit in a timelock until someone remembers to call `release()`.
+//
+// The keeper watches a list of timelocks, and the timelocks created by factories
+// through their `TimelockCreated` events. Each run of `runKeeper` checks every
+// timelock still watched and releases those that are ready. Its progress is kept
+// in a state object, saved as JSON between runs:
+// { factories: { [address]: lastBlock }, timelocks: { [address]: entry } }
+// where each entry is
+// { type, state, attempts, nextAttemptAt, lastError, releaseTransaction }.
+//
+// Timelocks are `watching` until released, by the keeper or anyone else, or cancelled.
+// A failed release is retried with an exponential backoff, and the timelock is
+// `failed` and no longer retried after `maxAttempts` failures. A timelock whose
+// `getDiscount()` reverts is `unreleasable`, as `release()` would revert too, and is
+// only checked again for a cancellation.
+
+// Timelock type by index of the `NftTimelockFactory.TimelockType` enum
+const FACTORY_TYPES = Object.fromEntries(Object.entries(TIMELOCK_TYPES).map(([type, index]) => [index, type]));
+
+const TIMELOCK_CREATED =
+	"event TimelockCreated(address indexed timelock, uint8 indexed timelockType, address indexed creator, address nft, uint256 tokenId, address nftLocker, address beneficiary, uint256 startTime, uint256 deposit, bytes curveParams, bytes32 salt)";
+
+// States a timelock is no longer checked in
+const FINAL_STATES = ["released", "cancelled", "failed"];
+
+const DEFAULT_OPTIONS = {
+	policy: "start",
+	dryRun: false,
+	// Seconds before the first retry, doubled on each failure up to `maxBackoff`
+	backoff: 60,
+	maxBackoff: 60 * 60,
+	maxAttempts: 10,
+	now: () => Math.floor(Date.now() / 1000),
+};
+
+function startTime(status) {
+	return status.type === "basic" ? status.releaseTime : status.vestingStartTime;
+}
+
+// Whether a timelock is ready to be released, from its status at the latest block
+const RELEASE_POLICIES = {
+	// As soon as the release time, or vesting start time, is reached
+	start: async (hre, timelock, status) => status.timestamp >= startTime(status),
+	// Once the discount stops growing, so the NFT locker gets the maximum discount. It can stay
+	// below the deposit, as interval curves round the discount of each interval down.
+	"max-discount": async (hre, timelock, status) => {
+		if (status.type === "basic") {
+			return status.timestamp >= startTime(status);
+		}
+		const deposit = BigInt((await timelock.totalDeposit()).toString());
+		try {
+			const maxDiscount = await vestedAmountOf(hre, status.type, status, deposit)(VESTING_HORIZON);
+			return BigInt(status.discount) >= maxDiscount;
+		} catch (e) {
+			if (!isRevert(e)) {
+				throw e;
+			}
+			// The curve reverts later on, and so would the release, so release while it still can be.
+			return true;
+		}
+	},
+};
+
+/**
+ * @dev Returns an empty state, watching no timelock.
+ */
+function createState() {
+	return { factories: {}, timelocks: {} };
+}
+
+/**
+ * @dev Reads the state at `path`, or returns an empty state if the file does not exist.
+ */
+function loadState(path) {
+	if (!fs.existsSync(path)) {
+		return createState();
+	}
+	return JSON.parse(fs.readFileSync(path, "utf8"));
+}
+
+function saveState(path, state) {
+	fs.writeFileSync(path, JSON.stringify(state, null, 2));
+}
+
+/**
+ * @dev Starts watching the timelocks at `addresses`, keeping the entries of those already watched.
+ * `type` skips the detection of the timelock type on the first run.
+ */
+function watchTimelocks(state, addresses, type = null) {
+	for (const address of addresses) {
+		if (state.timelocks[address] === undefined) {
+			state.timelocks[address] = {
+				type,
+				state: "watching",
+				attempts: 0,
+				nextAttemptAt: 0,
+				lastError: null,
+				releaseTransaction: null,
+			};
+		}
+	}
+}
+
+/**
+ * @dev Watches the timelocks created by the factory at `factoryAddress` since the last sync,
+ * and returns their addresses.
+ */
+async function syncFactory(hre, state, factoryAddress) {
+	const { ethers } = hre;
+	const fromBlock = (state.factories[factoryAddress] === undefined ? -1 : state.factories[factoryAddress]) + 1;
+	const toBlock = await ethers.provider.getBlockNumber();
+	if (fromBlock > toBlock) {
+		return [];
+	}
+
+	const factory = new ethers.Contract(factoryAddress, [TIMELOCK_CREATED], ethers.provider);
+	const events = await factory.queryFilter(factory.filters.TimelockCreated(), fromBlock, toBlock);
+	for (const event of events) {
+		watchTimelocks(state, [event.args.timelock], FACTORY_TYPES[event.args.timelockType]);
+	}
+
+	state.factories[factoryAddress] = toBlock;
+	return events.map((event) => event.args.timelock);
+}
+
+function backoffDelay(attempts, options) {
+	return Math.min(options.backoff * 2 ** (attempts - 1), options.maxBackoff);
+}
+
+/**
+ * @dev Checks a watched timelock and releases it from `signer` if its policy is met.
+ * Returns what was done as `{ address, action, ... }`.
+ */
+async function keepTimelock(hre, address, entry, signer, options) {
+	const { type, timelock } = await getTimelock(hre, address, entry.type || undefined);
+	entry.type = type;
+	const status = await getTimelockStatus(hre, timelock, type);
+
+	if (status.cancelled) {
+		entry.state = "cancelled";
+		return { address, action: "cancelled" };
+	}
+	if (!status.nftHeld) {
+		// Not cancelled, so a settlement can only be a release
+		const released = await getSettlementEvent(timelock);
+		if (released === undefined) {
+			return { address, action: "waiting", reason: "NFT not locked" };
+		}
+		entry.state = "released";
+		entry.releaseTransaction = released.transactionHash;
+		return { address, action: "released-elsewhere", transaction: released.transactionHash };
+	}
+	if (status.discount === null) {
+		entry.state = "unreleasable";
+		entry.lastError = "getDiscount() reverts, so release() would revert too";
+		return { address, action: "unreleasable", reason: entry.lastError };
+	}
+
+	if (!(await RELEASE_POLICIES[options.policy](hre, timelock, status))) {
+		return { address, action: "waiting", reason: `${options.policy} policy not met` };
+	}
+	const now = options.now();
+	if (now < entry.nextAttemptAt) {
+		return { address, action: "backoff", nextAttemptAt: entry.nextAttemptAt };
+	}
+	if (options.dryRun) {
+		return { address, action: "would-release", discount: status.discount === undefined ? null : status.discount };
+	}
+
+	try {
+		const receipt = await releaseTimelock(timelock, signer);
+		entry.state = "released";
+		entry.releaseTransaction = receipt.transactionHash;
+		entry.lastError = null;
+		const payouts = type === "basic" ? {} : getReleasePayouts(timelock, receipt);
+		return { address, action: "released", transaction: receipt.transactionHash, ...payouts };
+	} catch (e) {
+		entry.attempts += 1;
+		entry.lastError = e.reason || e.message;
+		if (entry.attempts >= options.maxAttempts) {
+			entry.state = "failed";
+			return { address, action: "failed", error: entry.lastError, attempts: entry.attempts };
+		}
+		entry.nextAttemptAt = now + backoffDelay(entry.attempts, options);
+		return {
+			address,
+			action: "retrying",
+			error: entry.lastError,
+			attempts: entry.attempts,
+			nextAttemptAt: entry.nextAttemptAt,
+		};
+	}
+}
+
+/**
+ * @dev Runs the keeper once over the timelocks watched in `state`, after watching the
+ * timelocks created by `options.factories` since the last run. Releases the timelocks
+ * meeting `options.policy` from `signer`, and returns what was done for each timelock.
+ *
+ * With `options.dryRun`, no transaction is sent and the timelocks that would be
+ * released are reported as `would-release`. `options.now` returns the current
+ * Unix time the backoff is measured against.
+ */
+async function runKeeper(hre, state, signer, options = {}) {
+	const keeperOptions = { ...DEFAULT_OPTIONS, ...options };
+	if (RELEASE_POLICIES[keeperOptions.policy] === undefined) {
+		throw new Error(
+			`Unknown release policy: ${keeperOptions.policy}, expected one of ${Object.keys(RELEASE_POLICIES).join("|")}`
+		);
+	}
+
+	for (const factory of keeperOptions.factories || []) {
+		await syncFactory(hre, state, factory);
+	}
+
+	const actions = [];
+	for (const [address, entry] of Object.entries(state.timelocks)) {
+		if (FINAL_STATES.includes(entry.state)) {
+			continue;
+		}
+		try {
+			actions.push(await keepTimelock(hre, address, entry, signer, keeperOptions));
+		} catch (e) {
+			// The timelock could not be read, it is checked again on the next run.
+			actions.push({ address, action: "error", error: e.message });
+		}
+	}
+	return actions;
+}
+
+module.exports = {
+	RELEASE_POLICIES,
+	DEFAULT_OPTIONS,
+	createState,
+	loadState,
+	saveState,
+	watchTimelocks,
+	syncFactory,
+	runKeeper,
+};
@@ -0,0 +1,118 @@
+// Builds the milestone schedule of the milestone vesting timelocks from a
+// human-readable schedule such as "1mo:10%,3mo:40%,12mo:100%".
+//
+// Each milestone is `<duration>:<percent>`, where the duration is counted from
+// the vesting start time and the percent is the share of the deposit vested in
+// total by then. Durations are a number followed by one of the units below,
+// and percents take up to two decimals, e.g. "12.5%".
+
+// Basis points vesting the whole deposit, mirrors `MilestoneCurve.MAX_BPS`
+const MAX_BPS = 10000;
+
+const DAY = 24 * 60 * 60;
+
+// Seconds per duration unit. Months are 30 days and years 365 days.
+const DURATION_UNITS = {
+	s: 1,
+	m: 60,
+	h: 60 * 60,
+	d: DAY,
+	w: 7 * DAY,
+	mo: 30 * DAY,
+	y: 365 * DAY,
+};
+
+/**
+ * @dev Returns the seconds of a duration such as "90d" or "3mo". A bare number is in seconds.
+ */
+function parseDuration(duration) {
+	const match = /^(\d+)\s*([a-z]*)$/.exec(duration.trim());
+	if (match === null) {
+		throw new Error(`Invalid milestone duration: ${duration}`);
+	}
+
+	const unit = DURATION_UNITS[match[2] || "s"];
+	if (unit === undefined) {
+		throw new Error(
+			`Unknown duration unit in ${duration}, expected one of ${Object.keys(DURATION_UNITS).join("|")}`
+		);
+	}
+	return parseInt(match[1], 10) * unit;
+}
+
+/**
+ * @dev Returns the basis points of a percent such as "40%" or "12.5%".
+ */
+function parsePercent(percent) {
+	const match = /^(\d+)(?:\.(\d{1,2}))?\s*%$/.exec(percent.trim());
+	if (match === null) {
+		throw new Error(`Invalid milestone percent: ${percent}`);
+	}
+	return parseInt(match[1], 10) * 100 + parseInt((match[2] || "0").padEnd(2, "0"), 10);
+}
+
+/**
+ * @dev Throws unless `milestones` would pass `MilestoneCurve.validate`.
+ */
+function validateMilestones(milestones) {
+	if (milestones.length === 0) {
+		throw new Error("Milestone schedule is empty");
+	}
+
+	milestones.forEach((milestone, i) => {
+		if (i === 0) {
+			return;
+		}
+		if (milestone.time <= milestones[i - 1].time) {
+			throw new Error(`Milestone ${i + 1} is not after milestone ${i}`);
+		}
+		if (milestone.cumulativeBps <= milestones[i - 1].cumulativeBps) {
+			throw new Error(`Milestone ${i + 1} does not vest more than milestone ${i}`);
+		}
+	});
+
+	if (milestones[milestones.length - 1].cumulativeBps !== MAX_BPS) {
+		throw new Error("Last milestone should vest 100%");
+	}
+}
+
+/**
+ * @dev Parses a schedule such as "1mo:10%,3mo:40%,12mo:100%" into the
+ * `MilestoneCurve.Milestone[]` constructor argument of `MilestoneVestingNftTimeLock`,
+ * as `{ time, cumulativeBps }` objects. Throws where the contract would revert.
+ */
+function parseMilestoneSchedule(schedule) {
+	const milestones = schedule
+		.split(",")
+		.filter((milestone) => milestone.trim().length > 0)
+		.map((milestone) => {
+			const parts = milestone.split(":");
+			if (parts.length !== 2) {
+				throw new Error(`Invalid milestone ${milestone.trim()}, expected <duration>:<percent>`);
+			}
+			return { time: parseDuration(parts[0]), cumulativeBps: parsePercent(parts[1]) };
+		});
+
+	validateMilestones(milestones);
+	return milestones;
+}
+
+/**
+ * @dev Returns the milestones returned by `milestones()` on-chain as `{ time, cumulativeBps }` numbers.
+ */
+function toMilestones(milestones) {
+	return milestones.map(({ time, cumulativeBps }) => ({
+		time: Number(time.toString()),
+		cumulativeBps: Number(cumulativeBps.toString()),
+	}));
+}
+
+module.exports = {
+	MAX_BPS,
+	DURATION_UNITS,
+	parseDuration,
+	parsePercent,
+	validateMilestones,
+	parseMilestoneSchedule,
+	toMilestones,
+};
@@ -0,0 +1,323 @@
+const { ethers } = require("ethers");
+const { vestingTypeOf, getTimelock, getTimelockStatus, getSettlementEvent } = require("../timelocks");
+const { getDiscount, SimulatedRevert } = require("../simulator/discountCurve");
+
+// Builds a report of the vesting status of a set of timelocks, detecting the type
+// of each one, and formats it as Markdown, CSV or JSON.
+//
+// Each row is a plain object, with amounts in wei (or token units) as decimal strings
+// and times in seconds. Values that do not apply to a timelock type are null, and so are
+// the values that cannot be computed because the timelock reverts, with the reason in `error`.
+
+const DAY = 24 * 60 * 60;
+
+// Vesting is assumed never to complete past this many seconds after the vesting start time
+const VESTING_HORIZON = 100 * 365 * DAY;
+
+// Columns of the report, in order, with their Markdown headers
+const COLUMNS = [
+	["address", "Timelock"],
+	["type", "Type"],
+	["nft", "NFT"],
+	["currency", "Currency"],
+	["deposit", "Deposit"],
+	["discount", "Discount"],
+	["claimed", "Claimed"],
+	["percentVested", "Vested"],
+	["vestedDuration", "Vested for"],
+	["currentInterval", "Interval"],
+	["intervalsLeft", "Intervals left"],
+	["timeToNextInterval", "Next interval in"],
+	["timeToFullVesting", "Fully vested in"],
+	["error", "Error"],
+];
+
+const AMOUNT_COLUMNS = ["deposit", "discount", "claimed"];
+const DURATION_COLUMNS = ["vestedDuration", "timeToNextInterval", "timeToFullVesting"];
+
+const IERC20_METADATA = "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol:IERC20Metadata";
+
+/**
+ * @dev Returns the symbol and decimals of the deposit of a vesting timelock,
+ * its ERC20 discount token or ETH.
+ */
+async function getCurrency(hre, status) {
+	if (status.discountToken === undefined) {
+		return { currency: "ETH", decimals: 18 };
+	}
+	const token = await hre.ethers.getContractAt(IERC20_METADATA, status.discountToken);
+	return { currency: await token.symbol(), decimals: await token.decimals() };
+}
+
+/**
+ * @dev Returns the state of the NFT of a timelock: Locked, Released, Cancelled or Not locked.
+ */
+async function getNftState(timelock, status) {
+	if (status.cancelled) {
+		return "Cancelled";
+	}
+	if (status.nftHeld) {
+		return "Locked";
+	}
+	return (await getSettlementEvent(timelock)) === undefined ? "Not locked" : "Released";
+}
+
+/**
+ * @dev Returns a function resolving to the discount vested `elapsed` seconds after the vesting start time,
+ * capped at `deposit` as `getDiscount()` does. It rejects where the contract would revert,
+ * with a {SimulatedRevert} or the call exception of the curve contract.
+ */
+function vestedAmountOf(hre, type, status, deposit) {
+	const vestingType = vestingTypeOf(type);
+	if (vestingType === "curve" || vestingType === "receipt") {
+		const curve = new hre.ethers.Contract(
+			status.curve,
+			["function vestedAmount(uint256 elapsed, uint256 total, bytes params) view returns (uint256)"],
+			hre.ethers.provider
+		);
+		return async (elapsed) => {
+			const vested = BigInt((await curve.vestedAmount(elapsed, deposit, status.curveParams)).toString());
+			return vested > deposit ? deposit : vested;
+		};
+	}
+
+	const params = { ...status, vestingStartTime: 0 };
+	return async (elapsed) => getDiscount(vestingType, params, deposit, elapsed);
+}
+
+/**
+ * @dev Returns the seconds after the vesting start time at which the discount stops growing,
+ * by bisecting the vesting curve, or null if it still grows past {VESTING_HORIZON}.
+ */
+async function fullVestingDuration(vestedAt) {
+	const full = await vestedAt(VESTING_HORIZON);
+	if (full === 0n || (await vestedAt(VESTING_HORIZON - 1)) !== full) {
+		return null;
+	}
+
+	let low = 0;
+	let high = VESTING_HORIZON;
+	while (low < high) {
+		const middle = Math.floor((low + high) / 2);
+		if ((await vestedAt(middle)) >= full) {
+			high = middle;
+		} else {
+			low = middle + 1;
+		}
+	}
+	return low;
+}
+
+/**
+ * @dev Returns the seconds after the vesting start time at which the next interval,
+ * or milestone, starts, or null once the last one has started or for other timelock types.
+ */
+function nextIntervalStart(type, status) {
+	const vestingType = vestingTypeOf(type);
+	if (vestingType === "interval") {
+		const interval = Number(status.currentInterval);
+		if (interval >= Number(status.maxIntervals)) {
+			return null;
+		}
+		// The first interval starts at the vesting start time.
+		return interval * Number(status.intervalDuration);
+	}
+	if (vestingType === "milestone") {
+		const next = status.milestones[Number(status.currentInterval)];
+		return next === undefined ? null : next.time;
+	}
+	return null;
+}
+
+/**
+ * @dev Returns whether `error` is a revert of the timelock or its curve, simulated or on-chain.
+ */
+function isRevert(error) {
+	return error instanceof SimulatedRevert || error.code === "CALL_EXCEPTION";
+}
+
+function untilStart(start, offset, timestamp) {
+	return offset === null ? null : Math.max(start + offset - timestamp, 0);
+}
+
+/**
+ * @dev Returns the report row of the timelock at `address`, detecting its type unless `type` is given.
+ */
+async function getReportRow(hre, address, type) {
+	const { type: timelockType, timelock } = await getTimelock(hre, address, type);
+	const status = await getTimelockStatus(hre, timelock, timelockType);
+	const row = Object.fromEntries(COLUMNS.map(([column]) => [column, null]));
+	Object.assign(row, { address, type: timelockType, nft: await getNftState(timelock, status) });
+
+	if (timelockType === "basic") {
+		// The NFT is fully vested once it can be released.
+		if (row.nft === "Locked" || row.nft === "Not locked") {
+			row.timeToFullVesting = Math.max(status.releaseTime - status.timestamp, 0);
+		}
+		return row;
+	}
+
+	Object.assign(row, await getCurrency(hre, status));
+	const claimed = BigInt(status.claimed);
+	const settlement = row.nft === "Released" || row.nft === "Cancelled" ? await getSettlementEvent(timelock) : undefined;
+
+	let deposit;
+	let discount;
+	if (settlement !== undefined) {
+		// Settling pays the discount left to the NFT locker, adding it to the claimed discount,
+		// and the remaining to the beneficiary.
+		deposit = claimed + BigInt(settlement.args.remaining.toString());
+		discount = claimed;
+	} else {
+		deposit = BigInt((await timelock.totalDeposit()).toString());
+		if (status.discount === null) {
+			// getDiscount() reverts, so the discount cannot be released nor reported.
+			Object.assign(row, { deposit: deposit.toString(), claimed: claimed.toString(), error: "discount unavailable" });
+			return row;
+		}
+		discount = BigInt(status.discount);
+	}
+	Object.assign(row, {
+		deposit: deposit.toString(),
+		discount: discount.toString(),
+		claimed: claimed.toString(),
+		percentVested: deposit === 0n ? "0.00" : formatBps((discount * 10000n) / deposit),
+	});
+	if (settlement !== undefined) {
+		return row;
+	}
+
+	row.vestedDuration = Number((await timelock.vestedDuration()).toString());
+	if (status.currentInterval !== undefined) {
+		row.currentInterval = Number(status.currentInterval);
+		row.intervalsLeft = Number(status.intervalsLeft);
+	}
+	row.timeToNextInterval = untilStart(
+		status.vestingStartTime,
+		nextIntervalStart(timelockType, status),
+		status.timestamp
+	);
+	try {
+		row.timeToFullVesting = untilStart(
+			status.vestingStartTime,
+			await fullVestingDuration(vestedAmountOf(hre, timelockType, status, deposit)),
+			status.timestamp
+		);
+	} catch (e) {
+		if (!isRevert(e)) {
+			throw e;
+		}
+		row.error = "vesting curve reverts";
+	}
+	return row;
+}
+
+/**
+ * @dev Returns the report rows of the timelocks at `addresses`, in order.
+ */
+async function buildReport(hre, addresses) {
+	const rows = [];
+	for (const address of addresses) {
+		rows.push(await getReportRow(hre, address));
+	}
+	return rows;
+}
+
+function formatBps(bps) {
+	return `${bps / 100n}.${(bps % 100n).toString().padStart(2, "0")}`;
+}
+
+/**
+ * @dev Formats seconds as a duration such as "2d 3h 0m 5s".
+ */
+function formatDuration(seconds) {
+	const parts = [];
+	let rest = seconds;
+	for (const [unit, length] of [["d", DAY], ["h", 60 * 60], ["m", 60]]) {
+		if (parts.length > 0 || rest >= length) {
+			parts.push(`${Math.floor(rest / length)}${unit}`);
+			rest %= length;
+		}
+	}
+	parts.push(`${rest}s`);
+	return parts.join(" ");
+}
+
+function formatMarkdownCell(row, column) {
+	const value = row[column];
+	if (value === null) {
+		return "-";
+	}
+	if (AMOUNT_COLUMNS.includes(column)) {
+		return `${ethers.utils.formatUnits(value, row.decimals)} ${row.currency}`;
+	}
+	if (DURATION_COLUMNS.includes(column)) {
+		return formatDuration(value);
+	}
+	if (column === "percentVested") {
+		return `${value}%`;
+	}
+	return value.toString();
+}
+
+/**
+ * @dev Formats report rows as a Markdown table, with amounts in ETH or token units and readable durations.
+ */
+function toMarkdown(rows) {
+	const lines = [
+		`| ${COLUMNS.map(([, header]) => header).join(" | ")} |`,
+		`| ${COLUMNS.map(() => "---").join(" | ")} |`,
+	];
+	for (const row of rows) {
+		lines.push(`| ${COLUMNS.map(([column]) => formatMarkdownCell(row, column)).join(" | ")} |`);
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * @dev Formats report rows as CSV, with amounts in wei or token units and durations in seconds.
+ */
+function toCsv(rows) {
+	const columns = [...COLUMNS.map(([column]) => column), "decimals"];
+	const lines = [columns.join(",")];
+	for (const row of rows) {
+		lines.push(columns.map((column) => (row[column] === null || row[column] === undefined ? "" : row[column])).join(","));
+	}
+	return lines.join("\n") + "\n";
+}
+
+function toJson(rows) {
+	return JSON.stringify(rows, null, 2);
+}
+
+// Report formatters by format name
+const REPORT_FORMATS = {
+	markdown: toMarkdown,
+	csv: toCsv,
+	json: toJson,
+};
+
+/**
+ * @dev Formats report rows as `format`, one of {REPORT_FORMATS}.
+ */
+function formatReport(rows, format) {
+	const formatter = REPORT_FORMATS[format];
+	if (formatter === undefined) {
+		throw new Error(`Unknown report format: ${format}, expected one of ${Object.keys(REPORT_FORMATS).join("|")}`);
+	}
+	return formatter(rows);
+}
+
+module.exports = {
+	VESTING_HORIZON,
+	REPORT_FORMATS,
+	vestedAmountOf,
+	isRevert,
+	getReportRow,
+	buildReport,
+	formatDuration,
+	formatReport,
+	toMarkdown,
+	toCsv,
+	toJson,
+};
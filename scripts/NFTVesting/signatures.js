@@ -0,0 +1,78 @@
+// Signs and relays the EIP-712 `Release` messages of the vesting timelocks.
+//
+// The NFT locker or the beneficiary signs a release off-chain with `signRelease`,
+// and any account holding ETH for gas submits it with `relayRelease`. The signed
+// release is plain JSON, so it can be handed over to the relayer as a file.
+
+// EIP-712 domain name and version, mirrors `NftVestingTimelockBase.DOMAIN_SEPARATOR`
+const DOMAIN_NAME = "NftVestingTimelock";
+const DOMAIN_VERSION = "1";
+
+// EIP-712 types of the message, mirrors `NftVestingTimelockBase.RELEASE_TYPEHASH`
+const RELEASE_TYPES = {
+	Release: [
+		{ name: "signer", type: "address" },
+		{ name: "nonce", type: "uint256" },
+		{ name: "deadline", type: "uint256" },
+	],
+};
+
+/**
+ * @dev Returns the EIP-712 domain of the timelock at `address` on `chainId`.
+ */
+function getReleaseDomain(chainId, address) {
+	return {
+		name: DOMAIN_NAME,
+		version: DOMAIN_VERSION,
+		chainId,
+		verifyingContract: address,
+	};
+}
+
+/**
+ * @dev Signs a release of `timelock` with `signer`, the NFT locker or the beneficiary,
+ * valid until the `deadline` Unix timestamp. Uses the current nonce of the signer,
+ * so signing again before the release is relayed does not stack signatures.
+ * Returns `{ timelock, signer, nonce, deadline, signature }` for {relayRelease}.
+ */
+async function signRelease(hre, timelock, signer, deadline) {
+	const { chainId } = await hre.ethers.provider.getNetwork();
+	const message = {
+		signer: signer.address,
+		nonce: (await timelock.nonces(signer.address)).toString(),
+		deadline: deadline.toString(),
+	};
+
+	const signature = await signer._signTypedData(
+		getReleaseDomain(chainId, timelock.address),
+		RELEASE_TYPES,
+		message
+	);
+	return { timelock: timelock.address, ...message, signature };
+}
+
+/**
+ * @dev Submits a release signed with {signRelease} from `relayer`, who pays the gas,
+ * and waits for it to be mined.
+ */
+async function relayRelease(timelock, relayer, signed) {
+	if (signed.timelock.toLowerCase() !== timelock.address.toLowerCase()) {
+		throw new Error(`Release was signed for ${signed.timelock}, not ${timelock.address}`);
+	}
+	const nonce = await timelock.nonces(signed.signer);
+	if (!nonce.eq(signed.nonce)) {
+		throw new Error(`Release was signed with nonce ${signed.nonce}, the signer is at nonce ${nonce}`);
+	}
+
+	const tx = await timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature);
+	return tx.wait();
+}
+
+module.exports = {
+	DOMAIN_NAME,
+	DOMAIN_VERSION,
+	RELEASE_TYPES,
+	getReleaseDomain,
+	signRelease,
+	relayRelease,
+};
@@ -0,0 +1,359 @@
+// Off-chain copy of the `getDiscount()` integer math of the vesting timelocks.
+//
+// Every curve mirrors its contract line by line, including the flooring of
+// `balance / maxDuration` and `balance / maxIntervals`, and the checked
+// arithmetic of Solidity 0.8: where the contract would revert, the simulator
+// throws a `SimulatedRevert` instead of returning a number.
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+// Fixed point 1.0 of the concave and logistic curves
+const ONE = 10n ** 18n;
+
+// Basis points vesting the whole deposit of the milestone curve
+const MAX_BPS = 10000n;
+
+// Solidity panic codes
+const PANIC_ARITHMETIC = 0x11;
+const PANIC_DIVISION_BY_ZERO = 0x12;
+
+/**
+ * @dev Thrown when the on-chain `getDiscount()` call would revert.
+ */
+class SimulatedRevert extends Error {
+	constructor(panicCode, message) {
+		super(message);
+		this.name = "SimulatedRevert";
+		this.panicCode = panicCode;
+	}
+}
+
+/**
+ * @dev Converts numbers, numeric strings and ethers BigNumbers to BigInt.
+ */
+function toBigInt(value) {
+	if (typeof value === "bigint") {
+		return value;
+	}
+	if (typeof value === "number" || typeof value === "string") {
+		return BigInt(value);
+	}
+	return BigInt(value.toString());
+}
+
+function param(params, name) {
+	if (params[name] === undefined || params[name] === null) {
+		throw new Error(`Missing ${name} parameter`);
+	}
+	return toBigInt(params[name]);
+}
+
+function checked(value) {
+	if (value < 0n) {
+		throw new SimulatedRevert(PANIC_ARITHMETIC, "arithmetic underflow");
+	}
+	if (value > MAX_UINT256) {
+		throw new SimulatedRevert(PANIC_ARITHMETIC, "arithmetic overflow");
+	}
+	return value;
+}
+
+function div(a, b) {
+	if (b === 0n) {
+		throw new SimulatedRevert(PANIC_DIVISION_BY_ZERO, "division by zero");
+	}
+	return a / b;
+}
+
+/**
+ * @dev Mirrors OpenZeppelin's `Math.sqrt`, rounding down.
+ */
+function sqrt(value) {
+	if (value < 2n) {
+		return value;
+	}
+	let x = value;
+	let y = (x + 1n) / 2n;
+	while (y < x) {
+		x = y;
+		y = (x + value / x) / 2n;
+	}
+	return x;
+}
+
+/**
+ * @dev Mirrors OpenZeppelin's `Math.mulDiv`, which does not overflow on the intermediate product.
+ */
+function mulDiv(a, b, denominator) {
+	return checked(div(a * b, denominator));
+}
+
+/**
+ * @dev Mirrors {FixedPointMath-fractionOf} of the concave and logistic curves, scaled by 1e18.
+ */
+function vestedFraction(params, timestamp) {
+	const vestingStartTime = param(params, "vestingStartTime");
+	const maxDuration = param(params, "maxDuration");
+
+	const vestedDuration = checked(timestamp - vestingStartTime);
+	if (vestedDuration >= maxDuration) {
+		return ONE;
+	}
+	return mulDiv(vestedDuration, ONE, maxDuration);
+}
+
+/**
+ * @dev Mirrors {LinearVestingNftTimeLock-vestedDuration}. `cliffDuration` is optional.
+ */
+function linearVestedDuration(params, timestamp) {
+	const vestingStartTime = param(params, "vestingStartTime");
+	const cliffDuration = toBigInt(params.cliffDuration || 0);
+
+	if (timestamp < checked(vestingStartTime + cliffDuration)) {
+		return 0n;
+	}
+	return checked(timestamp - vestingStartTime);
+}
+
+/**
+ * @dev Mirrors {LinearVestingNftTimeLock-getDiscount}.
+ */
+function linearDiscount(params, balance, timestamp) {
+	const vestingStartTime = param(params, "vestingStartTime");
+	const maxDuration = param(params, "maxDuration");
+
+	if (timestamp < vestingStartTime) {
+		return 0n;
+	}
+
+	const vestedDuration = linearVestedDuration(params, timestamp);
+	const discount = checked(vestedDuration * div(balance, maxDuration));
+
+	return discount > balance ? balance : discount;
+}
+
+/**
+ * @dev Mirrors {IntervalVestingNftTimeLock-currentInterval}.
+ */
+function currentInterval(params, timestamp) {
+	const vestingStartTime = param(params, "vestingStartTime");
+	const maxIntervals = param(params, "maxIntervals");
+	const intervalDuration = param(params, "intervalDuration");
+
+	if (timestamp < vestingStartTime) {
+		return 0n;
+	}
+
+	const vestedDuration = checked(timestamp - vestingStartTime);
+	const intervals = checked(1n + div(vestedDuration, intervalDuration));
+
+	return intervals > maxIntervals ? maxIntervals : intervals;
+}
+
+/**
+ * @dev Mirrors {IntervalVestingNftTimeLock-getDiscount}.
+ */
+function intervalDiscount(params, balance, timestamp) {
+	const maxIntervals = param(params, "maxIntervals");
+
+	return checked(currentInterval(params, timestamp) * div(balance, maxIntervals));
+}
+
+/**
+ * @dev Mirrors {ConvexVestingNftTimeLock-getDiscount}.
+ */
+function convexDiscount(params, balance, timestamp) {
+	const vestingStartTime = param(params, "vestingStartTime");
+	const growthRate = param(params, "growthRate");
+	const exponent = param(params, "exponent");
+
+	if (timestamp < vestingStartTime) {
+		return 0n;
+	}
+
+	// The curve saturates at the largest uint256 instead of overflowing.
+	const vestedDuration = checked(timestamp - vestingStartTime);
+	const polynomial = growthRate * vestedDuration ** exponent;
+	const discount = polynomial > MAX_UINT256 ? MAX_UINT256 : polynomial;
+
+	return discount > balance ? balance : discount;
+}
+
+/**
+ * @dev Mirrors {ConcaveVestingNftTimeLock-getDiscount}.
+ */
+function concaveDiscount(params, balance, timestamp) {
+	if (timestamp < param(params, "vestingStartTime")) {
+		return 0n;
+	}
+
+	const sqrtFraction = sqrt(vestedFraction(params, timestamp) * ONE);
+	return mulDiv(balance, sqrtFraction, ONE);
+}
+
+function fixedPow(base, exponent) {
+	let result = ONE;
+	for (let i = 0n; i < exponent; i++) {
+		result = (result * base) / ONE;
+	}
+	return result;
+}
+
+/**
+ * @dev Mirrors {LogisticVestingNftTimeLock-getDiscount}.
+ */
+function logisticDiscount(params, balance, timestamp) {
+	const steepness = param(params, "steepness");
+
+	if (timestamp < param(params, "vestingStartTime")) {
+		return 0n;
+	}
+
+	const fraction = vestedFraction(params, timestamp);
+	const vested = fixedPow(fraction, steepness);
+	const unvested = fixedPow(ONE - fraction, steepness);
+	return mulDiv(balance, vested, vested + unvested);
+}
+
+/**
+ * @dev Mirrors {MilestoneVestingNftTimeLock-getDiscount}. `milestones` are `{ time, cumulativeBps }`,
+ * as built by `parseMilestoneSchedule`.
+ */
+function milestoneDiscount(params, balance, timestamp) {
+	const vestingStartTime = param(params, "vestingStartTime");
+	if (params.milestones === undefined || params.milestones === null) {
+		throw new Error("Missing milestones parameter");
+	}
+
+	if (timestamp < vestingStartTime) {
+		return 0n;
+	}
+
+	const vestedDuration = checked(timestamp - vestingStartTime);
+	const reached = params.milestones.filter(({ time }) => toBigInt(time) <= vestedDuration);
+	if (reached.length === 0) {
+		return 0n;
+	}
+	const cumulativeBps = toBigInt(reached[reached.length - 1].cumulativeBps);
+	return mulDiv(balance, cumulativeBps, MAX_BPS);
+}
+
+const CURVES = {
+	linear: linearDiscount,
+	interval: intervalDiscount,
+	convex: convexDiscount,
+	concave: concaveDiscount,
+	logistic: logisticDiscount,
+	milestone: milestoneDiscount,
+};
+
+/**
+ * @dev Returns the discount `getDiscount()` would return for a timelock of
+ * `type` holding `balance` wei at `timestamp`.
+ * Throws a {SimulatedRevert} where the contract call would revert.
+ */
+function getDiscount(type, params, balance, timestamp) {
+	const curve = CURVES[type];
+	if (curve === undefined) {
+		throw new Error(`Unknown timelock type: ${type}`);
+	}
+	return curve(params, toBigInt(balance), toBigInt(timestamp));
+}
+
+/**
+ * @dev Samples the discount curve of a timelock funded with `deposit` wei.
+ *
+ * Timestamps run from `from` to `to` (inclusive) every `step` seconds and
+ * default to the vesting start time for `from`. Reverting samples are kept in
+ * the table with `discount` and `remaining` set to null and the reason in
+ * `reverted`.
+ */
+function simulateDiscountCurve(type, params, deposit, { from, to, step }) {
+	const balance = toBigInt(deposit);
+	const start = toBigInt(from === undefined ? params.vestingStartTime : from);
+	const end = toBigInt(to);
+	const interval = toBigInt(step);
+
+	if (interval <= 0n) {
+		throw new Error("step should be greater than 0");
+	}
+
+	const vestingStartTime = param(params, "vestingStartTime");
+	const rows = [];
+
+	for (let timestamp = start; timestamp <= end; timestamp += interval) {
+		let vestedDuration = timestamp >= vestingStartTime ? timestamp - vestingStartTime : 0n;
+		if (type === "linear") {
+			vestedDuration = linearVestedDuration(params, timestamp);
+		}
+
+		const row = {
+			timestamp,
+			vestedDuration,
+			discount: null,
+			remaining: null,
+			reverted: null,
+		};
+
+		try {
+			row.discount = getDiscount(type, params, balance, timestamp);
+			row.remaining = balance - row.discount;
+		} catch (e) {
+			if (!(e instanceof SimulatedRevert)) {
+				throw e;
+			}
+			row.reverted = e.message;
+		}
+
+		rows.push(row);
+	}
+
+	return rows;
+}
+
+const COLUMNS = ["timestamp", "vestedDuration", "discount", "remaining", "reverted"];
+
+function formatCell(value) {
+	return value === null ? "" : value.toString();
+}
+
+/**
+ * @dev Formats the rows of {simulateDiscountCurve} as CSV.
+ */
+function toCsv(rows) {
+	const lines = [COLUMNS.join(",")];
+	for (const row of rows) {
+		lines.push(COLUMNS.map((column) => formatCell(row[column])).join(","));
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * @dev Formats the rows of {simulateDiscountCurve} as JSON, with amounts as decimal strings.
+ */
+function toJson(rows) {
+	return JSON.stringify(
+		rows,
+		(key, value) => (typeof value === "bigint" ? value.toString() : value),
+		2
+	);
+}
+
+module.exports = {
+	SimulatedRevert,
+	PANIC_ARITHMETIC,
+	PANIC_DIVISION_BY_ZERO,
+	toBigInt,
+	linearVestedDuration,
+	linearDiscount,
+	currentInterval,
+	intervalDiscount,
+	convexDiscount,
+	concaveDiscount,
+	logisticDiscount,
+	milestoneDiscount,
+	getDiscount,
+	simulateDiscountCurve,
+	toCsv,
+	toJson,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { simulateDiscountCurve, toCsv, toJson } = require("./discountCurve");
+const { parseMilestoneSchedule } = require("../milestones");
+
+// Prints the discount-vs-time table of a vesting timelock before it is deployed.
+//
+// Usage:
+// node scripts/NFTVesting/simulator/simulate.js --type convex --deposit 100 \
+//   --growth-rate 1 --exponent 2 --to 20000000000 --step 1000000000 --format csv
+//
+// --vesting-start-time defaults to 0 so that timestamps read as seconds vested.
+
+const USAGE = `Usage: simulate.js --type linear|interval|convex|concave|logistic|milestone --deposit <ETH> --to <timestamp> --step <seconds>
+  [--vesting-start-time <timestamp>] [--from <timestamp>] [--format csv|json] [--out <file>]
+  linear:   --max-duration <seconds> [--cliff-duration <seconds>]
+  interval: --max-intervals <count> --interval-duration <seconds>
+  convex:   --growth-rate <wei> --exponent <uint8>
+  concave:  --max-duration <seconds>
+  logistic: --max-duration <seconds> --steepness <1-16>
+  milestone: --milestones <schedule, e.g. 1mo:10%,3mo:40%,12mo:100%>`;
+
+function parseArgs(argv) {
+	const args = {};
+	for (let i = 0; i < argv.length; i += 2) {
+		if (!argv[i].startsWith("--") || argv[i + 1] === undefined) {
+			throw new Error(USAGE);
+		}
+		const key = argv[i]
+			.slice(2)
+			.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+		args[key] = argv[i + 1];
+	}
+	return args;
+}
+
+function main() {
+	const args = parseArgs(process.argv.slice(2));
+	if (!args.type || !args.deposit || !args.to || !args.step) {
+		throw new Error(USAGE);
+	}
+
+	const params = {
+		vestingStartTime: args.vestingStartTime || 0,
+		maxDuration: args.maxDuration,
+		cliffDuration: args.cliffDuration,
+		maxIntervals: args.maxIntervals,
+		intervalDuration: args.intervalDuration,
+		growthRate: args.growthRate,
+		exponent: args.exponent,
+		steepness: args.steepness,
+		milestones: args.milestones && parseMilestoneSchedule(args.milestones),
+	};
+
+	const rows = simulateDiscountCurve(
+		args.type,
+		params,
+		ethers.utils.parseEther(args.deposit),
+		{ from: args.from, to: args.to, step: args.step }
+	);
+
+	const output = args.format === "json" ? toJson(rows) : toCsv(rows);
+	if (args.out) {
+		fs.writeFileSync(args.out, output);
+	} else {
+		process.stdout.write(output);
+	}
+}
+
+try {
+	main();
+} catch (error) {
+	console.error(error.message);
+	process.exit(1);
+}
@@ -0,0 +1,423 @@
+const { toMilestones } = require("./milestones");
+
+// Helpers to deploy, lock, inspect and release the NFTVesting timelocks.
+// Every helper takes the Hardhat Runtime Environment so it can be used from
+// tasks, scripts and tests alike.
+
+// Contract names by timelock type
+const TIMELOCK_CONTRACTS = {
+	basic: "BasicNftTimelock",
+	linear: "LinearVestingNftTimeLock",
+	interval: "IntervalVestingNftTimeLock",
+	convex: "ConvexVestingNftTimeLock",
+	concave: "ConcaveVestingNftTimeLock",
+	logistic: "LogisticVestingNftTimeLock",
+	milestone: "MilestoneVestingNftTimeLock",
+	curve: "NftVestingTimelock",
+	receipt: "ReceiptNftVestingTimelock",
+};
+
+// Contract names of the vesting timelocks paying the discount in an ERC20 token
+const ERC20_TIMELOCK_CONTRACTS = {
+	linear: "ERC20LinearVestingNftTimeLock",
+	interval: "ERC20IntervalVestingNftTimeLock",
+	convex: "ERC20ConvexVestingNftTimeLock",
+};
+
+// Prefix of the types of the ERC20 vesting timelocks, e.g. "erc20-linear" for ERC20LinearVestingNftTimeLock
+const ERC20_TYPE_PREFIX = "erc20-";
+
+const IERC20 = "@openzeppelin/contracts/token/ERC20/IERC20.sol:IERC20";
+
+// Fully qualified, as OpenZeppelin's IERC721 is compiled alongside the local copy.
+const IERC721 = "contracts/NFTVesting/IERC721.sol:IERC721";
+
+// A getter exposed by each timelock type, used to tell them apart on-chain.
+// Probes run in order, so each getter only has to be missing from the types after it.
+// A missing getter does not always revert: the fallback of the ETH vesting timelocks accepts
+// the call and returns no data, which fails to decode. Either way, the probe call throws.
+// ERC20 timelocks, told apart by their `discountToken()`, are probed against their ETH counterparts.
+const TYPE_PROBES = [
+	["basic", "releaseTime"],
+	["linear", "cliffDuration"],
+	["milestone", "milestones"],
+	["interval", "maxIntervals"],
+	["convex", "growthRate"],
+	["logistic", "steepness"],
+	["concave", "maxDuration"],
+	["receipt", "receiptId"],
+	["curve", "curve"],
+];
+
+/**
+ * @dev Returns the type of the ETH timelock vesting like a timelock of `type`,
+ * e.g. "linear" for "erc20-linear", and `type` itself for ETH timelocks.
+ */
+function vestingTypeOf(type) {
+	return type.startsWith(ERC20_TYPE_PREFIX) ? type.slice(ERC20_TYPE_PREFIX.length) : type;
+}
+
+/**
+ * @dev Returns the contract name of a timelock of `type`, ETH or ERC20, or undefined for unknown types.
+ */
+function contractNameOf(type) {
+	if (type.startsWith(ERC20_TYPE_PREFIX)) {
+		return ERC20_TIMELOCK_CONTRACTS[vestingTypeOf(type)];
+	}
+	return TIMELOCK_CONTRACTS[type];
+}
+
+function requireArg(args, name, type) {
+	if (args[name] === undefined || args[name] === null) {
+		throw new Error(`${name} is required for ${type} timelocks`);
+	}
+	return args[name];
+}
+
+/**
+ * @dev Returns the constructor arguments of a timelock of `type`, ending with
+ * the transaction overrides carrying the ETH deposit.
+ */
+function getConstructorArgs(type, args) {
+	if (type === "basic") {
+		return [args.nft, args.tokenId, args.beneficiary, args.startTime];
+	}
+
+	const common = [
+		args.nft,
+		args.tokenId,
+		requireArg(args, "locker", type),
+		args.beneficiary,
+		args.startTime,
+	];
+	const overrides = { value: requireArg(args, "deposit", type) };
+
+	switch (type) {
+		case "linear":
+			return [
+				...common,
+				requireArg(args, "maxDuration", type),
+				args.cliffDuration || 0,
+				overrides,
+			];
+		case "interval":
+			return [
+				...common,
+				requireArg(args, "maxIntervals", type),
+				requireArg(args, "intervalDuration", type),
+				overrides,
+			];
+		case "convex":
+			return [
+				...common,
+				requireArg(args, "growthRate", type),
+				requireArg(args, "exponent", type),
+				overrides,
+			];
+		case "concave":
+			return [...common, requireArg(args, "maxDuration", type), overrides];
+		case "logistic":
+			return [
+				...common,
+				requireArg(args, "maxDuration", type),
+				requireArg(args, "steepness", type),
+				overrides,
+			];
+		case "milestone":
+			return [...common, requireArg(args, "milestones", type), overrides];
+		case "curve":
+		case "receipt":
+			return [
+				...common,
+				requireArg(args, "curve", type),
+				requireArg(args, "curveParams", type),
+				overrides,
+			];
+		default:
+			throw new Error(`Unknown timelock type: ${type}`);
+	}
+}
+
+/**
+ * @dev Deploys a timelock of `args.type` from `signer` and waits for it to be mined.
+ */
+async function deployTimelock(hre, args, signer) {
+	const contractName = TIMELOCK_CONTRACTS[args.type];
+	if (contractName === undefined) {
+		throw new Error(`Unknown timelock type: ${args.type}`);
+	}
+
+	const factory = await hre.ethers.getContractFactory(contractName, signer);
+	const timelock = await factory.deploy(...getConstructorArgs(args.type, args));
+	await timelock.deployed();
+	return timelock;
+}
+
+/**
+ * @dev Deploys an ERC20 vesting timelock of `args.type` from `signer`, funded with
+ * `args.deposit` units of `args.discountToken`. The constructor pulls the deposit from
+ * `signer`, so the address the timelock will be deployed at is approved first.
+ */
+async function deployERC20Timelock(hre, args, signer) {
+	const contractName = ERC20_TIMELOCK_CONTRACTS[args.type];
+	if (contractName === undefined) {
+		throw new Error(`Unknown ERC20 timelock type: ${args.type}`);
+	}
+
+	const token = await hre.ethers.getContractAt(IERC20, requireArg(args, "discountToken", args.type), signer);
+	const constructorArgs = getConstructorArgs(args.type, args);
+	const { value: deposit } = constructorArgs.pop();
+
+	// The approval is sent with the current nonce and the deployment with the next one.
+	const nonce = await signer.getTransactionCount();
+	const timelockAddress = hre.ethers.utils.getContractAddress({
+		from: signer.address,
+		nonce: nonce + 1,
+	});
+	await (await token.approve(timelockAddress, deposit)).wait();
+
+	const factory = await hre.ethers.getContractFactory(contractName, signer);
+	const timelock = await factory.deploy(...constructorArgs, args.discountToken, deposit);
+	await timelock.deployed();
+	return timelock;
+}
+
+/**
+ * @dev Returns the address of the ERC20 discount token of the timelock at `address`,
+ * or null for a timelock holding its deposit in ETH.
+ */
+async function getDiscountToken(hre, address) {
+	const erc20Timelock = new hre.ethers.Contract(
+		address,
+		["function discountToken() view returns (address)"],
+		hre.ethers.provider
+	);
+	try {
+		return await erc20Timelock.discountToken();
+	} catch (e) {
+		// Reverts, or returns no data from the fallback of an ETH vesting timelock.
+		return null;
+	}
+}
+
+/**
+ * @dev Returns the timelock type of the contract at `address`, such as "linear" or "erc20-linear".
+ */
+async function detectTimelockType(hre, address) {
+	const erc20 = (await getDiscountToken(hre, address)) !== null;
+	for (const [type, getter] of TYPE_PROBES) {
+		if (erc20 && ERC20_TIMELOCK_CONTRACTS[type] === undefined) {
+			continue;
+		}
+		const timelock = await hre.ethers.getContractAt(TIMELOCK_CONTRACTS[type], address);
+		try {
+			await timelock[getter]();
+			return erc20 ? `${ERC20_TYPE_PREFIX}${type}` : type;
+		} catch (e) {
+			// Not this type, the call reverts or returns no data to decode.
+		}
+	}
+	throw new Error(`${address} is not a known timelock`);
+}
+
+/**
+ * @dev Returns the timelock at `address` attached to the ABI of its type.
+ */
+async function getTimelock(hre, address, type) {
+	const timelockType = type || (await detectTimelockType(hre, address));
+	const contractName = contractNameOf(timelockType);
+	if (contractName === undefined) {
+		throw new Error(`Unknown timelock type: ${timelockType}`);
+	}
+	const timelock = await hre.ethers.getContractAt(contractName, address);
+	return { type: timelockType, timelock };
+}
+
+/**
+ * @dev Safe transfers the NFT configured in the timelock from `signer` to the timelock,
+ * which checks it is the configured NFT and emits `Locked`.
+ */
+async function lockNft(hre, timelock, signer) {
+	const nft = await hre.ethers.getContractAt(IERC721, await timelock.nft(), signer);
+	const tx = await nft["safeTransferFrom(address,address,uint256)"](
+		signer.address,
+		timelock.address,
+		await timelock.tokenId()
+	);
+	return tx.wait();
+}
+
+async function callOrNull(promise) {
+	try {
+		return (await promise).toString();
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * @dev Returns a summary of the timelock state at the latest block.
+ * Amounts are in wei, or in units of the discount token of ERC20 timelocks,
+ * and values that revert on-chain are null.
+ */
+async function getTimelockStatus(hre, timelock, type) {
+	const { ethers } = hre;
+	const block = await ethers.provider.getBlock("latest");
+	const nftAddress = await timelock.nft();
+	const tokenId = await timelock.tokenId();
+	const nft = await ethers.getContractAt(IERC721, nftAddress);
+	const nftOwner = await callOrNull(nft.ownerOf(tokenId));
+
+	const status = {
+		type,
+		address: timelock.address,
+		timestamp: block.timestamp,
+		nft: nftAddress,
+		tokenId: tokenId.toString(),
+		nftOwner,
+		nftHeld: nftOwner === timelock.address,
+		beneficiary: await timelock.beneficiary(),
+		cancelled: await timelock.cancelled(),
+	};
+
+	if (type === "basic") {
+		status.releaseTime = (await timelock.releaseTime()).toNumber();
+		return status;
+	}
+
+	status.nftLocker = await timelock.nftLocker();
+	status.vestingStartTime = (await timelock.vestingStartTime()).toNumber();
+	if (type.startsWith(ERC20_TYPE_PREFIX)) {
+		status.discountToken = await timelock.discountToken();
+		const token = await ethers.getContractAt(IERC20, status.discountToken);
+		status.balance = (await token.balanceOf(timelock.address)).toString();
+	} else {
+		status.balance = (await ethers.provider.getBalance(timelock.address)).toString();
+	}
+	status.totalDeposit = (await timelock.totalDeposit()).toString();
+	status.strayBalance = (await timelock.strayBalance()).toString();
+	status.discount = await callOrNull(timelock.getDiscount());
+	status.claimed = (await timelock.claimed()).toString();
+	status.claimable = await callOrNull(timelock.claimable());
+
+	const vestingType = vestingTypeOf(type);
+	if (vestingType === "linear") {
+		status.maxDuration = (await timelock.maxDuration()).toString();
+		status.cliffDuration = (await timelock.cliffDuration()).toString();
+	} else if (vestingType === "interval") {
+		status.maxIntervals = (await timelock.maxIntervals()).toString();
+		status.intervalDuration = (await timelock.intervalDuration()).toString();
+		status.currentInterval = (await timelock.currentInterval()).toString();
+		status.intervalsLeft = (await timelock.getIntervalsLeft()).toString();
+	} else if (vestingType === "convex") {
+		status.growthRate = (await timelock.growthRate()).toString();
+		status.exponent = await timelock.exponent();
+	} else if (vestingType === "concave") {
+		status.maxDuration = (await timelock.maxDuration()).toString();
+	} else if (vestingType === "logistic") {
+		status.maxDuration = (await timelock.maxDuration()).toString();
+		status.steepness = await timelock.steepness();
+	} else if (vestingType === "milestone") {
+		status.milestones = toMilestones(await timelock.milestones());
+		status.currentInterval = (await timelock.currentInterval()).toString();
+		status.intervalsLeft = (await timelock.getIntervalsLeft()).toString();
+	} else if (type === "curve" || type === "receipt") {
+		status.curve = await timelock.curve();
+		status.curveParams = await timelock.curveParams();
+	}
+
+	if (type === "receipt") {
+		status.receiptId = (await timelock.receiptId()).toString();
+		status.vestedBps = (await timelock.vestedBps()).toString();
+		status.positionStatus = await timelock.positionStatus();
+	}
+
+	return status;
+}
+
+/**
+ * @dev Adds `amount` to the deposit of the vesting timelock from `signer` through `fund`,
+ * in ETH or in the discount token of an ERC20 timelock, which is approved first.
+ * Funding is only open before the vesting start time.
+ */
+async function fundTimelock(hre, timelock, signer, amount) {
+	const tokenAddress = await getDiscountToken(hre, timelock.address);
+	if (tokenAddress === null) {
+		const tx = await timelock.connect(signer).fund({ value: amount });
+		return tx.wait();
+	}
+
+	const token = await hre.ethers.getContractAt(IERC20, tokenAddress, signer);
+	await (await token.approve(timelock.address, amount)).wait();
+	const erc20Timelock = new hre.ethers.Contract(timelock.address, ["function fund(uint256 amount)"], signer);
+	const tx = await erc20Timelock.fund(amount);
+	return tx.wait();
+}
+
+/**
+ * @dev Calls `release()` on the timelock from `signer` and waits for it to be mined.
+ */
+async function releaseTimelock(timelock, signer) {
+	const tx = await timelock.connect(signer).release();
+	return tx.wait();
+}
+
+/**
+ * @dev Calls `claimDiscount()` on the vesting timelock from `signer`, who must be
+ * the NFT locker, and waits for it to be mined.
+ */
+async function claimDiscount(timelock, signer) {
+	const tx = await timelock.connect(signer).claimDiscount();
+	return tx.wait();
+}
+
+/**
+ * @dev Returns the discount and remaining paid out by a vesting timelock `release()`, in wei,
+ * read from the `Released` event of its receipt.
+ */
+function getReleasePayouts(timelock, receipt) {
+	const released = receipt.logs
+		.filter((log) => log.address === timelock.address)
+		.map((log) => timelock.interface.parseLog(log))
+		.find((event) => event.name === "Released");
+	if (released === undefined) {
+		throw new Error(`No Released event from ${timelock.address} in ${receipt.transactionHash}`);
+	}
+	return {
+		discountPaid: released.args.discount.toString(),
+		remainingPaid: released.args.remaining.toString(),
+	};
+}
+
+/**
+ * @dev Returns the `Released` or `Cancelled` event settling the timelock, or undefined
+ * while it is neither released nor cancelled.
+ */
+async function getSettlementEvent(timelock) {
+	const [released] = await timelock.queryFilter(timelock.filters.Released());
+	if (released !== undefined) {
+		return released;
+	}
+	const [cancelled] = await timelock.queryFilter(timelock.filters.Cancelled());
+	return cancelled;
+}
+
+module.exports = {
+	TIMELOCK_CONTRACTS,
+	ERC20_TIMELOCK_CONTRACTS,
+	vestingTypeOf,
+	contractNameOf,
+	getConstructorArgs,
+	deployTimelock,
+	deployERC20Timelock,
+	getDiscountToken,
+	detectTimelockType,
+	getTimelock,
+	lockNft,
+	getTimelockStatus,
+	fundTimelock,
+	releaseTimelock,
+	claimDiscount,
+	getReleasePayouts,
+	getSettlementEvent,
+};
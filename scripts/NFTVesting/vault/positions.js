@@ -0,0 +1,133 @@
+const { ethers } = require("ethers");
+
+// Helpers to set up many NftVestingVault positions from a CSV file in one transaction.
+//
+// The CSV needs a header row with the following columns, in any order:
+// nft,tokenId,nftLocker,beneficiary,deposit,curve,vestingStartTime,
+// maxDuration,maxIntervals,intervalDuration,growthRate,exponent
+//
+// `deposit` is in ETH and `curve` is one of linear|interval|convex. Curve
+// parameters not used by the curve of a row can be left empty.
+
+// Index of each curve in the `NftVestingVault.Curve` enum
+const CURVES = {
+	linear: 0,
+	interval: 1,
+	convex: 2,
+};
+
+const REQUIRED_COLUMNS = [
+	"nft",
+	"tokenId",
+	"nftLocker",
+	"beneficiary",
+	"deposit",
+	"curve",
+	"vestingStartTime",
+];
+
+/**
+ * @dev Parses the CSV text of positions into the `NftVestingVault.Position` struct.
+ * Blank lines are skipped.
+ */
+function parsePositionsCsv(text) {
+	const lines = text
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter((line) => line.length > 0);
+
+	if (lines.length === 0) {
+		throw new Error("CSV has no header row");
+	}
+
+	const header = lines[0].split(",").map((column) => column.trim());
+	for (const column of REQUIRED_COLUMNS) {
+		if (!header.includes(column)) {
+			throw new Error(`CSV is missing the ${column} column`);
+		}
+	}
+
+	return lines.slice(1).map((line, index) => {
+		const cells = line.split(",").map((cell) => cell.trim());
+		if (cells.length !== header.length) {
+			throw new Error(`CSV row ${index + 1} has ${cells.length} columns, expected ${header.length}`);
+		}
+
+		const row = {};
+		header.forEach((column, i) => {
+			row[column] = cells[i];
+		});
+		return toPosition(row, index + 1);
+	});
+}
+
+/**
+ * @dev Converts a row of strings into the `NftVestingVault.Position` struct.
+ */
+function toPosition(row, rowNumber) {
+	const curve = CURVES[row.curve];
+	if (curve === undefined) {
+		throw new Error(`CSV row ${rowNumber} has an unknown curve: ${row.curve}`);
+	}
+
+	const number = (value) => ethers.BigNumber.from(value || 0);
+
+	return {
+		nft: ethers.utils.getAddress(row.nft),
+		tokenId: number(row.tokenId),
+		nftLocker: ethers.utils.getAddress(row.nftLocker),
+		beneficiary: ethers.utils.getAddress(row.beneficiary),
+		deposit: ethers.utils.parseEther(row.deposit),
+		schedule: {
+			curve,
+			vestingStartTime: number(row.vestingStartTime),
+			maxDuration: number(row.maxDuration),
+			maxIntervals: number(row.maxIntervals),
+			intervalDuration: number(row.intervalDuration),
+			growthRate: number(row.growthRate),
+			exponent: parseInt(row.exponent || "0", 10),
+		},
+	};
+}
+
+/**
+ * @dev Returns the ETH to send with `createPositions`.
+ */
+function totalDeposit(positions) {
+	return positions.reduce((total, position) => total.add(position.deposit), ethers.constants.Zero);
+}
+
+/**
+ * @dev Approves the vault for every collection in `positions` and creates all
+ * positions in one `createPositions` transaction sent by `signer`, who must own the NFTs.
+ * Returns the IDs of the created positions.
+ */
+async function setupPositions(hre, vault, positions, signer) {
+	const collections = [...new Set(positions.map((position) => position.nft))];
+	for (const collection of collections) {
+		const nft = await hre.ethers.getContractAt(
+			"contracts/NFTVesting/IERC721.sol:IERC721",
+			collection,
+			signer
+		);
+		if (!(await nft.isApprovedForAll(signer.address, vault.address))) {
+			await (await nft.setApprovalForAll(vault.address, true)).wait();
+		}
+	}
+
+	const tx = await vault
+		.connect(signer)
+		.createPositions(positions, { value: totalDeposit(positions) });
+	const receipt = await tx.wait();
+
+	return receipt.events
+		.filter((event) => event.event === "PositionCreated")
+		.map((event) => event.args.positionId.toNumber());
+}
+
+module.exports = {
+	CURVES,
+	parsePositionsCsv,
+	totalDeposit,
+	setupPositions,
+};
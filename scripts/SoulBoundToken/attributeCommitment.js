@@ -0,0 +1,135 @@
+const { ethers } = require("ethers");
+
+// Builds the commitment a PrivateSBT stores for a soul from a JSON attribute object,
+// and the proofs disclosing a single attribute, checked on-chain by `verifyAttribute`.
+//
+// Each attribute is a leaf of a Merkle tree, keccak256(keccak256(abi.encode(key, value, salt))),
+// with a random 32 bytes salt per attribute. Leaves are ordered by key, and pairs are hashed
+// sorted as OpenZeppelin's MerkleProof does, so a proof is the list of sibling hashes.
+//
+// The commitment is a plain object, to be kept private by the soul holder as it holds every value:
+// { root, attributes: { [key]: { value, salt, leaf } } }
+// Values are committed as their JSON, so that the type of a value is part of its leaf,
+// and the string "123" and the number 123 are different attributes.
+
+/**
+ * @dev Returns the string an attribute value is committed as, its JSON.
+ */
+function encodeValue(value) {
+	const encoded = JSON.stringify(value);
+	if (encoded === undefined) {
+		throw new Error(`Cannot commit to the attribute value ${String(value)}`);
+	}
+	return encoded;
+}
+
+/**
+ * @dev Returns the attribute value committed as the string `value`.
+ */
+function decodeValue(value) {
+	return JSON.parse(value);
+}
+
+/**
+ * @dev Returns a random salt for each key of `attributes`.
+ */
+function generateSalts(attributes) {
+	return Object.fromEntries(
+		Object.keys(attributes).map((key) => [key, ethers.utils.hexlify(ethers.utils.randomBytes(32))])
+	);
+}
+
+/**
+ * @dev Mirrors `PrivateSBT.attributeLeaf`, for a `value` already encoded with {encodeValue}.
+ */
+function attributeLeaf(key, value, salt) {
+	const encoded = ethers.utils.defaultAbiCoder.encode(["string", "string", "bytes32"], [key, value, salt]);
+	return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+	const [first, second] = ethers.BigNumber.from(a).lt(b) ? [a, b] : [b, a];
+	return ethers.utils.keccak256(ethers.utils.concat([first, second]));
+}
+
+/**
+ * @dev Returns the layers of the Merkle tree of `leaves`, from the leaves to the root.
+ * A node without a sibling moves up to the next layer as it is.
+ */
+function buildLayers(leaves) {
+	const layers = [leaves];
+	while (layers[layers.length - 1].length > 1) {
+		const layer = layers[layers.length - 1];
+		const next = [];
+		for (let i = 0; i < layer.length; i += 2) {
+			next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+		}
+		layers.push(next);
+	}
+	return layers;
+}
+
+/**
+ * @dev Builds the commitment of `attributes`, salting each attribute with the salt of the same key
+ * in `salts`, random ones by default. Reusing the salts of a previous commitment gives the same root.
+ */
+function buildCommitment(attributes, salts = generateSalts(attributes)) {
+	const keys = Object.keys(attributes).sort();
+	if (keys.length === 0) {
+		throw new Error("No attributes to commit to");
+	}
+
+	const committed = {};
+	for (const key of keys) {
+		if (salts[key] === undefined) {
+			throw new Error(`No salt for attribute ${key}`);
+		}
+		const value = encodeValue(attributes[key]);
+		committed[key] = { value, salt: salts[key], leaf: attributeLeaf(key, value, salts[key]) };
+	}
+
+	const layers = buildLayers(keys.map((key) => committed[key].leaf));
+	return { root: layers[layers.length - 1][0], attributes: committed };
+}
+
+/**
+ * @dev Returns the disclosure of the attribute `key` of `commitment`:
+ * `{ key, value, salt, proof }`, the arguments of `PrivateSBT.verifyAttribute` after the soul.
+ */
+function getAttributeProof(commitment, key) {
+	const attribute = commitment.attributes[key];
+	if (attribute === undefined) {
+		throw new Error(`No attribute ${key} in the commitment`);
+	}
+
+	const keys = Object.keys(commitment.attributes).sort();
+	const layers = buildLayers(keys.map((k) => commitment.attributes[k].leaf));
+	const proof = [];
+	let index = keys.indexOf(key);
+	for (const layer of layers.slice(0, -1)) {
+		const sibling = index ^ 1;
+		if (sibling < layer.length) {
+			proof.push(layer[sibling]);
+		}
+		index >>= 1;
+	}
+	return { key, value: attribute.value, salt: attribute.salt, proof };
+}
+
+/**
+ * @dev Returns whether `disclosure` proves an attribute committed to by `root`, as `verifyAttribute` does on-chain.
+ */
+function verifyAttributeProof(root, disclosure) {
+	const leaf = attributeLeaf(disclosure.key, disclosure.value, disclosure.salt);
+	return disclosure.proof.reduce((hash, sibling) => hashPair(hash, sibling), leaf) === root;
+}
+
+module.exports = {
+	encodeValue,
+	decodeValue,
+	generateSalts,
+	attributeLeaf,
+	buildCommitment,
+	getAttributeProof,
+	verifyAttributeProof,
+};
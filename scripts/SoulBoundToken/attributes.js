@@ -0,0 +1,80 @@
+const { ethers } = require("ethers");
+
+// Encodes and decodes the values of the attributes of a BasicSBT soul, stored on-chain as bytes.
+//
+// `string` and `bytes` values are stored as their raw bytes, and the other types as their
+// 32 bytes ABI encoding, which `setAttribute` checks against the type registered for the key.
+
+// Attribute types, in the order of `BasicSBT.AttributeType`
+const ATTRIBUTE_TYPES = ["none", "string", "bytes", "uint", "int", "bool", "address", "bytes32"];
+
+// ABI types of the attribute types stored ABI encoded
+const ABI_TYPES = {
+	uint: "uint256",
+	int: "int256",
+	bool: "bool",
+	address: "address",
+	bytes32: "bytes32",
+};
+
+/**
+ * @dev Returns the `BasicSBT.AttributeType` value of the attribute type `type`, such as "uint".
+ */
+function attributeTypeId(type) {
+	const id = ATTRIBUTE_TYPES.indexOf(type);
+	if (id <= 0) {
+		throw new Error(`Unknown attribute type: ${type}, expected one of ${ATTRIBUTE_TYPES.slice(1).join("|")}`);
+	}
+	return id;
+}
+
+/**
+ * @dev Returns the bytes an attribute of type `type` is stored as for `value`.
+ */
+function encodeAttribute(type, value) {
+	attributeTypeId(type);
+	if (type === "string") {
+		return ethers.utils.hexlify(ethers.utils.toUtf8Bytes(value));
+	}
+	if (type === "bytes") {
+		return ethers.utils.hexlify(value);
+	}
+	return ethers.utils.defaultAbiCoder.encode([ABI_TYPES[type]], [value]);
+}
+
+/**
+ * @dev Returns the value of an attribute of type `type` stored as `data`,
+ * the inverse of {encodeAttribute}. Integers are returned as BigNumbers.
+ */
+function decodeAttribute(type, data) {
+	attributeTypeId(type);
+	if (type === "string") {
+		return ethers.utils.toUtf8String(data);
+	}
+	if (type === "bytes") {
+		return ethers.utils.hexlify(data);
+	}
+	return ethers.utils.defaultAbiCoder.decode([ABI_TYPES[type]], data)[0];
+}
+
+/**
+ * @dev Returns the attributes of `soul` on `sbt` as an object of decoded values by key,
+ * reading the type of each key from the schema.
+ */
+async function getSoulAttributes(sbt, soul) {
+	const [keys, values] = await sbt.getAttributes(soul);
+	const attributes = {};
+	for (let i = 0; i < keys.length; i++) {
+		const type = ATTRIBUTE_TYPES[await sbt.getAttributeType(keys[i])];
+		attributes[keys[i]] = decodeAttribute(type, values[i]);
+	}
+	return attributes;
+}
+
+module.exports = {
+	ATTRIBUTE_TYPES,
+	attributeTypeId,
+	encodeAttribute,
+	decodeAttribute,
+	getSoulAttributes,
+};
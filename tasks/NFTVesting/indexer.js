@@ -0,0 +1,41 @@
+const { task } = require("hardhat/config");
+const {
+  loadStore,
+  saveStore,
+  syncStore,
+  queryEvents,
+} = require("../../scripts/NFTVesting/indexer/eventIndexer");
+const { printSummary } = require("./utils");
+
+// Hardhat tasks to replay the timelock and vault events into a JSON store and query it.
+
+task("timelock:index", "Replays the timelock and vault events since the last run into a JSON store")
+  .addParam("store", "Path to the JSON store, created if it does not exist")
+  .addOptionalParam("addresses", "Comma separated timelocks and vaults to index, defaults to any emitting contract")
+  .setAction(async (args, hre) => {
+    const store = loadStore(args.store);
+    const addresses = args.addresses === undefined ? undefined : args.addresses.split(",");
+    const added = await syncStore(hre.ethers.provider, store, { addresses });
+    saveStore(args.store, store);
+
+    const summary = { store: args.store, lastBlock: store.lastBlock, added: added.length, total: store.events.length };
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:events", "Queries the events of a JSON store filled by timelock:index")
+  .addParam("store", "Path to the JSON store")
+  .addOptionalParam("event", "Event name, e.g. Released")
+  .addOptionalParam("timelock", "Address of the timelock or vault")
+  .addOptionalParam("beneficiary", "Beneficiary of the releases")
+  .addOptionalParam("locker", "NFT locker of the releases and claims")
+  .setAction(async (args) => {
+    const events = queryEvents(loadStore(args.store), {
+      event: args.event,
+      address: args.timelock,
+      beneficiary: args.beneficiary,
+      nftLocker: args.locker,
+    });
+    printSummary(events);
+    return events;
+  });
@@ -0,0 +1,62 @@
+const { task, types } = require("hardhat/config");
+const {
+  RELEASE_POLICIES,
+  DEFAULT_OPTIONS,
+  loadState,
+  saveState,
+  watchTimelocks,
+  runKeeper,
+} = require("../../scripts/NFTVesting/keeper/releaseKeeper");
+const { TIMELOCK_TYPES } = require("../../scripts/NFTVesting/factory");
+const { getSigner, printSummary } = require("./utils");
+
+// Hardhat task running the keeper that releases the timelocks once their release policy is met.
+
+function sleep(seconds) {
+  return new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+}
+
+task("timelock:keeper", "Watches timelocks and releases them once their release policy is met")
+  .addParam("state", "Path to the JSON state file, created if it does not exist")
+  .addOptionalParam("addresses", "Comma separated timelocks to watch, added to those of the state file")
+  .addOptionalParam(
+    "factories",
+    `Comma separated factories whose created timelocks are watched, of the ${Object.keys(TIMELOCK_TYPES).join("|")} types`
+  )
+  .addOptionalParam("policy", `Release policy: ${Object.keys(RELEASE_POLICIES).join("|")}`, DEFAULT_OPTIONS.policy)
+  .addOptionalParam("interval", "Seconds between two runs", 60, types.int)
+  .addOptionalParam("backoff", "Seconds before retrying a failed release, doubled on each failure", DEFAULT_OPTIONS.backoff, types.int)
+  .addOptionalParam("maxBackoff", "Maximum seconds between two retries", DEFAULT_OPTIONS.maxBackoff, types.int)
+  .addOptionalParam("maxAttempts", "Failed releases before a timelock is given up", DEFAULT_OPTIONS.maxAttempts, types.int)
+  .addOptionalParam("from", "Account sending the releases, defaults to the first account")
+  .addFlag("dryRun", "Reports the timelocks that would be released without sending transactions or saving the state")
+  .addFlag("once", "Runs once and exits instead of running every --interval seconds")
+  .setAction(async (args, hre) => {
+    const state = loadState(args.state);
+    if (args.addresses !== undefined) {
+      watchTimelocks(state, args.addresses.split(","));
+    }
+    const signer = await getSigner(hre.ethers, args.from);
+    const options = {
+      policy: args.policy,
+      dryRun: args.dryRun,
+      backoff: args.backoff,
+      maxBackoff: args.maxBackoff,
+      maxAttempts: args.maxAttempts,
+      factories: args.factories === undefined ? [] : args.factories.split(","),
+    };
+
+    for (;;) {
+      const actions = await runKeeper(hre, state, signer, options);
+      if (!args.dryRun) {
+        saveState(args.state, state);
+      }
+      const summary = { timestamp: Math.floor(Date.now() / 1000), dryRun: args.dryRun, actions };
+      printSummary(summary);
+
+      if (args.once) {
+        return summary;
+      }
+      await sleep(args.interval);
+    }
+  });
@@ -0,0 +1,21 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { REPORT_FORMATS, buildReport, formatReport } = require("../../scripts/NFTVesting/report/statusReport");
+
+// Hardhat task reporting the vesting status of a set of timelocks.
+
+task("timelock:report", "Reports the vesting status of timelocks as Markdown, CSV or JSON")
+  .addParam("addresses", "Comma separated timelocks, of any type")
+  .addOptionalParam("format", `Report format: ${Object.keys(REPORT_FORMATS).join("|")}`, "markdown")
+  .addOptionalParam("out", "File the report is written to, printed when omitted")
+  .setAction(async (args, hre) => {
+    const rows = await buildReport(hre, args.addresses.split(","));
+    const report = formatReport(rows, args.format);
+
+    if (args.out === undefined) {
+      console.log(report);
+    } else {
+      fs.writeFileSync(args.out, report);
+    }
+    return rows;
+  });
@@ -0,0 +1,237 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { task, types } = require("hardhat/config");
+const {
+  TIMELOCK_CONTRACTS,
+  deployTimelock,
+  getTimelock,
+  lockNft,
+  getTimelockStatus,
+  fundTimelock,
+  releaseTimelock,
+  claimDiscount,
+  getReleasePayouts,
+} = require("../../scripts/NFTVesting/timelocks");
+const { TIMELOCK_TYPES, deployFactory, createTimelock } = require("../../scripts/NFTVesting/factory");
+const { CURVE_CONTRACTS, encodeCurveParams, deployCurve } = require("../../scripts/NFTVesting/curves");
+const { parseMilestoneSchedule } = require("../../scripts/NFTVesting/milestones");
+const { signRelease, relayRelease } = require("../../scripts/NFTVesting/signatures");
+const { getSigner, printSummary } = require("./utils");
+
+// Hardhat tasks covering the lifecycle of the NFTVesting timelocks against a node:
+// timelock:deploy -> timelock:lock -> timelock:status -> timelock:release
+// Vesting timelocks are topped up with timelock:fund before the vesting start time, take
+// timelock:claim while the NFT is locked, and can be released
+// by a relayer paying the gas with timelock:sign-release -> timelock:relay-release.
+
+/**
+ * Resolves `--start` or `--deadline`, either a Unix timestamp or `+<seconds>` from the latest block.
+ */
+async function parseTimestamp(ethers, timestamp) {
+  if (timestamp.startsWith("+")) {
+    const block = await ethers.provider.getBlock("latest");
+    return block.timestamp + parseInt(timestamp.slice(1), 10);
+  }
+  return parseInt(timestamp, 10);
+}
+
+task("timelock:deploy", "Deploys an NFT vesting timelock")
+  .addParam("type", `Timelock type: ${Object.keys(TIMELOCK_CONTRACTS).join("|")}`)
+  .addParam("nft", "Address of the ERC721 collection")
+  .addParam("tokenId", "ID of the NFT to lock")
+  .addParam("beneficiary", "Address receiving the NFT, and the remaining ETH for vesting timelocks")
+  .addParam("start", "Release / vesting start time as a Unix timestamp, or +<seconds> from now")
+  .addOptionalParam("locker", "Address of the NFT locker receiving the discount (vesting timelocks)")
+  .addOptionalParam("deposit", "ETH sent to the timelock as the total discount (vesting timelocks)")
+  .addOptionalParam("maxDuration", "Seconds until the full discount is vested (linear, concave, logistic)")
+  .addOptionalParam("cliffDuration", "Seconds after the vesting start before any discount vests, 0 by default (linear)")
+  .addOptionalParam("maxIntervals", "Number of vesting intervals (interval)")
+  .addOptionalParam("intervalDuration", "Duration of each interval in seconds (interval)")
+  .addOptionalParam("growthRate", "Growth rate M in M * x^exponent (convex)")
+  .addOptionalParam("exponent", "Exponent in M * x^exponent (convex)", undefined, types.int)
+  .addOptionalParam("steepness", "Steepness k of the S-curve, from 1 to 16 (logistic)", undefined, types.int)
+  .addOptionalParam("milestones", "Schedule of cumulative discount, e.g. 1mo:10%,3mo:40%,12mo:100% (milestone)")
+  .addOptionalParam("curve", "Address of the IVestingCurve the deposit vests along (curve)")
+  .addOptionalParam("curveParams", "ABI encoded parameters passed to --curve, see timelock:deploy-curve (curve)")
+  .addOptionalParam("from", "Account deploying the timelock, defaults to the first account")
+  .addOptionalParam(
+    "factory",
+    `Deploy through this NftTimelockFactory, which also locks the NFT owned by --from (${Object.keys(TIMELOCK_TYPES).join("|")} only)`
+  )
+  .addOptionalParam("salt", "CREATE2 salt as bytes32 when deploying through --factory", ethers.constants.HashZero)
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const signer = await getSigner(ethers, args.from);
+    const timelockArgs = {
+      ...args,
+      startTime: await parseTimestamp(ethers, args.start),
+      deposit: args.deposit === undefined ? undefined : ethers.utils.parseEther(args.deposit),
+      milestones: args.milestones === undefined ? undefined : parseMilestoneSchedule(args.milestones),
+    };
+
+    let summary;
+    if (args.factory === undefined) {
+      const timelock = await deployTimelock(hre, timelockArgs, signer);
+      summary = await getTimelockStatus(hre, timelock, args.type);
+      summary.deployTransaction = timelock.deployTransaction.hash;
+    } else {
+      const factory = await ethers.getContractAt("NftTimelockFactory", args.factory);
+      const address = await createTimelock(hre, factory, timelockArgs, args.salt, signer);
+      const { timelock } = await getTimelock(hre, address, args.type);
+      summary = await getTimelockStatus(hre, timelock, args.type);
+      summary.factory = factory.address;
+    }
+
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:deploy-factory", "Deploys an NftTimelockFactory and the libraries it links")
+  .addOptionalParam("from", "Account deploying the factory, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre.ethers, args.from);
+    const timelockFactory = await deployFactory(hre, signer);
+
+    const summary = { address: timelockFactory.address, deployTransaction: timelockFactory.deployTransaction.hash };
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:deploy-curve", "Deploys a vesting curve for the curve timelocks and encodes its parameters")
+  .addParam("type", `Curve type: ${Object.keys(CURVE_CONTRACTS).join("|")}`)
+  .addOptionalParam("maxDuration", "Seconds until the full discount is vested (linear, concave, logistic)")
+  .addOptionalParam("cliffDuration", "Seconds after the vesting start before any discount vests, 0 by default (linear)")
+  .addOptionalParam("maxIntervals", "Number of vesting intervals (interval)")
+  .addOptionalParam("intervalDuration", "Duration of each interval in seconds (interval)")
+  .addOptionalParam("growthRate", "Growth rate M in M * x^exponent (convex)")
+  .addOptionalParam("exponent", "Exponent in M * x^exponent (convex)", undefined, types.int)
+  .addOptionalParam("steepness", "Steepness k of the S-curve, from 1 to 16 (logistic)", undefined, types.int)
+  .addOptionalParam("milestones", "Schedule of cumulative discount, e.g. 1mo:10%,3mo:40%,12mo:100% (milestone)")
+  .addOptionalParam("from", "Account deploying the curve, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const curveParams = encodeCurveParams(args.type, {
+      ...args,
+      milestones: args.milestones === undefined ? undefined : parseMilestoneSchedule(args.milestones),
+    });
+    const curve = await deployCurve(hre, args.type, await getSigner(hre.ethers, args.from));
+    // Reverts on parameters the curve would reject when deploying a timelock.
+    await curve.validateParams(curveParams);
+
+    const summary = { type: args.type, address: curve.address, curveParams, deployTransaction: curve.deployTransaction.hash };
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:lock", "Transfers the NFT configured in a timelock into it")
+  .addParam("timelock", "Address of the timelock")
+  .addOptionalParam("from", "Current owner of the NFT, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const { type, timelock } = await getTimelock(hre, args.timelock);
+    const receipt = await lockNft(hre, timelock, await getSigner(hre.ethers, args.from));
+
+    const summary = await getTimelockStatus(hre, timelock, type);
+    summary.lockTransaction = receipt.transactionHash;
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:status", "Prints the state of a timelock")
+  .addParam("timelock", "Address of the timelock")
+  .addOptionalParam("type", "Timelock type, detected on-chain when omitted")
+  .setAction(async (args, hre) => {
+    const { type, timelock } = await getTimelock(hre, args.timelock, args.type);
+
+    const summary = await getTimelockStatus(hre, timelock, type);
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:fund", "Adds to the deposit of a vesting timelock before its vesting start time")
+  .addParam("timelock", "Address of the vesting timelock")
+  .addParam("amount", "Amount added, in ETH or in discount tokens with 18 decimals")
+  .addOptionalParam("from", "Account funding the deposit, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const { type, timelock } = await getTimelock(hre, args.timelock);
+    if (type === "basic") {
+      throw new Error("Basic timelocks have no deposit to fund");
+    }
+    const signer = await getSigner(hre.ethers, args.from);
+    const receipt = await fundTimelock(hre, timelock, signer, ethers.utils.parseEther(args.amount));
+
+    const summary = await getTimelockStatus(hre, timelock, type);
+    summary.funder = signer.address;
+    summary.fundedBy = (await timelock.fundedBy(signer.address)).toString();
+    summary.fundTransaction = receipt.transactionHash;
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:release", "Releases the NFT and splits the discount of a timelock")
+  .addParam("timelock", "Address of the timelock")
+  .addOptionalParam("from", "Account sending the transaction, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const { type, timelock } = await getTimelock(hre, args.timelock);
+    const receipt = await releaseTimelock(timelock, await getSigner(hre.ethers, args.from));
+
+    const summary = await getTimelockStatus(hre, timelock, type);
+    summary.releaseTransaction = receipt.transactionHash;
+    summary.gasUsed = receipt.gasUsed.toString();
+    if (type !== "basic") {
+      Object.assign(summary, getReleasePayouts(timelock, receipt));
+    }
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:claim", "Claims the discount vested so far for the NFT locker, keeping the NFT locked")
+  .addParam("timelock", "Address of the vesting timelock")
+  .addOptionalParam("from", "NFT locker of the timelock, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const { type, timelock } = await getTimelock(hre, args.timelock);
+    if (type === "basic") {
+      throw new Error("Basic timelocks have no discount to claim");
+    }
+    const receipt = await claimDiscount(timelock, await getSigner(hre.ethers, args.from));
+
+    const summary = await getTimelockStatus(hre, timelock, type);
+    summary.claimTransaction = receipt.transactionHash;
+    printSummary(summary);
+    return summary;
+  });
+
+task("timelock:sign-release", "Signs a release of a vesting timelock for a relayer to submit")
+  .addParam("timelock", "Address of the vesting timelock")
+  .addParam("deadline", "Unix timestamp the signature expires at, or +<seconds> from now")
+  .addOptionalParam("from", "NFT locker or beneficiary signing the release, defaults to the first account")
+  .addOptionalParam("out", "File the signed release is written to, printed only when omitted")
+  .setAction(async (args, hre) => {
+    const { type, timelock } = await getTimelock(hre, args.timelock);
+    if (type === "basic") {
+      throw new Error("Basic timelocks have no signed release");
+    }
+    const deadline = await parseTimestamp(hre.ethers, args.deadline);
+    const signed = await signRelease(hre, timelock, await getSigner(hre.ethers, args.from), deadline);
+
+    if (args.out !== undefined) {
+      fs.writeFileSync(args.out, JSON.stringify(signed, null, 2));
+    }
+    printSummary(signed);
+    return signed;
+  });
+
+task("timelock:relay-release", "Submits a signed release of a vesting timelock, paying the gas")
+  .addParam("signature", "File of the signed release written by timelock:sign-release")
+  .addOptionalParam("from", "Relayer sending the transaction, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const signed = JSON.parse(fs.readFileSync(args.signature, "utf8"));
+    const { type, timelock } = await getTimelock(hre, signed.timelock);
+    const receipt = await relayRelease(timelock, await getSigner(hre.ethers, args.from), signed);
+
+    const summary = await getTimelockStatus(hre, timelock, type);
+    summary.signer = signed.signer;
+    summary.releaseTransaction = receipt.transactionHash;
+    summary.gasUsed = receipt.gasUsed.toString();
+    Object.assign(summary, getReleasePayouts(timelock, receipt));
+    printSummary(summary);
+    return summary;
+  });
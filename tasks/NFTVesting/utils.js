@@ -0,0 +1,21 @@
+// Helpers shared by the NFTVesting tasks.
+
+/**
+ * Returns the signer for `address`, or the first account when it is omitted.
+ */
+async function getSigner(ethers, address) {
+  if (address === undefined) {
+    const [signer] = await ethers.getSigners();
+    return signer;
+  }
+  return ethers.getSigner(address);
+}
+
+function printSummary(summary) {
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+module.exports = {
+  getSigner,
+  printSummary,
+};
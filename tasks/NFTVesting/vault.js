@@ -0,0 +1,39 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { parsePositionsCsv, totalDeposit, setupPositions } = require("../../scripts/NFTVesting/vault/positions");
+const { getSigner, printSummary } = require("./utils");
+
+// Hardhat tasks to deploy an NftVestingVault and fill it from a CSV of positions.
+
+task("vault:deploy", "Deploys an NFT vesting vault")
+  .addOptionalParam("from", "Account deploying the vault, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre.ethers, args.from);
+    const factory = await hre.ethers.getContractFactory("NftVestingVault", signer);
+    const vault = await factory.deploy();
+    await vault.deployed();
+
+    const summary = { address: vault.address, deployTransaction: vault.deployTransaction.hash };
+    printSummary(summary);
+    return summary;
+  });
+
+task("vault:create-positions", "Creates every position of a CSV file in one transaction")
+  .addParam("vault", "Address of the vault")
+  .addParam("csv", "Path to the CSV file of positions")
+  .addOptionalParam("from", "Owner of the NFTs paying the deposits, defaults to the first account")
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre.ethers, args.from);
+    const vault = await hre.ethers.getContractAt("NftVestingVault", args.vault);
+    const positions = parsePositionsCsv(fs.readFileSync(args.csv, "utf8"));
+
+    const positionIds = await setupPositions(hre, vault, positions, signer);
+
+    const summary = {
+      vault: vault.address,
+      positionIds,
+      totalDeposit: totalDeposit(positions).toString(),
+    };
+    printSummary(summary);
+    return summary;
+  });
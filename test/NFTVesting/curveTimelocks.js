@@ -0,0 +1,85 @@
+// Fixtures deploying a vesting timelock along a given curve, shared by the tests of each curve.
+
+const hre = require('hardhat');
+const { latestTimestamp, deployNft } = require('./helpers');
+const { deployTimelock, deployERC20Timelock, lockNft } = require('../../scripts/NFTVesting/timelocks');
+const { encodeCurveParams, deployCurve } = require('../../scripts/NFTVesting/curves');
+
+const { ethers } = hre;
+
+const TOKEN_ID = 0;
+// Seconds between the deployment and the vesting start time
+const START_DELAY = 100;
+
+/**
+ * Returns a fixture deploying an unlocked timelock vesting `deposit` along the curve of type `curve`
+ * with the parameters `params`. It resolves to
+ * `{ timelock, nft, nftLocker, beneficiary, other, vestingStartTime, deposit, balanceOf, args }`,
+ * as {shouldBehaveLikeVestingTimelock} expects, where `args` are the arguments the timelock was deployed with.
+ *
+ * `variant` is the timelock deployed: `named` for the timelock of the curve, `erc20` for its ERC20 variant
+ * paying the deposit in a test token, or `curve` for `NftVestingTimelock` plugged to the curve contract.
+ */
+function curveTimelockFixture(curve, params, { deposit, variant = 'named' }) {
+  return async function () {
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+    const common = {
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      startTime: (await latestTimestamp()) + START_DELAY,
+      deposit,
+    };
+
+    let args;
+    let timelock;
+    let balanceOf = (address) => ethers.provider.getBalance(address);
+    if (variant === 'erc20') {
+      const BasicToken = await ethers.getContractFactory('BasicToken', nftLocker);
+      const token = await BasicToken.deploy('TestToken', 'TTK');
+      await token.mint(nftLocker.address, deposit);
+
+      args = { ...common, type: curve, discountToken: token.address, ...params };
+      timelock = await deployERC20Timelock(hre, args, nftLocker);
+      balanceOf = (address) => token.balanceOf(address);
+    } else if (variant === 'curve') {
+      const curveContract = await deployCurve(hre, curve, nftLocker);
+      args = { ...common, type: 'curve', curve: curveContract.address, curveParams: encodeCurveParams(curve, params) };
+      timelock = await deployTimelock(hre, args, nftLocker);
+    } else {
+      args = { ...common, type: curve, ...params };
+      timelock = await deployTimelock(hre, args, nftLocker);
+    }
+
+    return {
+      timelock,
+      nft,
+      nftLocker,
+      beneficiary,
+      other,
+      vestingStartTime: args.startTime,
+      deposit,
+      balanceOf,
+      args,
+    };
+  };
+}
+
+/**
+ * Returns a fixture deploying the timelock of `fixture` and locking its NFT from the NFT locker.
+ */
+function lockedFixture(fixture) {
+  return async function () {
+    const deployed = await fixture();
+    await lockNft(hre, deployed.timelock, deployed.nftLocker);
+    return deployed;
+  };
+}
+
+module.exports = {
+  TOKEN_ID,
+  curveTimelockFixture,
+  lockedFixture,
+};
@@ -0,0 +1,43 @@
+// Shared fixtures and time travel helpers for the NFT vesting tests.
+
+const { ethers } = require('hardhat');
+
+/**
+ * Returns the timestamp of the latest mined block.
+ */
+async function latestTimestamp() {
+  const block = await ethers.provider.getBlock('latest');
+  return block.timestamp;
+}
+
+/**
+ * Sets the timestamp of the next transaction without mining a block.
+ */
+async function setNextBlockTimestamp(timestamp) {
+  await ethers.provider.send('evm_setNextBlockTimestamp', [timestamp]);
+}
+
+/**
+ * Mines a block at `timestamp` so that view calls observe it.
+ */
+async function increaseTo(timestamp) {
+  await setNextBlockTimestamp(timestamp);
+  await ethers.provider.send('evm_mine', []);
+}
+
+/**
+ * Deploys a `BasicNft` collection and mints token 0 to `owner`.
+ */
+async function deployNft(owner) {
+  const BasicNft = await ethers.getContractFactory('BasicNft', owner);
+  const nft = await BasicNft.deploy('TestNft', 'TFT');
+  await nft.mintNft();
+  return nft;
+}
+
+module.exports = {
+  latestTimestamp,
+  setNextBlockTimestamp,
+  increaseTo,
+  deployNft,
+};
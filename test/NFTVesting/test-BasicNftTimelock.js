@@ -0,0 +1,145 @@
+// The following are tests for the basic NFT timelock.
+
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+
+describe('BasicNftTimelock', function () {
+  const TOKEN_ID = 0;
+  const LOCK_PERIOD = 100;
+
+  async function basicTimelockFixture() {
+    const [owner, beneficiary, other] = await ethers.getSigners();
+    const nft = await deployNft(owner);
+
+    const releaseTime = (await latestTimestamp()) + LOCK_PERIOD;
+    const Timelock = await ethers.getContractFactory('BasicNftTimelock');
+    const timelock = await Timelock.deploy(nft.address, TOKEN_ID, beneficiary.address, releaseTime);
+
+    await nft.transferFrom(owner.address, timelock.address, TOKEN_ID);
+
+    return { nft, timelock, releaseTime, owner, beneficiary, other };
+  }
+
+  it('Should revert when the release time is not in the future', async function () {
+    const [owner, beneficiary] = await ethers.getSigners();
+    const nft = await deployNft(owner);
+    const Timelock = await ethers.getContractFactory('BasicNftTimelock');
+
+    await expect(
+      Timelock.deploy(nft.address, TOKEN_ID, beneficiary.address, await latestTimestamp())
+    ).to.be.revertedWith('BasicNftTimelock: releaseTime_ has to be in the future');
+  });
+
+  it('Should return the constructor parameters', async function () {
+    const { nft, timelock, releaseTime, beneficiary } = await waffle.loadFixture(basicTimelockFixture);
+
+    expect(await timelock.nft()).to.equal(nft.address);
+    expect(await timelock.tokenId()).to.equal(TOKEN_ID);
+    expect(await timelock.beneficiary()).to.equal(beneficiary.address);
+    expect(await timelock.releaseTime()).to.equal(releaseTime);
+  });
+
+  it('Should hold the NFT after it is transferred in', async function () {
+    const { nft, timelock } = await waffle.loadFixture(basicTimelockFixture);
+
+    expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+  });
+
+  it('Should not release the NFT before the release time', async function () {
+    const { nft, timelock, releaseTime, other } = await waffle.loadFixture(basicTimelockFixture);
+
+    await setNextBlockTimestamp(releaseTime - 50);
+    await expect(timelock.connect(other).release()).to.be.revertedWith(
+      'BasicNftTimelock: current time is before release time'
+    );
+    expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+  });
+
+  it('Should release the NFT to the beneficiary at the release time', async function () {
+    const { nft, timelock, releaseTime, beneficiary, other } = await waffle.loadFixture(basicTimelockFixture);
+
+    await setNextBlockTimestamp(releaseTime);
+    await timelock.connect(other).release();
+
+    expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+  });
+
+  it('Should emit Released with no NFT locker or discount', async function () {
+    const { timelock, releaseTime, beneficiary, other } = await waffle.loadFixture(basicTimelockFixture);
+
+    await setNextBlockTimestamp(releaseTime);
+    await expect(timelock.connect(other).release())
+      .to.emit(timelock, 'Released')
+      .withArgs(ethers.constants.AddressZero, beneficiary.address, TOKEN_ID, 0, 0);
+  });
+
+  it('Should not release the NFT twice', async function () {
+    const { timelock, releaseTime, other } = await waffle.loadFixture(basicTimelockFixture);
+
+    await increaseTo(releaseTime + 3000);
+    await timelock.connect(other).release();
+
+    await expect(timelock.connect(other).release()).to.be.revertedWith('BasicNftTimelock: no NFT to release');
+  });
+
+  describe('Cancellation', function () {
+    async function safeLockedTimelockFixture() {
+      const [owner, beneficiary, other] = await ethers.getSigners();
+      const nft = await deployNft(owner);
+
+      const releaseTime = (await latestTimestamp()) + LOCK_PERIOD;
+      const Timelock = await ethers.getContractFactory('BasicNftTimelock');
+      const timelock = await Timelock.deploy(nft.address, TOKEN_ID, beneficiary.address, releaseTime);
+
+      await nft['safeTransferFrom(address,address,uint256)'](owner.address, timelock.address, TOKEN_ID);
+
+      return { nft, timelock, releaseTime, owner, beneficiary, other };
+    }
+
+    it('Should record the locker of the NFT', async function () {
+      const { timelock, owner } = await waffle.loadFixture(safeLockedTimelockFixture);
+
+      expect(await timelock.locker()).to.equal(owner.address);
+    });
+
+    it('Should return the NFT to the locker once both parties approved', async function () {
+      const { nft, timelock, owner, beneficiary } = await waffle.loadFixture(safeLockedTimelockFixture);
+
+      await expect(timelock.connect(owner).approveCancellation())
+        .to.emit(timelock, 'CancellationApproved')
+        .withArgs(owner.address);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+
+      await expect(timelock.connect(beneficiary).approveCancellation())
+        .to.emit(timelock, 'Cancelled')
+        .withArgs(owner.address, beneficiary.address, TOKEN_ID, 0, 0);
+      expect(await timelock.cancelled()).to.equal(true);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(owner.address);
+    });
+
+    it('Should not cancel once an approval is revoked', async function () {
+      const { nft, timelock, owner, beneficiary } = await waffle.loadFixture(safeLockedTimelockFixture);
+
+      await timelock.connect(beneficiary).approveCancellation();
+      await expect(timelock.connect(beneficiary).revokeCancellation())
+        .to.emit(timelock, 'CancellationRevoked')
+        .withArgs(beneficiary.address);
+      await timelock.connect(owner).approveCancellation();
+
+      expect(await timelock.cancelled()).to.equal(false);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should only let the parties approve', async function () {
+      const { timelock, other } = await waffle.loadFixture(safeLockedTimelockFixture);
+
+      await expect(timelock.connect(other).approveCancellation()).to.be.revertedWith(
+        'BasicNftTimelock: caller is not a party of the timelock'
+      );
+      await expect(timelock.connect(other).revokeCancellation()).to.be.revertedWith(
+        'BasicNftTimelock: cancellation not approved by caller'
+      );
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// The following are tests for the concave (square root) vesting NFT timelock.
+// Its lifecycle is tested along every other curve in test-vestingCurves.js.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { increaseTo } = require('./helpers');
+const { TOKEN_ID, curveTimelockFixture, lockedFixture } = require('./curveTimelocks');
+const { deployTimelock } = require('../../scripts/NFTVesting/timelocks');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('ConcaveVestingNftTimeLock', function () {
+  const MAX_DURATION = 1000;
+  const DEPOSIT = parseEther('10');
+
+  const concaveTimelockFixture = lockedFixture(
+    curveTimelockFixture('concave', { maxDuration: MAX_DURATION }, { deposit: DEPOSIT })
+  );
+
+  describe('Deployment', function () {
+    it('Should revert when the max duration is 0', async function () {
+      const { args, nftLocker } = await waffle.loadFixture(concaveTimelockFixture);
+
+      await expect(deployTimelock(hre, { ...args, maxDuration: 0 }, nftLocker)).to.be.revertedWith(
+        'TimeLock: max duration should be greater than 0'
+      );
+    });
+
+    it('Should return the max duration and hold the NFT', async function () {
+      const { nft, timelock } = await waffle.loadFixture(concaveTimelockFixture);
+
+      expect(await timelock.maxDuration()).to.equal(MAX_DURATION);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+  });
+
+  describe('Discount', function () {
+    it('Should vest faster than linear at the start', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(concaveTimelockFixture);
+
+      // sqrt(10 / 1000) = 10% of the deposit after 1% of the max duration
+      await increaseTo(vestingStartTime + 10);
+
+      expect(await timelock.getDiscount()).to.equal(parseEther('1'));
+    });
+
+    it('Should accrue the deposit times the square root of the vested fraction', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(concaveTimelockFixture);
+
+      await increaseTo(vestingStartTime + 250);
+
+      expect(await timelock.getDiscount()).to.equal(parseEther('5'));
+    });
+
+    it('Should vest the whole deposit exactly at the max duration', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(concaveTimelockFixture);
+
+      await increaseTo(vestingStartTime + MAX_DURATION - 1);
+      expect(await timelock.getDiscount()).to.be.lt(DEPOSIT);
+
+      await increaseTo(vestingStartTime + MAX_DURATION);
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+
+      await increaseTo(vestingStartTime + 99999999);
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+    });
+  });
+});
@@ -0,0 +1,303 @@
+// The following are tests for the convex vesting NFT timelock.
+
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+
+const { parseEther } = ethers.utils;
+
+describe('ConvexVestingNftTimeLock', function () {
+  const TOKEN_ID = 0;
+  const GROWTH_RATE = 1;
+  const DEPOSIT = parseEther('100');
+
+  async function deployConvexTimelock(exponent) {
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const Timelock = await ethers.getContractFactory('ConvexVestingNftTimeLock');
+    const timelock = await Timelock.deploy(
+      nft.address,
+      TOKEN_ID,
+      nftLocker.address,
+      beneficiary.address,
+      vestingStartTime,
+      GROWTH_RATE,
+      exponent,
+      { value: DEPOSIT }
+    );
+
+    await nft.transferFrom(nftLocker.address, timelock.address, TOKEN_ID);
+
+    return { nft, timelock, vestingStartTime, nftLocker, beneficiary, other };
+  }
+
+  async function convexTimelockFixture() {
+    return deployConvexTimelock(2);
+  }
+
+  describe('Deployment', function () {
+    it('Should revert when the vesting start time is not in the future', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('ConvexVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          await latestTimestamp(),
+          GROWTH_RATE,
+          2,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: vesting start time is before current time');
+    });
+
+    it('Should revert when no ETH is sent on deployment', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('ConvexVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          GROWTH_RATE,
+          2
+        )
+      ).to.be.revertedWith('TimeLock: Eth should be sent to contract before initialization');
+    });
+
+    it('Should revert when the growth rate is 0', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('ConvexVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          0,
+          2,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: growth rate should be greater than 0');
+    });
+
+    it('Should revert when the exponent is 0', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('ConvexVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          GROWTH_RATE,
+          0,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: exponent should be greater than 0');
+    });
+
+    it('Should return the constructor parameters and hold the deposit', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        convexTimelockFixture
+      );
+
+      expect(await timelock.nft()).to.equal(nft.address);
+      expect(await timelock.tokenId()).to.equal(TOKEN_ID);
+      expect(await timelock.nftLocker()).to.equal(nftLocker.address);
+      expect(await timelock.beneficiary()).to.equal(beneficiary.address);
+      expect(await timelock.vestingStartTime()).to.equal(vestingStartTime);
+      expect(await timelock.growthRate()).to.equal(GROWTH_RATE);
+      expect(await timelock.exponent()).to.equal(2);
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(DEPOSIT);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+  });
+
+  describe('Discount', function () {
+    it('Should have no discount before the vesting start time', async function () {
+      const { timelock } = await waffle.loadFixture(convexTimelockFixture);
+
+      expect(await timelock.vestedDuration()).to.equal(0);
+      expect(await timelock.getDiscount()).to.equal(0);
+    });
+
+    it('Should accrue growthRate * x^2 with exponent 2', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(convexTimelockFixture);
+
+      await increaseTo(vestingStartTime + 88);
+
+      expect(await timelock.getDiscount()).to.equal(GROWTH_RATE * 88 ** 2);
+    });
+
+    it('Should accrue growthRate * x with exponent 1', async function () {
+      const { timelock, vestingStartTime } = await deployConvexTimelock(1);
+
+      await increaseTo(vestingStartTime + 88);
+
+      expect(await timelock.getDiscount()).to.equal(GROWTH_RATE * 88);
+    });
+
+    it('Should cap the discount at the deposit', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(convexTimelockFixture);
+
+      await increaseTo(vestingStartTime + 99999999999999);
+
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+    });
+  });
+
+  describe('Release', function () {
+    it('Should not release before the vesting start time', async function () {
+      const { nft, timelock, vestingStartTime, other } = await waffle.loadFixture(convexTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime - 50);
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should split the deposit by the accrued discount when released during vesting', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        convexTimelockFixture
+      );
+      const discount = GROWTH_RATE * 88 ** 2;
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [discount, DEPOSIT.sub(discount), DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should split the deposit linearly with exponent 1', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await deployConvexTimelock(1);
+      const discount = GROWTH_RATE * 88;
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [discount, DEPOSIT.sub(discount)]
+      );
+    });
+
+    it('Should emit Released with the split of the deposit', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        convexTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(timelock.connect(other).release())
+        .to.emit(timelock, 'Released')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, 88 ** 2, DEPOSIT.sub(88 ** 2));
+    });
+
+    it('Should pay the whole deposit to the NFT locker once the curve exceeds the deposit', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        convexTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 99999999999999);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [DEPOSIT, 0, DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should release the whole deposit once the polynomial passes 2^256', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await deployConvexTimelock(40);
+
+      // 1000^40 = 10^120 does not fit in 256 bits.
+      await setNextBlockTimestamp(vestingStartTime + 1000);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [DEPOSIT, 0, DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should not release when the NFT is not held', async function () {
+      const { timelock, vestingStartTime, other } = await waffle.loadFixture(convexTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(other).release();
+
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: no NFT to release for this address'
+      );
+    });
+  });
+
+  describe('Claiming', function () {
+    it('Should have nothing claimable before the vesting start time', async function () {
+      const { timelock } = await waffle.loadFixture(convexTimelockFixture);
+
+      expect(await timelock.claimable()).to.equal(0);
+    });
+
+    it('Should only release the discount not claimed yet', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        convexTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(nftLocker).claimDiscount()).to.changeEtherBalance(nftLocker, 88 ** 2);
+
+      await setNextBlockTimestamp(vestingStartTime + 100);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [100 ** 2 - 88 ** 2, DEPOSIT.sub(100 ** 2)]
+      );
+      expect(await timelock.claimed()).to.equal(100 ** 2);
+    });
+  });
+
+  describe('Cancellation', function () {
+    it('Should return the NFT and the whole deposit before the vesting start time', async function () {
+      const { nft, timelock, nftLocker, beneficiary } = await waffle.loadFixture(convexTimelockFixture);
+
+      await timelock.connect(beneficiary).approveCancellation();
+      await expect(timelock.connect(nftLocker).approveCancellation())
+        .to.emit(timelock, 'Cancelled')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, 0, DEPOSIT);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+    });
+
+    it('Should settle the deposit by the discount accrued so far', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(convexTimelockFixture);
+
+      await timelock.connect(beneficiary).approveCancellation();
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(nftLocker).approveCancellation()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [88 ** 2, DEPOSIT.sub(88 ** 2)]
+      );
+    });
+
+    it('Should cancel once the polynomial passes 2^256', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await deployConvexTimelock(40);
+
+      await timelock.connect(beneficiary).approveCancellation();
+      await setNextBlockTimestamp(vestingStartTime + 1000);
+      await expect(timelock.connect(nftLocker).approveCancellation())
+        .to.emit(timelock, 'Cancelled')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, DEPOSIT, 0);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+    });
+  });
+});
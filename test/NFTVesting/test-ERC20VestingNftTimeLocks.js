@@ -0,0 +1,236 @@
+// The following are tests for the vesting timelocks paying the discount in an ERC20 token.
+// Each ERC20 timelock is checked against the ETH timelock of the same curve.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo } = require('./helpers');
+const {
+  deployTimelock,
+  deployERC20Timelock,
+  getTimelock,
+  getTimelockStatus,
+} = require('../../scripts/NFTVesting/timelocks');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('ERC20 vesting timelocks', function () {
+  const DEPOSIT = parseEther('10');
+  const CURVES = {
+    linear: { maxDuration: 1000 },
+    interval: { maxIntervals: 10, intervalDuration: 100 },
+    convex: { growthRate: 1, exponent: 2 },
+  };
+
+  async function timelocksFixture() {
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+
+    const BasicNft = await ethers.getContractFactory('BasicNft', nftLocker);
+    const nft = await BasicNft.deploy('TestNft', 'TFT');
+    const BasicToken = await ethers.getContractFactory('BasicToken', nftLocker);
+    const token = await BasicToken.deploy('TestToken', 'TTK');
+    await token.mint(nftLocker.address, DEPOSIT.mul(Object.keys(CURVES).length));
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const timelocks = {};
+    for (const [type, curve] of Object.entries(CURVES)) {
+      const args = {
+        type,
+        nft: nft.address,
+        locker: nftLocker.address,
+        beneficiary: beneficiary.address,
+        startTime: vestingStartTime,
+        deposit: DEPOSIT,
+        ...curve,
+      };
+
+      const ethTokenId = (await nft.getTokenCounter()).toNumber();
+      await nft.mintNft();
+      const eth = await deployTimelock(hre, { ...args, tokenId: ethTokenId }, nftLocker);
+      await nft.transferFrom(nftLocker.address, eth.address, ethTokenId);
+
+      const erc20TokenId = ethTokenId + 1;
+      await nft.mintNft();
+      const erc20 = await deployERC20Timelock(
+        hre,
+        { ...args, tokenId: erc20TokenId, discountToken: token.address },
+        nftLocker
+      );
+      await nft.transferFrom(nftLocker.address, erc20.address, erc20TokenId);
+
+      timelocks[type] = { eth, erc20, erc20TokenId };
+    }
+
+    return { nft, token, timelocks, vestingStartTime, nftLocker, beneficiary, other };
+  }
+
+  describe('Setup', function () {
+    it('Should pull the deposit from the allowance of the deployer', async function () {
+      const { token, timelocks, nftLocker } = await waffle.loadFixture(timelocksFixture);
+
+      for (const { erc20 } of Object.values(timelocks)) {
+        expect(await erc20.discountToken()).to.equal(token.address);
+        expect(await token.balanceOf(erc20.address)).to.equal(DEPOSIT);
+      }
+      expect(await token.balanceOf(nftLocker.address)).to.equal(0);
+    });
+
+    it('Should revert without an allowance for the deposit', async function () {
+      const { nft, token, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(timelocksFixture);
+      await token.mint(nftLocker.address, DEPOSIT);
+      const Timelock = await ethers.getContractFactory('ERC20LinearVestingNftTimeLock', nftLocker);
+
+      await expect(
+        Timelock.deploy(nft.address, 0, nftLocker.address, beneficiary.address, vestingStartTime, 1000, 0, token.address, DEPOSIT)
+      ).to.be.revertedWith('ERC20: insufficient allowance');
+    });
+
+    it('Should revert without a deposit', async function () {
+      const { nft, token, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(timelocksFixture);
+      const Timelock = await ethers.getContractFactory('ERC20IntervalVestingNftTimeLock', nftLocker);
+
+      await expect(
+        Timelock.deploy(nft.address, 0, nftLocker.address, beneficiary.address, vestingStartTime, 10, 100, token.address, 0)
+      ).to.be.revertedWith('TimeLock: tokens should be deposited before initialization');
+    });
+
+    it('Should not accept ETH', async function () {
+      const { timelocks, other } = await waffle.loadFixture(timelocksFixture);
+
+      await expect(other.sendTransaction({ to: timelocks.convex.erc20.address, value: 1 })).to.be.reverted;
+    });
+  });
+
+  for (const type of Object.keys(CURVES)) {
+    describe(`${type} curve`, function () {
+      it('Should accrue the same discount as the ETH timelock', async function () {
+        const { timelocks, vestingStartTime } = await waffle.loadFixture(timelocksFixture);
+        const { eth, erc20 } = timelocks[type];
+
+        for (const offset of [88, 250, 999, 5000]) {
+          await increaseTo(vestingStartTime + offset);
+          expect(await erc20.getDiscount()).to.equal(await eth.getDiscount());
+        }
+      });
+
+      it('Should pay out the same discount and remainder as the ETH timelock', async function () {
+        const { nft, token, timelocks, vestingStartTime, nftLocker, beneficiary, other } =
+          await waffle.loadFixture(timelocksFixture);
+        const { eth, erc20, erc20TokenId } = timelocks[type];
+
+        const ethBefore = await ethers.provider.getBalance(nftLocker.address);
+
+        // Release both timelocks in the same block, so that they vest for the same duration.
+        await ethers.provider.send('evm_setAutomine', [false]);
+        try {
+          await eth.connect(other).release();
+          await erc20.connect(other).release();
+          await increaseTo(vestingStartTime + 88);
+        } finally {
+          await ethers.provider.send('evm_setAutomine', [true]);
+        }
+
+        const discount = (await ethers.provider.getBalance(nftLocker.address)).sub(ethBefore);
+        expect(discount).to.be.gt(0);
+        expect(await token.balanceOf(nftLocker.address)).to.equal(discount);
+        expect(await token.balanceOf(beneficiary.address)).to.equal(DEPOSIT.sub(discount));
+        expect(await token.balanceOf(erc20.address)).to.equal(0);
+        expect(await nft.ownerOf(erc20TokenId)).to.equal(beneficiary.address);
+      });
+
+      it('Should be detected as an ERC20 timelock holding its deposit in the token', async function () {
+        const { token, timelocks } = await waffle.loadFixture(timelocksFixture);
+        const { eth, erc20 } = timelocks[type];
+
+        const detected = await getTimelock(hre, erc20.address);
+        const status = await getTimelockStatus(hre, detected.timelock, detected.type);
+
+        expect(detected.type).to.equal(`erc20-${type}`);
+        expect((await getTimelock(hre, eth.address)).type).to.equal(type);
+        expect(status.discountToken).to.equal(token.address);
+        expect(status.balance).to.equal(DEPOSIT.toString());
+        expect(status.totalDeposit).to.equal(DEPOSIT.toString());
+      });
+    });
+  }
+
+  describe('Release', function () {
+    it('Should not release before the vesting start time', async function () {
+      const { timelocks, other } = await waffle.loadFixture(timelocksFixture);
+
+      await expect(timelocks.linear.erc20.connect(other).release()).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+      await expect(timelocks.interval.erc20.connect(other).release()).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+    });
+
+    it('Should pay the whole deposit to the NFT locker after the max duration', async function () {
+      const { token, timelocks, vestingStartTime, nftLocker, beneficiary, other } =
+        await waffle.loadFixture(timelocksFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 99999);
+      await expect(() => timelocks.linear.erc20.connect(other).release()).to.changeTokenBalances(
+        token,
+        [nftLocker, beneficiary],
+        [DEPOSIT, 0]
+      );
+    });
+
+    it('Should release the discount not claimed yet in tokens', async function () {
+      const { token, timelocks, vestingStartTime, nftLocker, beneficiary, other } =
+        await waffle.loadFixture(timelocksFixture);
+      const { erc20 } = timelocks.linear;
+
+      await setNextBlockTimestamp(vestingStartTime + 100);
+      await expect(erc20.connect(nftLocker).claimDiscount())
+        .to.emit(erc20, 'DiscountClaimed')
+        .withArgs(nftLocker.address, DEPOSIT.div(10));
+
+      await setNextBlockTimestamp(vestingStartTime + 300);
+      await expect(() => erc20.connect(other).release()).to.changeTokenBalances(
+        token,
+        [nftLocker, beneficiary],
+        [DEPOSIT.div(5), DEPOSIT.mul(7).div(10)]
+      );
+    });
+
+    it('Should emit Released with the split of the deposit', async function () {
+      const { timelocks, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(timelocksFixture);
+      const { erc20, erc20TokenId } = timelocks.interval;
+
+      await setNextBlockTimestamp(vestingStartTime + 250);
+      await expect(erc20.connect(other).release())
+        .to.emit(erc20, 'Released')
+        .withArgs(nftLocker.address, beneficiary.address, erc20TokenId, DEPOSIT.mul(3).div(10), DEPOSIT.mul(7).div(10));
+    });
+
+    it('Should return the NFT and settle the tokens on cancellation', async function () {
+      const { nft, token, timelocks, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        timelocksFixture
+      );
+      const { erc20, erc20TokenId } = timelocks.convex;
+
+      await erc20.connect(beneficiary).approveCancellation();
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => erc20.connect(nftLocker).approveCancellation()).to.changeTokenBalances(
+        token,
+        [nftLocker, beneficiary],
+        [88 ** 2, DEPOSIT.sub(88 ** 2)]
+      );
+      expect(await nft.ownerOf(erc20TokenId)).to.equal(nftLocker.address);
+    });
+
+    it('Should not release twice', async function () {
+      const { timelocks, vestingStartTime, other } = await waffle.loadFixture(timelocksFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelocks.convex.erc20.connect(other).release();
+
+      await expect(timelocks.convex.erc20.connect(other).release()).to.be.revertedWith(
+        'TimeLock: no NFT to release for this address'
+      );
+    });
+  });
+});
@@ -0,0 +1,281 @@
+// The following are tests for the interval vesting NFT timelock.
+
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+
+const { parseEther } = ethers.utils;
+
+describe('IntervalVestingNftTimeLock', function () {
+  const TOKEN_ID = 0;
+  const MAX_INTERVALS = 10;
+  const INTERVAL_DURATION = 100;
+  const DEPOSIT = parseEther('1000');
+
+  async function intervalTimelockFixture() {
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const Timelock = await ethers.getContractFactory('IntervalVestingNftTimeLock');
+    const timelock = await Timelock.deploy(
+      nft.address,
+      TOKEN_ID,
+      nftLocker.address,
+      beneficiary.address,
+      vestingStartTime,
+      MAX_INTERVALS,
+      INTERVAL_DURATION,
+      { value: DEPOSIT }
+    );
+
+    await nft.transferFrom(nftLocker.address, timelock.address, TOKEN_ID);
+
+    return { nft, timelock, vestingStartTime, nftLocker, beneficiary, other };
+  }
+
+  describe('Deployment', function () {
+    it('Should revert when the vesting start time is not in the future', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('IntervalVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          await latestTimestamp(),
+          MAX_INTERVALS,
+          INTERVAL_DURATION,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: vesting start time is before current time');
+    });
+
+    it('Should revert when no ETH is sent on deployment', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('IntervalVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          MAX_INTERVALS,
+          INTERVAL_DURATION
+        )
+      ).to.be.revertedWith('TimeLock: Eth should be sent to contract before initialization');
+    });
+
+    it('Should revert when the max intervals is 0', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('IntervalVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          0,
+          INTERVAL_DURATION,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: max intervals should be greater than 0');
+    });
+
+    it('Should revert when the interval duration is 0', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('IntervalVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          MAX_INTERVALS,
+          0,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: interval duration should be greater than 0');
+    });
+
+    it('Should return the constructor parameters and hold the deposit', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        intervalTimelockFixture
+      );
+
+      expect(await timelock.nft()).to.equal(nft.address);
+      expect(await timelock.tokenId()).to.equal(TOKEN_ID);
+      expect(await timelock.nftLocker()).to.equal(nftLocker.address);
+      expect(await timelock.beneficiary()).to.equal(beneficiary.address);
+      expect(await timelock.vestingStartTime()).to.equal(vestingStartTime);
+      expect(await timelock.maxIntervals()).to.equal(MAX_INTERVALS);
+      expect(await timelock.intervalDuration()).to.equal(INTERVAL_DURATION);
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(DEPOSIT);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+  });
+
+  describe('Intervals', function () {
+    it('Should be at interval 0 before the vesting start time', async function () {
+      const { timelock } = await waffle.loadFixture(intervalTimelockFixture);
+
+      expect(await timelock.currentInterval()).to.equal(0);
+      expect(await timelock.getIntervalsLeft()).to.equal(MAX_INTERVALS);
+      expect(await timelock.getDiscount()).to.equal(0);
+    });
+
+    it('Should enter the first interval at the vesting start time', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await increaseTo(vestingStartTime + 88);
+
+      expect(await timelock.intervalsPassed()).to.equal(0);
+      expect(await timelock.currentInterval()).to.equal(1);
+      expect(await timelock.getIntervalsLeft()).to.equal(MAX_INTERVALS - 1);
+      expect(await timelock.getDiscount()).to.equal(parseEther('100'));
+    });
+
+    it('Should advance one interval per interval duration', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await increaseTo(vestingStartTime + 3 * INTERVAL_DURATION);
+
+      expect(await timelock.intervalsPassed()).to.equal(3);
+      expect(await timelock.currentInterval()).to.equal(4);
+      expect(await timelock.getDiscount()).to.equal(parseEther('400'));
+    });
+
+    it('Should cap the interval count at the max intervals', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await increaseTo(vestingStartTime + 99999999);
+
+      expect(await timelock.currentInterval()).to.equal(MAX_INTERVALS);
+      expect(await timelock.getIntervalsLeft()).to.equal(0);
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+    });
+  });
+
+  describe('Release', function () {
+    it('Should not release before the vesting start time', async function () {
+      const { nft, timelock, vestingStartTime, other } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime - 50);
+      await expect(timelock.connect(other).release()).to.be.revertedWith('TimeLock: current time is before vesting start time');
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should split the deposit by the current interval when released during vesting', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        intervalTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('100'), parseEther('900'), DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should emit Released with the split of the deposit', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        intervalTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 250);
+      await expect(timelock.connect(other).release())
+        .to.emit(timelock, 'Released')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, parseEther('300'), parseEther('700'));
+    });
+
+    it('Should pay the whole deposit to the NFT locker when released at max intervals', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        intervalTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 99999999);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [DEPOSIT, 0, DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should not release when the NFT is not held', async function () {
+      const { timelock, vestingStartTime, other } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(other).release();
+
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: no NFT to release for this address'
+      );
+    });
+  });
+
+  describe('Claiming', function () {
+    it('Should pay the discount of the current interval to the NFT locker', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 150);
+      await expect(timelock.connect(nftLocker).claimDiscount())
+        .to.emit(timelock, 'DiscountClaimed')
+        .withArgs(nftLocker.address, parseEther('200'));
+
+      expect(await timelock.claimed()).to.equal(parseEther('200'));
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(parseEther('800'));
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should not claim again within the same interval', async function () {
+      const { timelock, vestingStartTime, nftLocker } = await waffle.loadFixture(intervalTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 150);
+      await timelock.connect(nftLocker).claimDiscount();
+
+      await setNextBlockTimestamp(vestingStartTime + 180);
+      await expect(timelock.connect(nftLocker).claimDiscount()).to.be.revertedWith('TimeLock: no discount to claim');
+    });
+
+    it('Should only release the discount not claimed yet', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        intervalTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 150);
+      await timelock.connect(nftLocker).claimDiscount();
+
+      await setNextBlockTimestamp(vestingStartTime + 450);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [parseEther('300'), parseEther('500')]
+      );
+    });
+  });
+
+  describe('Cancellation', function () {
+    it('Should return the NFT and settle the deposit by the current interval', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        intervalTimelockFixture
+      );
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await setNextBlockTimestamp(vestingStartTime + 250);
+      await expect(timelock.connect(beneficiary).approveCancellation())
+        .to.emit(timelock, 'Cancelled')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, parseEther('300'), parseEther('700'));
+
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(0);
+    });
+  });
+});
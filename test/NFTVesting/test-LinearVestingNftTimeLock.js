@@ -0,0 +1,470 @@
+// The following are tests for the linear vesting NFT timelock.
+
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+
+const { parseEther } = ethers.utils;
+
+describe('LinearVestingNftTimeLock', function () {
+  const TOKEN_ID = 0;
+  const MAX_DURATION = 1000;
+  const CLIFF_DURATION = 300;
+  const DEPOSIT = parseEther('1000');
+
+  async function linearTimelockFixture() {
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const Timelock = await ethers.getContractFactory('LinearVestingNftTimeLock');
+    const timelock = await Timelock.deploy(
+      nft.address,
+      TOKEN_ID,
+      nftLocker.address,
+      beneficiary.address,
+      vestingStartTime,
+      MAX_DURATION,
+      0,
+      { value: DEPOSIT }
+    );
+
+    await nft.transferFrom(nftLocker.address, timelock.address, TOKEN_ID);
+
+    return { nft, timelock, vestingStartTime, nftLocker, beneficiary, other };
+  }
+
+  describe('Deployment', function () {
+    it('Should revert when the vesting start time is not in the future', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('LinearVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          await latestTimestamp(),
+          MAX_DURATION,
+          0,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: vesting start time is before current time');
+    });
+
+    it('Should revert when no ETH is sent on deployment', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('LinearVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          MAX_DURATION,
+          0
+        )
+      ).to.be.revertedWith('TimeLock: Eth should be sent to contract before initialization');
+    });
+
+    it('Should revert when the max duration is 0', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('LinearVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          0,
+          0,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: max duration should be greater than 0');
+    });
+
+    it('Should revert when the cliff is longer than the max duration', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('LinearVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          MAX_DURATION,
+          MAX_DURATION + 1,
+          { value: DEPOSIT }
+        )
+      ).to.be.revertedWith('TimeLock: cliff duration is longer than max duration');
+    });
+
+    it('Should return the constructor parameters and hold the deposit', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      expect(await timelock.nft()).to.equal(nft.address);
+      expect(await timelock.tokenId()).to.equal(TOKEN_ID);
+      expect(await timelock.nftLocker()).to.equal(nftLocker.address);
+      expect(await timelock.beneficiary()).to.equal(beneficiary.address);
+      expect(await timelock.vestingStartTime()).to.equal(vestingStartTime);
+      expect(await timelock.maxDuration()).to.equal(MAX_DURATION);
+      expect(await timelock.cliffDuration()).to.equal(0);
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(DEPOSIT);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should emit EthReceived when ETH is sent after deployment', async function () {
+      const { timelock, other } = await waffle.loadFixture(linearTimelockFixture);
+
+      await expect(other.sendTransaction({ to: timelock.address, value: 1 }))
+        .to.emit(timelock, 'EthReceived')
+        .withArgs(other.address, 1);
+    });
+  });
+
+  describe('Discount', function () {
+    it('Should have no discount before the vesting start time', async function () {
+      const { timelock } = await waffle.loadFixture(linearTimelockFixture);
+
+      expect(await timelock.getDiscount()).to.equal(0);
+    });
+
+    it('Should accrue the discount linearly with the vested duration', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(linearTimelockFixture);
+
+      await increaseTo(vestingStartTime + 88);
+
+      expect(await timelock.vestedDuration()).to.equal(88);
+      expect(await timelock.getDiscount()).to.equal(parseEther('88'));
+    });
+
+    it('Should cap the discount at the deposit after the max duration', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(linearTimelockFixture);
+
+      await increaseTo(vestingStartTime + 99999999);
+
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+    });
+  });
+
+  describe('Release', function () {
+    it('Should not release before the vesting start time', async function () {
+      const { nft, timelock, vestingStartTime, other } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime - 50);
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should split the deposit by the accrued discount when released during vesting', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('88'), parseEther('912'), DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should emit Released with the split of the deposit', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(timelock.connect(other).release())
+        .to.emit(timelock, 'Released')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, parseEther('88'), parseEther('912'));
+    });
+
+    it('Should pay the whole deposit to the NFT locker when released at max duration', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 99999999);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [DEPOSIT, 0, DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should not release when the NFT is not held', async function () {
+      const { timelock, vestingStartTime, other } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(other).release();
+
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: no NFT to release for this address'
+      );
+    });
+  });
+
+  describe('Claiming', function () {
+    it('Should have nothing claimable before the vesting start time', async function () {
+      const { timelock, nftLocker } = await waffle.loadFixture(linearTimelockFixture);
+
+      expect(await timelock.claimable()).to.equal(0);
+      await expect(timelock.connect(nftLocker).claimDiscount()).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+    });
+
+    it('Should only let the NFT locker claim', async function () {
+      const { timelock, vestingStartTime, other } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(timelock.connect(other).claimDiscount()).to.be.revertedWith(
+        'TimeLock: caller is not the NFT locker'
+      );
+    });
+
+    it('Should pay the vested discount to the NFT locker and keep the NFT locked', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(nftLocker).claimDiscount()).to.changeEtherBalances(
+        [nftLocker, timelock],
+        [parseEther('88'), parseEther('-88')]
+      );
+
+      expect(await timelock.claimed()).to.equal(parseEther('88'));
+      expect(await timelock.claimable()).to.equal(0);
+      expect(await timelock.totalDeposit()).to.equal(DEPOSIT);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should emit DiscountClaimed', async function () {
+      const { timelock, vestingStartTime, nftLocker } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(timelock.connect(nftLocker).claimDiscount())
+        .to.emit(timelock, 'DiscountClaimed')
+        .withArgs(nftLocker.address, parseEther('88'));
+    });
+
+    it('Should keep accruing on the whole deposit after a claim', async function () {
+      const { timelock, vestingStartTime, nftLocker } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(nftLocker).claimDiscount();
+      await increaseTo(vestingStartTime + 200);
+
+      expect(await timelock.getDiscount()).to.equal(parseEther('200'));
+      expect(await timelock.claimable()).to.equal(parseEther('112'));
+    });
+
+    it('Should only release the discount not claimed yet', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(nftLocker).claimDiscount();
+
+      await setNextBlockTimestamp(vestingStartTime + 200);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('112'), parseEther('800'), parseEther('-912')]
+      );
+      expect(await timelock.claimed()).to.equal(parseEther('200'));
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should not claim once the NFT is released', async function () {
+      const { timelock, vestingStartTime, nftLocker, other } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(other).release();
+
+      expect(await timelock.claimable()).to.equal(0);
+      await expect(timelock.connect(nftLocker).claimDiscount()).to.be.revertedWith(
+        'TimeLock: no NFT locked in this contract'
+      );
+    });
+  });
+
+  describe('Cancellation', function () {
+    it('Should only let the parties approve', async function () {
+      const { timelock, other } = await waffle.loadFixture(linearTimelockFixture);
+
+      await expect(timelock.connect(other).approveCancellation()).to.be.revertedWith(
+        'TimeLock: caller is not a party of the timelock'
+      );
+    });
+
+    it('Should wait for the approval of both parties', async function () {
+      const { nft, timelock, nftLocker, beneficiary } = await waffle.loadFixture(linearTimelockFixture);
+
+      await timelock.connect(nftLocker).approveCancellation();
+
+      expect(await timelock.cancellationApproved(nftLocker.address)).to.equal(true);
+      expect(await timelock.cancellationApproved(beneficiary.address)).to.equal(false);
+      expect(await timelock.cancelled()).to.equal(false);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should return the NFT and the whole deposit before the vesting start time', async function () {
+      const { nft, timelock, nftLocker, beneficiary } = await waffle.loadFixture(linearTimelockFixture);
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await expect(() => timelock.connect(beneficiary).approveCancellation()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [0, DEPOSIT]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+    });
+
+    it('Should settle the deposit by the discount accrued so far', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      await timelock.connect(beneficiary).approveCancellation();
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => timelock.connect(nftLocker).approveCancellation()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('88'), parseEther('912'), DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+    });
+
+    it('Should emit Cancelled with the settlement', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(linearTimelockFixture);
+
+      await timelock.connect(beneficiary).approveCancellation();
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(timelock.connect(nftLocker).approveCancellation())
+        .to.emit(timelock, 'Cancelled')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, parseEther('88'), parseEther('912'));
+    });
+
+    it('Should account for the discount already claimed', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(linearTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await timelock.connect(nftLocker).claimDiscount();
+      await timelock.connect(nftLocker).approveCancellation();
+
+      await setNextBlockTimestamp(vestingStartTime + 200);
+      await expect(() => timelock.connect(beneficiary).approveCancellation()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [parseEther('112'), parseEther('800')]
+      );
+    });
+
+    it('Should not release or approve again once cancelled', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        linearTimelockFixture
+      );
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(beneficiary).approveCancellation();
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: no NFT to release for this address'
+      );
+      await expect(timelock.connect(nftLocker).approveCancellation()).to.be.revertedWith(
+        'TimeLock: timelock is cancelled'
+      );
+    });
+  });
+
+  describe('Cliff', function () {
+    // Kept small so that the test accounts are not drained by the release tests
+    const CLIFF_DEPOSIT = parseEther('10');
+
+    async function cliffTimelockFixture() {
+      const [nftLocker, beneficiary, other] = await ethers.getSigners();
+      const nft = await deployNft(nftLocker);
+
+      const vestingStartTime = (await latestTimestamp()) + 100;
+      const Timelock = await ethers.getContractFactory('LinearVestingNftTimeLock');
+      const timelock = await Timelock.deploy(
+        nft.address,
+        TOKEN_ID,
+        nftLocker.address,
+        beneficiary.address,
+        vestingStartTime,
+        MAX_DURATION,
+        CLIFF_DURATION,
+        { value: CLIFF_DEPOSIT }
+      );
+
+      await nft.transferFrom(nftLocker.address, timelock.address, TOKEN_ID);
+
+      return { nft, timelock, vestingStartTime, nftLocker, beneficiary, other };
+    }
+
+    it('Should return the cliff duration', async function () {
+      const { timelock } = await waffle.loadFixture(cliffTimelockFixture);
+
+      expect(await timelock.cliffDuration()).to.equal(CLIFF_DURATION);
+    });
+
+    it('Should have no discount one second before the cliff', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(cliffTimelockFixture);
+
+      await increaseTo(vestingStartTime + CLIFF_DURATION - 1);
+
+      expect(await timelock.vestedDuration()).to.equal(0);
+      expect(await timelock.getDiscount()).to.equal(0);
+      expect(await timelock.claimable()).to.equal(0);
+    });
+
+    it('Should not let the NFT locker claim before the cliff', async function () {
+      const { timelock, vestingStartTime, nftLocker } = await waffle.loadFixture(cliffTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + CLIFF_DURATION - 1);
+      await expect(timelock.connect(nftLocker).claimDiscount()).to.be.revertedWith('TimeLock: no discount to claim');
+    });
+
+    it('Should catch up on the discount vested during the cliff once it passes', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(cliffTimelockFixture);
+
+      await increaseTo(vestingStartTime + CLIFF_DURATION);
+
+      expect(await timelock.vestedDuration()).to.equal(CLIFF_DURATION);
+      expect(await timelock.getDiscount()).to.equal(parseEther('3'));
+    });
+
+    it('Should vest the whole deposit at max duration', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(cliffTimelockFixture);
+
+      await increaseTo(vestingStartTime + MAX_DURATION);
+
+      expect(await timelock.vestedDuration()).to.equal(MAX_DURATION);
+      expect(await timelock.getDiscount()).to.equal(CLIFF_DEPOSIT);
+    });
+
+    it('Should pay the whole deposit to the beneficiary when released before the cliff', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        cliffTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + CLIFF_DURATION - 1);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [0, CLIFF_DEPOSIT, CLIFF_DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// The following are tests for the logistic (S-curve) vesting NFT timelock.
+// Its lifecycle is tested along every other curve in test-vestingCurves.js.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { increaseTo } = require('./helpers');
+const { TOKEN_ID, curveTimelockFixture, lockedFixture } = require('./curveTimelocks');
+const { deployTimelock } = require('../../scripts/NFTVesting/timelocks');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('LogisticVestingNftTimeLock', function () {
+  const MAX_DURATION = 1000;
+  const DEPOSIT = parseEther('10');
+
+  const logisticTimelockFixture = lockedFixture(
+    curveTimelockFixture('logistic', { maxDuration: MAX_DURATION, steepness: 2 }, { deposit: DEPOSIT })
+  );
+  const linearLogisticTimelockFixture = lockedFixture(
+    curveTimelockFixture('logistic', { maxDuration: MAX_DURATION, steepness: 1 }, { deposit: DEPOSIT })
+  );
+
+  describe('Deployment', function () {
+    it('Should revert when the max duration is 0', async function () {
+      const { args, nftLocker } = await waffle.loadFixture(logisticTimelockFixture);
+
+      await expect(deployTimelock(hre, { ...args, maxDuration: 0 }, nftLocker)).to.be.revertedWith(
+        'TimeLock: max duration should be greater than 0'
+      );
+    });
+
+    it('Should revert when the steepness is out of range', async function () {
+      const { args, nftLocker } = await waffle.loadFixture(logisticTimelockFixture);
+
+      await expect(deployTimelock(hre, { ...args, steepness: 0 }, nftLocker)).to.be.revertedWith(
+        'TimeLock: steepness should be between 1 and 16'
+      );
+      await expect(deployTimelock(hre, { ...args, steepness: 17 }, nftLocker)).to.be.revertedWith(
+        'TimeLock: steepness should be between 1 and 16'
+      );
+    });
+
+    it('Should return the curve parameters and hold the NFT', async function () {
+      const { nft, timelock } = await waffle.loadFixture(logisticTimelockFixture);
+
+      expect(await timelock.maxDuration()).to.equal(MAX_DURATION);
+      expect(await timelock.steepness()).to.equal(2);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+  });
+
+  describe('Discount', function () {
+    it('Should vest slowly at the start, half at the midpoint and quickly in between', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(logisticTimelockFixture);
+
+      // 0.25^2 / (0.25^2 + 0.75^2) = 10%
+      await increaseTo(vestingStartTime + 250);
+      expect(await timelock.getDiscount()).to.equal(parseEther('1'));
+
+      await increaseTo(vestingStartTime + 500);
+      expect(await timelock.getDiscount()).to.equal(parseEther('5'));
+
+      await increaseTo(vestingStartTime + 750);
+      expect(await timelock.getDiscount()).to.equal(parseEther('9'));
+    });
+
+    it('Should vest the whole deposit exactly at the max duration', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(logisticTimelockFixture);
+
+      await increaseTo(vestingStartTime + MAX_DURATION - 1);
+      expect(await timelock.getDiscount()).to.be.lt(DEPOSIT);
+
+      await increaseTo(vestingStartTime + MAX_DURATION);
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+
+      await increaseTo(vestingStartTime + 99999999);
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+    });
+
+    it('Should be linear with steepness 1', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(linearLogisticTimelockFixture);
+
+      await increaseTo(vestingStartTime + 250);
+
+      expect(await timelock.getDiscount()).to.equal(parseEther('2.5'));
+    });
+  });
+});
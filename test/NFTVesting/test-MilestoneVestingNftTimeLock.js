@@ -0,0 +1,207 @@
+// The following are tests for the milestone vesting NFT timelock.
+
+const { expect } = require('chai');
+const { ethers, waffle } = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+const { parseMilestoneSchedule, toMilestones } = require('../../scripts/NFTVesting/milestones');
+
+const { parseEther } = ethers.utils;
+
+describe('MilestoneVestingNftTimeLock', function () {
+  const TOKEN_ID = 0;
+  const DEPOSIT = parseEther('10');
+  // 10% after 100 seconds, 40% after 300 seconds and 100% after 1000 seconds
+  const MILESTONES = parseMilestoneSchedule('100s:10%,300s:40%,1000s:100%');
+
+  async function milestoneTimelockFixture() {
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const Timelock = await ethers.getContractFactory('MilestoneVestingNftTimeLock');
+    const timelock = await Timelock.deploy(
+      nft.address,
+      TOKEN_ID,
+      nftLocker.address,
+      beneficiary.address,
+      vestingStartTime,
+      MILESTONES,
+      { value: DEPOSIT }
+    );
+
+    await nft.transferFrom(nftLocker.address, timelock.address, TOKEN_ID);
+
+    return { nft, timelock, vestingStartTime, nftLocker, beneficiary, other };
+  }
+
+  async function deployWithMilestones(milestones) {
+    const [nftLocker, beneficiary] = await ethers.getSigners();
+    const Timelock = await ethers.getContractFactory('MilestoneVestingNftTimeLock');
+
+    return Timelock.deploy(
+      ethers.constants.AddressZero,
+      TOKEN_ID,
+      nftLocker.address,
+      beneficiary.address,
+      (await latestTimestamp()) + 100,
+      milestones,
+      { value: DEPOSIT }
+    );
+  }
+
+  describe('Deployment', function () {
+    it('Should revert when no ETH is sent on deployment', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const Timelock = await ethers.getContractFactory('MilestoneVestingNftTimeLock');
+
+      await expect(
+        Timelock.deploy(
+          ethers.constants.AddressZero,
+          TOKEN_ID,
+          nftLocker.address,
+          beneficiary.address,
+          (await latestTimestamp()) + 100,
+          MILESTONES
+        )
+      ).to.be.revertedWith('TimeLock: Eth should be sent to contract before initialization');
+    });
+
+    it('Should revert without milestones', async function () {
+      await expect(deployWithMilestones([])).to.be.revertedWith('TimeLock: milestones should not be empty');
+    });
+
+    it('Should revert when the milestone times are not increasing', async function () {
+      await expect(
+        deployWithMilestones([
+          { time: 300, cumulativeBps: 1000 },
+          { time: 300, cumulativeBps: 10000 },
+        ])
+      ).to.be.revertedWith('TimeLock: milestone times should be increasing');
+    });
+
+    it('Should revert when the milestone bps are not increasing', async function () {
+      await expect(
+        deployWithMilestones([
+          { time: 100, cumulativeBps: 4000 },
+          { time: 300, cumulativeBps: 1000 },
+          { time: 1000, cumulativeBps: 10000 },
+        ])
+      ).to.be.revertedWith('TimeLock: milestone bps should be increasing');
+    });
+
+    it('Should revert when the last milestone does not vest the whole deposit', async function () {
+      await expect(
+        deployWithMilestones([
+          { time: 100, cumulativeBps: 1000 },
+          { time: 300, cumulativeBps: 9999 },
+        ])
+      ).to.be.revertedWith('TimeLock: last milestone should vest 10000 bps');
+    });
+
+    it('Should return the constructor parameters and hold the deposit', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary } = await waffle.loadFixture(
+        milestoneTimelockFixture
+      );
+
+      expect(await timelock.nft()).to.equal(nft.address);
+      expect(await timelock.tokenId()).to.equal(TOKEN_ID);
+      expect(await timelock.nftLocker()).to.equal(nftLocker.address);
+      expect(await timelock.beneficiary()).to.equal(beneficiary.address);
+      expect(await timelock.vestingStartTime()).to.equal(vestingStartTime);
+      expect(toMilestones(await timelock.milestones())).to.deep.equal(MILESTONES);
+      expect(await timelock.maxIntervals()).to.equal(MILESTONES.length);
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(DEPOSIT);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+  });
+
+  describe('Milestones', function () {
+    it('Should be at interval 0 with no discount before the first milestone', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(milestoneTimelockFixture);
+
+      expect(await timelock.currentInterval()).to.equal(0);
+      expect(await timelock.getIntervalsLeft()).to.equal(MILESTONES.length);
+      expect(await timelock.getDiscount()).to.equal(0);
+
+      await increaseTo(vestingStartTime + 99);
+      expect(await timelock.currentInterval()).to.equal(0);
+      expect(await timelock.getDiscount()).to.equal(0);
+    });
+
+    it('Should vest the cumulative share of each milestone once reached', async function () {
+      const { timelock, vestingStartTime } = await waffle.loadFixture(milestoneTimelockFixture);
+
+      await increaseTo(vestingStartTime + 100);
+      expect(await timelock.currentInterval()).to.equal(1);
+      expect(await timelock.getIntervalsLeft()).to.equal(2);
+      expect(await timelock.getDiscount()).to.equal(parseEther('1'));
+
+      await increaseTo(vestingStartTime + 299);
+      expect(await timelock.currentInterval()).to.equal(1);
+      expect(await timelock.getDiscount()).to.equal(parseEther('1'));
+
+      await increaseTo(vestingStartTime + 300);
+      expect(await timelock.currentInterval()).to.equal(2);
+      expect(await timelock.getDiscount()).to.equal(parseEther('4'));
+
+      await increaseTo(vestingStartTime + 1000);
+      expect(await timelock.currentInterval()).to.equal(3);
+      expect(await timelock.getIntervalsLeft()).to.equal(0);
+      expect(await timelock.getDiscount()).to.equal(DEPOSIT);
+    });
+
+    it('Should vest from the vesting start time with a milestone at 0', async function () {
+      const timelock = await deployWithMilestones(parseMilestoneSchedule('0s:25%,1d:100%'));
+      const vestingStartTime = (await timelock.vestingStartTime()).toNumber();
+
+      await increaseTo(vestingStartTime);
+
+      expect(await timelock.currentInterval()).to.equal(1);
+      expect(await timelock.getDiscount()).to.equal(parseEther('2.5'));
+    });
+  });
+
+  describe('Release', function () {
+    it('Should not release before the vesting start time', async function () {
+      const { nft, timelock, vestingStartTime, other } = await waffle.loadFixture(milestoneTimelockFixture);
+
+      await setNextBlockTimestamp(vestingStartTime - 50);
+      await expect(timelock.connect(other).release()).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+    });
+
+    it('Should split the deposit by the last milestone reached', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        milestoneTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 500);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('4'), parseEther('6'), DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+  });
+
+  describe('Claiming', function () {
+    it('Should only release the discount not claimed yet', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        milestoneTimelockFixture
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 100);
+      await expect(timelock.connect(nftLocker).claimDiscount())
+        .to.emit(timelock, 'DiscountClaimed')
+        .withArgs(nftLocker.address, parseEther('1'));
+
+      await setNextBlockTimestamp(vestingStartTime + 300);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary],
+        [parseEther('3'), parseEther('6')]
+      );
+    });
+  });
+});
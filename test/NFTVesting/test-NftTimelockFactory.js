@@ -0,0 +1,240 @@
+// The following are tests for the CREATE2 timelock factory and the address prediction helper.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp } = require('./helpers');
+const { TIMELOCK_TYPES, predictTimelockAddress, createTimelock } = require('../../scripts/NFTVesting/factory');
+
+const { ethers, deployments } = hre;
+const { parseEther, formatBytes32String } = ethers.utils;
+
+describe('NftTimelockFactory', function () {
+  const TOKEN_ID = 0;
+  const SALT = formatBytes32String('whitelist-1');
+
+  // The BasicNft deployment mints its first tokens to the NFT locker, the first account.
+  const factoryFixture = deployments.createFixture(async () => {
+    await deployments.fixture(['BasicNft', 'NftTimelockFactory']);
+    const [nftLocker, beneficiary, other] = await ethers.getSigners();
+    const nft = await ethers.getContract('BasicNft');
+    const factory = await ethers.getContract('NftTimelockFactory');
+
+    const startTime = (await latestTimestamp()) + 100;
+    const common = {
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      startTime,
+      deposit: parseEther('1000'),
+    };
+    const timelockArgs = {
+      basic: { ...common, type: 'basic' },
+      linear: { ...common, type: 'linear', maxDuration: 1000, cliffDuration: 0 },
+      interval: { ...common, type: 'interval', maxIntervals: 10, intervalDuration: 100 },
+      convex: { ...common, type: 'convex', growthRate: 1, exponent: 2 },
+      concave: { ...common, type: 'concave', maxDuration: 1000 },
+      logistic: { ...common, type: 'logistic', maxDuration: 1000, steepness: 2 },
+    };
+
+    return { nft, factory, timelockArgs, nftLocker, beneficiary, other };
+  });
+
+  function timelockParams(args) {
+    return [args.nft, args.tokenId, args.locker, args.beneficiary, args.startTime];
+  }
+
+  it('Should predict the on-chain computed address of every timelock type', async function () {
+    const { factory, timelockArgs, nftLocker } = await factoryFixture();
+    const { basic, linear, interval, convex, concave, logistic } = timelockArgs;
+    const predict = (args) => predictTimelockAddress(hre, factory.address, nftLocker.address, args, SALT);
+
+    expect(
+      await factory.computeBasicTimelockAddress(
+        nftLocker.address,
+        basic.nft,
+        basic.tokenId,
+        basic.beneficiary,
+        basic.startTime,
+        SALT
+      )
+    ).to.equal(await predict(basic));
+    expect(
+      await factory.computeLinearTimelockAddress(
+        nftLocker.address,
+        timelockParams(linear),
+        linear.maxDuration,
+        linear.cliffDuration,
+        SALT
+      )
+    ).to.equal(await predict(linear));
+    expect(
+      await factory.computeIntervalTimelockAddress(
+        nftLocker.address,
+        timelockParams(interval),
+        interval.maxIntervals,
+        interval.intervalDuration,
+        SALT
+      )
+    ).to.equal(await predict(interval));
+    expect(
+      await factory.computeConvexTimelockAddress(
+        nftLocker.address,
+        timelockParams(convex),
+        convex.growthRate,
+        convex.exponent,
+        SALT
+      )
+    ).to.equal(await predict(convex));
+    expect(
+      await factory.computeConcaveTimelockAddress(nftLocker.address, timelockParams(concave), concave.maxDuration, SALT)
+    ).to.equal(await predict(concave));
+    expect(
+      await factory.computeLogisticTimelockAddress(
+        nftLocker.address,
+        timelockParams(logistic),
+        logistic.maxDuration,
+        logistic.steepness,
+        SALT
+      )
+    ).to.equal(await predict(logistic));
+  });
+
+  for (const type of Object.keys(TIMELOCK_TYPES)) {
+    it(`Should deploy the ${type} timelock to the predicted address with the NFT locked`, async function () {
+      const { nft, factory, timelockArgs, nftLocker } = await factoryFixture();
+      const args = timelockArgs[type];
+      const predicted = await predictTimelockAddress(hre, factory.address, nftLocker.address, args, SALT);
+
+      const timelock = await createTimelock(hre, factory, args, SALT, nftLocker);
+
+      expect(timelock).to.equal(predicted);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(predicted);
+      expect(await ethers.provider.getBalance(predicted)).to.equal(type === 'basic' ? 0 : args.deposit);
+      expect(await factory.isTimelock(predicted)).to.equal(true);
+      expect(await factory.timelockCount()).to.equal(1);
+      expect(await factory.timelockAt(0)).to.equal(predicted);
+    });
+  }
+
+  it('Should emit TimelockCreated with all parameters', async function () {
+    const { nft, factory, timelockArgs, nftLocker, beneficiary } = await factoryFixture();
+    const args = timelockArgs.interval;
+    const predicted = await predictTimelockAddress(hre, factory.address, nftLocker.address, args, SALT);
+
+    await nft.approve(factory.address, TOKEN_ID);
+    await expect(
+      factory.createIntervalTimelock(
+        ...timelockParams(args),
+        args.maxIntervals,
+        args.intervalDuration,
+        SALT,
+        { value: args.deposit }
+      )
+    )
+      .to.emit(factory, 'TimelockCreated')
+      .withArgs(
+        predicted,
+        TIMELOCK_TYPES.interval,
+        nftLocker.address,
+        nft.address,
+        TOKEN_ID,
+        nftLocker.address,
+        beneficiary.address,
+        args.startTime,
+        args.deposit,
+        ethers.utils.defaultAbiCoder.encode(['uint256', 'uint256'], [args.maxIntervals, args.intervalDuration]),
+        SALT
+      );
+  });
+
+  it('Should revert without the NFT approved, leaving no timelock behind', async function () {
+    const { factory, timelockArgs } = await factoryFixture();
+    const args = timelockArgs.linear;
+
+    await expect(
+      factory.createLinearTimelock(...timelockParams(args), args.maxDuration, args.cliffDuration, SALT, {
+        value: args.deposit,
+      })
+    ).to.be.revertedWith('ERC721: caller is not token owner or approved');
+    expect(await factory.timelockCount()).to.equal(0);
+  });
+
+  it('Should revert when the caller does not own the NFT', async function () {
+    const { nft, factory, timelockArgs, nftLocker, other } = await factoryFixture();
+    const args = timelockArgs.linear;
+
+    await nft.connect(nftLocker).setApprovalForAll(factory.address, true);
+    await expect(
+      factory
+        .connect(other)
+        .createLinearTimelock(...timelockParams(args), args.maxDuration, args.cliffDuration, SALT, {
+          value: args.deposit,
+        })
+    ).to.be.revertedWith('ERC721: transfer from incorrect owner');
+  });
+
+  it('Should reject the timelock types it does not deploy', async function () {
+    const { factory, timelockArgs, nftLocker } = await factoryFixture();
+
+    try {
+      await createTimelock(hre, factory, { ...timelockArgs.linear, type: 'milestone' }, SALT, nftLocker);
+      expect.fail('createTimelock should throw');
+    } catch (error) {
+      expect(error.message).to.equal(
+        'NftTimelockFactory cannot deploy milestone timelocks, only basic|linear|interval|convex|concave|logistic'
+      );
+    }
+  });
+
+  it('Should bind the predicted address to its creator', async function () {
+    const { factory, timelockArgs, nftLocker, other } = await factoryFixture();
+    const args = timelockArgs.linear;
+
+    expect(await predictTimelockAddress(hre, factory.address, nftLocker.address, args, SALT)).to.not.equal(
+      await predictTimelockAddress(hre, factory.address, other.address, args, SALT)
+    );
+  });
+
+  it('Should not deploy the same timelock twice with the same salt', async function () {
+    const { nft, factory, timelockArgs, nftLocker, beneficiary } = await factoryFixture();
+    const args = timelockArgs.basic;
+    await createTimelock(hre, factory, args, SALT, nftLocker);
+
+    await nft.approve(factory.address, 1);
+    await expect(
+      factory.createBasicTimelock(args.nft, args.tokenId, beneficiary.address, args.startTime, SALT)
+    ).to.be.revertedWith('NftTimelockFactory: timelock deployment failed');
+  });
+
+  it('Should credit the deployment deposit to the creator rather than the factory', async function () {
+    const { factory, timelockArgs, nftLocker } = await factoryFixture();
+    const args = timelockArgs.interval;
+    const address = await createTimelock(hre, factory, args, SALT, nftLocker);
+    const timelock = await ethers.getContractAt('IntervalVestingNftTimeLock', address);
+
+    expect(await timelock.fundedBy(nftLocker.address)).to.equal(args.deposit);
+    expect(await timelock.fundedBy(factory.address)).to.equal(0);
+    expect(await timelock.totalDeposit()).to.equal(args.deposit);
+    const [transfer] = await timelock.queryFilter(timelock.filters.FundingTransferred());
+    expect([transfer.args.from, transfer.args.to, transfer.args.amount]).to.deep.equal([
+      factory.address,
+      nftLocker.address,
+      args.deposit,
+    ]);
+  });
+
+  it('Should deploy a timelock that releases like one deployed directly', async function () {
+    const { nft, factory, timelockArgs, nftLocker, beneficiary, other } = await factoryFixture();
+    const args = timelockArgs.linear;
+    const address = await createTimelock(hre, factory, args, SALT, nftLocker);
+    const timelock = await ethers.getContractAt('LinearVestingNftTimeLock', address);
+
+    await setNextBlockTimestamp(args.startTime + 88);
+    await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+      [nftLocker, beneficiary],
+      [parseEther('88'), parseEther('912')]
+    );
+    expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+  });
+});
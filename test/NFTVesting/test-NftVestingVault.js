@@ -0,0 +1,233 @@
+// The following are tests for the multi NFT vesting vault and its CSV setup helper.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo } = require('./helpers');
+const { parsePositionsCsv, totalDeposit, setupPositions } = require('../../scripts/NFTVesting/vault/positions');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('NftVestingVault', function () {
+  const HEADER =
+    'nft,tokenId,nftLocker,beneficiary,deposit,curve,vestingStartTime,maxDuration,maxIntervals,intervalDuration,growthRate,exponent';
+
+  async function vaultFixture() {
+    const [nftLocker, beneficiary1, beneficiary2, other] = await ethers.getSigners();
+
+    const BasicNft = await ethers.getContractFactory('BasicNft', nftLocker);
+    const nft = await BasicNft.deploy('TestNft', 'TFT');
+    for (let i = 0; i < 3; i++) {
+      await nft.mintNft();
+    }
+
+    const Vault = await ethers.getContractFactory('NftVestingVault');
+    const vault = await Vault.deploy();
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const csv = [
+      HEADER,
+      `${nft.address},0,${nftLocker.address},${beneficiary1.address},1000,linear,${vestingStartTime},1000,,,,`,
+      `${nft.address},1,${nftLocker.address},${beneficiary1.address},1000,interval,${vestingStartTime},,10,100,,`,
+      `${nft.address},2,${nftLocker.address},${beneficiary2.address},100,convex,${vestingStartTime},,,,1,2`,
+    ].join('\n');
+    const positions = parsePositionsCsv(csv);
+    const positionIds = await setupPositions(hre, vault, positions, nftLocker);
+
+    return { nft, vault, positions, positionIds, vestingStartTime, nftLocker, beneficiary1, beneficiary2, other };
+  }
+
+  describe('CSV helper', function () {
+    it('Should parse each row into a position', async function () {
+      const { positions, nft, nftLocker, beneficiary2, vestingStartTime } = await waffle.loadFixture(vaultFixture);
+
+      expect(positions).to.have.length(3);
+      expect(positions[2].nft).to.equal(nft.address);
+      expect(positions[2].nftLocker).to.equal(nftLocker.address);
+      expect(positions[2].beneficiary).to.equal(beneficiary2.address);
+      expect(positions[2].deposit).to.equal(parseEther('100'));
+      expect(positions[2].schedule.curve).to.equal(2);
+      expect(positions[2].schedule.vestingStartTime).to.equal(vestingStartTime);
+      expect(positions[2].schedule.growthRate).to.equal(1);
+      expect(positions[2].schedule.exponent).to.equal(2);
+      expect(totalDeposit(positions)).to.equal(parseEther('2100'));
+    });
+
+    it('Should reject unknown curves and missing columns', function () {
+      expect(() => parsePositionsCsv('nft,tokenId\n')).to.throw('CSV is missing the nftLocker column');
+      expect(() =>
+        parsePositionsCsv(`${HEADER}\n${ethers.constants.AddressZero},0,${ethers.constants.AddressZero},${ethers.constants.AddressZero},1,cliff,1,,,,,`)
+      ).to.throw('CSV row 1 has an unknown curve: cliff');
+    });
+  });
+
+  describe('Setup', function () {
+    it('Should create every position in one batch and hold the NFTs and deposits', async function () {
+      const { nft, vault, positionIds } = await waffle.loadFixture(vaultFixture);
+
+      expect(positionIds).to.deep.equal([0, 1, 2]);
+      expect(await vault.positionCount()).to.equal(3);
+      for (let i = 0; i < 3; i++) {
+        expect(await nft.ownerOf(i)).to.equal(vault.address);
+      }
+      expect(await ethers.provider.getBalance(vault.address)).to.equal(parseEther('2100'));
+    });
+
+    it('Should list positions by beneficiary', async function () {
+      const { vault, beneficiary1, beneficiary2, other } = await waffle.loadFixture(vaultFixture);
+
+      expect(await vault.positionsOf(beneficiary1.address)).to.deep.equal([
+        ethers.BigNumber.from(0),
+        ethers.BigNumber.from(1),
+      ]);
+      expect(await vault.positionsOf(beneficiary2.address)).to.deep.equal([ethers.BigNumber.from(2)]);
+      expect(await vault.positionsOf(other.address)).to.deep.equal([]);
+    });
+
+    it('Should revert when the ETH sent does not match the deposits', async function () {
+      const { vault, positions } = await waffle.loadFixture(vaultFixture);
+
+      await expect(vault.createPositions(positions, { value: 1 })).to.be.revertedWith(
+        'NftVestingVault: ETH sent should equal the total deposit'
+      );
+    });
+
+    it('Should revert when the schedule is invalid', async function () {
+      const { nft, vault, positions, nftLocker } = await waffle.loadFixture(vaultFixture);
+      await nft.mintNft();
+      const position = { ...positions[0], tokenId: 3 };
+
+      await expect(
+        vault.createPosition({ ...position, schedule: { ...position.schedule, maxDuration: 0 } }, { value: position.deposit })
+      ).to.be.revertedWith('NftVestingVault: max duration should be greater than 0');
+      await expect(
+        vault.createPosition(
+          { ...position, schedule: { ...position.schedule, vestingStartTime: await latestTimestamp() } },
+          { value: position.deposit }
+        )
+      ).to.be.revertedWith('NftVestingVault: vesting start time is before current time');
+      expect(await nft.ownerOf(3)).to.equal(nftLocker.address);
+    });
+
+    it('Should not create a position for an NFT the caller does not own', async function () {
+      const { vault, positions, other } = await waffle.loadFixture(vaultFixture);
+      const position = positions[0];
+
+      await expect(vault.connect(other).createPosition(position, { value: position.deposit })).to.be.reverted;
+    });
+  });
+
+  describe('Discount', function () {
+    it('Should have no discount before the vesting start time', async function () {
+      const { vault } = await waffle.loadFixture(vaultFixture);
+
+      for (let i = 0; i < 3; i++) {
+        expect(await vault.getDiscount(i)).to.equal(0);
+      }
+    });
+
+    it('Should compute each discount from the deposit of its own position', async function () {
+      const { vault, vestingStartTime } = await waffle.loadFixture(vaultFixture);
+
+      await increaseTo(vestingStartTime + 88);
+
+      expect(await vault.vestedDuration(0)).to.equal(88);
+      expect(await vault.getDiscount(0)).to.equal(parseEther('88'));
+      expect(await vault.getDiscount(1)).to.equal(parseEther('100'));
+      expect(await vault.getDiscount(2)).to.equal(88 ** 2);
+    });
+
+    it('Should cap each discount at its deposit', async function () {
+      const { vault, vestingStartTime } = await waffle.loadFixture(vaultFixture);
+
+      await increaseTo(vestingStartTime + 99999999999999);
+
+      expect(await vault.getDiscount(0)).to.equal(parseEther('1000'));
+      expect(await vault.getDiscount(1)).to.equal(parseEther('1000'));
+      expect(await vault.getDiscount(2)).to.equal(parseEther('100'));
+    });
+
+    it('Should revert for a position that does not exist', async function () {
+      const { vault } = await waffle.loadFixture(vaultFixture);
+
+      await expect(vault.getDiscount(3)).to.be.revertedWith('NftVestingVault: position does not exist');
+    });
+  });
+
+  describe('Release', function () {
+    it('Should not release before the vesting start time', async function () {
+      const { vault, vestingStartTime, other } = await waffle.loadFixture(vaultFixture);
+
+      await setNextBlockTimestamp(vestingStartTime - 50);
+      await expect(vault.connect(other).release(0)).to.be.revertedWith(
+        'NftVestingVault: current time is before vesting start time'
+      );
+    });
+
+    it('Should release a single position and leave the others locked', async function () {
+      const { nft, vault, vestingStartTime, nftLocker, beneficiary1, other } = await waffle.loadFixture(vaultFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(() => vault.connect(other).release(0)).to.changeEtherBalances(
+        [nftLocker, beneficiary1, vault],
+        [parseEther('88'), parseEther('912'), parseEther('-1000')]
+      );
+
+      expect(await vault.released(0)).to.equal(true);
+      expect(await vault.released(1)).to.equal(false);
+      expect(await nft.ownerOf(0)).to.equal(beneficiary1.address);
+      expect(await nft.ownerOf(1)).to.equal(vault.address);
+      expect(await ethers.provider.getBalance(vault.address)).to.equal(parseEther('1100'));
+    });
+
+    it('Should emit PositionReleased with the split of the deposit', async function () {
+      const { vault, vestingStartTime, other } = await waffle.loadFixture(vaultFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await expect(vault.connect(other).release(1))
+        .to.emit(vault, 'PositionReleased')
+        .withArgs(1, parseEther('100'), parseEther('900'));
+    });
+
+    it('Should not release a position twice', async function () {
+      const { vault, vestingStartTime, other } = await waffle.loadFixture(vaultFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 88);
+      await vault.connect(other).release(2);
+
+      await expect(vault.connect(other).release(2)).to.be.revertedWith('NftVestingVault: position already released');
+    });
+
+    it('Should release a convex position once its curve passes 2^256', async function () {
+      const { nft, vault, vestingStartTime, nftLocker, beneficiary2, other } = await waffle.loadFixture(vaultFixture);
+      await nft.mintNft();
+      const deposit = parseEther('1');
+      await vault.connect(nftLocker).createPosition(
+        {
+          nft: nft.address,
+          tokenId: 3,
+          nftLocker: nftLocker.address,
+          beneficiary: beneficiary2.address,
+          deposit,
+          schedule: {
+            curve: 2,
+            vestingStartTime,
+            maxDuration: 0,
+            maxIntervals: 0,
+            intervalDuration: 0,
+            growthRate: 1,
+            exponent: 255,
+          },
+        },
+        { value: deposit }
+      );
+
+      // 2^255 fits, 3^255 does not
+      await setNextBlockTimestamp(vestingStartTime + 3);
+      await expect(() => vault.connect(other).release(3)).to.changeEtherBalances(
+        [nftLocker, beneficiary2],
+        [deposit, 0]
+      );
+    });
+  });
+});
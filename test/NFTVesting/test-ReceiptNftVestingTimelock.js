@@ -0,0 +1,258 @@
+// The following are tests for the vesting timelock whose position is a transferable receipt NFT.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+const { shouldBehaveLikeVestingTimelock } = require('./vestingLifecycle');
+const { deployTimelock, lockNft, getTimelock, getTimelockStatus } = require('../../scripts/NFTVesting/timelocks');
+const { encodeCurveParams, deployCurve } = require('../../scripts/NFTVesting/curves');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('ReceiptNftVestingTimelock', function () {
+  const TOKEN_ID = 0;
+  const DEPOSIT = parseEther('10');
+  const CURVE = { maxDuration: 1000, cliffDuration: 0 };
+
+  async function receiptTimelockFixture() {
+    const [nftLocker, beneficiary, buyer, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+    const curve = await deployCurve(hre, 'linear', nftLocker);
+
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const timelock = await deployTimelock(
+      hre,
+      {
+        type: 'receipt',
+        nft: nft.address,
+        tokenId: TOKEN_ID,
+        locker: nftLocker.address,
+        beneficiary: beneficiary.address,
+        startTime: vestingStartTime,
+        deposit: DEPOSIT,
+        curve: curve.address,
+        curveParams: encodeCurveParams('linear', CURVE),
+      },
+      nftLocker
+    );
+    const balanceOf = (address) => ethers.provider.getBalance(address);
+
+    return { nft, timelock, vestingStartTime, nftLocker, beneficiary, buyer, other, deposit: DEPOSIT, balanceOf };
+  }
+
+  async function lockedReceiptFixture() {
+    const deployed = await receiptTimelockFixture();
+    await lockNft(hre, deployed.timelock, deployed.nftLocker);
+    return deployed;
+  }
+
+  function decodeDataUri(uri, mimeType) {
+    const prefix = `data:${mimeType};base64,`;
+    expect(uri.startsWith(prefix)).to.equal(true);
+    return Buffer.from(uri.slice(prefix.length), 'base64').toString();
+  }
+
+  async function receiptMetadata(timelock) {
+    const metadata = JSON.parse(decodeDataUri(await timelock.tokenURI(TOKEN_ID), 'application/json'));
+    const attributes = {};
+    for (const { trait_type: trait, value } of metadata.attributes) {
+      attributes[trait] = value;
+    }
+    return { ...metadata, attributes, image: decodeDataUri(metadata.image, 'image/svg+xml') };
+  }
+
+  describe('Lifecycle', function () {
+    shouldBehaveLikeVestingTimelock(receiptTimelockFixture, {
+      curve: 'linear',
+      params: CURVE,
+      releasesNftTo: 'nftLocker',
+    });
+  });
+
+  describe('Receipt', function () {
+    it('Should mint the receipt of the locked token ID to the NFT locker', async function () {
+      const { timelock, nftLocker } = await waffle.loadFixture(lockedReceiptFixture);
+
+      expect(await timelock.name()).to.equal('NFT Vesting Position');
+      expect(await timelock.symbol()).to.equal('VEST');
+      expect(await timelock.receiptId()).to.equal(TOKEN_ID);
+      expect(await timelock.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+      expect(await timelock.nftLocker()).to.equal(nftLocker.address);
+      // ERC721 and ERC165
+      expect(await timelock.supportsInterface('0x80ac58cd')).to.equal(true);
+      expect(await timelock.supportsInterface('0x01ffc9a7')).to.equal(true);
+    });
+
+    it('Should hand the rights of the NFT locker over with the receipt', async function () {
+      const { timelock, nftLocker, buyer } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID);
+
+      expect(await timelock.nftLocker()).to.equal(buyer.address);
+    });
+
+    it('Should pay the discount and the NFT to the receipt holder on release', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, buyer, other } = await waffle.loadFixture(
+        lockedReceiptFixture
+      );
+      await timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID);
+
+      await setNextBlockTimestamp(vestingStartTime + 250);
+      await expect(() => timelock.connect(other).release()).to.changeEtherBalances(
+        [nftLocker, buyer, beneficiary],
+        [0, parseEther('2.5'), parseEther('7.5')]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(buyer.address);
+    });
+
+    it('Should only let the receipt holder claim the discount', async function () {
+      const { timelock, vestingStartTime, nftLocker, buyer } = await waffle.loadFixture(lockedReceiptFixture);
+      await timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID);
+
+      await setNextBlockTimestamp(vestingStartTime + 100);
+      await expect(timelock.connect(nftLocker).claimDiscount()).to.be.revertedWith(
+        'TimeLock: caller is not the NFT locker'
+      );
+
+      await setNextBlockTimestamp(vestingStartTime + 200);
+      await expect(timelock.connect(buyer).claimDiscount())
+        .to.emit(timelock, 'DiscountClaimed')
+        .withArgs(buyer.address, parseEther('2'));
+    });
+
+    it('Should not count the cancellation approval of a previous holder', async function () {
+      const { nft, timelock, nftLocker, beneficiary, buyer } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID);
+      await timelock.connect(beneficiary).approveCancellation();
+      expect(await timelock.cancelled()).to.equal(false);
+
+      await expect(timelock.connect(buyer).approveCancellation()).to.emit(timelock, 'Cancelled');
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(buyer.address);
+    });
+
+    it('Should revoke the cancellation approval of the previous holder on transfer', async function () {
+      const { timelock, nftLocker, beneficiary, buyer } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await expect(timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID))
+        .to.emit(timelock, 'CancellationRevoked')
+        .withArgs(nftLocker.address);
+      expect(await timelock.cancellationApproved(nftLocker.address)).to.equal(false);
+
+      // The approval does not come back with the receipt
+      await timelock.connect(buyer).transferFrom(buyer.address, nftLocker.address, TOKEN_ID);
+      await timelock.connect(beneficiary).approveCancellation();
+      expect(await timelock.cancelled()).to.equal(false);
+    });
+  });
+
+  describe('Token URI', function () {
+    it('Should describe the position on-chain', async function () {
+      const { nft, timelock, vestingStartTime } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await increaseTo(vestingStartTime + 125);
+      const metadata = await receiptMetadata(timelock);
+
+      expect(metadata.name).to.equal('Vesting position #0');
+      expect(metadata.attributes).to.deep.equal({
+        Collection: await nft.name(),
+        'Token ID': '0',
+        Vested: '12.50%',
+        'Unlock time': vestingStartTime,
+        Status: 'Locked',
+      });
+      expect(metadata.image).to.contain('<svg');
+      expect(metadata.image).to.contain('TestNft #0');
+      expect(metadata.image).to.contain('Vested: 12.50%');
+      expect(metadata.image).to.contain(`Unlocks: ${vestingStartTime}`);
+    });
+
+    it('Should keep the share paid to the holder once released', async function () {
+      const { timelock, vestingStartTime, other } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await setNextBlockTimestamp(vestingStartTime + 305);
+      await timelock.connect(other).release();
+      await increaseTo(vestingStartTime + 2000);
+
+      expect(await timelock.vestedBps()).to.equal(3050);
+      const { attributes } = await receiptMetadata(timelock);
+      expect(attributes.Vested).to.equal('30.50%');
+      expect(attributes.Status).to.equal('Released');
+    });
+
+    it('Should show a cancelled position', async function () {
+      const { timelock, nftLocker, beneficiary } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(beneficiary).approveCancellation();
+
+      const { attributes } = await receiptMetadata(timelock);
+      expect(attributes.Vested).to.equal('0.00%');
+      expect(attributes.Status).to.equal('Cancelled');
+    });
+
+    it('Should show the collection address for a name that would break the metadata', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const HOSTILE_NAME = 'Evil", "image": "x"}</text><script>&\\';
+      const BasicNft = await ethers.getContractFactory('BasicNft', nftLocker);
+      const nft = await BasicNft.deploy(HOSTILE_NAME, 'EVL');
+      await nft.mintNft();
+      const curve = await deployCurve(hre, 'linear', nftLocker);
+      const timelock = await deployTimelock(
+        hre,
+        {
+          type: 'receipt',
+          nft: nft.address,
+          tokenId: TOKEN_ID,
+          locker: nftLocker.address,
+          beneficiary: beneficiary.address,
+          startTime: (await latestTimestamp()) + 100,
+          deposit: DEPOSIT,
+          curve: curve.address,
+          curveParams: encodeCurveParams('linear', CURVE),
+        },
+        nftLocker
+      );
+      await lockNft(hre, timelock, nftLocker);
+
+      const { attributes, image } = await receiptMetadata(timelock);
+
+      expect(attributes.Collection).to.equal(nft.address.toLowerCase());
+      expect(image).to.contain(`${nft.address.toLowerCase()} #0`);
+      expect(image).not.to.contain('<script>');
+    });
+
+    it('Should revert for a receipt that does not exist', async function () {
+      const { timelock } = await waffle.loadFixture(lockedReceiptFixture);
+
+      await expect(timelock.tokenURI(1)).to.be.revertedWith('ERC721: invalid token ID');
+    });
+  });
+
+  describe('Status', function () {
+    it('Should be detected as a receipt timelock', async function () {
+      const { timelock, buyer, nftLocker } = await waffle.loadFixture(lockedReceiptFixture);
+      await timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID);
+
+      const { type } = await getTimelock(hre, timelock.address);
+      const status = await getTimelockStatus(hre, timelock, type);
+
+      expect(type).to.equal('receipt');
+      expect(status.nftLocker).to.equal(buyer.address);
+      expect(status.receiptId).to.equal('0');
+      expect(status.positionStatus).to.equal('Locked');
+    });
+
+    it('Should show a position that is not locked yet', async function () {
+      const { timelock } = await waffle.loadFixture(receiptTimelockFixture);
+
+      const { attributes } = await receiptMetadata(timelock);
+
+      expect(attributes.Vested).to.equal('0.00%');
+      expect(attributes.Status).to.equal('Not locked');
+    });
+  });
+});
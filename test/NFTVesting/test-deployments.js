@@ -0,0 +1,87 @@
+// The following are tests for the hardhat-deploy deployments of `deploy/`, reused through `deployments.fixture()`.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { TIMELOCK_CONTRACTS, getTimelock, getTimelockStatus } = require('../../scripts/NFTVesting/timelocks');
+const { predictTimelockAddress, createTimelock } = require('../../scripts/NFTVesting/factory');
+const { decodeCurveParams } = require('../../scripts/NFTVesting/curves');
+const { TIMELOCKS_TAG } = require('../../scripts/NFTVesting/deployments');
+const { getDeployParams } = require('../../deploy-params');
+
+const { ethers, deployments, getNamedAccounts } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Deployments', function () {
+  const params = getDeployParams(hre.network.name);
+
+  it('Should deploy and lock every timelock type configured for the network', async function () {
+    await deployments.fixture([TIMELOCKS_TAG]);
+    const { nftLocker, beneficiary } = await getNamedAccounts();
+    const nft = await ethers.getContract('BasicNft');
+
+    for (const [type, timelockParams] of Object.entries(params.timelocks)) {
+      const deployment = await deployments.get(TIMELOCK_CONTRACTS[type]);
+      const { type: detected, timelock } = await getTimelock(hre, deployment.address);
+      const status = await getTimelockStatus(hre, timelock, detected);
+
+      expect(detected).to.equal(type);
+      expect(status.nft).to.equal(nft.address);
+      expect(status.tokenId).to.equal(timelockParams.tokenId.toString());
+      expect(status.nftHeld).to.equal(true);
+      expect(status.beneficiary).to.equal(beneficiary);
+      if (type !== 'basic') {
+        expect(status.nftLocker).to.equal(nftLocker);
+        expect(status.totalDeposit).to.equal(parseEther(timelockParams.deposit).toString());
+      }
+    }
+  });
+
+  it('Should deploy a curve timelock along the shared curve deployment', async function () {
+    await deployments.fixture(['NftVestingTimelock']);
+    const timelock = await ethers.getContract('NftVestingTimelock');
+    const concave = await deployments.get('ConcaveVestingCurve');
+
+    expect(await timelock.curve()).to.equal(concave.address);
+    expect(decodeCurveParams('concave', await timelock.curveParams())).to.deep.equal({ maxDuration: '1000' });
+    expect(await deployments.getOrNull('LinearVestingNftTimeLock')).to.not.exist;
+  });
+
+  it('Should deploy a factory linked to its deployer libraries', async function () {
+    await deployments.fixture(['BasicNft', 'NftTimelockFactory']);
+    const { nftLocker, beneficiary } = await getNamedAccounts();
+    const factory = await ethers.getContract('NftTimelockFactory');
+    const nft = await ethers.getContract('BasicNft');
+    const signer = await ethers.getSigner(nftLocker);
+    const latest = await ethers.provider.getBlock('latest');
+    const args = {
+      type: 'linear',
+      nft: nft.address,
+      tokenId: 0,
+      locker: nftLocker,
+      beneficiary,
+      startTime: latest.timestamp + 100,
+      deposit: parseEther('1'),
+      maxDuration: 1000,
+    };
+    const salt = ethers.utils.formatBytes32String('deployments');
+
+    const predicted = await predictTimelockAddress(hre, factory.address, nftLocker, args, salt);
+    expect(await createTimelock(hre, factory, args, salt, signer)).to.equal(predicted);
+    expect(await nft.ownerOf(0)).to.equal(predicted);
+  });
+
+  it('Should start each fixture from the same state', async function () {
+    await deployments.fixture(['BasicNft']);
+    const { nftLocker, beneficiary } = await getNamedAccounts();
+    const nft = await ethers.getContract('BasicNft', nftLocker);
+    await nft.transferFrom(nftLocker, beneficiary, 0);
+
+    await deployments.fixture(['BasicNft']);
+    expect(await nft.ownerOf(0)).to.equal(nftLocker);
+    expect(await nft.balanceOf(nftLocker)).to.equal(params.BasicNft.mint);
+  });
+
+  it('Should deploy the same contracts on localhost as on hardhat', function () {
+    expect(getDeployParams('localhost')).to.deep.equal(getDeployParams('hardhat'));
+  });
+});
@@ -0,0 +1,192 @@
+// The following tests check the off-chain discount simulator against the on-chain `getDiscount()`.
+
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { latestTimestamp, increaseTo } = require('./helpers');
+const {
+  SimulatedRevert,
+  getDiscount,
+  simulateDiscountCurve,
+  toCsv,
+  toJson,
+} = require('../../scripts/NFTVesting/simulator/discountCurve');
+
+const { parseEther } = ethers.utils;
+
+describe('Discount simulator', function () {
+  const TOKEN_ID = 0;
+
+  async function deployTimelock(contractName, args, deposit) {
+    const [nftLocker, beneficiary] = await ethers.getSigners();
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const Timelock = await ethers.getContractFactory(contractName);
+    const timelock = await Timelock.deploy(
+      ethers.constants.AddressZero,
+      TOKEN_ID,
+      nftLocker.address,
+      beneficiary.address,
+      vestingStartTime,
+      ...args,
+      { value: deposit }
+    );
+    return { timelock, vestingStartTime };
+  }
+
+  // Moves through `offsets` (seconds from the vesting start time) and compares both sides at each.
+  async function expectMatchesOnChain(type, timelock, params, deposit, offsets) {
+    for (const offset of offsets) {
+      const timestamp = params.vestingStartTime + offset;
+      await increaseTo(timestamp);
+
+      let expected;
+      try {
+        expected = getDiscount(type, params, deposit, timestamp);
+      } catch (e) {
+        expect(e).to.be.instanceOf(SimulatedRevert);
+        await expect(timelock.getDiscount()).to.be.reverted;
+        continue;
+      }
+      expect(await timelock.getDiscount()).to.equal(expected.toString());
+    }
+  }
+
+  it('Should match LinearVestingNftTimeLock including the flooring of balance / maxDuration', async function () {
+    // 1000 ETH + 7 wei does not divide evenly by 3 seconds.
+    const deposit = parseEther('1000').add(7);
+    const maxDuration = 3;
+    const { timelock, vestingStartTime } = await deployTimelock('LinearVestingNftTimeLock', [maxDuration, 0], deposit);
+
+    await expectMatchesOnChain('linear', timelock, { vestingStartTime, maxDuration }, deposit, [-50, 0, 1, 2, 3, 4, 1000]);
+  });
+
+  it('Should match IntervalVestingNftTimeLock including the flooring of balance / maxIntervals', async function () {
+    const deposit = parseEther('1000').add(3);
+    const maxIntervals = 7;
+    const intervalDuration = 100;
+    const { timelock, vestingStartTime } = await deployTimelock(
+      'IntervalVestingNftTimeLock',
+      [maxIntervals, intervalDuration],
+      deposit
+    );
+
+    await expectMatchesOnChain(
+      'interval',
+      timelock,
+      { vestingStartTime, maxIntervals, intervalDuration },
+      deposit,
+      [-50, 0, 99, 100, 350, 699, 700, 100000]
+    );
+  });
+
+  it('Should match ConvexVestingNftTimeLock while vesting and once saturated', async function () {
+    const deposit = parseEther('100');
+    const growthRate = 1;
+    const exponent = 2;
+    const { timelock, vestingStartTime } = await deployTimelock(
+      'ConvexVestingNftTimeLock',
+      [growthRate, exponent],
+      deposit
+    );
+
+    await expectMatchesOnChain(
+      'convex',
+      timelock,
+      { vestingStartTime, growthRate, exponent },
+      deposit,
+      [-50, 0, 88, 1000000, 10000000000, 99999999999999]
+    );
+  });
+
+  it('Should match ConcaveVestingNftTimeLock including the rounding of the square root', async function () {
+    const deposit = parseEther('10').add(7);
+    const maxDuration = 7;
+    const { timelock, vestingStartTime } = await deployTimelock('ConcaveVestingNftTimeLock', [maxDuration], deposit);
+
+    await expectMatchesOnChain('concave', timelock, { vestingStartTime, maxDuration }, deposit, [
+      -50, 0, 1, 2, 3, 6, 7, 1000,
+    ]);
+  });
+
+  it('Should match LogisticVestingNftTimeLock including the rounding of the powers', async function () {
+    const deposit = parseEther('10').add(7);
+    const maxDuration = 13;
+    const steepness = 16;
+    const { timelock, vestingStartTime } = await deployTimelock(
+      'LogisticVestingNftTimeLock',
+      [maxDuration, steepness],
+      deposit
+    );
+
+    await expectMatchesOnChain('logistic', timelock, { vestingStartTime, maxDuration, steepness }, deposit, [
+      -50, 0, 1, 5, 6, 7, 12, 13, 1000,
+    ]);
+  });
+
+  it('Should match MilestoneVestingNftTimeLock including the rounding of the basis points', async function () {
+    const deposit = parseEther('10').add(7);
+    const milestones = [
+      { time: 0, cumulativeBps: 1 },
+      { time: 5, cumulativeBps: 3333 },
+      { time: 9, cumulativeBps: 10000 },
+    ];
+    const { timelock, vestingStartTime } = await deployTimelock('MilestoneVestingNftTimeLock', [milestones], deposit);
+
+    await expectMatchesOnChain('milestone', timelock, { vestingStartTime, milestones }, deposit, [
+      -50, 0, 4, 5, 8, 9, 1000,
+    ]);
+  });
+
+  it('Should match LinearVestingNftTimeLock around its cliff', async function () {
+    const deposit = parseEther('10');
+    const maxDuration = 1000;
+    const cliffDuration = 300;
+    const { timelock, vestingStartTime } = await deployTimelock(
+      'LinearVestingNftTimeLock',
+      [maxDuration, cliffDuration],
+      deposit
+    );
+
+    await expectMatchesOnChain('linear', timelock, { vestingStartTime, maxDuration, cliffDuration }, deposit, [
+      1, 299, 300, 301, 1000,
+    ]);
+  });
+
+  it('Should saturate ConvexVestingNftTimeLock at the deposit once the curve passes 2^256', async function () {
+    const deposit = parseEther('100');
+    const growthRate = parseEther('1');
+    const exponent = 10;
+    const { timelock, vestingStartTime } = await deployTimelock(
+      'ConvexVestingNftTimeLock',
+      [growthRate, exponent],
+      deposit
+    );
+    const params = { vestingStartTime, growthRate, exponent };
+
+    // 10^18 * (5 * 10^5)^10 fits in 256 bits, 10^18 * (10^6)^10 does not.
+    expect(getDiscount('convex', params, deposit, vestingStartTime + 1000000)).to.equal(BigInt(deposit.toString()));
+    await expectMatchesOnChain('convex', timelock, params, deposit, [10, 500000, 1000000]);
+  });
+
+  it('Should produce a discount table as CSV and JSON', function () {
+    const rows = simulateDiscountCurve(
+      'linear',
+      { vestingStartTime: 100, maxDuration: 1000 },
+      parseEther('1000'),
+      { from: 0, to: 1200, step: 600 }
+    );
+
+    expect(rows.map((row) => row.discount.toString())).to.deep.equal([
+      '0',
+      parseEther('500').toString(),
+      parseEther('1000').toString(),
+    ]);
+    expect(toCsv(rows).split('\n')[0]).to.equal('timestamp,vestedDuration,discount,remaining,reverted');
+    expect(JSON.parse(toJson(rows))[1]).to.deep.equal({
+      timestamp: '600',
+      vestedDuration: '500',
+      discount: parseEther('500').toString(),
+      remaining: parseEther('500').toString(),
+      reverted: null,
+    });
+  });
+});
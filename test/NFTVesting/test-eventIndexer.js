@@ -0,0 +1,197 @@
+// The following are tests for the JS indexer replaying the timelock events into a JSON store.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp } = require('./helpers');
+const { deployTimelock, lockNft } = require('../../scripts/NFTVesting/timelocks');
+const { CURVES, setupPositions } = require('../../scripts/NFTVesting/vault/positions');
+const {
+  createStore,
+  loadStore,
+  saveStore,
+  syncStore,
+  queryEvents,
+  releasesForBeneficiary,
+  discountPaidTo,
+  timelockHistory,
+} = require('../../scripts/NFTVesting/indexer/eventIndexer');
+
+const { ethers } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Timelock event indexer', function () {
+  let nftLocker, beneficiary1, beneficiary2, other;
+  let linear, interval, basic, cancelled, vault, startTime, store;
+
+  // Runs a task without printing its summary.
+  async function runTask(name, args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(async () => {
+    [nftLocker, beneficiary1, beneficiary2, other] = await ethers.getSigners();
+
+    const BasicNft = await ethers.getContractFactory('BasicNft', nftLocker);
+    const nft = await BasicNft.deploy('TestNft', 'TFT');
+    for (let i = 0; i < 5; i++) {
+      await nft.mintNft();
+    }
+
+    startTime = (await latestTimestamp()) + 100;
+    const common = { nft: nft.address, locker: nftLocker.address, startTime, deposit: parseEther('10') };
+    linear = await deployTimelock(
+      hre,
+      { ...common, type: 'linear', tokenId: 0, beneficiary: beneficiary1.address, maxDuration: 100 },
+      nftLocker
+    );
+    interval = await deployTimelock(
+      hre,
+      {
+        ...common,
+        type: 'interval',
+        tokenId: 1,
+        beneficiary: beneficiary1.address,
+        maxIntervals: 10,
+        intervalDuration: 10,
+      },
+      nftLocker
+    );
+    basic = await deployTimelock(
+      hre,
+      { ...common, type: 'basic', tokenId: 2, beneficiary: beneficiary2.address },
+      nftLocker
+    );
+    cancelled = await deployTimelock(
+      hre,
+      { ...common, type: 'linear', tokenId: 3, beneficiary: beneficiary2.address, maxDuration: 100 },
+      nftLocker
+    );
+    for (const timelock of [linear, interval, basic, cancelled]) {
+      await lockNft(hre, timelock, nftLocker);
+    }
+
+    const Vault = await ethers.getContractFactory('NftVestingVault');
+    vault = await Vault.deploy();
+    const position = {
+      nft: nft.address,
+      tokenId: 4,
+      nftLocker: nftLocker.address,
+      beneficiary: beneficiary2.address,
+      deposit: parseEther('10'),
+      schedule: {
+        curve: CURVES.linear,
+        vestingStartTime: startTime,
+        maxDuration: 100,
+        maxIntervals: 0,
+        intervalDuration: 0,
+        growthRate: 0,
+        exponent: 0,
+      },
+    };
+    await setupPositions(hre, vault, [position], nftLocker);
+
+    await setNextBlockTimestamp(startTime + 20);
+    await linear.connect(nftLocker).claimDiscount();
+    await setNextBlockTimestamp(startTime + 50);
+    await linear.connect(other).release();
+    await interval.connect(other).release();
+    await cancelled.connect(nftLocker).approveCancellation();
+    await setNextBlockTimestamp(startTime + 70);
+    await cancelled.connect(beneficiary2).approveCancellation();
+    await setNextBlockTimestamp(startTime + 80);
+    await vault.connect(other).release(0);
+
+    store = createStore();
+    await syncStore(ethers.provider, store, {
+      addresses: [linear.address, interval.address, basic.address, cancelled.address, vault.address],
+    });
+  });
+
+  it('Should replay the events of each timelock in order', async function () {
+    expect(timelockHistory(store, linear.address).map((e) => e.event)).to.deep.equal([
+      'Funded',
+      'Locked',
+      'DiscountClaimed',
+      'Released',
+    ]);
+    expect(timelockHistory(store, basic.address).map((e) => e.event)).to.deep.equal(['Locked']);
+    expect(store.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it('Should store the arguments and timestamp of each event', async function () {
+    const [released] = queryEvents(store, { event: 'Released', address: linear.address });
+
+    expect(released.timestamp).to.equal(startTime + 50);
+    expect(released.args).to.deep.equal({
+      nftLocker: nftLocker.address,
+      beneficiary: beneficiary1.address,
+      tokenId: '0',
+      discount: parseEther('3').toString(),
+      remaining: parseEther('5').toString(),
+    });
+  });
+
+  it('Should list all releases for a beneficiary', async function () {
+    const releases = releasesForBeneficiary(store, beneficiary1.address.toLowerCase());
+
+    expect(releases.map((e) => e.address)).to.deep.equal([linear.address, interval.address]);
+    expect(releasesForBeneficiary(store, beneficiary2.address)).to.deep.equal([]);
+  });
+
+  it('Should sum the discount paid to an NFT locker through claims, releases and cancellations', async function () {
+    // 2 ETH claimed and 3 ETH released on the linear timelock, 6 ETH released on the interval one,
+    // 7 ETH on cancellation and 8 ETH released from the vault position.
+    expect(discountPaidTo(store, nftLocker.address)).to.equal(parseEther('26'));
+    expect(discountPaidTo(store, other.address)).to.equal(0);
+  });
+
+  it('Should index the vault positions', async function () {
+    expect(timelockHistory(store, vault.address).map((e) => e.event)).to.deep.equal([
+      'PositionCreated',
+      'PositionReleased',
+    ]);
+    expect(queryEvents(store, { event: 'PositionReleased' })[0].args).to.deep.equal({
+      positionId: '0',
+      discount: parseEther('8').toString(),
+      remaining: parseEther('2').toString(),
+    });
+  });
+
+  it('Should only add the events since the last sync', async function () {
+    const synced = JSON.parse(JSON.stringify(store));
+    await basic.connect(other).release();
+
+    const added = await syncStore(ethers.provider, synced, { addresses: [basic.address] });
+
+    expect(added.map((e) => e.event)).to.deep.equal(['Released']);
+    expect(releasesForBeneficiary(synced, beneficiary2.address)).to.have.length(1);
+    expect(await syncStore(ethers.provider, synced)).to.deep.equal([]);
+  });
+
+  it('Should index and query a JSON store file through the tasks', async function () {
+    const file = path.join(os.tmpdir(), `timelock-events-${Date.now()}.json`);
+    try {
+      saveStore(file, { ...createStore(), lastBlock: store.lastBlock });
+      await other.sendTransaction({ to: linear.address, value: 1 });
+
+      const indexed = await runTask('timelock:index', { store: file, addresses: linear.address });
+      expect(indexed.added).to.equal(1);
+      expect(loadStore(file).events[0].event).to.equal('EthReceived');
+
+      const events = await runTask('timelock:events', { store: file, timelock: linear.address });
+      expect(events).to.have.length(1);
+      expect(events[0].args.sender).to.equal(other.address);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
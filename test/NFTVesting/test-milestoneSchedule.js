@@ -0,0 +1,63 @@
+// The following are tests for the builder of the milestone vesting schedules.
+
+const { expect } = require('chai');
+const {
+  DURATION_UNITS,
+  parseDuration,
+  parsePercent,
+  parseMilestoneSchedule,
+} = require('../../scripts/NFTVesting/milestones');
+
+describe('Milestone schedule', function () {
+  const DAY = 24 * 60 * 60;
+
+  it('Should build the constructor milestones of a human-readable schedule', function () {
+    expect(parseMilestoneSchedule('1mo:10%,3mo:40%,12mo:100%')).to.deep.equal([
+      { time: 30 * DAY, cumulativeBps: 1000 },
+      { time: 90 * DAY, cumulativeBps: 4000 },
+      { time: 360 * DAY, cumulativeBps: 10000 },
+    ]);
+  });
+
+  it('Should parse every duration unit, and bare numbers as seconds', function () {
+    expect(parseDuration('90')).to.equal(90);
+    expect(parseDuration('90s')).to.equal(90);
+    expect(parseDuration('2m')).to.equal(120);
+    expect(parseDuration('2h')).to.equal(7200);
+    expect(parseDuration('2d')).to.equal(2 * DAY);
+    expect(parseDuration('2w')).to.equal(14 * DAY);
+    expect(parseDuration('2mo')).to.equal(60 * DAY);
+    expect(parseDuration('2y')).to.equal(730 * DAY);
+    expect(Object.keys(DURATION_UNITS)).to.deep.equal(['s', 'm', 'h', 'd', 'w', 'mo', 'y']);
+  });
+
+  it('Should parse percents with up to two decimals into basis points', function () {
+    expect(parsePercent('100%')).to.equal(10000);
+    expect(parsePercent('12.5%')).to.equal(1250);
+    expect(parsePercent('0.01%')).to.equal(1);
+    expect(() => parsePercent('0.001%')).to.throw('Invalid milestone percent: 0.001%');
+    expect(() => parsePercent('10')).to.throw('Invalid milestone percent: 10');
+  });
+
+  it('Should ignore whitespace and a trailing comma', function () {
+    expect(parseMilestoneSchedule(' 1w : 50% , 2w : 100% ,')).to.deep.equal([
+      { time: 7 * DAY, cumulativeBps: 5000 },
+      { time: 14 * DAY, cumulativeBps: 10000 },
+    ]);
+  });
+
+  it('Should reject the schedules the contract reverts on', function () {
+    expect(() => parseMilestoneSchedule('')).to.throw('Milestone schedule is empty');
+    expect(() => parseMilestoneSchedule('3mo:10%,1mo:100%')).to.throw('Milestone 2 is not after milestone 1');
+    expect(() => parseMilestoneSchedule('1mo:40%,3mo:40%,1y:100%')).to.throw(
+      'Milestone 2 does not vest more than milestone 1'
+    );
+    expect(() => parseMilestoneSchedule('1mo:10%,3mo:90%')).to.throw('Last milestone should vest 100%');
+  });
+
+  it('Should reject malformed milestones', function () {
+    expect(() => parseMilestoneSchedule('1mo-10%')).to.throw('Invalid milestone 1mo-10%, expected <duration>:<percent>');
+    expect(() => parseMilestoneSchedule('1q:100%')).to.throw('Unknown duration unit in 1q');
+    expect(() => parseMilestoneSchedule('soon:100%')).to.throw('Invalid milestone duration: soon');
+  });
+});
@@ -0,0 +1,443 @@
+// The following are tests for the keeper releasing the timelocks once their release policy is met.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, increaseTo, setNextBlockTimestamp, deployNft } = require('./helpers');
+const { deployTimelock, lockNft } = require('../../scripts/NFTVesting/timelocks');
+const { deployFactory, createTimelock } = require('../../scripts/NFTVesting/factory');
+const {
+  createState,
+  loadState,
+  watchTimelocks,
+  syncFactory,
+  runKeeper,
+} = require('../../scripts/NFTVesting/keeper/releaseKeeper');
+
+const { ethers, waffle } = hre;
+const { parseEther, formatBytes32String } = ethers.utils;
+
+describe('Release keeper', function () {
+  const TOKEN_ID = 0;
+  const DEPOSIT = parseEther('10');
+
+  async function deployLinearTimelock(nftLocker, beneficiaryAddress, { lock = true } = {}) {
+    const nft = await deployNft(nftLocker);
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const timelock = await deployTimelock(
+      hre,
+      {
+        type: 'linear',
+        nft: nft.address,
+        tokenId: TOKEN_ID,
+        locker: nftLocker.address,
+        beneficiary: beneficiaryAddress || nft.address,
+        startTime: vestingStartTime,
+        deposit: DEPOSIT,
+        maxDuration: 1000,
+      },
+      nftLocker
+    );
+    if (lock) {
+      await lockNft(hre, timelock, nftLocker);
+    }
+    return { nft, timelock, vestingStartTime };
+  }
+
+  // A timelock along a curve that reverts past its max duration of 1000 seconds
+  async function deployRevertingTimelock(nftLocker, beneficiaryAddress) {
+    const nft = await deployNft(nftLocker);
+    const RevertingVestingCurve = await ethers.getContractFactory('RevertingVestingCurve', nftLocker);
+    const curve = await RevertingVestingCurve.deploy();
+    const vestingStartTime = (await latestTimestamp()) + 100;
+    const timelock = await deployTimelock(
+      hre,
+      {
+        type: 'curve',
+        nft: nft.address,
+        tokenId: TOKEN_ID,
+        locker: nftLocker.address,
+        beneficiary: beneficiaryAddress,
+        startTime: vestingStartTime,
+        deposit: DEPOSIT,
+        curve: curve.address,
+        curveParams: ethers.utils.defaultAbiCoder.encode(['uint256'], [1000]),
+      },
+      nftLocker
+    );
+    await lockNft(hre, timelock, nftLocker);
+    return { nft, timelock, vestingStartTime };
+  }
+
+  async function keeperFixture() {
+    const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+    const { nft, timelock, vestingStartTime } = await deployLinearTimelock(nftLocker, beneficiary.address);
+
+    return { nft, timelock, vestingStartTime, nftLocker, beneficiary, keeper };
+  }
+
+  // Fixtures are shared between tests, so each test starts its own keeper state.
+  function watchedState(timelock) {
+    const state = createState();
+    watchTimelocks(state, [timelock.address]);
+    return state;
+  }
+
+  // A fake clock for the backoff, moved by the tests.
+  function fakeClock(start) {
+    const clock = { time: start };
+    clock.now = () => clock.time;
+    return clock;
+  }
+
+  describe('Policies', function () {
+    it('Should wait for the vesting start time and release with the start policy', async function () {
+      const { nft, timelock, vestingStartTime, beneficiary, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+
+      await increaseTo(vestingStartTime - 10);
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([
+        { address: timelock.address, action: 'waiting', reason: 'start policy not met' },
+      ]);
+
+      await increaseTo(vestingStartTime + 300);
+      const [released] = await runKeeper(hre, state, keeper);
+
+      expect(released.action).to.equal('released');
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+      // Released in the next block, one second later
+      expect(released.discountPaid).to.equal(parseEther('3.01').toString());
+      expect(state.timelocks[timelock.address]).to.include({
+        type: 'linear',
+        state: 'released',
+        releaseTransaction: released.transaction,
+      });
+    });
+
+    it('Should only release once the whole deposit is vested with the max-discount policy', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+      const options = { policy: 'max-discount' };
+
+      await increaseTo(vestingStartTime + 500);
+      expect(await runKeeper(hre, state, keeper, options)).to.deep.equal([
+        { address: timelock.address, action: 'waiting', reason: 'max-discount policy not met' },
+      ]);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+
+      await increaseTo(vestingStartTime + 1000);
+      const before = await ethers.provider.getBalance(nftLocker.address);
+      const [released] = await runKeeper(hre, state, keeper, options);
+
+      expect(released.action).to.equal('released');
+      expect(released.discountPaid).to.equal(DEPOSIT.toString());
+      expect(released.remainingPaid).to.equal('0');
+      expect(await ethers.provider.getBalance(nftLocker.address)).to.equal(before.add(DEPOSIT));
+    });
+
+    it('Should release an interval timelock whose deposit does not divide into its intervals', async function () {
+      const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+      const nft = await deployNft(nftLocker);
+      const vestingStartTime = (await latestTimestamp()) + 100;
+      const timelock = await deployTimelock(
+        hre,
+        {
+          type: 'interval',
+          nft: nft.address,
+          tokenId: TOKEN_ID,
+          locker: nftLocker.address,
+          beneficiary: beneficiary.address,
+          startTime: vestingStartTime,
+          deposit: DEPOSIT,
+          maxIntervals: 3,
+          intervalDuration: 100,
+        },
+        nftLocker
+      );
+      await lockNft(hre, timelock, nftLocker);
+      const state = watchedState(timelock);
+      const options = { policy: 'max-discount' };
+
+      await increaseTo(vestingStartTime + 150);
+      expect(await runKeeper(hre, state, keeper, options)).to.deep.equal([
+        { address: timelock.address, action: 'waiting', reason: 'max-discount policy not met' },
+      ]);
+
+      await increaseTo(vestingStartTime + 250);
+      const [released] = await runKeeper(hre, state, keeper, options);
+
+      // Each interval vests a third of the deposit, rounded down
+      const maxDiscount = DEPOSIT.div(3).mul(3);
+      expect(maxDiscount).to.not.equal(DEPOSIT);
+      expect(released.action).to.equal('released');
+      expect(released.discountPaid).to.equal(maxDiscount.toString());
+      expect(released.remainingPaid).to.equal(DEPOSIT.sub(maxDiscount).toString());
+    });
+
+    it('Should release with the max-discount policy a timelock whose curve reverts later on', async function () {
+      const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+      const { timelock, vestingStartTime } = await deployRevertingTimelock(nftLocker, beneficiary.address);
+      const state = watchedState(timelock);
+
+      await increaseTo(vestingStartTime + 250);
+      await setNextBlockTimestamp(vestingStartTime + 500);
+      const [released] = await runKeeper(hre, state, keeper, { policy: 'max-discount' });
+
+      expect(released.action).to.equal('released');
+      expect(released.discountPaid).to.equal(parseEther('5').toString());
+    });
+
+    it('Should release a basic timelock at its release time under both policies', async function () {
+      const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+      const nft = await deployNft(nftLocker);
+      const releaseTime = (await latestTimestamp()) + 100;
+      const timelock = await deployTimelock(
+        hre,
+        { type: 'basic', nft: nft.address, tokenId: TOKEN_ID, beneficiary: beneficiary.address, startTime: releaseTime },
+        nftLocker
+      );
+      await lockNft(hre, timelock, nftLocker);
+      const state = watchedState(timelock);
+
+      await increaseTo(releaseTime);
+      const [released] = await runKeeper(hre, state, keeper, { policy: 'max-discount' });
+
+      expect(released.action).to.equal('released');
+      expect(state.timelocks[timelock.address].type).to.equal('basic');
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should reject an unknown policy', async function () {
+      const { timelock, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+
+      try {
+        await runKeeper(hre, state, keeper, { policy: 'asap' });
+        expect.fail('runKeeper should throw');
+      } catch (error) {
+        expect(error.message).to.equal('Unknown release policy: asap, expected one of start|max-discount');
+      }
+    });
+  });
+
+  describe('Watching', function () {
+    it('Should report the timelocks that would be released in dry-run mode', async function () {
+      const { nft, timelock, vestingStartTime, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+
+      await increaseTo(vestingStartTime + 250);
+      const actions = await runKeeper(hre, state, keeper, { dryRun: true });
+
+      expect(actions).to.deep.equal([
+        { address: timelock.address, action: 'would-release', discount: parseEther('2.5').toString() },
+      ]);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+      expect(state.timelocks[timelock.address].state).to.equal('watching');
+    });
+
+    it('Should wait for the NFT to be locked', async function () {
+      const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+      const { timelock, vestingStartTime } = await deployLinearTimelock(nftLocker, beneficiary.address, {
+        lock: false,
+      });
+      const state = watchedState(timelock);
+
+      await increaseTo(vestingStartTime);
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([
+        { address: timelock.address, action: 'waiting', reason: 'NFT not locked' },
+      ]);
+
+      await lockNft(hre, timelock, nftLocker);
+      const [released] = await runKeeper(hre, state, keeper);
+      expect(released.action).to.equal('released');
+    });
+
+    it('Should stop watching a timelock released by someone else', async function () {
+      const { timelock, vestingStartTime, beneficiary, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+
+      await setNextBlockTimestamp(vestingStartTime + 100);
+      const receipt = await (await timelock.connect(beneficiary).release()).wait();
+
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([
+        { address: timelock.address, action: 'released-elsewhere', transaction: receipt.transactionHash },
+      ]);
+      expect(state.timelocks[timelock.address].state).to.equal('released');
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([]);
+    });
+
+    it('Should stop watching a cancelled timelock', async function () {
+      const { timelock, nftLocker, beneficiary, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(beneficiary).approveCancellation();
+
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([{ address: timelock.address, action: 'cancelled' }]);
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([]);
+    });
+
+    it('Should record a timelock whose discount reverts as unreleasable', async function () {
+      const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+      const { timelock, vestingStartTime } = await deployRevertingTimelock(nftLocker, beneficiary.address);
+      const state = watchedState(timelock);
+      const reason = 'getDiscount() reverts, so release() would revert too';
+
+      await increaseTo(vestingStartTime + 1001);
+      for (const policy of ['start', 'max-discount']) {
+        expect(await runKeeper(hre, state, keeper, { policy })).to.deep.equal([
+          { address: timelock.address, action: 'unreleasable', reason },
+        ]);
+      }
+      expect(state.timelocks[timelock.address]).to.include({ state: 'unreleasable', attempts: 0, lastError: reason });
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(beneficiary).approveCancellation();
+      expect(await runKeeper(hre, state, keeper)).to.deep.equal([{ address: timelock.address, action: 'cancelled' }]);
+    });
+
+    it('Should report a watched address that is not a timelock and keep going', async function () {
+      const { timelock, vestingStartTime, beneficiary, keeper } = await waffle.loadFixture(keeperFixture);
+      const state = watchedState(timelock);
+      watchTimelocks(state, [beneficiary.address]);
+
+      await increaseTo(vestingStartTime);
+      const actions = await runKeeper(hre, state, keeper);
+
+      expect(actions.map((a) => a.action)).to.deep.equal(['released', 'error']);
+      expect(actions[0].address).to.equal(timelock.address);
+      expect(state.timelocks[beneficiary.address].state).to.equal('watching');
+    });
+
+    it('Should watch the timelocks created by a factory since the last sync', async function () {
+      const [nftLocker, beneficiary, keeper] = await ethers.getSigners();
+      const factory = await deployFactory(hre, nftLocker);
+      const state = createState();
+      const create = async (salt) => {
+        const nft = await deployNft(nftLocker);
+        const startTime = (await latestTimestamp()) + 100;
+        const args = {
+          type: 'concave',
+          nft: nft.address,
+          tokenId: TOKEN_ID,
+          locker: nftLocker.address,
+          beneficiary: beneficiary.address,
+          startTime,
+          deposit: DEPOSIT,
+          maxDuration: 1000,
+        };
+        return { nft, startTime, address: await createTimelock(hre, factory, args, formatBytes32String(salt), nftLocker) };
+      };
+
+      const first = await create('first');
+      expect(await syncFactory(hre, state, factory.address)).to.deep.equal([first.address]);
+      const second = await create('second');
+      expect(await syncFactory(hre, state, factory.address)).to.deep.equal([second.address]);
+      expect(state.timelocks[first.address].type).to.equal('concave');
+
+      await increaseTo(second.startTime);
+      const actions = await runKeeper(hre, state, keeper, { factories: [factory.address] });
+
+      expect(actions.map((a) => a.action)).to.deep.equal(['released', 'released']);
+      expect(await first.nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+      expect(await second.nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+  });
+
+  describe('Retries', function () {
+    // The NFT collection itself is the beneficiary, which rejects the remaining ETH, so every release reverts.
+    async function failingFixture() {
+      const [nftLocker, , keeper] = await ethers.getSigners();
+      const { timelock, vestingStartTime } = await deployLinearTimelock(nftLocker);
+
+      return { timelock, vestingStartTime, keeper };
+    }
+
+    it('Should retry a failed release with an exponential backoff', async function () {
+      const { timelock, vestingStartTime, keeper } = await waffle.loadFixture(failingFixture);
+      const state = watchedState(timelock);
+      const clock = fakeClock(1000);
+      const options = { backoff: 60, maxBackoff: 200, maxAttempts: 10, now: clock.now };
+      await increaseTo(vestingStartTime);
+
+      const [first] = await runKeeper(hre, state, keeper, options);
+      expect(first).to.include({ action: 'retrying', attempts: 1, nextAttemptAt: 1060 });
+      expect(first.error).to.contain('Failed to send Ether');
+
+      clock.time = 1059;
+      expect(await runKeeper(hre, state, keeper, options)).to.deep.equal([
+        { address: timelock.address, action: 'backoff', nextAttemptAt: 1060 },
+      ]);
+
+      clock.time = 1060;
+      const [second] = await runKeeper(hre, state, keeper, options);
+      expect(second).to.include({ attempts: 2, nextAttemptAt: 1180 });
+
+      clock.time = 1180;
+      const [third] = await runKeeper(hre, state, keeper, options);
+      // Capped by the maximum backoff
+      expect(third).to.include({ attempts: 3, nextAttemptAt: 1380 });
+    });
+
+    it('Should give up a timelock after the maximum attempts', async function () {
+      const { timelock, vestingStartTime, keeper } = await waffle.loadFixture(failingFixture);
+      const state = watchedState(timelock);
+      const clock = fakeClock(1000);
+      const options = { backoff: 10, maxAttempts: 2, now: clock.now };
+      await increaseTo(vestingStartTime);
+
+      await runKeeper(hre, state, keeper, options);
+      clock.time = 1010;
+      const [failed] = await runKeeper(hre, state, keeper, options);
+
+      expect(failed).to.include({ address: timelock.address, action: 'failed', attempts: 2 });
+      expect(state.timelocks[timelock.address].state).to.equal('failed');
+      expect(await runKeeper(hre, state, keeper, options)).to.deep.equal([]);
+    });
+  });
+
+  describe('Task', function () {
+    // Runs a task without printing its summary.
+    async function runTask(name, args) {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        return await hre.run(name, args);
+      } finally {
+        console.log = log;
+      }
+    }
+
+    it('Should keep its state file between runs and leave it untouched in dry-run mode', async function () {
+      const { nft, timelock, vestingStartTime, beneficiary, keeper } = await waffle.loadFixture(keeperFixture);
+      const file = path.join(os.tmpdir(), `timelock-keeper-${Date.now()}.json`);
+      try {
+        const dryRun = await runTask('timelock:keeper', {
+          state: file,
+          addresses: timelock.address,
+          from: keeper.address,
+          dryRun: true,
+          once: true,
+        });
+        expect(dryRun.actions).to.deep.equal([
+          { address: timelock.address, action: 'waiting', reason: 'start policy not met' },
+        ]);
+        expect(fs.existsSync(file)).to.equal(false);
+
+        await runTask('timelock:keeper', { state: file, addresses: timelock.address, from: keeper.address, once: true });
+        expect(Object.keys(loadState(file).timelocks)).to.deep.equal([timelock.address]);
+
+        await increaseTo(vestingStartTime);
+        const run = await runTask('timelock:keeper', { state: file, from: keeper.address, once: true });
+
+        expect(run.actions[0].action).to.equal('released');
+        expect(loadState(file).timelocks[timelock.address].state).to.equal('released');
+        expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    });
+  });
+});
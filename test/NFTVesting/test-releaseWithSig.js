@@ -0,0 +1,276 @@
+// The following are tests for the signed release of the vesting timelocks, submitted by a relayer account.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, deployNft } = require('./helpers');
+const { deployTimelock, deployERC20Timelock, lockNft } = require('../../scripts/NFTVesting/timelocks');
+const { encodeCurveParams, deployCurve } = require('../../scripts/NFTVesting/curves');
+const { RELEASE_TYPES, getReleaseDomain, signRelease, relayRelease } = require('../../scripts/NFTVesting/signatures');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Signed release', function () {
+  const TOKEN_ID = 0;
+  const DEPOSIT = parseEther('10');
+  const RELEASE_OFFSET = 250;
+
+  async function timelockArgs(nft, nftLocker, beneficiary, params) {
+    return {
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      startTime: (await latestTimestamp()) + 100,
+      deposit: DEPOSIT,
+      maxDuration: 1000,
+      ...params,
+    };
+  }
+
+  async function signedReleaseFixture() {
+    const [nftLocker, beneficiary, relayer, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+    const args = await timelockArgs(nft, nftLocker, beneficiary, { type: 'linear' });
+    const timelock = await deployTimelock(hre, args, nftLocker);
+    await lockNft(hre, timelock, nftLocker);
+
+    return { nft, timelock, vestingStartTime: args.startTime, nftLocker, beneficiary, relayer, other };
+  }
+
+  describe('Relaying', function () {
+    it('Should release on behalf of the beneficiary with the gas paid by the relayer', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, relayer } = await waffle.loadFixture(
+        signedReleaseFixture
+      );
+      const signed = await signRelease(hre, timelock, beneficiary, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(() =>
+        timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature)
+      ).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('2.5'), parseEther('7.5'), DEPOSIT.mul(-1)]
+      );
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+      expect(await timelock.nonces(beneficiary.address)).to.equal(1);
+    });
+
+    it('Should release on behalf of the NFT locker', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, relayer } = await waffle.loadFixture(
+        signedReleaseFixture
+      );
+      const signed = await signRelease(hre, timelock, nftLocker, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature))
+        .to.emit(timelock, 'ReleaseRelayed')
+        .withArgs(nftLocker.address, relayer.address, 0)
+        .and.to.emit(timelock, 'Released')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, parseEther('2.5'), parseEther('7.5'));
+    });
+
+    it('Should accept a signature on the deadline', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer } = await waffle.loadFixture(signedReleaseFixture);
+      const deadline = vestingStartTime + RELEASE_OFFSET;
+      const signed = await signRelease(hre, timelock, beneficiary, deadline);
+
+      await setNextBlockTimestamp(deadline);
+      await expect(
+        timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature)
+      ).to.emit(timelock, 'Released');
+    });
+
+    it('Should match the domain separator of the signing helper', async function () {
+      const { timelock } = await waffle.loadFixture(signedReleaseFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+
+      expect(await timelock.DOMAIN_SEPARATOR()).to.equal(
+        ethers.utils._TypedDataEncoder.hashDomain(getReleaseDomain(chainId, timelock.address))
+      );
+      expect(await timelock.RELEASE_TYPEHASH()).to.equal(
+        ethers.utils.id('Release(address signer,uint256 nonce,uint256 deadline)')
+      );
+    });
+  });
+
+  describe('Rejection', function () {
+    it('Should revert once the deadline has passed', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer } = await waffle.loadFixture(signedReleaseFixture);
+      const signed = await signRelease(hre, timelock, beneficiary, vestingStartTime + RELEASE_OFFSET - 1);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(relayRelease(timelock, relayer, signed)).to.be.revertedWith('TimeLock: signature expired');
+    });
+
+    it('Should revert for a signer who is not a party of the timelock', async function () {
+      const { timelock, vestingStartTime, relayer, other } = await waffle.loadFixture(signedReleaseFixture);
+      const signed = await signRelease(hre, timelock, other, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(relayRelease(timelock, relayer, signed)).to.be.revertedWith(
+        'TimeLock: signer is not a party of the timelock'
+      );
+    });
+
+    it('Should revert for a signature made by another account', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer, other } = await waffle.loadFixture(
+        signedReleaseFixture
+      );
+      const signed = await signRelease(hre, timelock, other, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(relayRelease(timelock, relayer, { ...signed, signer: beneficiary.address })).to.be.revertedWith(
+        'TimeLock: invalid signature'
+      );
+    });
+
+    it('Should revert for a signature with another deadline', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer } = await waffle.loadFixture(signedReleaseFixture);
+      const signed = await signRelease(hre, timelock, beneficiary, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(
+        timelock.connect(relayer).releaseWithSig(beneficiary.address, vestingStartTime + 2000, signed.signature)
+      ).to.be.revertedWith('TimeLock: invalid signature');
+    });
+
+    it('Should revert for a signature made for another timelock', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, relayer } = await waffle.loadFixture(
+        signedReleaseFixture
+      );
+      const args = await timelockArgs(nft, nftLocker, beneficiary, { type: 'linear' });
+      const otherTimelock = await deployTimelock(hre, args, nftLocker);
+      const signed = await signRelease(hre, otherTimelock, beneficiary, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(
+        timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature)
+      ).to.be.revertedWith('TimeLock: invalid signature');
+
+      try {
+        await relayRelease(timelock, relayer, signed);
+        expect.fail('relayRelease should throw');
+      } catch (error) {
+        expect(error.message).to.equal(`Release was signed for ${otherTimelock.address}, not ${timelock.address}`);
+      }
+    });
+
+    it('Should not replay a relayed signature', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer } = await waffle.loadFixture(signedReleaseFixture);
+      const signed = await signRelease(hre, timelock, beneficiary, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await relayRelease(timelock, relayer, signed);
+
+      await expect(
+        timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature)
+      ).to.be.revertedWith('TimeLock: invalid signature');
+    });
+
+    it('Should revoke the pending signatures of the caller when invalidating its nonce', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer } = await waffle.loadFixture(signedReleaseFixture);
+      const signed = await signRelease(hre, timelock, beneficiary, vestingStartTime + 1000);
+
+      await expect(timelock.connect(beneficiary).invalidateNonce())
+        .to.emit(timelock, 'NonceInvalidated')
+        .withArgs(beneficiary.address, 0);
+      expect(await timelock.nonces(beneficiary.address)).to.equal(1);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(
+        timelock.connect(relayer).releaseWithSig(signed.signer, signed.deadline, signed.signature)
+      ).to.be.revertedWith('TimeLock: invalid signature');
+
+      try {
+        await relayRelease(timelock, relayer, signed);
+        expect.fail('relayRelease should throw');
+      } catch (error) {
+        expect(error.message).to.equal('Release was signed with nonce 0, the signer is at nonce 1');
+      }
+    });
+
+    it('Should not release before the vesting start time', async function () {
+      const { timelock, vestingStartTime, beneficiary, relayer } = await waffle.loadFixture(signedReleaseFixture);
+      const signed = await signRelease(hre, timelock, beneficiary, vestingStartTime + 1000);
+
+      await setNextBlockTimestamp(vestingStartTime - 50);
+      await expect(relayRelease(timelock, relayer, signed)).to.be.revertedWith(
+        'TimeLock: current time is before vesting start time'
+      );
+      expect(await timelock.nonces(beneficiary.address)).to.equal(0);
+    });
+  });
+
+  describe('Timelock variants', function () {
+    it('Should release an ERC20 timelock on a signature', async function () {
+      const [nftLocker, beneficiary, relayer] = await ethers.getSigners();
+      const nft = await deployNft(nftLocker);
+      const BasicToken = await ethers.getContractFactory('BasicToken', nftLocker);
+      const token = await BasicToken.deploy('TestToken', 'TTK');
+      await token.mint(nftLocker.address, DEPOSIT);
+
+      const args = await timelockArgs(nft, nftLocker, beneficiary, { type: 'linear', discountToken: token.address });
+      const timelock = await deployERC20Timelock(hre, args, nftLocker);
+      await lockNft(hre, timelock, nftLocker);
+      const signed = await signRelease(hre, timelock, beneficiary, args.startTime + 1000);
+
+      await setNextBlockTimestamp(args.startTime + RELEASE_OFFSET);
+      await relayRelease(timelock, relayer, signed);
+
+      expect(await token.balanceOf(nftLocker.address)).to.equal(parseEther('2.5'));
+      expect(await token.balanceOf(beneficiary.address)).to.equal(parseEther('7.5'));
+      expect(await token.balanceOf(relayer.address)).to.equal(0);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(beneficiary.address);
+    });
+
+    it('Should take the signature of the receipt holder as the NFT locker', async function () {
+      const [nftLocker, beneficiary, relayer, buyer] = await ethers.getSigners();
+      const nft = await deployNft(nftLocker);
+      const curve = await deployCurve(hre, 'linear', nftLocker);
+      const args = await timelockArgs(nft, nftLocker, beneficiary, {
+        type: 'receipt',
+        curve: curve.address,
+        curveParams: encodeCurveParams('linear', { maxDuration: 1000 }),
+      });
+      const timelock = await deployTimelock(hre, args, nftLocker);
+      await lockNft(hre, timelock, nftLocker);
+      await timelock.connect(nftLocker).transferFrom(nftLocker.address, buyer.address, TOKEN_ID);
+
+      const previousHolder = await signRelease(hre, timelock, nftLocker, args.startTime + 1000);
+      const holder = await signRelease(hre, timelock, buyer, args.startTime + 1000);
+
+      await setNextBlockTimestamp(args.startTime + RELEASE_OFFSET);
+      await expect(relayRelease(timelock, relayer, previousHolder)).to.be.revertedWith(
+        'TimeLock: signer is not a party of the timelock'
+      );
+      await relayRelease(timelock, relayer, holder);
+      expect(await nft.ownerOf(TOKEN_ID)).to.equal(buyer.address);
+    });
+  });
+
+  describe('Signing helper', function () {
+    it('Should sign the current nonce as typed data', async function () {
+      const { timelock, beneficiary } = await waffle.loadFixture(signedReleaseFixture);
+      const { chainId } = await ethers.provider.getNetwork();
+
+      const signed = await signRelease(hre, timelock, beneficiary, 12345);
+
+      expect(signed).to.include({
+        timelock: timelock.address,
+        signer: beneficiary.address,
+        nonce: '0',
+        deadline: '12345',
+      });
+      const message = { signer: signed.signer, nonce: signed.nonce, deadline: signed.deadline };
+      expect(
+        ethers.utils.verifyTypedData(
+          getReleaseDomain(chainId, timelock.address),
+          RELEASE_TYPES,
+          message,
+          signed.signature
+        )
+      ).to.equal(beneficiary.address);
+    });
+  });
+});
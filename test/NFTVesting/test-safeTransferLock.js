@@ -0,0 +1,94 @@
+// The following are tests for locking the NFT of every timelock with safeTransferFrom.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp } = require('./helpers');
+const { deployTimelock, deployERC20Timelock } = require('../../scripts/NFTVesting/timelocks');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Locking with safeTransferFrom', function () {
+  const TOKEN_ID = 1;
+  const DEPOSIT = parseEther('1');
+  const SAFE_TRANSFER = 'safeTransferFrom(address,address,uint256)';
+
+  const TIMELOCKS = {
+    basic: { args: {}, error: 'BasicNftTimelock: only the configured NFT can be locked' },
+    linear: { args: { maxDuration: 1000 } },
+    interval: { args: { maxIntervals: 10, intervalDuration: 100 } },
+    convex: { args: { growthRate: 1, exponent: 2 } },
+    concave: { args: { maxDuration: 1000 } },
+    logistic: { args: { maxDuration: 1000, steepness: 2 } },
+    'ERC20 linear': { erc20: true, args: { type: 'linear', maxDuration: 1000 } },
+    'ERC20 interval': { erc20: true, args: { type: 'interval', maxIntervals: 10, intervalDuration: 100 } },
+    'ERC20 convex': { erc20: true, args: { type: 'convex', growthRate: 1, exponent: 2 } },
+  };
+
+  async function lockFixture() {
+    const [nftLocker, beneficiary] = await ethers.getSigners();
+
+    const BasicNft = await ethers.getContractFactory('BasicNft', nftLocker);
+    const nft = await BasicNft.deploy('TestNft', 'TFT');
+    const otherNft = await BasicNft.deploy('OtherNft', 'ONFT');
+    for (let i = 0; i <= TOKEN_ID; i++) {
+      await nft.mintNft();
+      await otherNft.mintNft();
+    }
+
+    const BasicToken = await ethers.getContractFactory('BasicToken', nftLocker);
+    const token = await BasicToken.deploy('TestToken', 'TTK');
+    await token.mint(nftLocker.address, DEPOSIT.mul(3));
+
+    const common = {
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      startTime: (await latestTimestamp()) + 1000,
+      deposit: DEPOSIT,
+    };
+    const timelocks = {};
+    for (const [name, { erc20, args }] of Object.entries(TIMELOCKS)) {
+      timelocks[name] = erc20
+        ? await deployERC20Timelock(hre, { ...common, ...args, discountToken: token.address }, nftLocker)
+        : await deployTimelock(hre, { ...common, type: name, ...args }, nftLocker);
+    }
+
+    return { nft, otherNft, timelocks, nftLocker };
+  }
+
+  for (const [name, { error }] of Object.entries(TIMELOCKS)) {
+    describe(`${name} timelock`, function () {
+      it('Should accept the configured NFT and emit Locked', async function () {
+        const { nft, timelocks, nftLocker } = await waffle.loadFixture(lockFixture);
+        const timelock = timelocks[name];
+
+        await expect(nft[SAFE_TRANSFER](nftLocker.address, timelock.address, TOKEN_ID))
+          .to.emit(timelock, 'Locked')
+          .withArgs(nftLocker.address, nftLocker.address, TOKEN_ID);
+        expect(await nft.ownerOf(TOKEN_ID)).to.equal(timelock.address);
+      });
+
+      it('Should reject another token of the configured collection', async function () {
+        const { nft, timelocks, nftLocker } = await waffle.loadFixture(lockFixture);
+        const timelock = timelocks[name];
+
+        await expect(nft[SAFE_TRANSFER](nftLocker.address, timelock.address, 0)).to.be.revertedWith(
+          error || 'TimeLock: only the configured NFT can be locked'
+        );
+        expect(await nft.ownerOf(0)).to.equal(nftLocker.address);
+      });
+
+      it('Should reject the configured token ID of another collection', async function () {
+        const { otherNft, timelocks, nftLocker } = await waffle.loadFixture(lockFixture);
+        const timelock = timelocks[name];
+
+        await expect(otherNft[SAFE_TRANSFER](nftLocker.address, timelock.address, TOKEN_ID)).to.be.revertedWith(
+          error || 'TimeLock: only the configured NFT can be locked'
+        );
+        expect(await otherNft.ownerOf(TOKEN_ID)).to.equal(nftLocker.address);
+      });
+    });
+  }
+});
@@ -0,0 +1,301 @@
+// The following are tests for the vesting status report of a set of timelocks.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+const { deployTimelock, deployERC20Timelock, lockNft } = require('../../scripts/NFTVesting/timelocks');
+const { encodeCurveParams, deployCurve } = require('../../scripts/NFTVesting/curves');
+const { parseMilestoneSchedule } = require('../../scripts/NFTVesting/milestones');
+const {
+  buildReport,
+  formatDuration,
+  formatReport,
+  toMarkdown,
+  toCsv,
+} = require('../../scripts/NFTVesting/report/statusReport');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Status report', function () {
+  const TOKEN_ID = 0;
+  const DEPOSIT = parseEther('1');
+  const REPORT_OFFSET = 250;
+
+  async function reportFixture() {
+    const [nftLocker, beneficiary] = await ethers.getSigners();
+    const vestingStartTime = (await latestTimestamp()) + 1000;
+
+    async function deploy(params, { lock = true } = {}) {
+      const nft = await deployNft(nftLocker);
+      const args = {
+        nft: nft.address,
+        tokenId: TOKEN_ID,
+        locker: nftLocker.address,
+        beneficiary: beneficiary.address,
+        startTime: vestingStartTime,
+        deposit: DEPOSIT,
+        ...params,
+      };
+      const timelock = await (args.discountToken === undefined ? deployTimelock : deployERC20Timelock)(
+        hre,
+        args,
+        nftLocker
+      );
+      if (lock) {
+        await lockNft(hre, timelock, nftLocker);
+      }
+      return timelock;
+    }
+
+    const BasicToken = await ethers.getContractFactory('BasicToken', nftLocker);
+    const token = await BasicToken.deploy('TestToken', 'TTK');
+    await token.mint(nftLocker.address, DEPOSIT);
+    const concave = await deployCurve(hre, 'concave', nftLocker);
+
+    const timelocks = {
+      basic: await deploy({ type: 'basic', startTime: vestingStartTime + 500 }),
+      linear: await deploy({ type: 'linear', maxDuration: 1000 }),
+      interval: await deploy({ type: 'interval', maxIntervals: 4, intervalDuration: 100 }),
+      milestone: await deploy({ type: 'milestone', milestones: parseMilestoneSchedule('100s:10%,300s:40%,1000s:100%') }),
+      convex: await deploy({ type: 'convex', growthRate: 1000000000000, exponent: 2 }),
+      curve: await deploy({
+        type: 'curve',
+        curve: concave.address,
+        curveParams: encodeCurveParams('concave', { maxDuration: 1000 }),
+      }),
+      erc20: await deploy({ type: 'linear', maxDuration: 1000, discountToken: token.address }),
+      notLocked: await deploy({ type: 'linear', maxDuration: 1000 }, { lock: false }),
+      released: await deploy({ type: 'linear', maxDuration: 1000 }),
+      cancelled: await deploy({ type: 'linear', maxDuration: 1000 }),
+    };
+
+    await timelocks.cancelled.connect(nftLocker).approveCancellation();
+    await timelocks.cancelled.connect(beneficiary).approveCancellation();
+    await setNextBlockTimestamp(vestingStartTime + 100);
+    await timelocks.released.connect(beneficiary).release();
+    await increaseTo(vestingStartTime + REPORT_OFFSET);
+
+    const addresses = Object.values(timelocks).map((timelock) => timelock.address);
+    // Built once, as the report reads every timelock
+    const report = await buildReport(hre, addresses);
+    return { timelocks, addresses, report };
+  }
+
+  async function reportRows() {
+    const { timelocks, report } = await waffle.loadFixture(reportFixture);
+    return { timelocks, rows: Object.fromEntries(Object.keys(timelocks).map((name, i) => [name, report[i]])) };
+  }
+
+  describe('Rows', function () {
+    it('Should detect the type of each timelock', async function () {
+      const { rows } = await reportRows();
+
+      expect(Object.values(rows).map((row) => row.type)).to.deep.equal([
+        'basic',
+        'linear',
+        'interval',
+        'milestone',
+        'convex',
+        'curve',
+        'erc20-linear',
+        'linear',
+        'linear',
+        'linear',
+      ]);
+    });
+
+    it('Should report the discount and the time to full vesting of a vesting timelock', async function () {
+      const { timelocks, rows } = await reportRows();
+
+      expect(rows.linear).to.deep.equal({
+        address: timelocks.linear.address,
+        type: 'linear',
+        nft: 'Locked',
+        currency: 'ETH',
+        decimals: 18,
+        deposit: DEPOSIT.toString(),
+        discount: parseEther('0.25').toString(),
+        claimed: '0',
+        percentVested: '25.00',
+        vestedDuration: REPORT_OFFSET,
+        currentInterval: null,
+        intervalsLeft: null,
+        timeToNextInterval: null,
+        timeToFullVesting: 750,
+        error: null,
+      });
+    });
+
+    it('Should report the time to the next interval and milestone', async function () {
+      const { rows } = await reportRows();
+
+      expect(rows.interval).to.include({
+        discount: parseEther('0.75').toString(),
+        percentVested: '75.00',
+        currentInterval: 3,
+        intervalsLeft: 1,
+        timeToNextInterval: 50,
+        timeToFullVesting: 50,
+      });
+      expect(rows.milestone).to.include({
+        discount: parseEther('0.1').toString(),
+        percentVested: '10.00',
+        currentInterval: 1,
+        intervalsLeft: 2,
+        timeToNextInterval: 50,
+        timeToFullVesting: 750,
+      });
+    });
+
+    it('Should find the time to full vesting of every curve', async function () {
+      const { rows } = await reportRows();
+
+      expect(rows.convex).to.include({ percentVested: '6.25', timeToFullVesting: 750 });
+      expect(rows.curve).to.include({ percentVested: '50.00', timeToFullVesting: 750 });
+    });
+
+    it('Should report the deposit of an ERC20 timelock in its token', async function () {
+      const { rows } = await reportRows();
+
+      expect(rows.erc20).to.include({
+        currency: 'TTK',
+        decimals: 18,
+        deposit: DEPOSIT.toString(),
+        percentVested: '25.00',
+        timeToFullVesting: 750,
+      });
+    });
+
+    it('Should report the time to release of a basic timelock', async function () {
+      const { rows } = await reportRows();
+
+      expect(rows.basic).to.include({ nft: 'Locked', deposit: null, percentVested: null, timeToFullVesting: 250 });
+    });
+
+    it('Should report the settled discount of released and cancelled timelocks', async function () {
+      const { rows } = await reportRows();
+
+      expect(rows.released).to.include({
+        nft: 'Released',
+        deposit: DEPOSIT.toString(),
+        discount: parseEther('0.1').toString(),
+        percentVested: '10.00',
+        timeToFullVesting: null,
+      });
+      expect(rows.cancelled).to.include({
+        nft: 'Cancelled',
+        deposit: DEPOSIT.toString(),
+        discount: '0',
+        percentVested: '0.00',
+        timeToFullVesting: null,
+      });
+      expect(rows.notLocked).to.include({ nft: 'Not locked', percentVested: '25.00', timeToFullVesting: 750 });
+    });
+
+    it('Should report a timelock whose discount or curve reverts instead of failing', async function () {
+      const [nftLocker, beneficiary] = await ethers.getSigners();
+      const nft = await deployNft(nftLocker);
+      const RevertingVestingCurve = await ethers.getContractFactory('RevertingVestingCurve', nftLocker);
+      const curve = await RevertingVestingCurve.deploy();
+      const vestingStartTime = (await latestTimestamp()) + 100;
+      const timelock = await deployTimelock(
+        hre,
+        {
+          type: 'curve',
+          nft: nft.address,
+          tokenId: TOKEN_ID,
+          locker: nftLocker.address,
+          beneficiary: beneficiary.address,
+          startTime: vestingStartTime,
+          deposit: DEPOSIT,
+          curve: curve.address,
+          curveParams: ethers.utils.defaultAbiCoder.encode(['uint256'], [1000]),
+        },
+        nftLocker
+      );
+      await lockNft(hre, timelock, nftLocker);
+
+      // The curve reverts past its max duration, before the discount stops growing
+      await increaseTo(vestingStartTime + REPORT_OFFSET);
+      const [vesting] = await buildReport(hre, [timelock.address]);
+      expect(vesting).to.include({
+        discount: parseEther('0.25').toString(),
+        timeToFullVesting: null,
+        error: 'vesting curve reverts',
+      });
+
+      await increaseTo(vestingStartTime + 1001);
+      const [stuck] = await buildReport(hre, [timelock.address]);
+      expect(stuck).to.include({
+        nft: 'Locked',
+        deposit: DEPOSIT.toString(),
+        claimed: '0',
+        discount: null,
+        percentVested: null,
+        error: 'discount unavailable',
+      });
+      expect(toMarkdown([stuck])).to.contain('| - | - | discount unavailable |');
+    });
+  });
+
+  describe('Formats', function () {
+    it('Should format the report as a Markdown table', async function () {
+      const { rows } = await reportRows();
+
+      const lines = toMarkdown([rows.linear, rows.basic]).trim().split('\n');
+
+      expect(lines).to.have.length(4);
+      expect(lines[0]).to.equal(
+        '| Timelock | Type | NFT | Currency | Deposit | Discount | Claimed | Vested | Vested for | Interval | ' +
+          'Intervals left | Next interval in | Fully vested in | Error |'
+      );
+      expect(lines[2]).to.equal(
+        `| ${rows.linear.address} | linear | Locked | ETH | 1.0 ETH | 0.25 ETH | 0.0 ETH | 25.00% | 4m 10s | - | - | - | 12m 30s | - |`
+      );
+      expect(lines[3]).to.equal(`| ${rows.basic.address} | basic | Locked | - | - | - | - | - | - | - | - | - | 4m 10s | - |`);
+    });
+
+    it('Should format the report as CSV and JSON', async function () {
+      const { rows } = await reportRows();
+
+      expect(toCsv([rows.interval]).split('\n')).to.deep.equal([
+        'address,type,nft,currency,deposit,discount,claimed,percentVested,vestedDuration,currentInterval,' +
+          'intervalsLeft,timeToNextInterval,timeToFullVesting,error,decimals',
+        `${rows.interval.address},interval,Locked,ETH,${DEPOSIT},${parseEther('0.75')},0,75.00,250,3,1,50,50,,18`,
+        '',
+      ]);
+      expect(JSON.parse(formatReport([rows.interval], 'json'))).to.deep.equal([rows.interval]);
+      expect(() => formatReport([], 'xlsx')).to.throw('Unknown report format: xlsx, expected one of markdown|csv|json');
+    });
+
+    it('Should format durations from seconds to days', function () {
+      expect(formatDuration(0)).to.equal('0s');
+      expect(formatDuration(59)).to.equal('59s');
+      expect(formatDuration(3600)).to.equal('1h 0m 0s');
+      expect(formatDuration(2 * 86400 + 3 * 3600 + 5)).to.equal('2d 3h 0m 5s');
+    });
+  });
+
+  describe('Task', function () {
+    it('Should write the report to a file', async function () {
+      const { addresses } = await waffle.loadFixture(reportFixture);
+      const file = path.join(os.tmpdir(), `timelock-report-${Date.now()}.csv`);
+      try {
+        const rows = await hre.run('timelock:report', {
+          addresses: addresses.slice(1, 3).join(','),
+          format: 'csv',
+          out: file,
+        });
+
+        expect(rows.map((row) => row.type)).to.deep.equal(['linear', 'interval']);
+        expect(fs.readFileSync(file, 'utf8')).to.equal(toCsv(rows));
+      } finally {
+        fs.rmSync(file, { force: true });
+      }
+    });
+  });
+});
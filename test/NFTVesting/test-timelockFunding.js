@@ -0,0 +1,248 @@
+// The following are tests for the deposit top-ups, the per-funder accounting and the stray balances of the vesting timelocks.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { latestTimestamp, setNextBlockTimestamp, increaseTo, deployNft } = require('./helpers');
+const { deployTimelock, deployERC20Timelock, lockNft, fundTimelock } = require('../../scripts/NFTVesting/timelocks');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Timelock funding', function () {
+  const TOKEN_ID = 0;
+  const DEPOSIT = parseEther('4');
+  const TOP_UP = parseEther('4');
+  const RELEASE_OFFSET = 250;
+
+  async function timelockArgs(nft, nftLocker, beneficiary, params) {
+    return {
+      type: 'linear',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      startTime: (await latestTimestamp()) + 1000,
+      deposit: DEPOSIT,
+      maxDuration: 1000,
+      ...params,
+    };
+  }
+
+  async function fundingFixture() {
+    const [nftLocker, beneficiary, funder, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+    const args = await timelockArgs(nft, nftLocker, beneficiary);
+    const timelock = await deployTimelock(hre, args, nftLocker);
+    await lockNft(hre, timelock, nftLocker);
+
+    return { nft, timelock, vestingStartTime: args.startTime, nftLocker, beneficiary, funder, other };
+  }
+
+  async function erc20FundingFixture() {
+    const [nftLocker, beneficiary, funder, other] = await ethers.getSigners();
+    const nft = await deployNft(nftLocker);
+    const BasicToken = await ethers.getContractFactory('BasicToken', nftLocker);
+    const token = await BasicToken.deploy('TestToken', 'TTK');
+    await token.mint(nftLocker.address, DEPOSIT);
+    await token.mint(funder.address, TOP_UP);
+    await token.mint(other.address, parseEther('1'));
+
+    const args = await timelockArgs(nft, nftLocker, beneficiary, { discountToken: token.address });
+    const timelock = await deployERC20Timelock(hre, args, nftLocker);
+    await lockNft(hre, timelock, nftLocker);
+
+    return { token, timelock, vestingStartTime: args.startTime, nftLocker, beneficiary, funder, other };
+  }
+
+  describe('Top-ups', function () {
+    it('Should credit the deposit sent on deployment to the deployer', async function () {
+      const { timelock, nftLocker } = await waffle.loadFixture(fundingFixture);
+
+      expect(await timelock.totalDeposit()).to.equal(DEPOSIT);
+      expect(await timelock.fundedBy(nftLocker.address)).to.equal(DEPOSIT);
+      expect(await timelock.strayBalance()).to.equal(0);
+    });
+
+    it('Should add the ETH of each funder to the deposit', async function () {
+      const { timelock, nftLocker, funder } = await waffle.loadFixture(fundingFixture);
+
+      await expect(timelock.connect(funder).fund({ value: parseEther('1') }))
+        .to.emit(timelock, 'Funded')
+        .withArgs(funder.address, parseEther('1'));
+      await timelock.connect(funder).fund({ value: parseEther('2') });
+      await timelock.connect(nftLocker).fund({ value: parseEther('1') });
+
+      expect(await timelock.totalDeposit()).to.equal(DEPOSIT.add(TOP_UP));
+      expect(await timelock.fundedBy(funder.address)).to.equal(parseEther('3'));
+      expect(await timelock.fundedBy(nftLocker.address)).to.equal(DEPOSIT.add(parseEther('1')));
+    });
+
+    it('Should credit the funding of the caller to another account', async function () {
+      const { timelock, nftLocker, funder } = await waffle.loadFixture(fundingFixture);
+
+      await expect(timelock.connect(nftLocker).transferFunding(funder.address))
+        .to.emit(timelock, 'FundingTransferred')
+        .withArgs(nftLocker.address, funder.address, DEPOSIT);
+      expect(await timelock.fundedBy(nftLocker.address)).to.equal(0);
+      expect(await timelock.fundedBy(funder.address)).to.equal(DEPOSIT);
+      expect(await timelock.totalDeposit()).to.equal(DEPOSIT);
+      await expect(timelock.connect(nftLocker).transferFunding(funder.address)).to.be.revertedWith(
+        'TimeLock: no funding to transfer'
+      );
+    });
+
+    it('Should vest the discount on the deposit at the vesting start time', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, funder } = await waffle.loadFixture(fundingFixture);
+      await fundTimelock(hre, timelock, funder, TOP_UP);
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(timelock.connect(beneficiary).release())
+        .to.emit(timelock, 'Released')
+        .withArgs(nftLocker.address, beneficiary.address, TOKEN_ID, parseEther('2'), parseEther('6'));
+    });
+
+    it('Should close funding at the vesting start time', async function () {
+      const { timelock, vestingStartTime, funder } = await waffle.loadFixture(fundingFixture);
+
+      await setNextBlockTimestamp(vestingStartTime);
+      await expect(timelock.connect(funder).fund({ value: TOP_UP })).to.be.revertedWith(
+        'TimeLock: funding is closed after vesting start time'
+      );
+    });
+
+    it('Should not fund a cancelled timelock or a zero amount', async function () {
+      const { timelock, nftLocker, beneficiary, funder } = await waffle.loadFixture(fundingFixture);
+
+      await expect(timelock.connect(funder).fund({ value: 0 })).to.be.revertedWith(
+        'TimeLock: funding amount should be greater than 0'
+      );
+
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(beneficiary).approveCancellation();
+      await expect(timelock.connect(funder).fund({ value: TOP_UP })).to.be.revertedWith(
+        'TimeLock: timelock is cancelled'
+      );
+    });
+  });
+
+  describe('Stray ETH', function () {
+    it('Should keep ETH sent directly out of the deposit and the discount', async function () {
+      const { timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(fundingFixture);
+
+      await expect(other.sendTransaction({ to: timelock.address, value: parseEther('1') }))
+        .to.emit(timelock, 'EthReceived')
+        .withArgs(other.address, parseEther('1'));
+      expect(await timelock.totalDeposit()).to.equal(DEPOSIT);
+      expect(await timelock.strayBalance()).to.equal(parseEther('1'));
+      expect(await timelock.strayDepositOf(other.address)).to.equal(parseEther('1'));
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await expect(() => timelock.connect(beneficiary).release()).to.changeEtherBalances(
+        [nftLocker, beneficiary, timelock],
+        [parseEther('1'), parseEther('3'), DEPOSIT.mul(-1)]
+      );
+      expect(await timelock.strayBalance()).to.equal(parseEther('1'));
+    });
+
+    it('Should refund stray ETH to its sender, even after the release', async function () {
+      const { timelock, vestingStartTime, beneficiary, other } = await waffle.loadFixture(fundingFixture);
+      await other.sendTransaction({ to: timelock.address, value: parseEther('1') });
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await timelock.connect(beneficiary).release();
+
+      await expect(() => timelock.connect(other).refundStray()).to.changeEtherBalances(
+        [other, timelock],
+        [parseEther('1'), parseEther('-1')]
+      );
+      expect(await timelock.strayDepositOf(other.address)).to.equal(0);
+      await expect(timelock.connect(other).refundStray()).to.be.revertedWith('TimeLock: no stray deposit to refund');
+    });
+
+    it('Should sweep ETH forced into the timelock to the beneficiary', async function () {
+      const { timelock, beneficiary, other } = await waffle.loadFixture(fundingFixture);
+      await other.sendTransaction({ to: timelock.address, value: parseEther('1') });
+      const balance = await ethers.provider.getBalance(timelock.address);
+      // ETH forced in without a call, as by a selfdestruct
+      await ethers.provider.send('hardhat_setBalance', [timelock.address, balance.add(parseEther('2')).toHexString()]);
+      await increaseTo((await latestTimestamp()) + 1);
+
+      expect(await timelock.strayBalance()).to.equal(parseEther('3'));
+      await expect(timelock.connect(other).sweepStray())
+        .to.emit(timelock, 'StraySwept')
+        .withArgs(beneficiary.address, parseEther('2'));
+      expect(await timelock.strayBalance()).to.equal(parseEther('1'));
+      expect(await timelock.totalDeposit()).to.equal(DEPOSIT);
+      await expect(timelock.connect(other).sweepStray()).to.be.revertedWith('TimeLock: no stray balance to sweep');
+    });
+  });
+
+  describe('Settlement', function () {
+    const SAFE_TRANSFER = 'safeTransferFrom(address,address,uint256)';
+
+    it('Should not pay out stray ETH when the NFT is locked again after the release', async function () {
+      const { nft, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(fundingFixture);
+      await other.sendTransaction({ to: timelock.address, value: parseEther('20') });
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await timelock.connect(beneficiary).release();
+      expect(await timelock.settled()).to.equal(true);
+
+      await expect(
+        nft.connect(beneficiary)[SAFE_TRANSFER](beneficiary.address, timelock.address, TOKEN_ID)
+      ).to.be.revertedWith('TimeLock: timelock is settled');
+      // Sent back without the receiver hook
+      await nft.connect(beneficiary).transferFrom(beneficiary.address, timelock.address, TOKEN_ID);
+
+      await expect(timelock.connect(beneficiary).release()).to.be.revertedWith('TimeLock: timelock is settled');
+      await expect(timelock.connect(nftLocker).claimDiscount()).to.be.revertedWith('TimeLock: timelock is settled');
+      await expect(() => timelock.connect(other).refundStray()).to.changeEtherBalances(
+        [other, timelock],
+        [parseEther('20'), parseEther('-20')]
+      );
+    });
+
+    it('Should not settle a cancelled timelock again when the NFT is locked again', async function () {
+      const { nft, timelock, nftLocker, beneficiary } = await waffle.loadFixture(fundingFixture);
+      await timelock.connect(nftLocker).approveCancellation();
+      await timelock.connect(beneficiary).approveCancellation();
+
+      await nft.connect(nftLocker).transferFrom(nftLocker.address, timelock.address, TOKEN_ID);
+      await increaseTo((await latestTimestamp()) + 1000);
+
+      await expect(timelock.connect(beneficiary).release()).to.be.revertedWith('TimeLock: timelock is settled');
+      expect(await ethers.provider.getBalance(timelock.address)).to.equal(0);
+    });
+  });
+
+  describe('ERC20 timelocks', function () {
+    it('Should pull the top-up from the allowance of the funder', async function () {
+      const { token, timelock, vestingStartTime, nftLocker, beneficiary, funder } = await waffle.loadFixture(
+        erc20FundingFixture
+      );
+      await fundTimelock(hre, timelock, funder, TOP_UP);
+      expect(await timelock.fundedBy(funder.address)).to.equal(TOP_UP);
+      expect(await token.balanceOf(timelock.address)).to.equal(DEPOSIT.add(TOP_UP));
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await timelock.connect(beneficiary).release();
+      expect(await token.balanceOf(nftLocker.address)).to.equal(parseEther('2'));
+      expect(await token.balanceOf(beneficiary.address)).to.equal(parseEther('6'));
+    });
+
+    it('Should sweep tokens transferred directly to the beneficiary', async function () {
+      const { token, timelock, vestingStartTime, nftLocker, beneficiary, other } = await waffle.loadFixture(
+        erc20FundingFixture
+      );
+      await token.connect(other).transfer(timelock.address, parseEther('1'));
+      expect(await timelock.strayBalance()).to.equal(parseEther('1'));
+
+      await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+      await timelock.connect(beneficiary).release();
+      expect(await token.balanceOf(nftLocker.address)).to.equal(parseEther('1'));
+      expect(await token.balanceOf(beneficiary.address)).to.equal(parseEther('3'));
+
+      await timelock.connect(other).sweepStray();
+      expect(await token.balanceOf(beneficiary.address)).to.equal(parseEther('4'));
+      expect(await token.balanceOf(timelock.address)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,285 @@
+// The following are tests for the timelock lifecycle Hardhat tasks.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { setNextBlockTimestamp, deployNft } = require('./helpers');
+
+const { ethers } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Timelock tasks', function () {
+  const TOKEN_ID = '0';
+
+  let nftLocker, beneficiary, other;
+
+  // Runs a task without printing its summary.
+  async function runTask(name, args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+  }
+
+  before(async () => {
+    [nftLocker, beneficiary, other] = await ethers.getSigners();
+  });
+
+  it('Should run the full lifecycle of a linear timelock', async function () {
+    const nft = await deployNft(nftLocker);
+
+    const deployed = await runTask('timelock:deploy', {
+      type: 'linear',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '1000',
+      maxDuration: '1000',
+    });
+    expect(deployed.type).to.equal('linear');
+    expect(deployed.nftHeld).to.equal(false);
+    expect(deployed.balance).to.equal(parseEther('1000').toString());
+    expect(deployed.maxDuration).to.equal('1000');
+    expect(deployed.cliffDuration).to.equal('0');
+
+    const locked = await runTask('timelock:lock', { timelock: deployed.address });
+    expect(locked.nftHeld).to.equal(true);
+    expect(await nft.ownerOf(TOKEN_ID)).to.equal(deployed.address);
+
+    const status = await runTask('timelock:status', { timelock: deployed.address });
+    expect(status.type).to.equal('linear');
+    expect(status.discount).to.equal('0');
+
+    await setNextBlockTimestamp(deployed.vestingStartTime + 88);
+    const released = await runTask('timelock:release', { timelock: deployed.address, from: other.address });
+    expect(released.nftHeld).to.equal(false);
+    expect(released.nftOwner).to.equal(beneficiary.address);
+    expect(released.discountPaid).to.equal(parseEther('88').toString());
+    expect(released.remainingPaid).to.equal(parseEther('912').toString());
+  });
+
+  it('Should report the payouts when the NFT locker sends the release', async function () {
+    const nft = await deployNft(nftLocker);
+    const deployed = await runTask('timelock:deploy', {
+      type: 'interval',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '1000',
+      maxIntervals: '10',
+      intervalDuration: '100',
+    });
+    await runTask('timelock:lock', { timelock: deployed.address });
+
+    await setNextBlockTimestamp(deployed.vestingStartTime + 250);
+    const released = await runTask('timelock:release', { timelock: deployed.address });
+
+    expect(released.discountPaid).to.equal(parseEther('300').toString());
+    expect(released.remainingPaid).to.equal(parseEther('700').toString());
+  });
+
+  it('Should claim the vested discount and release the rest', async function () {
+    const nft = await deployNft(nftLocker);
+    const deployed = await runTask('timelock:deploy', {
+      type: 'linear',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '10',
+      maxDuration: '100',
+    });
+    await runTask('timelock:lock', { timelock: deployed.address });
+
+    await setNextBlockTimestamp(deployed.vestingStartTime + 30);
+    const claimed = await runTask('timelock:claim', { timelock: deployed.address });
+    expect(claimed.nftHeld).to.equal(true);
+    expect(claimed.claimed).to.equal(parseEther('3').toString());
+    expect(claimed.balance).to.equal(parseEther('7').toString());
+
+    await setNextBlockTimestamp(deployed.vestingStartTime + 50);
+    const released = await runTask('timelock:release', { timelock: deployed.address, from: other.address });
+    expect(released.discountPaid).to.equal(parseEther('2').toString());
+    expect(released.remainingPaid).to.equal(parseEther('5').toString());
+    expect(released.claimed).to.equal(parseEther('5').toString());
+  });
+
+  it('Should top up the deposit before the vesting start time', async function () {
+    const nft = await deployNft(nftLocker);
+    const deployed = await runTask('timelock:deploy', {
+      type: 'linear',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '6',
+      maxDuration: '100',
+    });
+    await runTask('timelock:lock', { timelock: deployed.address });
+
+    const funded = await runTask('timelock:fund', { timelock: deployed.address, amount: '4', from: other.address });
+    expect(funded.funder).to.equal(other.address);
+    expect(funded.fundedBy).to.equal(parseEther('4').toString());
+    expect(funded.totalDeposit).to.equal(parseEther('10').toString());
+    expect(funded.strayBalance).to.equal('0');
+
+    await setNextBlockTimestamp(deployed.vestingStartTime + 50);
+    const released = await runTask('timelock:release', { timelock: deployed.address });
+    expect(released.discountPaid).to.equal(parseEther('5').toString());
+    expect(released.remainingPaid).to.equal(parseEther('5').toString());
+  });
+
+  it('Should release through a relayer with a release signed by the beneficiary', async function () {
+    const nft = await deployNft(nftLocker);
+    const deployed = await runTask('timelock:deploy', {
+      type: 'linear',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '10',
+      maxDuration: '100',
+    });
+    await runTask('timelock:lock', { timelock: deployed.address });
+
+    const file = path.join(os.tmpdir(), `timelock-release-${Date.now()}.json`);
+    try {
+      const signed = await runTask('timelock:sign-release', {
+        timelock: deployed.address,
+        deadline: '+1000',
+        from: beneficiary.address,
+        out: file,
+      });
+      expect(signed.signer).to.equal(beneficiary.address);
+      expect(signed.nonce).to.equal('0');
+      expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(signed);
+
+      await setNextBlockTimestamp(deployed.vestingStartTime + 40);
+      const released = await runTask('timelock:relay-release', { signature: file, from: other.address });
+      expect(released.signer).to.equal(beneficiary.address);
+      expect(released.nftOwner).to.equal(beneficiary.address);
+      expect(released.discountPaid).to.equal(parseEther('4').toString());
+      expect(released.remainingPaid).to.equal(parseEther('6').toString());
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('Should deploy and lock in one transaction through a factory', async function () {
+    const nft = await deployNft(nftLocker);
+    const factory = await runTask('timelock:deploy-factory', {});
+
+    const deployed = await runTask('timelock:deploy', {
+      type: 'convex',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '100',
+      growthRate: '1',
+      exponent: 2,
+      factory: factory.address,
+      salt: ethers.utils.formatBytes32String('task'),
+    });
+
+    expect(deployed.factory).to.equal(factory.address);
+    expect(deployed.nftHeld).to.equal(true);
+    expect(deployed.balance).to.equal(parseEther('100').toString());
+  });
+
+  it('Should detect the type of each timelock', async function () {
+    const nft = await deployNft(nftLocker);
+    const common = {
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '1',
+    };
+
+    const deployments = {
+      basic: await runTask('timelock:deploy', { ...common, type: 'basic' }),
+      linear: await runTask('timelock:deploy', { ...common, type: 'linear', maxDuration: '1000' }),
+      interval: await runTask('timelock:deploy', {
+        ...common,
+        type: 'interval',
+        maxIntervals: '10',
+        intervalDuration: '100',
+      }),
+      convex: await runTask('timelock:deploy', { ...common, type: 'convex', growthRate: '1', exponent: 2 }),
+      concave: await runTask('timelock:deploy', { ...common, type: 'concave', maxDuration: '1000' }),
+      logistic: await runTask('timelock:deploy', { ...common, type: 'logistic', maxDuration: '1000', steepness: 2 }),
+      milestone: await runTask('timelock:deploy', { ...common, type: 'milestone', milestones: '1mo:10%,1y:100%' }),
+    };
+
+    for (const [type, deployed] of Object.entries(deployments)) {
+      const status = await runTask('timelock:status', { timelock: deployed.address });
+      expect(status.type).to.equal(type);
+    }
+    expect(deployments.basic.releaseTime).to.be.a('number');
+    expect(deployments.convex.exponent).to.equal(2);
+    expect(deployments.logistic.steepness).to.equal(2);
+    expect(deployments.milestone.milestones).to.deep.equal([
+      { time: 30 * 24 * 60 * 60, cumulativeBps: 1000 },
+      { time: 365 * 24 * 60 * 60, cumulativeBps: 10000 },
+    ]);
+  });
+
+  it('Should deploy a timelock along a deployed curve', async function () {
+    const nft = await deployNft(nftLocker);
+    const curve = await runTask('timelock:deploy-curve', { type: 'concave', maxDuration: '1000' });
+    expect(curve.curveParams).to.equal(ethers.utils.defaultAbiCoder.encode(['uint256'], [1000]));
+
+    const deployed = await runTask('timelock:deploy', {
+      type: 'curve',
+      nft: nft.address,
+      tokenId: TOKEN_ID,
+      locker: nftLocker.address,
+      beneficiary: beneficiary.address,
+      start: '+100',
+      deposit: '1',
+      curve: curve.address,
+      curveParams: curve.curveParams,
+    });
+    expect(deployed.curve).to.equal(curve.address);
+
+    const status = await runTask('timelock:status', { timelock: deployed.address });
+    expect(status.type).to.equal('curve');
+    expect(status.curveParams).to.equal(curve.curveParams);
+  });
+
+  it('Should require the curve parameters of the timelock type', async function () {
+    const nft = await deployNft(nftLocker);
+
+    let error;
+    try {
+      await runTask('timelock:deploy', {
+        type: 'convex',
+        nft: nft.address,
+        tokenId: TOKEN_ID,
+        locker: nftLocker.address,
+        beneficiary: beneficiary.address,
+        start: '+100',
+        deposit: '1',
+        growthRate: '1',
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('exponent is required for convex timelocks');
+  });
+});
@@ -0,0 +1,115 @@
+// The following runs the shared vesting lifecycle against every curve: through the named timelock
+// of the curve, its ERC20 variant where there is one, and NftVestingTimelock plugged to the curve contract.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { curveTimelockFixture } = require('./curveTimelocks');
+const { shouldBehaveLikeVestingTimelock } = require('./vestingLifecycle');
+const {
+  ERC20_TIMELOCK_CONTRACTS,
+  deployTimelock,
+  getTimelock,
+  getTimelockStatus,
+} = require('../../scripts/NFTVesting/timelocks');
+const { CURVE_CONTRACTS, encodeCurveParams, decodeCurveParams } = require('../../scripts/NFTVesting/curves');
+const { parseMilestoneSchedule } = require('../../scripts/NFTVesting/milestones');
+
+const { ethers, waffle } = hre;
+const { parseEther } = ethers.utils;
+
+describe('Vesting curves', function () {
+  const DEPOSIT = parseEther('1');
+  const CURVES = {
+    linear: { maxDuration: 1000, cliffDuration: 100 },
+    interval: { maxIntervals: 10, intervalDuration: 100 },
+    convex: { growthRate: 1000000000000, exponent: 2 },
+    concave: { maxDuration: 1000 },
+    logistic: { maxDuration: 1000, steepness: 3 },
+    milestone: { milestones: parseMilestoneSchedule('100s:10%,250s:25%,600s:70%,1000s:100%') },
+  };
+
+  for (const [type, params] of Object.entries(CURVES)) {
+    describe(`${type} curve`, function () {
+      describe('Named timelock', function () {
+        shouldBehaveLikeVestingTimelock(curveTimelockFixture(type, params, { deposit: DEPOSIT }), {
+          curve: type,
+          params,
+        });
+      });
+
+      if (ERC20_TIMELOCK_CONTRACTS[type] !== undefined) {
+        describe('ERC20 timelock', function () {
+          shouldBehaveLikeVestingTimelock(curveTimelockFixture(type, params, { deposit: DEPOSIT, variant: 'erc20' }), {
+            curve: type,
+            params,
+          });
+        });
+      }
+
+      describe('NftVestingTimelock', function () {
+        shouldBehaveLikeVestingTimelock(curveTimelockFixture(type, params, { deposit: DEPOSIT, variant: 'curve' }), {
+          curve: type,
+          params,
+        });
+      });
+    });
+  }
+
+  describe('NftVestingTimelock', function () {
+    const logisticTimelockFixture = curveTimelockFixture('logistic', CURVES.logistic, {
+      deposit: DEPOSIT,
+      variant: 'curve',
+    });
+
+    it('Should return the curve and its parameters', async function () {
+      const { timelock, args } = await waffle.loadFixture(logisticTimelockFixture);
+
+      expect(await timelock.curve()).to.equal(args.curve);
+      expect(await timelock.curveParams()).to.equal(args.curveParams);
+      expect(decodeCurveParams('logistic', args.curveParams)).to.deep.equal({ maxDuration: '1000', steepness: '3' });
+    });
+
+    it('Should be detected as a curve timelock', async function () {
+      const { timelock, args } = await waffle.loadFixture(logisticTimelockFixture);
+
+      const { type } = await getTimelock(hre, timelock.address);
+      const status = await getTimelockStatus(hre, timelock, type);
+
+      expect(type).to.equal('curve');
+      expect(status.curve).to.equal(args.curve);
+      expect(status.curveParams).to.equal(args.curveParams);
+    });
+
+    it('Should revert on parameters the curve rejects', async function () {
+      const { args, nftLocker } = await waffle.loadFixture(logisticTimelockFixture);
+
+      await expect(
+        deployTimelock(
+          hre,
+          { ...args, curveParams: encodeCurveParams('logistic', { maxDuration: 1000, steepness: 17 }) },
+          nftLocker
+        )
+      ).to.be.revertedWith('TimeLock: steepness should be between 1 and 16');
+      await expect(
+        deployTimelock(
+          hre,
+          { ...args, curveParams: encodeCurveParams('logistic', { maxDuration: 0, steepness: 3 }) },
+          nftLocker
+        )
+      ).to.be.revertedWith('TimeLock: max duration should be greater than 0');
+    });
+
+    it('Should require every curve parameter but the cliff', async function () {
+      expect(() => encodeCurveParams('convex', { growthRate: 1 })).to.throw('exponent is required for convex curves');
+      expect(decodeCurveParams('linear', encodeCurveParams('linear', { maxDuration: 1000 }))).to.deep.equal({
+        maxDuration: '1000',
+        cliffDuration: '0',
+      });
+      expect(() => encodeCurveParams('cubic', {})).to.throw('Unknown curve type: cubic');
+      expect(decodeCurveParams('milestone', encodeCurveParams('milestone', CURVES.milestone))).to.deep.equal(
+        CURVES.milestone
+      );
+      expect(Object.keys(CURVE_CONTRACTS)).to.deep.equal(Object.keys(CURVES));
+    });
+  });
+});
@@ -0,0 +1,163 @@
+// Lifecycle tests shared by every vesting timelock, whatever its curve and deposit.
+// The expected discounts come from the discount simulator, which mirrors the curves off-chain.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { setNextBlockTimestamp, increaseTo } = require('./helpers');
+const { lockedFixture: lockedTimelockFixture } = require('./curveTimelocks');
+const { getDiscount } = require('../../scripts/NFTVesting/simulator/discountCurve');
+
+const { ethers, waffle } = hre;
+
+// Seconds after the vesting start time sampled against the simulator
+const SAMPLES = [0, 1, 99, 100, 101, 250, 500, 999, 1000, 1001];
+const CLAIM_OFFSET = 250;
+const RELEASE_OFFSET = 600;
+const SATURATED_OFFSET = 100000;
+
+/**
+ * Runs the lifecycle tests against the timelock deployed by `fixture`.
+ *
+ * `fixture` deploys and funds an unlocked timelock and returns
+ * `{ timelock, nft, nftLocker, beneficiary, other, vestingStartTime, deposit, balanceOf }`,
+ * where `balanceOf(address)` returns the balance of an account in the deposit currency.
+ * `curve` is the simulator type and `params` the curve parameters of the timelock.
+ * `releasesNftTo` names the account of the fixture receiving the NFT on release, the beneficiary by default.
+ */
+function shouldBehaveLikeVestingTimelock(fixture, { curve, params, releasesNftTo = 'beneficiary' }) {
+  const lockedFixture = lockedTimelockFixture(fixture);
+
+  function expectedDiscount(vestingStartTime, deposit, offset) {
+    const discount = getDiscount(curve, { vestingStartTime, ...params }, deposit, vestingStartTime + offset);
+    return ethers.BigNumber.from(discount.toString());
+  }
+
+  async function balancesOf(balanceOf, accounts) {
+    return Promise.all(accounts.map((account) => balanceOf(account.address)));
+  }
+
+  async function expectBalanceChanges(balanceOf, accounts, before, changes) {
+    const after = await balancesOf(balanceOf, accounts);
+    after.forEach((balance, i) => {
+      expect(balance.sub(before[i])).to.equal(changes[i]);
+    });
+  }
+
+  it('Should have no discount before the vesting start time', async function () {
+    const { timelock } = await waffle.loadFixture(lockedFixture);
+
+    expect(await timelock.vestedDuration()).to.equal(0);
+    expect(await timelock.getDiscount()).to.equal(0);
+    expect(await timelock.claimable()).to.equal(0);
+  });
+
+  it('Should not release before the vesting start time', async function () {
+    const { timelock, nft, vestingStartTime, other } = await waffle.loadFixture(lockedFixture);
+
+    await setNextBlockTimestamp(vestingStartTime - 50);
+    await expect(timelock.connect(other).release()).to.be.revertedWith(
+      'TimeLock: current time is before vesting start time'
+    );
+    expect(await nft.ownerOf(await timelock.tokenId())).to.equal(timelock.address);
+  });
+
+  it('Should vest the deposit as the discount simulator predicts', async function () {
+    const { timelock, vestingStartTime, deposit } = await waffle.loadFixture(lockedFixture);
+
+    for (const offset of SAMPLES) {
+      await increaseTo(vestingStartTime + offset);
+      expect(await timelock.getDiscount()).to.equal(expectedDiscount(vestingStartTime, deposit, offset));
+    }
+  });
+
+  it('Should vest the whole deposit once the curve is saturated', async function () {
+    const { timelock, vestingStartTime, deposit } = await waffle.loadFixture(lockedFixture);
+
+    await increaseTo(vestingStartTime + SATURATED_OFFSET);
+
+    expect(await timelock.getDiscount()).to.equal(deposit);
+  });
+
+  it('Should pay the vested discount to the NFT locker on claim', async function () {
+    const { timelock, nftLocker, vestingStartTime, deposit, balanceOf } = await waffle.loadFixture(lockedFixture);
+    const discount = expectedDiscount(vestingStartTime, deposit, CLAIM_OFFSET);
+
+    await setNextBlockTimestamp(vestingStartTime + CLAIM_OFFSET);
+    await expect(timelock.connect(nftLocker).claimDiscount())
+      .to.emit(timelock, 'DiscountClaimed')
+      .withArgs(nftLocker.address, discount);
+
+    expect(await timelock.claimed()).to.equal(discount);
+    expect(await timelock.totalDeposit()).to.equal(deposit);
+    expect(await balanceOf(timelock.address)).to.equal(deposit.sub(discount));
+  });
+
+  it('Should split the deposit between the NFT locker and the beneficiary on release', async function () {
+    const deployed = await waffle.loadFixture(lockedFixture);
+    const { timelock, nft, nftLocker, beneficiary, other, vestingStartTime, deposit, balanceOf } = deployed;
+    const discount = expectedDiscount(vestingStartTime, deposit, RELEASE_OFFSET);
+    const remaining = deposit.sub(discount);
+    const before = await balancesOf(balanceOf, [nftLocker, beneficiary]);
+
+    await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+    await expect(timelock.connect(other).release())
+      .to.emit(timelock, 'Released')
+      .withArgs(nftLocker.address, beneficiary.address, await timelock.tokenId(), discount, remaining);
+
+    await expectBalanceChanges(balanceOf, [nftLocker, beneficiary], before, [discount, remaining]);
+    expect(await balanceOf(timelock.address)).to.equal(0);
+    expect(await nft.ownerOf(await timelock.tokenId())).to.equal(deployed[releasesNftTo].address);
+  });
+
+  it('Should only release the discount not claimed yet', async function () {
+    const { timelock, nftLocker, beneficiary, other, vestingStartTime, deposit, balanceOf } =
+      await waffle.loadFixture(lockedFixture);
+    const claimed = expectedDiscount(vestingStartTime, deposit, CLAIM_OFFSET);
+    const discount = expectedDiscount(vestingStartTime, deposit, RELEASE_OFFSET);
+
+    await setNextBlockTimestamp(vestingStartTime + CLAIM_OFFSET);
+    await timelock.connect(nftLocker).claimDiscount();
+    const before = await balancesOf(balanceOf, [nftLocker, beneficiary]);
+
+    await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+    await timelock.connect(other).release();
+
+    await expectBalanceChanges(balanceOf, [nftLocker, beneficiary], before, [
+      discount.sub(claimed),
+      deposit.sub(discount),
+    ]);
+    expect(await timelock.claimed()).to.equal(discount);
+  });
+
+  it('Should not release twice', async function () {
+    const { timelock, other, vestingStartTime } = await waffle.loadFixture(lockedFixture);
+
+    await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+    await timelock.connect(other).release();
+
+    await expect(timelock.connect(other).release()).to.be.revertedWith(
+      'TimeLock: no NFT to release for this address'
+    );
+  });
+
+  it('Should return the NFT and settle the deposit when both parties cancel', async function () {
+    const { timelock, nft, nftLocker, beneficiary, vestingStartTime, deposit, balanceOf } =
+      await waffle.loadFixture(lockedFixture);
+    const discount = expectedDiscount(vestingStartTime, deposit, RELEASE_OFFSET);
+    const remaining = deposit.sub(discount);
+
+    await timelock.connect(nftLocker).approveCancellation();
+    await setNextBlockTimestamp(vestingStartTime + RELEASE_OFFSET);
+    await expect(timelock.connect(beneficiary).approveCancellation())
+      .to.emit(timelock, 'Cancelled')
+      .withArgs(nftLocker.address, beneficiary.address, await timelock.tokenId(), discount, remaining);
+
+    expect(await timelock.cancelled()).to.equal(true);
+    expect(await balanceOf(timelock.address)).to.equal(0);
+    expect(await nft.ownerOf(await timelock.tokenId())).to.equal(nftLocker.address);
+  });
+}
+
+module.exports = {
+  shouldBehaveLikeVestingTimelock,
+};
@@ -0,0 +1,21 @@
+// Shared helpers for the SBT tests.
+
+const { ethers } = require('hardhat');
+
+const ADMIN_ROLE = ethers.constants.HashZero;
+const ISSUER_ROLE = ethers.utils.id('ISSUER_ROLE');
+const REVOKER_ROLE = ethers.utils.id('REVOKER_ROLE');
+
+/**
+ * Returns the revert reason of AccessControl when `account` is missing `role`.
+ */
+function missingRole(account, role) {
+  return `AccessControl: account ${account.toLowerCase()} is missing role ${role}`;
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  ISSUER_ROLE,
+  REVOKER_ROLE,
+  missingRole,
+};
@@ -1,19 +1,24 @@
 // The following are tests for the basic soulbound token functionality.
 
 const { expect } = require('chai');
-const { ethers } = require('hardhat');
+const hre = require('hardhat');
+const { getDeployParams } = require('../../deploy-params');
+const { ADMIN_ROLE, ISSUER_ROLE, missingRole } = require('./helpers');
+
+const { ethers, deployments, getNamedAccounts } = hre;
 
 describe('BasicSBT', function () {
+  const params = getDeployParams(hre.network.name).BasicSBT;
 
   before(async () => {
     [owner, user1, user2, user3] = await ethers.getSigners();
-    const SBTContract = await ethers.getContractFactory('BasicSBT');
-    sbt = await SBTContract.deploy('Test SBT Token', 'SBT');
+    await deployments.fixture(['BasicSBT']);
+    sbt = await ethers.getContract('BasicSBT');
   });
 
   it('Should return the name and symbol', async function () {
-    expect(await sbt.name()).to.equal('Test SBT Token');
-    expect(await sbt.symbol()).to.equal('SBT');
+    expect(await sbt.name()).to.equal(params.name);
+    expect(await sbt.symbol()).to.equal(params.symbol);
   });
 
   it('hasSoul should return false for new query', async function () {
@@ -48,7 +53,7 @@ describe('BasicSBT', function () {
 
   it('User should not be able to update soul', async function () {
     const soul = ['Spartan', 'https://www.spartangroup.io/team.html'];
-    await expect(sbt.connect(user1).updateSBT(user1.address, soul)).to.be.revertedWith('Ownable: caller is not the owner');
+    await expect(sbt.connect(user1).updateSBT(user1.address, soul)).to.be.revertedWith(missingRole(user1.address, ISSUER_ROLE));
   });
 
   it('getSoul should return the correct identifier after User attempted update', async function () {
@@ -76,7 +81,7 @@ describe('BasicSBT', function () {
   });
 
   it('User should not be able to delete their data', async function () {
-    await expect(sbt.connect(user1).burn(user1.address)).to.be.revertedWith('Ownable: caller is not the owner');
+    await expect(sbt.connect(user1).burn(user1.address)).to.be.revertedWith(missingRole(user1.address, ISSUER_ROLE));
     expect(await sbt.hasSoul(user1.address)).to.equal(true);
 
   });
@@ -96,4 +101,14 @@ describe('BasicSBT', function () {
     expect(await sbt.hasSoul(user2.address)).to.equal(true);
   });
 
+  it('Should be deployed by the BasicSBT deployment fixture', async function () {
+    await deployments.fixture(['BasicSBT']);
+    const { deployer } = await getNamedAccounts();
+    const deployed = await ethers.getContract('BasicSBT');
+
+    expect(await deployed.name()).to.equal(params.name);
+    expect(await deployed.symbol()).to.equal(params.symbol);
+    expect(await deployed.hasRole(ADMIN_ROLE, deployer)).to.equal(true);
+  });
+
 });
\ No newline at end of file
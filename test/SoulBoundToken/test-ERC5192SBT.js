@@ -0,0 +1,186 @@
+// The following are tests for the soulbound variant of BasicSBT exposing ERC721 reads and ERC-5192.
+
+const { expect } = require('chai');
+const hre = require('hardhat');
+const { getDeployParams } = require('../../deploy-params');
+
+const { ethers, deployments } = hre;
+const { ISSUER_ROLE, missingRole } = require('./helpers');
+
+// Returns the ERC-165 interface id of the functions of `signatures`, the XOR of their selectors.
+function interfaceId(signatures) {
+  const id = signatures
+    .map((signature) => ethers.BigNumber.from(ethers.utils.id(signature).slice(0, 10)))
+    .reduce((xor, selector) => xor.xor(selector), ethers.constants.Zero);
+  return ethers.utils.hexZeroPad(id.toHexString(), 4);
+}
+
+const INTERFACES = {
+  IERC165: ['supportsInterface(bytes4)'],
+  IERC721: [
+    'balanceOf(address)',
+    'ownerOf(uint256)',
+    'safeTransferFrom(address,address,uint256,bytes)',
+    'safeTransferFrom(address,address,uint256)',
+    'transferFrom(address,address,uint256)',
+    'approve(address,uint256)',
+    'setApprovalForAll(address,bool)',
+    'getApproved(uint256)',
+    'isApprovedForAll(address,address)',
+  ],
+  IERC721Metadata: ['name()', 'symbol()', 'tokenURI(uint256)'],
+  IERC5192: ['locked(uint256)'],
+};
+
+describe('ERC5192SBT', function () {
+  const SOUL = ['SpartanLabs', 'https://spartanlabs.studio/'];
+
+  const sbtFixture = deployments.createFixture(async () => {
+    await deployments.fixture(['ERC5192SBT']);
+    const [owner, user1, user2] = await ethers.getSigners();
+    const sbt = await ethers.getContract('ERC5192SBT');
+    await sbt.mint(user1.address, SOUL);
+    return { sbt, owner, user1, user2 };
+  });
+
+  describe('Interfaces', function () {
+    it('Should compute the standard interface ids', function () {
+      expect(interfaceId(INTERFACES.IERC165)).to.equal('0x01ffc9a7');
+      expect(interfaceId(INTERFACES.IERC721)).to.equal('0x80ac58cd');
+      expect(interfaceId(INTERFACES.IERC721Metadata)).to.equal('0x5b5e139f');
+      expect(interfaceId(INTERFACES.IERC5192)).to.equal('0xb45a3c0e');
+    });
+
+    it('Should support ERC165, ERC721, ERC721Metadata and ERC5192', async function () {
+      const { sbt } = await sbtFixture();
+
+      for (const signatures of Object.values(INTERFACES)) {
+        expect(await sbt.supportsInterface(interfaceId(signatures))).to.equal(true);
+      }
+      // IAccessControl of the issuer roles
+      expect(await sbt.supportsInterface('0x7965db0b')).to.equal(true);
+    });
+
+    it('Should not support other interfaces', async function () {
+      const { sbt } = await sbtFixture();
+
+      // IERC721Enumerable and the invalid id of ERC-165
+      expect(await sbt.supportsInterface('0x780e9d63')).to.equal(false);
+      expect(await sbt.supportsInterface('0xffffffff')).to.equal(false);
+    });
+  });
+
+  describe('ERC721 reads', function () {
+    it('Should give each soul a token', async function () {
+      const { sbt, user1, user2 } = await sbtFixture();
+
+      expect(await sbt.tokenIdOf(user1.address)).to.equal(1);
+      expect(await sbt.ownerOf(1)).to.equal(user1.address);
+      expect(await sbt.balanceOf(user1.address)).to.equal(1);
+      expect(await sbt.balanceOf(user2.address)).to.equal(0);
+      expect(await sbt.tokenIdOf(user2.address)).to.equal(0);
+    });
+
+    it('Should return the uri of the soul as the token URI', async function () {
+      const { sbt } = await sbtFixture();
+      const params = getDeployParams(hre.network.name).ERC5192SBT;
+
+      expect(await sbt.name()).to.equal(params.name);
+      expect(await sbt.symbol()).to.equal(params.symbol);
+      expect(await sbt.tokenURI(1)).to.equal('https://spartanlabs.studio/');
+    });
+
+    it('Should lock every token and approve no one', async function () {
+      const { sbt, owner, user1 } = await sbtFixture();
+
+      expect(await sbt.locked(1)).to.equal(true);
+      expect(await sbt.getApproved(1)).to.equal(ethers.constants.AddressZero);
+      expect(await sbt.isApprovedForAll(user1.address, owner.address)).to.equal(false);
+    });
+
+    it('Should revert for tokens that do not exist', async function () {
+      const { sbt } = await sbtFixture();
+
+      await expect(sbt.ownerOf(2)).to.be.revertedWith('ERC721: invalid token ID');
+      await expect(sbt.tokenURI(2)).to.be.revertedWith('ERC721: invalid token ID');
+      await expect(sbt.locked(2)).to.be.revertedWith('ERC721: invalid token ID');
+      await expect(sbt.getApproved(2)).to.be.revertedWith('ERC721: invalid token ID');
+      await expect(sbt.balanceOf(ethers.constants.AddressZero)).to.be.revertedWith(
+        'ERC721: address zero is not a valid owner'
+      );
+    });
+  });
+
+  describe('Soulbound', function () {
+    it('Should not transfer a token', async function () {
+      const { sbt, user1, user2 } = await sbtFixture();
+      const message = 'SBT: soulbound token is not transferable';
+
+      await expect(sbt.connect(user1).transferFrom(user1.address, user2.address, 1)).to.be.revertedWith(message);
+      await expect(
+        sbt.connect(user1)['safeTransferFrom(address,address,uint256)'](user1.address, user2.address, 1)
+      ).to.be.revertedWith(message);
+      await expect(
+        sbt.connect(user1)['safeTransferFrom(address,address,uint256,bytes)'](user1.address, user2.address, 1, '0x')
+      ).to.be.revertedWith(message);
+      expect(await sbt.ownerOf(1)).to.equal(user1.address);
+    });
+
+    it('Should not approve a token or an operator', async function () {
+      const { sbt, user1, user2 } = await sbtFixture();
+      const message = 'SBT: soulbound token cannot be approved';
+
+      await expect(sbt.connect(user1).approve(user2.address, 1)).to.be.revertedWith(message);
+      await expect(sbt.connect(user1).setApprovalForAll(user2.address, true)).to.be.revertedWith(message);
+    });
+  });
+
+  describe('Minting and burning', function () {
+    it('Should emit the BasicSBT, ERC721 and ERC5192 events on minting', async function () {
+      const { sbt, owner, user2 } = await sbtFixture();
+
+      await expect(sbt.mint(user2.address, SOUL))
+        .to.emit(sbt, 'Mint')
+        .withArgs(user2.address, owner.address)
+        .and.to.emit(sbt, 'Transfer')
+        .withArgs(ethers.constants.AddressZero, user2.address, 2)
+        .and.to.emit(sbt, 'Locked')
+        .withArgs(2);
+      expect(await sbt.totalSBT()).to.equal(2);
+    });
+
+    it('Should keep the minting rules of BasicSBT', async function () {
+      const { sbt, user1, user2 } = await sbtFixture();
+
+      await expect(sbt.mint(user1.address, SOUL)).to.be.revertedWith('Soul already exists');
+      await expect(sbt.connect(user1).mint(user2.address, SOUL)).to.be.revertedWith(missingRole(user1.address, ISSUER_ROLE));
+      await expect(sbt.mint(ethers.constants.AddressZero, SOUL)).to.be.revertedWith('Not valid address');
+    });
+
+    it('Should burn the token of a soul and never reuse its id', async function () {
+      const { sbt, owner, user1 } = await sbtFixture();
+
+      await expect(sbt.burn(user1.address))
+        .to.emit(sbt, 'Burn')
+        .withArgs(user1.address, owner.address)
+        .and.to.emit(sbt, 'Transfer')
+        .withArgs(user1.address, ethers.constants.AddressZero, 1);
+      expect(await sbt.balanceOf(user1.address)).to.equal(0);
+      await expect(sbt.ownerOf(1)).to.be.revertedWith('ERC721: invalid token ID');
+
+      await sbt.mint(user1.address, SOUL);
+      expect(await sbt.tokenIdOf(user1.address)).to.equal(2);
+      expect(await sbt.totalSBT()).to.equal(1);
+    });
+
+    it('Should update the token URI with the soul', async function () {
+      const { sbt, owner, user1 } = await sbtFixture();
+
+      await expect(sbt.updateSBT(user1.address, ['Spartan', 'https://www.spartangroup.io/team.html']))
+        .to.emit(sbt, 'Update')
+        .withArgs(user1.address, owner.address);
+      expect(await sbt.tokenURI(1)).to.equal('https://www.spartangroup.io/team.html');
+      expect(await sbt.tokenIdOf(user1.address)).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+// The following are tests for the privacy mode SBT, committing to hashed attributes and verifying disclosed ones.
+
+const { expect } = require('chai');
+const { ethers, deployments } = require('hardhat');
+const { ISSUER_ROLE, missingRole } = require('./helpers');
+const {
+  encodeValue,
+  decodeValue,
+  generateSalts,
+  attributeLeaf,
+  buildCommitment,
+  getAttributeProof,
+  verifyAttributeProof,
+} = require('../../scripts/SoulBoundToken/attributeCommitment');
+
+describe('PrivateSBT', function () {
+  const ATTRIBUTES = {
+    identity: 'SpartanLabs',
+    uri: 'https://spartanlabs.studio/',
+    country: 'SG',
+    founded: 2022,
+    verified: true,
+  };
+
+  const privateSbtFixture = deployments.createFixture(async () => {
+    await deployments.fixture(['PrivateSBT']);
+    const [owner, user1, user2, issuer2] = await ethers.getSigners();
+    const sbt = await ethers.getContract('PrivateSBT');
+    const commitment = buildCommitment(ATTRIBUTES);
+    await sbt.mintCommitment(user1.address, commitment.root);
+    return { sbt, commitment, owner, user1, user2, issuer2 };
+  });
+
+  function verify(sbt, soul, disclosure) {
+    return sbt.verifyAttribute(soul, disclosure.key, disclosure.value, disclosure.salt, disclosure.proof);
+  }
+
+  describe('Commitment library', function () {
+    it('Should hash leaves as the contract does', async function () {
+      const { sbt } = await privateSbtFixture();
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+      expect(await sbt.attributeLeaf('country', 'SG', salt)).to.equal(attributeLeaf('country', 'SG', salt));
+    });
+
+    it('Should build the same root from the same salts only', function () {
+      const salts = generateSalts(ATTRIBUTES);
+
+      expect(buildCommitment(ATTRIBUTES, salts).root).to.equal(buildCommitment({ ...ATTRIBUTES }, salts).root);
+      expect(buildCommitment(ATTRIBUTES).root).to.not.equal(buildCommitment(ATTRIBUTES, salts).root);
+      expect(buildCommitment({ ...ATTRIBUTES, country: 'MY' }, salts).root).to.not.equal(
+        buildCommitment(ATTRIBUTES, salts).root
+      );
+    });
+
+    it('Should commit to values as JSON, keeping their type', function () {
+      const { attributes } = buildCommitment(ATTRIBUTES);
+
+      expect(attributes.country.value).to.equal('"SG"');
+      expect(attributes.founded.value).to.equal('2022');
+      expect(attributes.verified.value).to.equal('true');
+      expect(encodeValue({ a: 1 })).to.equal('{"a":1}');
+      expect(decodeValue(attributes.founded.value)).to.equal(2022);
+      expect(() => encodeValue(undefined)).to.throw('Cannot commit to the attribute value undefined');
+    });
+
+    it('Should not verify a value of another type', async function () {
+      const { sbt, user1 } = await privateSbtFixture();
+      const salts = { code: ethers.constants.HashZero };
+      const number = buildCommitment({ code: 123 }, salts);
+      const string = buildCommitment({ code: '123' }, salts);
+      await sbt.updateCommitment(user1.address, number.root);
+
+      expect(string.root).to.not.equal(number.root);
+      expect(await verify(sbt, user1.address, getAttributeProof(number, 'code'))).to.equal(true);
+      expect(await verify(sbt, user1.address, getAttributeProof(string, 'code'))).to.equal(false);
+    });
+
+    it('Should commit a single attribute as the root', function () {
+      const commitment = buildCommitment({ identity: 'SpartanLabs' });
+      const disclosure = getAttributeProof(commitment, 'identity');
+
+      expect(commitment.root).to.equal(commitment.attributes.identity.leaf);
+      expect(disclosure.proof).to.deep.equal([]);
+      expect(verifyAttributeProof(commitment.root, disclosure)).to.equal(true);
+    });
+
+    it('Should reject empty attributes, missing salts and unknown keys', function () {
+      expect(() => buildCommitment({})).to.throw('No attributes to commit to');
+      expect(() => buildCommitment(ATTRIBUTES, {})).to.throw('No salt for attribute');
+      expect(() => getAttributeProof(buildCommitment(ATTRIBUTES), 'email')).to.throw(
+        'No attribute email in the commitment'
+      );
+    });
+  });
+
+  describe('Selective disclosure', function () {
+    it('Should store only the commitment of a soul', async function () {
+      const { sbt, commitment, user1, user2 } = await privateSbtFixture();
+
+      expect(await sbt.getCommitment(user1.address)).to.equal(commitment.root);
+      expect(await sbt.hasSoul(user1.address)).to.equal(true);
+      expect(await sbt.hasSoul(user2.address)).to.equal(false);
+      expect(await sbt.totalSBT()).to.equal(1);
+    });
+
+    it('Should verify each disclosed attribute', async function () {
+      const { sbt, commitment, user1 } = await privateSbtFixture();
+
+      for (const key of Object.keys(ATTRIBUTES)) {
+        const disclosure = getAttributeProof(commitment, key);
+        expect(await verify(sbt, user1.address, disclosure)).to.equal(true);
+        expect(verifyAttributeProof(commitment.root, disclosure)).to.equal(true);
+      }
+    });
+
+    it('Should not verify a wrong value, salt or key', async function () {
+      const { sbt, commitment, user1 } = await privateSbtFixture();
+      const disclosure = getAttributeProof(commitment, 'country');
+
+      expect(await verify(sbt, user1.address, { ...disclosure, value: 'SG' })).to.equal(false);
+      expect(await verify(sbt, user1.address, { ...disclosure, value: '"MY"' })).to.equal(false);
+      expect(await verify(sbt, user1.address, { ...disclosure, salt: ethers.constants.HashZero })).to.equal(false);
+      expect(await verify(sbt, user1.address, { ...disclosure, key: 'region' })).to.equal(false);
+      expect(verifyAttributeProof(commitment.root, { ...disclosure, value: 'MY' })).to.equal(false);
+    });
+
+    it('Should not verify an attribute against another soul', async function () {
+      const { sbt, commitment, user1, user2 } = await privateSbtFixture();
+      const other = buildCommitment(ATTRIBUTES);
+      await sbt.mintCommitment(user2.address, other.root);
+
+      expect(await verify(sbt, user2.address, getAttributeProof(commitment, 'country'))).to.equal(false);
+      expect(await verify(sbt, user1.address, getAttributeProof(other, 'country'))).to.equal(false);
+      await expect(
+        verify(sbt, ethers.Wallet.createRandom().address, getAttributeProof(commitment, 'country'))
+      ).to.be.revertedWith('Soul does not exist');
+    });
+  });
+
+  describe('Issuers', function () {
+    it('Should verify attributes against the updated commitment', async function () {
+      const { sbt, commitment, owner, user1 } = await privateSbtFixture();
+      const updated = buildCommitment({ ...ATTRIBUTES, country: 'MY' });
+
+      await expect(sbt.updateCommitment(user1.address, updated.root))
+        .to.emit(sbt, 'Update')
+        .withArgs(user1.address, owner.address);
+      expect(await sbt.getCommitment(user1.address)).to.equal(updated.root);
+      expect(await verify(sbt, user1.address, getAttributeProof(updated, 'country'))).to.equal(true);
+      expect(await verify(sbt, user1.address, getAttributeProof(commitment, 'country'))).to.equal(false);
+    });
+
+    it('Should burn a soul and its commitment', async function () {
+      const { sbt, owner, user1 } = await privateSbtFixture();
+
+      await expect(sbt.burn(user1.address)).to.emit(sbt, 'Burn').withArgs(user1.address, owner.address);
+      expect(await sbt.hasSoul(user1.address)).to.equal(false);
+      expect(await sbt.getCommitment(user1.address)).to.equal(ethers.constants.HashZero);
+      expect(await sbt.totalSBT()).to.equal(0);
+      await expect(sbt.burn(user1.address)).to.be.revertedWith('Soul does not exist');
+    });
+
+    it('Should only let an issuer mint, and the issuer of a soul update it', async function () {
+      const { sbt, commitment, owner, user1, user2, issuer2 } = await privateSbtFixture();
+
+      await expect(sbt.connect(user1).mintCommitment(user2.address, commitment.root)).to.be.revertedWith(
+        missingRole(user1.address, ISSUER_ROLE)
+      );
+      await expect(sbt.connect(user1).updateCommitment(user1.address, commitment.root)).to.be.revertedWith(
+        missingRole(user1.address, ISSUER_ROLE)
+      );
+
+      await sbt.connect(owner).grantRole(ISSUER_ROLE, issuer2.address);
+      await expect(sbt.connect(issuer2).mintCommitment(user2.address, commitment.root))
+        .to.emit(sbt, 'Mint')
+        .withArgs(user2.address, issuer2.address);
+      expect(await sbt.issuerOf(user2.address)).to.equal(issuer2.address);
+      await expect(sbt.connect(issuer2).updateCommitment(user1.address, commitment.root)).to.be.revertedWith(
+        'Caller is not the soul issuer'
+      );
+    });
+
+    it('Should burn a soul whose holder requested it', async function () {
+      const { sbt, user1 } = await privateSbtFixture();
+
+      await sbt.connect(user1).requestBurn();
+      await sbt.approveProposal(user1.address);
+
+      expect(await sbt.hasSoul(user1.address)).to.equal(false);
+    });
+
+    it('Should reject empty commitments and existing souls', async function () {
+      const { sbt, commitment, user1, user2 } = await privateSbtFixture();
+
+      await expect(sbt.mintCommitment(user2.address, ethers.constants.HashZero)).to.be.revertedWith(
+        'Commitment is empty'
+      );
+      await expect(sbt.updateCommitment(user1.address, ethers.constants.HashZero)).to.be.revertedWith(
+        'Commitment is empty'
+      );
+      await expect(sbt.mintCommitment(user1.address, commitment.root)).to.be.revertedWith('Soul already exists');
+      await expect(sbt.mintCommitment(ethers.constants.AddressZero, commitment.root)).to.be.revertedWith(
+        'Not valid address'
+      );
+    });
+
+    it('Should not store any attribute in plaintext', async function () {
+      const { sbt, user1, user2 } = await privateSbtFixture();
+      const soulData = { identity: 'SpartanLabs', uri: 'https://spartanlabs.studio/' };
+      const message = 'Not supported in privacy mode';
+
+      await expect(sbt.mint(user2.address, soulData)).to.be.revertedWith(message);
+      await expect(sbt.updateSBT(user1.address, soulData)).to.be.revertedWith(message);
+      await expect(
+        sbt.setAttribute(user1.address, 'identity', ethers.utils.toUtf8Bytes('SpartanLabs'))
+      ).to.be.revertedWith(message);
+      await expect(sbt.connect(user1).proposeUpdate(soulData)).to.be.revertedWith(message);
+      expect(await sbt.getAttributeKeys()).to.deep.equal(['identity', 'uri', 'commitment']);
+    });
+  });
+});
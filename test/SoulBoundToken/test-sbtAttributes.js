@@ -0,0 +1,166 @@
+// The following are tests for the attribute schema of the SBT and the attributes of each soul.
+
+const { expect } = require('chai');
+const { ethers, deployments } = require('hardhat');
+const {
+  attributeTypeId,
+  encodeAttribute,
+  decodeAttribute,
+  getSoulAttributes,
+} = require('../../scripts/SoulBoundToken/attributes');
+const { ADMIN_ROLE, ISSUER_ROLE, missingRole } = require('./helpers');
+
+describe('SBT attributes', function () {
+  const SOUL = ['SpartanLabs', 'https://spartanlabs.studio/'];
+  const UINT = attributeTypeId('uint');
+  const BOOL = attributeTypeId('bool');
+  const ADDRESS = attributeTypeId('address');
+
+  const attributesFixture = deployments.createFixture(async () => {
+    await deployments.fixture(['BasicSBT']);
+    const [owner, user1, user2] = await ethers.getSigners();
+    const sbt = await ethers.getContract('BasicSBT');
+    await sbt.registerAttribute('level', UINT);
+    await sbt.registerAttribute('verified', BOOL);
+    await sbt.registerAttribute('referrer', ADDRESS);
+    await sbt.mint(user1.address, SOUL);
+    return { sbt, owner, user1, user2 };
+  });
+
+  describe('Schema', function () {
+    it('Should register identity and uri as string attributes on deployment', async function () {
+      await deployments.fixture(['BasicSBT']);
+      const sbt = await ethers.getContract('BasicSBT');
+
+      expect(await sbt.getAttributeKeys()).to.deep.equal(['identity', 'uri']);
+      expect(await sbt.getAttributeType('identity')).to.equal(attributeTypeId('string'));
+      expect(await sbt.getAttributeType('uri')).to.equal(attributeTypeId('string'));
+    });
+
+    it('Should let an admin register attributes', async function () {
+      const { sbt } = await attributesFixture();
+
+      await expect(sbt.registerAttribute('badge', attributeTypeId('bytes32')))
+        .to.emit(sbt, 'AttributeRegistered')
+        .withArgs('badge', attributeTypeId('bytes32'));
+      expect(await sbt.getAttributeKeys()).to.deep.equal(['identity', 'uri', 'level', 'verified', 'referrer', 'badge']);
+      expect(await sbt.getAttributeType('unknown')).to.equal(0);
+    });
+
+    it('Should not register an attribute twice, without a type or from other accounts', async function () {
+      const { sbt, user1 } = await attributesFixture();
+
+      await expect(sbt.registerAttribute('level', BOOL)).to.be.revertedWith('Attribute already registered');
+      await expect(sbt.registerAttribute('badge', 0)).to.be.revertedWith('Not valid attribute type');
+      await expect(sbt.registerAttribute('', UINT)).to.be.revertedWith('Attribute key is empty');
+      await expect(sbt.connect(user1).registerAttribute('badge', UINT)).to.be.revertedWith(
+        missingRole(user1.address, ADMIN_ROLE)
+      );
+    });
+  });
+
+  describe('Attributes', function () {
+    it('Should set the attributes of a soul', async function () {
+      const { sbt, user1, user2 } = await attributesFixture();
+
+      await expect(sbt.setAttribute(user1.address, 'level', encodeAttribute('uint', 3)))
+        .to.emit(sbt, 'AttributeSet')
+        .withArgs(user1.address, 'level');
+      await sbt.setAttribute(user1.address, 'referrer', encodeAttribute('address', user2.address));
+
+      expect(await sbt.hasAttribute(user1.address, 'level')).to.equal(true);
+      expect(await sbt.hasAttribute(user1.address, 'verified')).to.equal(false);
+      expect(decodeAttribute('uint', await sbt.getAttribute(user1.address, 'level'))).to.equal(3);
+      expect(await getSoulAttributes(sbt, user1.address)).to.deep.equal({
+        identity: SOUL[0],
+        uri: SOUL[1],
+        level: ethers.BigNumber.from(3),
+        referrer: user2.address,
+      });
+    });
+
+    it('Should mint a soul with attributes', async function () {
+      const { sbt, owner, user2 } = await attributesFixture();
+
+      await expect(
+        sbt.mintWithAttributes(user2.address, ['identity', 'verified'], [encodeAttribute('string', 'Spartan'), encodeAttribute('bool', true)])
+      )
+        .to.emit(sbt, 'Mint')
+        .withArgs(user2.address, owner.address);
+      expect(await getSoulAttributes(sbt, user2.address)).to.deep.equal({ identity: 'Spartan', verified: true });
+      expect(await sbt.getSBTData(user2.address)).to.deep.equal(['Spartan', '']);
+      await expect(sbt.mintWithAttributes(user2.address, ['level'], [])).to.be.revertedWith('Attributes length mismatch');
+    });
+
+    it('Should only accept values valid for the type of the attribute', async function () {
+      const { sbt, user1 } = await attributesFixture();
+
+      await expect(sbt.setAttribute(user1.address, 'badge', '0x01')).to.be.revertedWith('Attribute not registered');
+      await expect(sbt.setAttribute(user1.address, 'level', '0x01')).to.be.revertedWith('Not valid attribute value');
+      await expect(sbt.setAttribute(user1.address, 'verified', encodeAttribute('uint', 2))).to.be.revertedWith(
+        'Not valid attribute value'
+      );
+      await expect(
+        sbt.setAttribute(user1.address, 'referrer', encodeAttribute('uint', ethers.constants.MaxUint256))
+      ).to.be.revertedWith('Not valid attribute value');
+    });
+
+    it('Should only set attributes of existing souls from the issuer', async function () {
+      const { sbt, user1, user2 } = await attributesFixture();
+      const level = encodeAttribute('uint', 1);
+
+      await expect(sbt.setAttribute(user2.address, 'level', level)).to.be.revertedWith('Soul does not exist');
+      await expect(sbt.connect(user1).setAttribute(user1.address, 'level', level)).to.be.revertedWith(
+        missingRole(user1.address, ISSUER_ROLE)
+      );
+    });
+
+    it('Should remove an attribute of a soul', async function () {
+      const { sbt, user1 } = await attributesFixture();
+      await sbt.setAttribute(user1.address, 'level', encodeAttribute('uint', 3));
+
+      await expect(sbt.removeAttribute(user1.address, 'level'))
+        .to.emit(sbt, 'AttributeRemoved')
+        .withArgs(user1.address, 'level');
+      expect(await sbt.hasAttribute(user1.address, 'level')).to.equal(false);
+      await expect(sbt.getAttribute(user1.address, 'level')).to.be.revertedWith('Attribute not set');
+      await expect(sbt.removeAttribute(user1.address, 'level')).to.be.revertedWith('Attribute not set');
+    });
+
+    it('Should validate an attribute value of a soul', async function () {
+      const { sbt, user1, user2 } = await attributesFixture();
+      await sbt.setAttribute(user1.address, 'verified', encodeAttribute('bool', false));
+
+      expect(await sbt.validateAttributeValue(user1.address, 'verified', encodeAttribute('bool', false))).to.equal(true);
+      expect(await sbt.validateAttributeValue(user1.address, 'verified', encodeAttribute('bool', true))).to.equal(false);
+      expect(await sbt.validateAttributeValue(user1.address, 'level', '0x')).to.equal(false);
+      await expect(sbt.validateAttributeValue(user2.address, 'verified', '0x')).to.be.revertedWith('Soul does not exist');
+    });
+  });
+
+  describe('Existence', function () {
+    it('Should keep a soul minted with an empty uri', async function () {
+      const { sbt, user2 } = await attributesFixture();
+
+      await sbt.mint(user2.address, ['Spartan', '']);
+
+      expect(await sbt.hasSoul(user2.address)).to.equal(true);
+      expect(await sbt.totalSBT()).to.equal(2);
+      await expect(sbt.mint(user2.address, SOUL)).to.be.revertedWith('Soul already exists');
+      await sbt.burn(user2.address);
+      expect(await sbt.hasSoul(user2.address)).to.equal(false);
+      expect(await sbt.totalSBT()).to.equal(1);
+    });
+
+    it('Should clear every attribute of a burned soul', async function () {
+      const { sbt, user1 } = await attributesFixture();
+      await sbt.setAttribute(user1.address, 'level', encodeAttribute('uint', 3));
+
+      await sbt.burn(user1.address);
+      await sbt.mintWithAttributes(user1.address, [], []);
+
+      expect(await getSoulAttributes(sbt, user1.address)).to.deep.equal({});
+      expect(await sbt.getSBTData(user1.address)).to.deep.equal(['', '']);
+    });
+  });
+});
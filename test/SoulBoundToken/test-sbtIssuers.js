@@ -0,0 +1,206 @@
+// The following are tests for the admin, issuer and revoker roles of the SBT, and the issuer of each soul.
+
+const { expect } = require('chai');
+const { ethers, deployments } = require('hardhat');
+const { ADMIN_ROLE, ISSUER_ROLE, REVOKER_ROLE, missingRole } = require('./helpers');
+
+describe('SBT issuers', function () {
+  const SOUL = ['SpartanLabs', 'https://spartanlabs.studio/'];
+  const UPDATED_SOUL = ['Spartan', 'https://www.spartangroup.io/team.html'];
+  const NOT_ISSUER = 'Caller is not the soul issuer';
+
+  const issuersFixture = deployments.createFixture(async () => {
+    await deployments.fixture(['BasicSBT']);
+    const [admin, issuerA, issuerB, revoker, user1, user2] = await ethers.getSigners();
+    const sbt = await ethers.getContract('BasicSBT');
+    await sbt.grantRole(ISSUER_ROLE, issuerA.address);
+    await sbt.grantRole(ISSUER_ROLE, issuerB.address);
+    await sbt.grantRole(REVOKER_ROLE, revoker.address);
+    await sbt.connect(issuerA).mint(user1.address, SOUL);
+    await sbt.connect(issuerB).mint(user2.address, SOUL);
+    return { sbt, admin, issuerA, issuerB, revoker, user1, user2 };
+  });
+
+  describe('Roles', function () {
+    it('Should grant every role to the deployer', async function () {
+      const { sbt, admin } = await issuersFixture();
+
+      expect(await sbt.ISSUER_ROLE()).to.equal(ISSUER_ROLE);
+      expect(await sbt.REVOKER_ROLE()).to.equal(REVOKER_ROLE);
+      for (const role of [ADMIN_ROLE, ISSUER_ROLE, REVOKER_ROLE]) {
+        expect(await sbt.hasRole(role, admin.address)).to.equal(true);
+      }
+    });
+
+    it('Should only let an admin grant roles', async function () {
+      const { sbt, issuerA, user1 } = await issuersFixture();
+
+      await expect(sbt.connect(issuerA).grantRole(ISSUER_ROLE, user1.address)).to.be.revertedWith(
+        missingRole(issuerA.address, ADMIN_ROLE)
+      );
+      expect(await sbt.hasRole(ISSUER_ROLE, user1.address)).to.equal(false);
+    });
+
+    it('Should only let issuers mint', async function () {
+      const { sbt, revoker, user1, admin } = await issuersFixture();
+
+      await expect(sbt.connect(revoker).mint(admin.address, SOUL)).to.be.revertedWith(
+        missingRole(revoker.address, ISSUER_ROLE)
+      );
+      await expect(sbt.connect(user1).mintWithAttributes(admin.address, [], [])).to.be.revertedWith(
+        missingRole(user1.address, ISSUER_ROLE)
+      );
+    });
+  });
+
+  describe('Issuing', function () {
+    it('Should record the issuer of each soul', async function () {
+      const { sbt, admin, issuerA, issuerB, user1, user2 } = await issuersFixture();
+
+      expect(await sbt.issuerOf(user1.address)).to.equal(issuerA.address);
+      expect(await sbt.issuerOf(user2.address)).to.equal(issuerB.address);
+      expect(await sbt.issuerOf(admin.address)).to.equal(ethers.constants.AddressZero);
+    });
+
+    it('Should name the issuer in the Mint, Update and Burn events', async function () {
+      const { sbt, issuerA, admin } = await issuersFixture();
+
+      await expect(sbt.connect(issuerA).mint(admin.address, SOUL))
+        .to.emit(sbt, 'Mint')
+        .withArgs(admin.address, issuerA.address);
+      await expect(sbt.connect(issuerA).updateSBT(admin.address, UPDATED_SOUL))
+        .to.emit(sbt, 'Update')
+        .withArgs(admin.address, issuerA.address);
+      await expect(sbt.connect(issuerA).burn(admin.address))
+        .to.emit(sbt, 'Burn')
+        .withArgs(admin.address, issuerA.address);
+    });
+
+    it('Should let an issuer manage its own souls', async function () {
+      const { sbt, issuerA, user1 } = await issuersFixture();
+      await sbt.registerAttribute('level', 3);
+
+      await sbt.connect(issuerA).updateSBT(user1.address, UPDATED_SOUL);
+      await sbt.connect(issuerA).setAttribute(user1.address, 'level', ethers.utils.defaultAbiCoder.encode(['uint256'], [1]));
+      await sbt.connect(issuerA).removeAttribute(user1.address, 'level');
+
+      expect(await sbt.getSBTData(user1.address)).to.deep.equal(UPDATED_SOUL);
+      expect(await sbt.hasAttribute(user1.address, 'level')).to.equal(false);
+    });
+
+    it('Should clear the issuer of a burned soul', async function () {
+      const { sbt, issuerA, issuerB, user1 } = await issuersFixture();
+
+      await sbt.connect(issuerA).burn(user1.address);
+      expect(await sbt.issuerOf(user1.address)).to.equal(ethers.constants.AddressZero);
+
+      await sbt.connect(issuerB).mint(user1.address, SOUL);
+      expect(await sbt.issuerOf(user1.address)).to.equal(issuerB.address);
+      await expect(sbt.connect(issuerA).updateSBT(user1.address, UPDATED_SOUL)).to.be.revertedWith(NOT_ISSUER);
+    });
+  });
+
+  describe('Cross-issuer denial', function () {
+    it('Should not let an issuer update the souls of another issuer', async function () {
+      const { sbt, issuerB, user1 } = await issuersFixture();
+
+      await expect(sbt.connect(issuerB).updateSBT(user1.address, UPDATED_SOUL)).to.be.revertedWith(NOT_ISSUER);
+      await expect(sbt.connect(issuerB).setAttribute(user1.address, 'uri', '0x')).to.be.revertedWith(NOT_ISSUER);
+      await expect(sbt.connect(issuerB).removeAttribute(user1.address, 'uri')).to.be.revertedWith(NOT_ISSUER);
+      expect(await sbt.getSBTData(user1.address)).to.deep.equal(SOUL);
+    });
+
+    it('Should not let an issuer burn the souls of another issuer', async function () {
+      const { sbt, issuerB, user1 } = await issuersFixture();
+
+      await expect(sbt.connect(issuerB).burn(user1.address)).to.be.revertedWith(NOT_ISSUER);
+      expect(await sbt.hasSoul(user1.address)).to.equal(true);
+    });
+
+    it('Should not let an issuer settle the proposals of the souls of another issuer', async function () {
+      const { sbt, issuerA, issuerB, user1 } = await issuersFixture();
+      await sbt.connect(user1).requestBurn();
+
+      await expect(sbt.connect(issuerB).approveProposal(user1.address)).to.be.revertedWith(NOT_ISSUER);
+      await expect(sbt.connect(issuerB).rejectProposal(user1.address)).to.be.revertedWith(NOT_ISSUER);
+
+      await expect(sbt.connect(issuerA).approveProposal(user1.address))
+        .to.emit(sbt, 'Burn')
+        .withArgs(user1.address, issuerA.address);
+    });
+
+    it('Should not let the admin update the souls of another issuer', async function () {
+      const { sbt, admin, user1 } = await issuersFixture();
+
+      expect(await sbt.hasRole(ISSUER_ROLE, admin.address)).to.equal(true);
+      await expect(sbt.connect(admin).updateSBT(user1.address, UPDATED_SOUL)).to.be.revertedWith(NOT_ISSUER);
+    });
+  });
+
+  describe('Revoking', function () {
+    it('Should let a revoker burn the souls of any issuer', async function () {
+      const { sbt, issuerA, issuerB, revoker, user1, user2 } = await issuersFixture();
+
+      await expect(sbt.connect(revoker).burn(user1.address))
+        .to.emit(sbt, 'Burn')
+        .withArgs(user1.address, issuerA.address);
+      await expect(sbt.connect(revoker).burn(user2.address))
+        .to.emit(sbt, 'Burn')
+        .withArgs(user2.address, issuerB.address);
+      expect(await sbt.totalSBT()).to.equal(0);
+      await expect(sbt.connect(revoker).burn(user1.address)).to.be.revertedWith('Soul does not exists');
+    });
+
+    it('Should not let a revoker update souls', async function () {
+      const { sbt, revoker, user1 } = await issuersFixture();
+
+      await expect(sbt.connect(revoker).updateSBT(user1.address, UPDATED_SOUL)).to.be.revertedWith(
+        missingRole(revoker.address, ISSUER_ROLE)
+      );
+    });
+
+    it('Should stop an issuer managing its souls once its role is revoked', async function () {
+      const { sbt, issuerA, revoker, user1 } = await issuersFixture();
+
+      await sbt.revokeRole(ISSUER_ROLE, issuerA.address);
+
+      await expect(sbt.connect(issuerA).updateSBT(user1.address, UPDATED_SOUL)).to.be.revertedWith(
+        missingRole(issuerA.address, ISSUER_ROLE)
+      );
+      await expect(sbt.connect(issuerA).burn(user1.address)).to.be.revertedWith(
+        missingRole(issuerA.address, ISSUER_ROLE)
+      );
+      expect(await sbt.issuerOf(user1.address)).to.equal(issuerA.address);
+      await sbt.connect(revoker).burn(user1.address);
+    });
+
+    it('Should let an admin hand the souls of a revoked issuer to another issuer', async function () {
+      const { sbt, issuerA, issuerB, user1 } = await issuersFixture();
+      await sbt.revokeRole(ISSUER_ROLE, issuerA.address);
+
+      await expect(sbt.reassignIssuer(user1.address, issuerB.address))
+        .to.emit(sbt, 'IssuerReassigned')
+        .withArgs(user1.address, issuerA.address, issuerB.address);
+
+      expect(await sbt.issuerOf(user1.address)).to.equal(issuerB.address);
+      await expect(sbt.connect(issuerB).updateSBT(user1.address, UPDATED_SOUL))
+        .to.emit(sbt, 'Update')
+        .withArgs(user1.address, issuerB.address);
+      await expect(sbt.connect(issuerB).burn(user1.address))
+        .to.emit(sbt, 'Burn')
+        .withArgs(user1.address, issuerB.address);
+    });
+
+    it('Should only let an admin reassign a soul to an issuer', async function () {
+      const { sbt, issuerA, issuerB, revoker, user1, user2 } = await issuersFixture();
+
+      await expect(sbt.connect(issuerB).reassignIssuer(user1.address, issuerB.address)).to.be.revertedWith(
+        missingRole(issuerB.address, ADMIN_ROLE)
+      );
+      await expect(sbt.reassignIssuer(user1.address, revoker.address)).to.be.revertedWith('New issuer is not an issuer');
+      await sbt.connect(issuerB).burn(user2.address);
+      await expect(sbt.reassignIssuer(user2.address, issuerA.address)).to.be.revertedWith('Soul does not exist');
+      expect(await sbt.issuerOf(user1.address)).to.equal(issuerA.address);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+// The following are tests for the SBT updates and burns proposed by soul holders and approved by their issuer.
+
+const { expect } = require('chai');
+const { ethers, deployments } = require('hardhat');
+const { ISSUER_ROLE, missingRole } = require('./helpers');
+
+describe('SBT proposals', function () {
+  const SOUL = ['SpartanLabs', 'https://spartanlabs.studio/'];
+  const UPDATED_SOUL = ['Spartan', 'https://www.spartangroup.io/team.html'];
+
+  // Values of the `ProposalType` enum
+  const NONE = 0;
+  const UPDATE = 1;
+  const BURN = 2;
+
+  const proposalsFixture = deployments.createFixture(async () => {
+    await deployments.fixture(['BasicSBT']);
+    const [owner, user1, user2] = await ethers.getSigners();
+    const sbt = await ethers.getContract('BasicSBT');
+    await sbt.mint(user1.address, SOUL);
+    return { sbt, owner, user1, user2 };
+  });
+
+  async function expectProposal(sbt, soul, proposalType, soulData) {
+    const proposal = await sbt.pendingProposal(soul);
+    expect(proposal.proposalType).to.equal(proposalType);
+    expect([proposal.soulData.identity, proposal.soulData.uri]).to.deep.equal(soulData);
+  }
+
+  describe('Proposing', function () {
+    it('Should have no pending proposal by default', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+
+      await expectProposal(sbt, user1.address, NONE, ['', '']);
+    });
+
+    it('Should record the update proposed by a soul holder without applying it', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+
+      await expect(sbt.connect(user1).proposeUpdate(UPDATED_SOUL)).to.emit(sbt, 'UpdateProposed').withArgs(user1.address);
+      await expectProposal(sbt, user1.address, UPDATE, UPDATED_SOUL);
+      expect(await sbt.getSBTData(user1.address)).to.deep.equal(SOUL);
+    });
+
+    it('Should replace the pending proposal with a burn request', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+      await sbt.connect(user1).proposeUpdate(UPDATED_SOUL);
+
+      await expect(sbt.connect(user1).requestBurn()).to.emit(sbt, 'BurnRequested').withArgs(user1.address);
+      await expectProposal(sbt, user1.address, BURN, ['', '']);
+      expect(await sbt.hasSoul(user1.address)).to.equal(true);
+    });
+
+    it('Should only take proposals from soul holders', async function () {
+      const { sbt, user1, user2 } = await proposalsFixture();
+
+      await expect(sbt.connect(user2).proposeUpdate(UPDATED_SOUL)).to.be.revertedWith('Soul does not exist');
+      await expect(sbt.connect(user2).requestBurn()).to.be.revertedWith('Soul does not exist');
+    });
+
+    it('Should take an update proposed by a soul with an empty uri', async function () {
+      const { sbt, user2 } = await proposalsFixture();
+      await sbt.mint(user2.address, ['Spartan', '']);
+
+      await sbt.connect(user2).proposeUpdate(['SpartanLabs', '']);
+      await expectProposal(sbt, user2.address, UPDATE, ['SpartanLabs', '']);
+      await sbt.approveProposal(user2.address);
+
+      expect(await sbt.getSBTData(user2.address)).to.deep.equal(['SpartanLabs', '']);
+    });
+  });
+
+  describe('Approving', function () {
+    it('Should apply an approved update', async function () {
+      const { sbt, owner, user1 } = await proposalsFixture();
+      await sbt.connect(user1).proposeUpdate(UPDATED_SOUL);
+
+      await expect(sbt.approveProposal(user1.address))
+        .to.emit(sbt, 'ProposalApproved')
+        .withArgs(user1.address, UPDATE)
+        .and.to.emit(sbt, 'Update')
+        .withArgs(user1.address, owner.address);
+      expect(await sbt.getSBTData(user1.address)).to.deep.equal(UPDATED_SOUL);
+      await expectProposal(sbt, user1.address, NONE, ['', '']);
+    });
+
+    it('Should burn the SBT on an approved burn request', async function () {
+      const { sbt, owner, user1 } = await proposalsFixture();
+      await sbt.connect(user1).requestBurn();
+
+      await expect(sbt.approveProposal(user1.address))
+        .to.emit(sbt, 'ProposalApproved')
+        .withArgs(user1.address, BURN)
+        .and.to.emit(sbt, 'Burn')
+        .withArgs(user1.address, owner.address);
+      expect(await sbt.hasSoul(user1.address)).to.equal(false);
+      expect(await sbt.totalSBT()).to.equal(0);
+    });
+
+    it('Should only let the issuer approve a pending proposal', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+
+      await expect(sbt.approveProposal(user1.address)).to.be.revertedWith('No pending proposal');
+      await sbt.connect(user1).proposeUpdate(UPDATED_SOUL);
+      await expect(sbt.connect(user1).approveProposal(user1.address)).to.be.revertedWith(
+        missingRole(user1.address, ISSUER_ROLE)
+      );
+    });
+  });
+
+  describe('Rejecting', function () {
+    it('Should discard a rejected proposal and keep the soul', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+      await sbt.connect(user1).requestBurn();
+
+      await expect(sbt.rejectProposal(user1.address)).to.emit(sbt, 'ProposalRejected').withArgs(user1.address, BURN);
+      await expectProposal(sbt, user1.address, NONE, ['', '']);
+      expect(await sbt.hasSoul(user1.address)).to.equal(true);
+      await expect(sbt.approveProposal(user1.address)).to.be.revertedWith('No pending proposal');
+    });
+
+    it('Should only let the issuer reject a pending proposal', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+
+      await expect(sbt.rejectProposal(user1.address)).to.be.revertedWith('No pending proposal');
+      await sbt.connect(user1).proposeUpdate(UPDATED_SOUL);
+      await expect(sbt.connect(user1).rejectProposal(user1.address)).to.be.revertedWith(
+        missingRole(user1.address, ISSUER_ROLE)
+      );
+    });
+
+    it('Should take a new proposal after a rejection', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+      await sbt.connect(user1).proposeUpdate(['Spartan', 'https://example.com']);
+      await sbt.rejectProposal(user1.address);
+
+      await sbt.connect(user1).proposeUpdate(UPDATED_SOUL);
+      await sbt.approveProposal(user1.address);
+      expect(await sbt.getSBTData(user1.address)).to.deep.equal(UPDATED_SOUL);
+    });
+  });
+
+  describe('Burning', function () {
+    it('Should drop the pending proposal when the owner burns the SBT', async function () {
+      const { sbt, user1 } = await proposalsFixture();
+      await sbt.connect(user1).proposeUpdate(UPDATED_SOUL);
+      await sbt.burn(user1.address);
+      await sbt.mint(user1.address, SOUL);
+
+      await expectProposal(sbt, user1.address, NONE, ['', '']);
+      await expect(sbt.approveProposal(user1.address)).to.be.revertedWith('No pending proposal');
+    });
+
+    it('Should burn the token of an ERC5192SBT on an approved burn request', async function () {
+      const { user1 } = await proposalsFixture();
+      await deployments.fixture(['ERC5192SBT']);
+      const sbt = await ethers.getContract('ERC5192SBT');
+      await sbt.mint(user1.address, SOUL);
+      await sbt.connect(user1).requestBurn();
+
+      await expect(sbt.approveProposal(user1.address))
+        .to.emit(sbt, 'Transfer')
+        .withArgs(user1.address, ethers.constants.AddressZero, 1);
+      expect(await sbt.balanceOf(user1.address)).to.equal(0);
+    });
+  });
+});